@@ -8,6 +8,7 @@
  */
 
 import { executeAction } from './action-executor.js';
+import { createTableMock } from './test-helpers.js';
 
 // ============================================================================
 // Mock Office.js Infrastructure with State Management
@@ -951,3 +952,28 @@ describe('Integration Tests - State Verification', () => {
         expect(result.successCount + result.failureCount).toBe(3);
     });
 });
+
+describe('Integration Tests - Table Calculated Columns', () => {
+    test('Formula over a whole table column is written as a calculated column', async () => {
+        const { ctx, sheet, columnBody, getItemAt } = createTableMock();
+        await executeAction(ctx, sheet, { type: 'formula', target: 'E2:E10', data: '=[@Qty]*[@Price]' });
+
+        expect(getItemAt).toHaveBeenCalledWith(3);
+        expect(columnBody.formulas).toBe('=[@Qty]*[@Price]');
+    });
+
+    test('A1 formulas are written once for Excel to adjust per row', async () => {
+        const { ctx, sheet, columnBody } = createTableMock();
+        await executeAction(ctx, sheet, { type: 'formula', target: 'E2:E10', data: '=C2*D2' });
+
+        expect(columnBody.formulas).toBe('=C2*D2');
+    });
+
+    test('Formulas on part of a table column are filled cell by cell', async () => {
+        const { ctx, sheet, columnBody, getItemAt } = createTableMock();
+        await executeAction(ctx, sheet, { type: 'formula', target: 'E2:E5', data: '=[@Qty]*[@Price]' });
+
+        expect(getItemAt).not.toHaveBeenCalled();
+        expect(columnBody.formulas).toBeNull();
+    });
+});
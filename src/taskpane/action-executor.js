@@ -124,7 +124,10 @@ async function executeAction(ctx, sheet, action) {
     
     switch (type) {
         case "formula":
-            await applyFormula(range, data);
+            // A whole table column becomes a calculated column; anything else is filled cell by cell
+            if (!(await applyTableColumnFormula(ctx, range, data))) {
+                await applyFormula(range, data);
+            }
             break;
             
         case "values":
@@ -572,6 +575,38 @@ async function applyFormula(range, formula) {
     }
 }
 
+/**
+ * Writes a formula as the calculated column of a table
+ * Applies when the target is exactly the data body of one table column. The
+ * formula is written once to the column's data body, which Excel registers as a
+ * calculated column: it adjusts A1 references per row and fills new rows.
+ * @param {Excel.RequestContext} ctx - Excel context
+ * @param {Excel.Range} range - Target range (rowCount and columnCount loaded)
+ * @param {string} formula - Formula to apply
+ * @returns {Promise<boolean>} False when the target is not a table column, so the caller fills the cells instead
+ */
+async function applyTableColumnFormula(ctx, range, formula) {
+    if (range.columnCount !== 1 || typeof range.getTables !== "function") return false;
+    
+    const table = range.getTables(false).getFirstOrNullObject();
+    table.load("name");
+    range.load(["rowIndex", "columnIndex"]);
+    await ctx.sync();
+    if (table.isNullObject) return false;
+    
+    const body = table.getDataBodyRange();
+    body.load(["rowIndex", "columnIndex", "rowCount"]);
+    await ctx.sync();
+    if (range.rowIndex !== body.rowIndex || range.rowCount !== body.rowCount) return false;
+    
+    const column = table.columns.getItemAt(range.columnIndex - body.columnIndex);
+    column.load("name");
+    column.getDataBodyRange().formulas = formula;
+    await ctx.sync();
+    logDiag(`Wrote calculated column ${table.name}[${column.name}] (${body.rowCount} rows)`);
+    return true;
+}
+
 /**
  * Adjusts cell references in a formula for row/column offset
  * Supports multi-letter columns (AA, AB, etc.)
@@ -2531,7 +2566,7 @@ async function addTableRow(ctx, sheet, action) {
 async function addTableColumn(ctx, sheet, action) {
     logDiag(`Starting addTableColumn for target "${action.target}"`);
     
-    let options = { tableName: action.target, columnName: "NewColumn", position: "end", values: null };
+    let options = { tableName: action.target, columnName: "NewColumn", position: "end", values: null, formula: null };
     
     if (action.data) {
         try {
@@ -2570,7 +2605,11 @@ async function addTableColumn(ctx, sheet, action) {
     }
     
     try {
-        table.columns.add(index, columnValues);
+        const column = table.columns.add(index, columnValues);
+        if (options.formula) {
+            // A calculated column: the table fills the formula into new rows too
+            column.getDataBodyRange().formulas = options.formula;
+        }
         await ctx.sync();
         logDiag(`Successfully added column "${options.columnName}" to table "${tableName}" at position ${options.position || "end"}`);
     } catch (e) {
@@ -7767,6 +7806,7 @@ export {
     setDiagnosticLogger,
     executeAction,
     applyFormula,
+    applyTableColumnFormula,
     adjustFormulaReferences,
     applyValues,
     applyFormat,
@@ -0,0 +1,202 @@
+/**
+ * Action References Module
+ * Lets actions of one response refer to the results of earlier ones: an action
+ * carries an optional id, and later actions use "$ref:<id>.<field>" in their
+ * target, source or data (e.g. target="$ref:tbl1.name" after a createTable with
+ * id="tbl1"). Actions are ordered so references point backwards, cycles are
+ * rejected, and references are substituted when the batch is applied.
+ */
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const REF_PREFIX = "$ref:";
+const REF_REGEX = /\$ref:([A-Za-z_][\w-]*)\.([A-Za-z_]\w*)/g;
+
+/**
+ * Action fields that may contain references
+ */
+const REF_FIELDS = ["target", "source", "title", "position", "data"];
+
+// ============================================================================
+// Discovery
+// ============================================================================
+
+/**
+ * Checks whether a value contains a reference
+ * @param {*} value - Field value
+ * @returns {boolean} True if the value contains "$ref:"
+ */
+function hasActionRef(value) {
+    return typeof value === "string" && value.includes(REF_PREFIX);
+}
+
+/**
+ * Lists the references of an action
+ * @param {Object} action - Action
+ * @returns {{ id: string, field: string, ref: string }[]} References, in field order
+ */
+function findActionRefs(action) {
+    const refs = [];
+    for (const field of REF_FIELDS) {
+        const value = action[field];
+        if (!hasActionRef(value)) continue;
+        for (const match of value.matchAll(REF_REGEX)) {
+            refs.push({ id: match[1], field: match[2], ref: match[0] });
+        }
+    }
+    return refs;
+}
+
+// ============================================================================
+// Ordering
+// ============================================================================
+
+/**
+ * Follows references from an action until one repeats, to describe a cycle
+ * @param {number} start - Index of an action left over by the topological sort
+ * @param {number[][]} deps - Indices each action depends on
+ * @param {Set<number>} remaining - Indices left over by the sort
+ * @param {Object[]} actions - Actions
+ * @returns {string} Cycle as "a -> b -> a"
+ */
+function describeCycle(start, deps, remaining, actions) {
+    const path = [];
+    let current = start;
+    while (!path.includes(current)) {
+        path.push(current);
+        current = deps[current].find(dep => remaining.has(dep));
+    }
+    const cycle = [...path.slice(path.indexOf(current)), current];
+    return cycle.map(index => actions[index].id).join(" -> ");
+}
+
+/**
+ * Orders actions so that every action runs after the actions it references
+ * Actions keep their relative order otherwise. Duplicate ids, unknown ids and
+ * circular references are reported as issues; such actions stay in place and
+ * fail when applied.
+ * @param {Object[]} actions - Parsed actions
+ * @returns {{ actions: Object[], issues: string[][], reordered: boolean }} Ordered actions and the issues of each
+ */
+function orderActions(actions) {
+    const list = actions || [];
+    const issues = list.map(() => []);
+    const byId = new Map();
+
+    list.forEach((action, index) => {
+        if (!action.id) return;
+        if (byId.has(action.id)) {
+            issues[index].push(`Duplicate action id "${action.id}"`);
+        } else {
+            byId.set(action.id, index);
+        }
+    });
+
+    const deps = list.map((action, index) => {
+        const indices = new Set();
+        for (const { id, ref } of findActionRefs(action)) {
+            if (!byId.has(id)) {
+                issues[index].push(`${ref} refers to unknown action id "${id}"`);
+            } else {
+                indices.add(byId.get(id));
+            }
+        }
+        return [...indices];
+    });
+
+    // Kahn's algorithm, always taking the earliest ready action to keep the original order
+    const order = [];
+    const remaining = new Set(list.map((_, index) => index));
+    let progress = true;
+    while (remaining.size && progress) {
+        progress = false;
+        for (const index of remaining) {
+            if (deps[index].every(dep => !remaining.has(dep))) {
+                order.push(index);
+                remaining.delete(index);
+                progress = true;
+                break;
+            }
+        }
+    }
+
+    // Whatever is left is on a cycle or depends on one
+    for (const index of remaining) {
+        issues[index].push(`Circular reference: ${describeCycle(index, deps, remaining, list)}`);
+        order.push(index);
+    }
+
+    return {
+        actions: order.map(index => list[index]),
+        issues: order.map(index => issues[index]),
+        reordered: order.some((index, position) => index !== position)
+    };
+}
+
+// ============================================================================
+// Resolution
+// ============================================================================
+
+/**
+ * Builds the fields an applied action exposes to later references
+ * @param {Object} action - Applied action, with references already resolved
+ * @param {{ id?: string, name?: string }|null} created - Object the action created, if any
+ * @returns {Object} Result fields
+ */
+function buildActionResult(action, created = null) {
+    return {
+        target: action.target || "",
+        ...(created?.id !== undefined ? { id: String(created.id) } : {}),
+        ...(created?.name !== undefined ? { name: created.name } : {})
+    };
+}
+
+/**
+ * Substitutes the references of an action with the results of earlier actions
+ * References inside JSON data are escaped as JSON string content.
+ * @param {Object} action - Action about to be applied
+ * @param {Object<string, Object>} results - Results of the applied actions by id
+ * @returns {Object} Action with references resolved (the same object when it has none)
+ * @throws {Error} If a referenced action has not run or does not expose the field
+ */
+function resolveActionRefs(action, results) {
+    const refs = findActionRefs(action);
+    if (!refs.length) return action;
+
+    const lookup = (id, field) => {
+        const result = results[id];
+        if (!result) {
+            throw new Error(`${REF_PREFIX}${id}.${field}: action "${id}" has not been applied`);
+        }
+        if (result[field] === undefined) {
+            throw new Error(`${REF_PREFIX}${id}.${field}: action "${id}" has no "${field}" (available: ${Object.keys(result).join(", ")})`);
+        }
+        return String(result[field]);
+    };
+
+    const resolved = { ...action };
+    for (const field of REF_FIELDS) {
+        if (!hasActionRef(action[field])) continue;
+        // Keep JSON payloads valid when the value lands inside a string literal
+        const isJSON = field === "data" && /^\s*[[{]/.test(action.data);
+        resolved[field] = action[field].replace(REF_REGEX, (_, id, key) => {
+            const value = lookup(id, key);
+            return isJSON ? JSON.stringify(value).slice(1, -1) : value;
+        });
+    }
+    return resolved;
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+export {
+    hasActionRef,
+    findActionRefs,
+    orderActions,
+    buildActionResult,
+    resolveActionRefs
+};
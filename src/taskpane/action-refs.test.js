@@ -0,0 +1,94 @@
+/**
+ * Tests for Action References Module
+ */
+
+import { hasActionRef, findActionRefs, orderActions, buildActionResult, resolveActionRefs } from "./action-refs.js";
+
+describe("Action References", () => {
+    describe("findActionRefs", () => {
+        test("finds references in target, source and data", () => {
+            const action = {
+                type: "createSlicer",
+                target: "$ref:tbl1.name",
+                data: "{\"sourceName\":\"$ref:tbl1.name\",\"field\":\"Region\",\"slicerName\":\"$ref:s1.name\"}"
+            };
+            expect(findActionRefs(action).map(ref => `${ref.id}.${ref.field}`)).toEqual(["tbl1.name", "tbl1.name", "s1.name"]);
+            expect(hasActionRef(action.target)).toBe(true);
+            expect(findActionRefs({ type: "formula", target: "A1", data: "=SUM(B:B)" })).toEqual([]);
+        });
+    });
+
+    describe("orderActions", () => {
+        test("keeps the order when references already point backwards", () => {
+            const actions = [
+                { id: "tbl1", type: "createTable", target: "A1:C10" },
+                { type: "styleTable", target: "$ref:tbl1.name" }
+            ];
+            const result = orderActions(actions);
+            expect(result.actions).toEqual(actions);
+            expect(result.reordered).toBe(false);
+            expect(result.issues).toEqual([[], []]);
+        });
+
+        test("moves referencing actions after the actions they reference", () => {
+            const style = { type: "styleTable", target: "$ref:tbl1.name" };
+            const format = { type: "format", target: "E1" };
+            const create = { id: "tbl1", type: "createTable", target: "A1:C10" };
+            const result = orderActions([style, format, create]);
+            expect(result.actions).toEqual([format, create, style]);
+            expect(result.reordered).toBe(true);
+        });
+
+        test("reports cycles, unknown and duplicate ids", () => {
+            const result = orderActions([
+                { id: "a", type: "styleTable", target: "$ref:b.name" },
+                { id: "b", type: "styleTable", target: "$ref:a.name" },
+                { id: "c", type: "format", target: "$ref:missing.target" },
+                { id: "c", type: "format", target: "A1" }
+            ]);
+            expect(result.actions.map(action => action.target)).toEqual(["$ref:missing.target", "A1", "$ref:b.name", "$ref:a.name"]);
+            expect(result.issues[0]).toEqual(["$ref:missing.target refers to unknown action id \"missing\""]);
+            expect(result.issues[1]).toEqual(["Duplicate action id \"c\""]);
+            expect(result.issues[2]).toEqual(["Circular reference: a -> b -> a"]);
+            expect(result.issues[3]).toEqual(["Circular reference: b -> a -> b"]);
+        });
+
+        test("rejects self references", () => {
+            const result = orderActions([{ id: "x", type: "format", target: "$ref:x.target" }]);
+            expect(result.issues[0]).toEqual(["Circular reference: x -> x"]);
+        });
+    });
+
+    describe("resolveActionRefs", () => {
+        const results = {
+            tbl1: buildActionResult({ type: "createTable", target: "A1:C10" }, { id: "{T1}", name: "Table1" })
+        };
+
+        test("substitutes results of applied actions", () => {
+            expect(resolveActionRefs({ type: "styleTable", target: "$ref:tbl1.name", data: "{\"style\":\"TableStyleDark3\"}" }, results))
+                .toEqual({ type: "styleTable", target: "Table1", data: "{\"style\":\"TableStyleDark3\"}" });
+            expect(resolveActionRefs({ type: "formula", target: "E2", data: "=SUM($ref:tbl1.name[Sales])" }, results).data)
+                .toBe("=SUM(Table1[Sales])");
+            expect(resolveActionRefs({ type: "format", target: "$ref:tbl1.target" }, results).target).toBe("A1:C10");
+        });
+
+        test("escapes values placed inside JSON data", () => {
+            const quoted = { q: buildActionResult({ target: "A1" }, { name: "My \"Table\"" }) };
+            const resolved = resolveActionRefs({ type: "createSlicer", target: "X", data: "{\"sourceName\":\"$ref:q.name\"}" }, quoted);
+            expect(JSON.parse(resolved.data).sourceName).toBe("My \"Table\"");
+        });
+
+        test("returns actions without references unchanged", () => {
+            const action = { type: "formula", target: "A1", data: "=1" };
+            expect(resolveActionRefs(action, {})).toBe(action);
+        });
+
+        test("fails on actions that have not run or fields they do not expose", () => {
+            expect(() => resolveActionRefs({ type: "styleTable", target: "$ref:tbl2.name" }, results))
+                .toThrow("action \"tbl2\" has not been applied");
+            const plain = { f1: buildActionResult({ type: "formula", target: "B2" }) };
+            expect(() => resolveActionRefs({ type: "styleTable", target: "$ref:f1.name" }, plain))
+                .toThrow("has no \"name\" (available: target)");
+        });
+    });
+});
@@ -0,0 +1,385 @@
+/**
+ * Action Schema Module
+ * JSON schema for structured AI responses and the parser that turns them into actions.
+ * Providers that support a response schema (Gemini responseSchema) return
+ * { message, actions[] } instead of <ACTION> tags; the tag parser stays as fallback.
+ * Each action type gets its own branch built from ACTION_SCHEMAS (action-validation.js),
+ * so the model sees the attributes and payload keys of the type it picks. Rules the
+ * schema cannot express (target formats, key groups, ranges of values) are still
+ * checked by checkActions like tag-parsed actions before the preview.
+ */
+
+import { ACTION_TYPES } from "./preview.js";
+import { ACTION_SCHEMAS } from "./action-validation.js";
+
+// ============================================================================
+// Schema
+// ============================================================================
+
+/**
+ * Optional string attributes an action may carry besides type and data
+ * Mirrors the attributes of the <ACTION> tag format
+ */
+const ACTION_ATTRIBUTES = ["target", "source", "chartType", "title", "position", "orientation"];
+
+/**
+ * Defaults applied to missing attributes - same as the <ACTION> tag parser
+ */
+const ACTION_DEFAULTS = {
+    chartType: "column",
+    position: "H2"
+};
+
+const ATTRIBUTE_DESCRIPTIONS = {
+    target: "Cell/range address, or the logical name (table, PivotTable, sheet, shape...) the action type expects",
+    source: "Source range for copy/copyValues",
+    chartType: "Chart type for chart/pivotChart",
+    title: "Chart title",
+    position: "Top-left cell for charts",
+    orientation: "Orientation option for actions that take one"
+};
+
+/**
+ * Attributes besides target and source, by the action types that read them
+ */
+const TYPE_ATTRIBUTES = {
+    chart: ["chartType", "title", "position"],
+    pivotChart: ["chartType", "title", "position"],
+    setPageOrientation: ["orientation"]
+};
+
+const TARGET_DESCRIPTIONS = {
+    range: "Range address (e.g. A1:D10), whole rows/columns, or a defined name",
+    cell: "Single cell address (e.g. B2)",
+    rows: "Row or row span (e.g. \"5\" or \"5:7\")",
+    columns: "Column or column span (e.g. \"C\" or \"C:E\")",
+    name: "Name of the table, PivotTable, slicer, shape, named range or view",
+    names: "Comma-separated names (at least 2)",
+    sheet: "Sheet name, or \"current\"",
+    any: ATTRIBUTE_DESCRIPTIONS.target
+};
+
+/**
+ * Payload schemas of the formats that are not a JSON object of known keys
+ * Formats without an entry ("none") take no payload.
+ */
+const DATA_FORMAT_SCHEMAS = {
+    formula: { type: "STRING", description: "Formula starting with =, written for the first cell of the target" },
+    values: { type: "STRING", description: "2D array of cell values as a JSON string, e.g. [[\"Name\",1],[\"Bob\",2]]" },
+    text: { type: "STRING", description: "Plain text, or a JSON string with content/text" },
+    rules: { type: "STRING", description: "Conditional format rule object, or an array of rules, as a JSON string" },
+    sort: {
+        type: "OBJECT",
+        properties: {
+            column: { type: "INTEGER", description: "0-based column within the target" },
+            ascending: { type: "BOOLEAN" },
+            hasHeaders: { type: "BOOLEAN" }
+        }
+    },
+    orientation: {
+        type: "OBJECT",
+        properties: { orientation: { type: "STRING", format: "enum", enum: ["portrait", "landscape"] } }
+    }
+};
+
+/**
+ * Payload property types whose shape varies - they are sent as JSON strings
+ * and decoded by normalizeStructuredAction
+ */
+const ENCODED_PROPERTY_TYPES = ["array", "object", "any"];
+
+/**
+ * Converts a payload property spec of ACTION_SCHEMAS to a response schema property
+ * @param {Object} spec - Property spec ({ type, enum?, min?, max? })
+ * @returns {Object} Schema property
+ */
+function toSchemaProperty(spec) {
+    if (ENCODED_PROPERTY_TYPES.includes(spec.type)) {
+        return { type: "STRING", description: "JSON-encoded value" };
+    }
+    if (spec.type === "color") {
+        return { type: "STRING", description: "Hex color like #4472C4" };
+    }
+    if (spec.type === "string") {
+        return spec.enum ? { type: "STRING", format: "enum", enum: [...spec.enum] } : { type: "STRING" };
+    }
+
+    const property = { type: { number: "NUMBER", integer: "INTEGER", boolean: "BOOLEAN" }[spec.type] };
+    if (spec.min !== undefined) property.minimum = spec.min;
+    if (spec.max !== undefined) property.maximum = spec.max;
+    return property;
+}
+
+/**
+ * Builds the payload schema of an action type
+ * @param {Object} spec - Data spec of the type's ACTION_SCHEMAS entry
+ * @returns {Object|null} Payload schema, or null if the type takes no payload
+ */
+function buildDataSchema(spec) {
+    if (spec.format !== "json") {
+        return DATA_FORMAT_SCHEMAS[spec.format] || null;
+    }
+
+    const keys = Object.keys(spec.properties || {});
+    if (keys.length === 0) return null;
+
+    const schema = {
+        type: "OBJECT",
+        properties: Object.fromEntries(keys.map(key => [key, toSchemaProperty(spec.properties[key])])),
+        propertyOrdering: keys
+    };
+    if (spec.requiredKeys) schema.required = [...spec.requiredKeys];
+    return schema;
+}
+
+/**
+ * Builds the response schema branch of one action type
+ * Target, source and payload are required where the type's ACTION_SCHEMAS entry requires them.
+ * @param {string} type - Action type
+ * @returns {Object} Action schema
+ */
+function buildActionTypeSchema(type) {
+    const spec = ACTION_SCHEMAS[type];
+    const properties = {
+        id: {
+            type: "STRING",
+            description: "Optional id that later actions reference as $ref:<id>.name, $ref:<id>.id or $ref:<id>.target"
+        },
+        type: { type: "STRING", format: "enum", enum: [type], description: "Action type" }
+    };
+    const required = ["type"];
+
+    if (spec.target) {
+        properties.target = { type: "STRING", description: TARGET_DESCRIPTIONS[spec.target] || ATTRIBUTE_DESCRIPTIONS.target };
+        required.push("target");
+    }
+    if (spec.source) {
+        properties.source = { type: "STRING", description: ATTRIBUTE_DESCRIPTIONS.source };
+        required.push("source");
+    }
+    for (const attr of TYPE_ATTRIBUTES[type] || []) {
+        properties[attr] = { type: "STRING", description: ATTRIBUTE_DESCRIPTIONS[attr] };
+    }
+
+    const data = buildDataSchema(spec.data);
+    if (data) {
+        properties.data = { ...data, description: data.description || "Action payload" };
+        if (spec.data.required) required.push("data");
+    }
+
+    return {
+        type: "OBJECT",
+        properties,
+        required,
+        propertyOrdering: ["id", "type", ...ACTION_ATTRIBUTES, "data"].filter(key => key in properties)
+    };
+}
+
+/**
+ * Builds the response schema for structured action output
+ * Uses the OpenAPI subset accepted by Gemini's generationConfig.responseSchema,
+ * with one anyOf branch per action type
+ * @returns {Object} Response schema
+ */
+function buildActionResponseSchema() {
+    return {
+        type: "OBJECT",
+        properties: {
+            message: {
+                type: "STRING",
+                description: "Explanation shown to the user (markdown allowed, no ACTION tags)"
+            },
+            actions: {
+                type: "ARRAY",
+                items: { anyOf: ACTION_TYPES.map(buildActionTypeSchema) }
+            },
+            toolCalls: {
+                type: "ARRAY",
+                description: "Read-only workbook tool requests (see WORKBOOK TOOLS). Leave empty when answering",
+                items: {
+                    type: "OBJECT",
+                    properties: {
+                        name: { type: "STRING", description: "Tool name" },
+                        args: { type: "STRING", description: "Tool arguments as a JSON string" }
+                    },
+                    required: ["name"],
+                    propertyOrdering: ["name", "args"]
+                }
+            }
+        },
+        required: ["message", "actions"],
+        propertyOrdering: ["message", "actions", "toolCalls"]
+    };
+}
+
+/**
+ * Gets the system-prompt addendum used when the response schema is active
+ * The existing ACTION tag reference still documents each type's attributes and payload
+ * @returns {string} Prompt text
+ */
+function getStructuredOutputInstructions() {
+    return `
+
+## STRUCTURED OUTPUT MODE
+This overrides the ACTION tag output rules above. Respond with a JSON object matching the response schema:
+- "message": your explanation for the user, without any ACTION tags
+- "actions": one object per action, in execution order. Each ACTION tag attribute becomes a field of the same name and the payload between the tags goes into "data": an object for JSON payloads, a string otherwise. Payload values the schema marks as JSON-encoded are JSON strings
+Example: <ACTION type="format" target="A1:D1">{"bold":true}</ACTION>
+becomes {"type":"format","target":"A1:D1","data":{"bold":true}}
+Use an empty "actions" array when no changes are needed.`;
+}
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+/**
+ * Removes a surrounding markdown code fence, which some models add around JSON
+ * @param {string} text - Raw response text
+ * @returns {string} Unfenced text
+ */
+function stripCodeFence(text) {
+    const match = String(text).trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+    return match ? match[1] : String(text).trim();
+}
+
+/**
+ * Decodes the JSON-encoded properties of an object payload
+ * Strings that do not hold a JSON object or array stay as they are.
+ * @param {string} type - Action type
+ * @param {Object} data - Payload object
+ * @returns {Object} Payload with decoded properties
+ */
+function decodePayload(type, data) {
+    const properties = ACTION_SCHEMAS[type]?.data?.properties || {};
+    const decoded = { ...data };
+    for (const [key, value] of Object.entries(data)) {
+        if (typeof value !== "string" || !ENCODED_PROPERTY_TYPES.includes(properties[key]?.type)) continue;
+        try {
+            const parsed = JSON.parse(value);
+            if (parsed && typeof parsed === "object") decoded[key] = parsed;
+        } catch {
+            // Plain string value
+        }
+    }
+    return decoded;
+}
+
+/**
+ * Normalizes one structured action into the shape executeAction expects
+ * @param {Object} raw - Action object from the response
+ * @returns {Object|null} Normalized action, or null if it has no valid type
+ */
+function normalizeStructuredAction(raw) {
+    if (!raw || typeof raw !== "object" || typeof raw.type !== "string" || !raw.type) {
+        return null;
+    }
+
+    const action = { type: raw.type };
+    for (const attr of ACTION_ATTRIBUTES) {
+        const value = raw[attr];
+        action[attr] = value === undefined || value === null || value === "" ? (ACTION_DEFAULTS[attr] || "") : String(value);
+    }
+
+    // Only actions that are referenced carry an id
+    if (raw.id !== undefined && raw.id !== null && raw.id !== "") {
+        action.id = String(raw.id);
+    }
+
+    // The payload is a string in the tag format; object payloads are serialized back
+    const data = raw.data;
+    if (data === undefined || data === null) {
+        action.data = "";
+    } else if (typeof data === "string") {
+        action.data = data.trim();
+    } else if (typeof data === "object" && !Array.isArray(data)) {
+        action.data = JSON.stringify(decodePayload(raw.type, data));
+    } else {
+        action.data = JSON.stringify(data);
+    }
+
+    return action;
+}
+
+/**
+ * Parses a structured { message, actions } response
+ * @param {string} text - Raw response text
+ * @returns {{ message: string, actions: Object[], dropped: number }|null} Parsed response, or null if the text is not a structured response
+ */
+function parseStructuredResponse(text) {
+    if (typeof text !== "string") return null;
+
+    const body = stripCodeFence(text);
+    if (!body.startsWith("{")) return null;
+
+    let parsed;
+    try {
+        parsed = JSON.parse(body);
+    } catch {
+        return null;
+    }
+
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) return null;
+    if (!("actions" in parsed) && !("message" in parsed)) return null;
+
+    const rawActions = Array.isArray(parsed.actions) ? parsed.actions : [];
+    const actions = rawActions.map(normalizeStructuredAction).filter(Boolean);
+    const message = typeof parsed.message === "string" ? parsed.message.trim() : "";
+
+    return {
+        message: message || "Ready to apply.",
+        actions,
+        dropped: rawActions.length - actions.length
+    };
+}
+
+/**
+ * Gets the text to show while a structured response is still streaming
+ * Decodes the (possibly unterminated) "message" string from the partial JSON
+ * @param {string} text - Streamed text so far
+ * @returns {string|null} Message text so far, or null if the text is not structured output
+ */
+function getStructuredDisplayText(text) {
+    const trimmed = String(text).trimStart();
+    if (!trimmed.startsWith("{") && !trimmed.startsWith("```")) return null;
+
+    const start = trimmed.match(/"message"\s*:\s*"/);
+    if (!start) return "";
+
+    let result = "";
+    for (let i = start.index + start[0].length; i < trimmed.length; i++) {
+        const ch = trimmed[i];
+        if (ch === "\"") break;
+        if (ch !== "\\") {
+            result += ch;
+            continue;
+        }
+
+        // Escape sequence - stop if it is not complete yet
+        const next = trimmed[i + 1];
+        if (next === undefined) break;
+        if (next === "u") {
+            const hex = trimmed.slice(i + 2, i + 6);
+            if (!/^[0-9a-fA-F]{4}$/.test(hex)) break;
+            result += String.fromCharCode(parseInt(hex, 16));
+            i += 5;
+        } else {
+            result += { n: "\n", t: "\t", r: "\r", b: "\b", f: "\f" }[next] ?? next;
+            i += 1;
+        }
+    }
+    return result.trim();
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+export {
+    ACTION_ATTRIBUTES,
+    buildActionResponseSchema,
+    getStructuredOutputInstructions,
+    normalizeStructuredAction,
+    parseStructuredResponse,
+    getStructuredDisplayText
+};
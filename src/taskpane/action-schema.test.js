@@ -0,0 +1,166 @@
+/**
+ * Tests for Action Schema Module
+ */
+
+import {
+    ACTION_ATTRIBUTES,
+    buildActionResponseSchema,
+    parseStructuredResponse,
+    getStructuredDisplayText
+} from "./action-schema.js";
+import { checkActions } from "./action-validation.js";
+import { getExecutorActionTypes } from "./test-helpers.js";
+
+describe("Action Schema", () => {
+    describe("buildActionResponseSchema", () => {
+        const schema = buildActionResponseSchema();
+        const branches = schema.properties.actions.items.anyOf;
+        const branch = (type) => branches.find(b => b.properties.type.enum[0] === type);
+
+        test("covers every action type handled by executeAction", () => {
+            const enumTypes = branches.map(b => b.properties.type.enum[0]);
+            const executorTypes = getExecutorActionTypes();
+            expect(executorTypes.length).toBeGreaterThan(80);
+            for (const type of executorTypes) {
+                expect(enumTypes).toContain(type);
+            }
+            // "sheet" is handled before the switch
+            expect(enumTypes).toContain("sheet");
+            expect(new Set(enumTypes).size).toBe(enumTypes.length);
+            expect(branches.every(b => b.properties.type.enum.length === 1)).toBe(true);
+        });
+
+        test("builds each payload from the type's validation schema", () => {
+            const format = branch("format");
+            expect(format.required).toEqual(["type", "target", "data"]);
+            expect(format.properties.data.type).toBe("OBJECT");
+            expect(format.properties.data.properties.bold).toEqual({ type: "BOOLEAN" });
+            expect(format.properties.data.properties.fontSize).toEqual({ type: "NUMBER", minimum: 1, maximum: 409 });
+            expect(format.properties.data.properties.verticalAlignment.enum).toContain("Center");
+
+            expect(branch("findReplace").properties.data.required).toEqual(["find"]);
+            expect(branch("formula").properties.data.type).toBe("STRING");
+            expect(branch("addTableRow").properties.data.properties.values).toEqual({ type: "STRING", description: "JSON-encoded value" });
+            expect(branch("sort").properties.data.properties.column.type).toBe("INTEGER");
+        });
+
+        test("requires attributes only where the type's schema does", () => {
+            expect(branch("copy").required).toEqual(["type", "target", "source"]);
+            expect(branch("deleteRows").required).toEqual(["type", "target"]);
+            expect(branch("deleteRows").properties.data).toBeUndefined();
+            expect(branch("createTable").required).toEqual(["type", "target"]);
+            expect(branch("createTable").properties.source).toBeUndefined();
+            expect(Object.keys(branch("chart").properties)).toEqual(expect.arrayContaining(["chartType", "title", "position"]));
+            expect(branch("chart").propertyOrdering).toEqual(["id", "type", "target", "chartType", "title", "position", "data"]);
+            for (const b of branches) {
+                for (const attr of ACTION_ATTRIBUTES) {
+                    if (b.properties[attr]) expect(b.properties[attr].type).toBe("STRING");
+                }
+            }
+        });
+    });
+
+    describe("parseStructuredResponse", () => {
+        test("parses message and actions", () => {
+            const text = JSON.stringify({
+                message: "Added totals.",
+                actions: [{ type: "formula", target: "C2", data: "=SUM(A2:B2)" }]
+            });
+            const result = parseStructuredResponse(text);
+            expect(result.message).toBe("Added totals.");
+            expect(result.actions).toEqual([{
+                type: "formula", target: "C2", source: "", chartType: "column",
+                title: "", position: "H2", orientation: "", data: "=SUM(A2:B2)"
+            }]);
+            expect(result.dropped).toBe(0);
+        });
+
+        test("keeps characters that break the tag regex", () => {
+            const data = "=IF(A2>10,\"big > small\",\"\")";
+            const text = JSON.stringify({ message: "", actions: [{ type: "formula", target: "D2", title: "a > b", data }] });
+            const { actions, message } = parseStructuredResponse(text);
+            expect(actions[0].data).toBe(data);
+            expect(actions[0].title).toBe("a > b");
+            expect(message).toBe("Ready to apply.");
+        });
+
+        test("stringifies object payloads and drops actions without a type", () => {
+            const text = JSON.stringify({
+                message: "ok",
+                actions: [{ type: "format", target: "A1", data: { bold: true } }, { target: "B1" }]
+            });
+            const result = parseStructuredResponse(text);
+            expect(result.actions).toHaveLength(1);
+            expect(result.actions[0].data).toBe("{\"bold\":true}");
+            expect(result.dropped).toBe(1);
+        });
+
+        test("decodes JSON-encoded payload values", () => {
+            const text = JSON.stringify({
+                message: "ok",
+                actions: [{ type: "addTableRow", target: "Sales", data: { values: "[[\"East\",4]]", position: "end" } }]
+            });
+            const [action] = parseStructuredResponse(text).actions;
+            expect(JSON.parse(action.data)).toEqual({ values: [["East", 4]], position: "end" });
+            expect(checkActions([action]).issues[0]).toEqual([]);
+        });
+
+        test("keeps action ids only when given", () => {
+            const text = JSON.stringify({
+                message: "ok",
+                actions: [{ id: "tbl1", type: "createTable", target: "A1:C5" }, { type: "styleTable", target: "$ref:tbl1.name", id: "" }]
+            });
+            const [create, style] = parseStructuredResponse(text).actions;
+            expect(create.id).toBe("tbl1");
+            expect(style).not.toHaveProperty("id");
+        });
+
+        test("accepts a fenced JSON block", () => {
+            const text = "```json\n{\"message\":\"hi\",\"actions\":[]}\n```";
+            expect(parseStructuredResponse(text)).toEqual({ message: "hi", actions: [], dropped: 0 });
+        });
+
+        test("leaves payload checks to action validation", () => {
+            const text = JSON.stringify({
+                message: "ok",
+                actions: [{ type: "format", target: "A1", data: "{\"fill\":\"red\"}" }, { type: "formula", target: "B1", data: "SUM(A1:A5)" }]
+            });
+            const { actions } = parseStructuredResponse(text);
+            expect(actions).toHaveLength(2);
+            expect(checkActions(actions).issues).toEqual([
+                ["\"fill\" must be a hex color like #FF0000"],
+                ["Formula must start with \"=\""]
+            ]);
+        });
+
+        test("returns null for tag-formatted or invalid responses", () => {
+            expect(parseStructuredResponse("Done <ACTION type=\"formula\" target=\"A1\">=1</ACTION>")).toBeNull();
+            expect(parseStructuredResponse("{not json")).toBeNull();
+            expect(parseStructuredResponse("{\"unrelated\":1}")).toBeNull();
+            expect(parseStructuredResponse(undefined)).toBeNull();
+        });
+    });
+
+    describe("getStructuredDisplayText", () => {
+        test("returns null for non-JSON text", () => {
+            expect(getStructuredDisplayText("Plain answer")).toBeNull();
+        });
+
+        test("decodes a partial message string", () => {
+            expect(getStructuredDisplayText("{\"message\": \"Line 1\\nLine \\\"2")).toBe("Line 1\nLine \"2");
+        });
+
+        test("stops at an incomplete escape sequence", () => {
+            expect(getStructuredDisplayText("{\"message\":\"caf\\u00e9 \\u00")).toBe("café");
+        });
+
+        test("ignores the actions once the message is closed", () => {
+            const text = "{\"message\":\"Sorted.\",\"actions\":[{\"type\":\"sort\"";
+            expect(getStructuredDisplayText(text)).toBe("Sorted.");
+        });
+
+        test("returns empty text before the message starts", () => {
+            expect(getStructuredDisplayText("{\"mess")).toBe("");
+        });
+    });
+});
@@ -0,0 +1,958 @@
+/**
+ * Action Validation Module
+ * Per-action-type schema registry that checks an action's target and data payload
+ * before it reaches the preview panel. Handlers in action-executor.js fall back to
+ * defaults on bad payloads, so problems are caught here and shown as warnings.
+ */
+
+import { hasActionRef, orderActions } from "./action-refs.js";
+
+// ============================================================================
+// Target Kinds
+// ============================================================================
+
+const TARGET = {
+    RANGE: "range",       // A1 range, whole rows/columns, or a defined name
+    CELL: "cell",         // Single cell address
+    ROWS: "rows",         // Row number or row span ("5" or "5:7")
+    COLUMNS: "columns",   // Column letter or column span ("C" or "C:E")
+    NAME: "name",         // Logical name (table, PivotTable, slicer, shape, view...)
+    NAMES: "names",       // Comma-separated list of at least two names
+    SHEET: "sheet",       // Sheet name, or "current"
+    ANY: "any"            // Any non-empty value
+};
+
+const SHEET_PREFIX = "(?:(?:'[^']+'|[^!'\\s]+)!)?";
+const CELL_PATTERN = "\\$?[A-Z]{1,3}\\$?\\d+";
+const CELL_REGEX = new RegExp(`^${SHEET_PREFIX}${CELL_PATTERN}$`, "i");
+const RANGE_REGEX = new RegExp(
+    `^${SHEET_PREFIX}(?:${CELL_PATTERN}(?::${CELL_PATTERN})?|\\$?[A-Z]{1,3}:\\$?[A-Z]{1,3}|\\$?\\d+:\\$?\\d+)$`, "i"
+);
+const ROWS_REGEX = /^(\d+)(:\d+)?$/;
+const COLUMNS_REGEX = /^([A-Z]+)(:[A-Z]+)?$/i;
+const DEFINED_NAME_REGEX = /^[A-Za-z_\\][\w.]*$/;
+const STRUCTURED_REF_REGEX = /^[A-Za-z_\\][\w.]*\[.*\]$/;
+const HEX_COLOR_REGEX = /^#[0-9A-Fa-f]{6}$/;
+const INVALID_SHEET_CHARS = /[\\/?*[\]:]/;
+
+// ============================================================================
+// Schema Registry
+// ============================================================================
+
+/**
+ * Property spec helpers
+ * Each spec is { type, enum?, min?, max? } where type is
+ * "string" | "number" | "integer" | "boolean" | "array" | "object" | "color" | "any"
+ */
+const str = (values) => (values ? { type: "string", enum: values } : { type: "string" });
+const num = (min, max) => ({ type: "number", min, max });
+const int = (min, max) => ({ type: "integer", min, max });
+const bool = { type: "boolean" };
+const arr = { type: "array" };
+const obj = { type: "object" };
+const color = { type: "color" };
+const any = { type: "any" };
+
+const PASSWORD = { password: str() };
+const COMMENT_TEXT = { content: str(), text: str() };
+
+/**
+ * Action schemas keyed by action type
+ *
+ * Fields:
+ * - target: TARGET kind the action expects
+ * - source: true when the action needs a source range attribute
+ * - data: payload spec
+ *     format: "json" (object), "formula", "values" (2D array), "sort", "none" or "text"
+ *     required: payload must be present
+ *     properties: known keys (unknown keys are reported because handlers ignore them)
+ *     requiredKeys: keys that must be present
+ *     oneOf: groups of keys where exactly one must be present
+ *     anyOf: keys where at least one must be present
+ *     validate: custom check returning an array of messages
+ */
+const ACTION_SCHEMAS = {
+    // ========== Basic Operations ==========
+    formula: { target: TARGET.RANGE, data: { format: "formula", required: true } },
+    values: { target: TARGET.RANGE, data: { format: "values", required: true } },
+    format: {
+        target: TARGET.RANGE,
+        data: {
+            format: "json",
+            required: true,
+            nonEmpty: true,
+            properties: {
+                bold: bool, italic: bool, fontColor: color, fontSize: num(1, 409), fill: color,
+                horizontalAlignment: str(["General", "Left", "Center", "Right", "Fill", "Justify", "CenterAcrossSelection", "Distributed"]),
+                verticalAlignment: str(["Top", "Center", "Bottom", "Justify", "Distributed"]),
+                wrapText: bool, textOrientation: int(-90, 255), indentLevel: int(0, 250), shrinkToFit: bool,
+                readingOrder: str(["Context", "LeftToRight", "RightToLeft"]),
+                numberFormatPreset: str(["currency", "accounting", "percentage", "date", "dateShort", "dateLong", "time",
+                    "timeShort", "time24", "fraction", "scientific", "text", "number", "integer"]),
+                numberFormat: str(), style: str(), border: bool, borders: obj
+            }
+        }
+    },
+    validation: { target: TARGET.RANGE, source: true, data: { format: "none" } },
+    sort: { target: TARGET.RANGE, data: { format: "sort" } },
+    autofill: { target: TARGET.RANGE, source: true, data: { format: "none" } },
+
+    // ========== Advanced Formatting ==========
+    conditionalFormat: { target: TARGET.RANGE, data: { format: "rules", required: true } },
+    clearFormat: { target: TARGET.RANGE, data: { format: "none" } },
+
+    // ========== Charts ==========
+    chart: {
+        target: TARGET.RANGE,
+        data: { format: "json", properties: { trendlines: arr, dataLabels: any, comboSeries: arr, axes: obj, formatting: obj } }
+    },
+    pivotChart: {
+        target: TARGET.RANGE,
+        data: {
+            format: "json",
+            properties: {
+                groupBy: str(), aggregate: str(), aggregateFunc: str(["sum", "count", "average", "avg", "min", "max"]),
+                chartType: str(), title: str(), position: str()
+            }
+        }
+    },
+
+    // ========== Copy/Filter/Duplicates ==========
+    copy: { target: TARGET.RANGE, source: true, data: { format: "none" } },
+    copyValues: { target: TARGET.RANGE, source: true, data: { format: "none" } },
+    filter: {
+        target: TARGET.RANGE,
+        data: { format: "json", required: true, properties: { column: int(0), values: arr }, requiredKeys: ["column", "values"] }
+    },
+    clearFilter: { target: TARGET.ANY, data: { format: "none" } },
+    removeDuplicates: { target: TARGET.RANGE, data: { format: "json", properties: { columns: arr } } },
+
+    // ========== Sheet Management ==========
+    sheet: { target: TARGET.SHEET, data: { format: "values" } },
+
+    // ========== Table Operations ==========
+    createTable: { target: TARGET.RANGE, data: { format: "json", properties: { tableName: str(), style: str() } } },
+    styleTable: {
+        target: TARGET.NAME,
+        data: {
+            format: "json",
+            properties: {
+                style: str(), highlightFirstColumn: bool, highlightLastColumn: bool,
+                showBandedRows: bool, showBandedColumns: bool
+            }
+        }
+    },
+    addTableRow: {
+        target: TARGET.NAME,
+        data: { format: "json", properties: { tableName: str(), position: any, values: arr } }
+    },
+    addTableColumn: {
+        target: TARGET.NAME,
+        data: { format: "json", properties: { tableName: str(), columnName: str(), position: any, values: arr, formula: str() } }
+    },
+    resizeTable: {
+        target: TARGET.NAME,
+        data: { format: "json", required: true, properties: { tableName: str(), newRange: str() }, requiredKeys: ["newRange"] }
+    },
+    convertToRange: { target: TARGET.NAME, data: { format: "none" } },
+    toggleTableTotals: {
+        target: TARGET.NAME,
+        data: { format: "json", properties: { tableName: str(), show: bool, totals: arr } }
+    },
+
+    // ========== Data Manipulation ==========
+    insertRows: { target: TARGET.ROWS, data: { format: "json", properties: { count: int(1) } } },
+    insertColumns: { target: TARGET.COLUMNS, data: { format: "json", properties: { count: int(1) } } },
+    deleteRows: { target: TARGET.ROWS, data: { format: "none" } },
+    deleteColumns: { target: TARGET.COLUMNS, data: { format: "none" } },
+    mergeCells: { target: TARGET.RANGE, data: { format: "none" }, validate: validateMergeTarget },
+    unmergeCells: { target: TARGET.RANGE, data: { format: "none" } },
+    findReplace: {
+        target: TARGET.RANGE,
+        data: {
+            format: "json",
+            required: true,
+            properties: { find: str(), replace: str(), matchCase: bool, matchEntireCell: bool },
+            requiredKeys: ["find"]
+        }
+    },
+    textToColumns: {
+        target: TARGET.RANGE,
+        data: { format: "json", properties: { delimiter: str(), destination: str(), forceOverwrite: bool } }
+    },
+
+    // ========== PivotTable Operations ==========
+    createPivotTable: {
+        target: TARGET.RANGE,
+        data: {
+            format: "json",
+            required: true,
+            properties: { name: str(), destination: str(), layout: str(["compact", "outline", "tabular"]) },
+            requiredKeys: ["name", "destination"]
+        }
+    },
+    addPivotField: {
+        target: TARGET.NAME,
+        data: {
+            format: "json",
+            required: true,
+            properties: {
+                pivotName: str(), field: str(), area: str(["row", "column", "data", "filter"]),
+                function: str(["Sum", "Count", "Average", "Max", "Min", "Product", "CountNumbers", "StdDev", "StdDevP", "Var", "VarP"])
+            },
+            requiredKeys: ["field", "area"]
+        }
+    },
+    configurePivotLayout: {
+        target: TARGET.NAME,
+        data: {
+            format: "json",
+            required: true,
+            properties: { pivotName: str(), layout: str(["compact", "outline", "tabular"]), showRowHeaders: bool, showColumnHeaders: bool },
+            nonEmpty: true
+        }
+    },
+    refreshPivotTable: { target: TARGET.NAME, data: { format: "json", properties: { pivotName: str(), refreshAll: bool } } },
+    deletePivotTable: { target: TARGET.NAME, data: { format: "json", properties: { pivotName: str() } } },
+
+    // ========== Slicer Operations ==========
+    createSlicer: {
+        target: TARGET.NAME,
+        data: {
+            format: "json",
+            required: true,
+            properties: {
+                slicerName: str(), sourceType: str(["table", "pivot"]), sourceName: str(), field: str(),
+                position: obj, style: str(), selectedItems: arr, multiSelect: bool
+            },
+            requiredKeys: ["sourceType", "field"]
+        }
+    },
+    configureSlicer: {
+        target: TARGET.NAME,
+        data: {
+            format: "json",
+            required: true,
+            nonEmpty: true,
+            properties: {
+                slicerName: str(), caption: str(), style: str(), sortBy: str(["DataSourceOrder", "Ascending", "Descending"]),
+                width: num(0), height: num(0), left: num(0), top: num(0), selectedItems: arr, multiSelect: bool
+            }
+        }
+    },
+    connectSlicerToTable: {
+        target: TARGET.NAME,
+        data: { format: "json", required: true, properties: { slicerName: str(), tableName: str(), field: str() }, requiredKeys: ["tableName", "field"] }
+    },
+    connectSlicerToPivot: {
+        target: TARGET.NAME,
+        data: { format: "json", required: true, properties: { slicerName: str(), pivotName: str(), field: str() }, requiredKeys: ["pivotName", "field"] }
+    },
+    deleteSlicer: { target: TARGET.NAME, data: { format: "json", properties: { slicerName: str() } } },
+
+    // ========== Named Range Operations ==========
+    createNamedRange: {
+        target: TARGET.ANY,
+        data: {
+            format: "json",
+            required: true,
+            properties: { name: str(), scope: str(["workbook", "worksheet"]), formula: str(), comment: str() },
+            requiredKeys: ["name"]
+        },
+        validate: validateNamedRangeData
+    },
+    deleteNamedRange: { target: TARGET.NAME, data: { format: "json", properties: { scope: str(["workbook", "worksheet"]) } } },
+    updateNamedRange: {
+        target: TARGET.NAME,
+        data: {
+            format: "json",
+            required: true,
+            properties: { scope: str(["workbook", "worksheet"]), newFormula: str(), newComment: str() },
+            anyOf: ["newFormula", "newComment"]
+        }
+    },
+    listNamedRanges: { target: TARGET.ANY, data: { format: "json", properties: { scope: str(["workbook", "worksheet", "all"]) } } },
+
+    // ========== Protection Operations ==========
+    protectWorksheet: {
+        target: TARGET.SHEET,
+        data: {
+            format: "json",
+            properties: {
+                ...PASSWORD, allowAutoFilter: bool, allowDeleteColumns: bool, allowDeleteRows: bool, allowFormatCells: bool,
+                allowFormatColumns: bool, allowFormatRows: bool, allowInsertColumns: bool, allowInsertRows: bool,
+                allowInsertHyperlinks: bool, allowPivotTables: bool, allowSort: bool,
+                selectionMode: str(["Normal", "Unlocked", "None"])
+            }
+        }
+    },
+    unprotectWorksheet: { target: TARGET.SHEET, data: { format: "json", properties: PASSWORD } },
+    protectRange: { target: TARGET.RANGE, data: { format: "json", properties: { locked: bool, formulaHidden: bool } } },
+    unprotectRange: { target: TARGET.RANGE, data: { format: "none" } },
+    protectWorkbook: { target: TARGET.ANY, data: { format: "json", properties: PASSWORD } },
+    unprotectWorkbook: { target: TARGET.ANY, data: { format: "json", properties: PASSWORD } },
+
+    // ========== Shape Operations ==========
+    insertShape: {
+        target: TARGET.CELL,
+        data: {
+            format: "json",
+            properties: {
+                shapeType: str(), width: num(0), height: num(0), rotation: num(-360, 360),
+                fill: color, lineColor: color, lineWeight: num(0), text: str(), name: str()
+            }
+        }
+    },
+    insertImage: {
+        target: TARGET.CELL,
+        data: {
+            format: "json",
+            required: true,
+            properties: { source: str(), width: num(0), height: num(0), lockAspectRatio: bool, name: str(), altText: str() },
+            requiredKeys: ["source"]
+        }
+    },
+    insertTextBox: {
+        target: TARGET.CELL,
+        data: {
+            format: "json",
+            required: true,
+            properties: {
+                text: str(), width: num(0), height: num(0), fill: color, lineColor: color, name: str(),
+                fontSize: num(1, 409), fontColor: color,
+                horizontalAlignment: str(["Left", "Center", "Right", "Justify", "Distributed"]),
+                verticalAlignment: str(["Top", "Middle", "Center", "Bottom", "Justified", "Distributed"])
+            },
+            requiredKeys: ["text"]
+        }
+    },
+    formatShape: {
+        target: TARGET.NAME,
+        data: {
+            format: "json",
+            required: true,
+            nonEmpty: true,
+            properties: {
+                fill: color, transparency: num(0, 1), lineColor: color, lineWeight: num(0), lineStyle: str(),
+                width: num(0), height: num(0), rotation: num(-360, 360)
+            }
+        }
+    },
+    deleteShape: { target: TARGET.NAME, data: { format: "none" } },
+    groupShapes: { target: TARGET.NAMES, data: { format: "json", properties: { groupName: str() } } },
+    arrangeShapes: {
+        target: TARGET.NAME,
+        data: {
+            format: "json",
+            required: true,
+            properties: { order: str(["bringToFront", "sendToBack", "bringForward", "sendBackward"]) },
+            requiredKeys: ["order"]
+        }
+    },
+    ungroupShapes: { target: TARGET.NAME, data: { format: "none" } },
+
+    // ========== Comment Operations ==========
+    addComment: {
+        target: TARGET.CELL,
+        data: { format: "text", required: true, properties: { ...COMMENT_TEXT, contentType: str(["plain", "mention"]) }, anyOf: ["content", "text"] }
+    },
+    addNote: { target: TARGET.CELL, data: { format: "text", required: true, properties: COMMENT_TEXT, anyOf: ["content", "text"] } },
+    editComment: { target: TARGET.CELL, data: { format: "text", required: true, properties: COMMENT_TEXT, anyOf: ["content", "text"] } },
+    editNote: { target: TARGET.CELL, data: { format: "text", required: true, properties: COMMENT_TEXT, anyOf: ["content", "text"] } },
+    deleteComment: { target: TARGET.CELL, data: { format: "none" } },
+    deleteNote: { target: TARGET.CELL, data: { format: "none" } },
+    replyToComment: {
+        target: TARGET.CELL,
+        data: { format: "text", required: true, properties: { ...COMMENT_TEXT, contentType: str(["plain", "mention"]) }, anyOf: ["content", "text"] }
+    },
+    resolveComment: { target: TARGET.CELL, data: { format: "json", properties: { resolved: bool } } },
+
+    // ========== Sparkline Operations ==========
+    createSparkline: {
+        target: TARGET.RANGE,
+        data: {
+            format: "json",
+            required: true,
+            properties: { type: str(["Line", "Column", "WinLoss"]), sourceData: str(), axes: obj, markers: obj, colors: obj },
+            requiredKeys: ["sourceData"]
+        }
+    },
+    configureSparkline: {
+        target: TARGET.RANGE,
+        data: { format: "json", required: true, nonEmpty: true, properties: { colors: obj, markers: obj, axes: obj } }
+    },
+    deleteSparkline: { target: TARGET.RANGE, data: { format: "none" } },
+
+    // ========== Worksheet Management ==========
+    renameSheet: {
+        target: TARGET.SHEET,
+        data: { format: "json", required: true, properties: { newName: str() }, requiredKeys: ["newName"] },
+        validate: validateRenameSheetData
+    },
+    moveSheet: {
+        target: TARGET.SHEET,
+        data: {
+            format: "json",
+            required: true,
+            properties: { position: any, referenceSheet: str() },
+            requiredKeys: ["position"]
+        },
+        validate: validateMoveSheetData
+    },
+    hideSheet: { target: TARGET.SHEET, data: { format: "none" } },
+    unhideSheet: { target: TARGET.SHEET, data: { format: "none" } },
+    freezePanes: { target: TARGET.CELL, data: { format: "json", properties: { freezeType: str(["rows", "columns", "both"]) } } },
+    unfreezePane: { target: TARGET.SHEET, data: { format: "none" } },
+    setZoom: { target: TARGET.SHEET, data: { format: "json", required: true, properties: { zoomLevel: num(10, 400) }, requiredKeys: ["zoomLevel"] } },
+    splitPane: { target: TARGET.CELL, data: { format: "json", properties: { horizontal: bool, vertical: bool } } },
+    createView: {
+        target: TARGET.NAME,
+        data: { format: "json", properties: { includeHidden: bool, includePrint: bool, includeFilter: bool } }
+    },
+
+    // ========== Page Setup Operations ==========
+    setPageSetup: {
+        target: TARGET.SHEET,
+        data: {
+            format: "json",
+            required: true,
+            nonEmpty: true,
+            properties: {
+                orientation: str(["portrait", "landscape"]), paperSize: str(), fitToPages: obj, scaling: num(10, 400),
+                printGridlines: bool, printHeadings: bool
+            }
+        }
+    },
+    setPageMargins: {
+        target: TARGET.SHEET,
+        data: {
+            format: "json",
+            required: true,
+            nonEmpty: true,
+            properties: { top: num(0), bottom: num(0), left: num(0), right: num(0), header: num(0), footer: num(0) }
+        }
+    },
+    setPageOrientation: { target: TARGET.SHEET, data: { format: "orientation" } },
+    setPrintArea: { target: TARGET.RANGE, data: { format: "json", properties: { sheet: str(), range: str() } } },
+    setHeaderFooter: {
+        target: TARGET.SHEET,
+        data: {
+            format: "json",
+            required: true,
+            properties: {
+                pageType: str(["default", "first", "odd", "even"]), leftHeader: str(), centerHeader: str(), rightHeader: str(),
+                leftFooter: str(), centerFooter: str(), rightFooter: str()
+            },
+            anyOf: ["leftHeader", "centerHeader", "rightHeader", "leftFooter", "centerFooter", "rightFooter"]
+        }
+    },
+    setPageBreaks: {
+        target: TARGET.SHEET,
+        data: { format: "json", required: true, properties: { action: str(["add", "remove", "clear"]), breaks: arr } }
+    },
+
+    // ========== Data Type Operations ==========
+    insertDataType: {
+        target: TARGET.CELL,
+        data: { format: "json", required: true, properties: { text: str(), basicValue: any, properties: obj }, anyOf: ["text", "basicValue"] }
+    },
+    refreshDataType: { target: TARGET.CELL, data: { format: "json", properties: { properties: obj } } },
+
+    // ========== Hyperlink Operations ==========
+    addHyperlink: {
+        target: TARGET.RANGE,
+        data: {
+            format: "json",
+            required: true,
+            properties: { url: str(), email: str(), documentReference: str(), tooltip: str(), displayText: str() },
+            oneOf: ["url", "email", "documentReference"]
+        }
+    },
+    removeHyperlink: { target: TARGET.RANGE, data: { format: "none" } },
+    editHyperlink: {
+        target: TARGET.RANGE,
+        data: {
+            format: "json",
+            required: true,
+            nonEmpty: true,
+            properties: { url: str(), email: str(), documentReference: str(), tooltip: str(), displayText: str() }
+        }
+    }
+};
+
+// ============================================================================
+// Custom Validators
+// ============================================================================
+
+/**
+ * mergeCells needs more than one cell
+ * @param {Object} action - Action
+ * @returns {string[]} Issues
+ */
+function validateMergeTarget(action) {
+    return CELL_REGEX.test(action.target || "") ? ["Cannot merge a single cell"] : [];
+}
+
+/**
+ * Named range names follow Excel's rules (see validateNamedRangeName in action-executor.js)
+ * @param {Object} action - Action
+ * @param {Object} data - Parsed payload
+ * @returns {string[]} Issues
+ */
+function validateNamedRangeData(action, data) {
+    const name = data?.name;
+    if (typeof name !== "string" || !name) return [];
+    if (!DEFINED_NAME_REGEX.test(name)) {
+        return [`Invalid name "${name}": must start with a letter, underscore or backslash and contain no spaces`];
+    }
+    if (CELL_REGEX.test(name) || /^[RC]\d*$/i.test(name) || /^R\d+C\d+$/i.test(name)) {
+        return [`Invalid name "${name}": names cannot look like cell references`];
+    }
+    return [];
+}
+
+/**
+ * renameSheet's new name must be a legal sheet name
+ * @param {Object} action - Action
+ * @param {Object} data - Parsed payload
+ * @returns {string[]} Issues
+ */
+function validateRenameSheetData(action, data) {
+    const newName = data?.newName;
+    if (typeof newName !== "string") return [];
+    if (!newName.trim()) return ["Sheet name cannot be empty"];
+    if (newName.length > 31) return ["Sheet name cannot exceed 31 characters"];
+    if (INVALID_SHEET_CHARS.test(newName)) return ["Sheet name cannot contain \\ / ? * [ ] : characters"];
+    return [];
+}
+
+/**
+ * moveSheet takes first/last, before/after with a reference sheet, or a numeric index
+ * @param {Object} action - Action
+ * @param {Object} data - Parsed payload
+ * @returns {string[]} Issues
+ */
+function validateMoveSheetData(action, data) {
+    const position = data?.position;
+    if (position === undefined || typeof position === "number") return [];
+    const value = String(position).toLowerCase();
+    if (!["first", "last", "before", "after"].includes(value)) {
+        return [`Invalid position "${position}". Use first, last, before, after or a sheet index`];
+    }
+    if ((value === "before" || value === "after") && !data.referenceSheet) {
+        return [`Position "${value}" requires referenceSheet`];
+    }
+    return [];
+}
+
+/**
+ * Conditional format rule types and the keys each one needs
+ */
+const CONDITIONAL_FORMAT_RULES = {
+    cellValue: ["operator", "value"],
+    colorScale: ["minimum", "maximum"],
+    dataBar: [],
+    iconSet: ["style"],
+    topBottom: ["rule", "rank"],
+    preset: ["criterion"],
+    textComparison: ["operator", "text"],
+    custom: ["formula"]
+};
+
+const CELL_VALUE_OPERATORS = ["GreaterThan", "LessThan", "EqualTo", "NotEqualTo", "GreaterThanOrEqual", "LessThanOrEqual", "Between"];
+
+/**
+ * Validates conditional format rules (a rule object or an array of rules)
+ * @param {*} parsed - Parsed payload
+ * @returns {string[]} Issues
+ */
+function validateConditionalFormatRules(parsed) {
+    const rules = Array.isArray(parsed) ? parsed : [parsed];
+    const issues = [];
+
+    if (rules.length === 0) {
+        return ["No conditional format rules given"];
+    }
+
+    rules.forEach((rule, i) => {
+        const label = rules.length > 1 ? `Rule ${i + 1}: ` : "";
+        if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+            issues.push(`${label}rule must be an object`);
+            return;
+        }
+
+        const ruleType = rule.type || "cellValue";
+        const needed = CONDITIONAL_FORMAT_RULES[ruleType];
+        if (!needed) {
+            issues.push(`${label}unknown rule type "${ruleType}". Valid types: ${Object.keys(CONDITIONAL_FORMAT_RULES).join(", ")}`);
+            return;
+        }
+
+        for (const key of needed) {
+            if (rule[key] === undefined || rule[key] === null || rule[key] === "") {
+                issues.push(`${label}${ruleType} requires "${key}"`);
+            }
+        }
+
+        if (ruleType === "cellValue" && rule.operator && !CELL_VALUE_OPERATORS.includes(rule.operator)) {
+            issues.push(`${label}invalid operator "${rule.operator}". Valid operators: ${CELL_VALUE_OPERATORS.join(", ")}`);
+        }
+        for (const key of ["fill", "fontColor"]) {
+            if (rule[key] !== undefined && !HEX_COLOR_REGEX.test(rule[key])) {
+                issues.push(`${label}"${key}" must be a hex color like #FF0000`);
+            }
+        }
+    });
+
+    return issues;
+}
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+/**
+ * Gets the number of rows and columns of an A1 range address
+ * @param {string} address - Range address (may include a sheet prefix)
+ * @returns {{ rows: number, cols: number }|null} Size, or null for names/whole rows/columns
+ */
+function getRangeSize(address) {
+    const bare = String(address || "").replace(/^.*!/, "").replace(/\$/g, "");
+    const match = bare.match(/^([A-Z]{1,3})(\d+)(?::([A-Z]{1,3})(\d+))?$/i);
+    if (!match) return null;
+
+    const colIndex = (letters) => letters.toUpperCase().split("").reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0);
+    const startCol = colIndex(match[1]);
+    const endCol = match[3] ? colIndex(match[3]) : startCol;
+    const startRow = parseInt(match[2], 10);
+    const endRow = match[4] ? parseInt(match[4], 10) : startRow;
+
+    return { rows: Math.abs(endRow - startRow) + 1, cols: Math.abs(endCol - startCol) + 1 };
+}
+
+/**
+ * Checks a target against the expected kind
+ * @param {string} target - Action target
+ * @param {string} kind - TARGET kind
+ * @returns {string|null} Issue or null
+ */
+function checkTarget(target, kind) {
+    const value = typeof target === "string" ? target.trim() : "";
+    if (!value) {
+        return "Missing target";
+    }
+    // References to earlier actions are checked when they are resolved
+    if (hasActionRef(value)) {
+        return null;
+    }
+
+    switch (kind) {
+        case TARGET.RANGE:
+            return RANGE_REGEX.test(value) || DEFINED_NAME_REGEX.test(value) || STRUCTURED_REF_REGEX.test(value)
+                ? null : `Target "${value}" is not a valid range address`;
+        case TARGET.CELL:
+            return CELL_REGEX.test(value) ? null : `Target "${value}" must be a single cell (e.g. B2)`;
+        case TARGET.ROWS:
+            return ROWS_REGEX.test(value) ? null : `Target "${value}" must be a row or row span (e.g. "5" or "5:7")`;
+        case TARGET.COLUMNS:
+            return COLUMNS_REGEX.test(value) ? null : `Target "${value}" must be a column or column span (e.g. "C" or "C:E")`;
+        case TARGET.NAMES:
+            return value.split(",").filter(s => s.trim()).length >= 2 ? null : "Target must list at least 2 comma-separated names";
+        case TARGET.SHEET:
+            return value.length <= 31 && !INVALID_SHEET_CHARS.test(value) ? null : `Target "${value}" is not a valid sheet name`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Checks one payload property against its spec
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @param {Object} spec - Property spec
+ * @returns {string|null} Issue or null
+ */
+function checkProperty(key, value, spec) {
+    if (value === null || value === undefined) return null;
+
+    switch (spec.type) {
+        case "string":
+            if (typeof value !== "string") return `"${key}" must be a string`;
+            if (spec.enum && !spec.enum.some(v => v.toLowerCase() === value.toLowerCase())) {
+                return `"${key}" must be one of: ${spec.enum.join(", ")}`;
+            }
+            return null;
+        case "color":
+            return typeof value === "string" && HEX_COLOR_REGEX.test(value) ? null : `"${key}" must be a hex color like #FF0000`;
+        case "boolean":
+            return typeof value === "boolean" ? null : `"${key}" must be true or false`;
+        case "array":
+            return Array.isArray(value) ? null : `"${key}" must be an array`;
+        case "object":
+            return typeof value === "object" && !Array.isArray(value) ? null : `"${key}" must be an object`;
+        case "number":
+        case "integer": {
+            if (typeof value !== "number" || Number.isNaN(value)) return `"${key}" must be a number`;
+            if (spec.type === "integer" && !Number.isInteger(value)) return `"${key}" must be a whole number`;
+            if (spec.min !== undefined && value < spec.min) return `"${key}" must be at least ${spec.min}`;
+            if (spec.max !== undefined && value > spec.max) return `"${key}" must be at most ${spec.max}`;
+            return null;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Validates a JSON object payload against a data spec
+ * @param {Object} parsed - Parsed payload
+ * @param {Object} spec - Data spec
+ * @returns {string[]} Issues
+ */
+function checkObjectPayload(parsed, spec) {
+    const issues = [];
+    const keys = Object.keys(parsed);
+    const properties = spec.properties || {};
+
+    for (const key of keys) {
+        if (!(key in properties)) {
+            issues.push(`Unknown option "${key}" is ignored`);
+            continue;
+        }
+        const issue = checkProperty(key, parsed[key], properties[key]);
+        if (issue) issues.push(issue);
+    }
+
+    const present = (key) => parsed[key] !== undefined && parsed[key] !== null && parsed[key] !== "";
+
+    for (const key of spec.requiredKeys || []) {
+        if (!present(key)) issues.push(`Missing required option "${key}"`);
+    }
+    if (spec.anyOf && !spec.anyOf.some(present)) {
+        issues.push(`Provide at least one of: ${spec.anyOf.join(", ")}`);
+    }
+    if (spec.oneOf) {
+        const given = spec.oneOf.filter(present);
+        if (given.length !== 1) issues.push(`Provide exactly one of: ${spec.oneOf.join(", ")}`);
+    }
+    if (spec.nonEmpty && !keys.some(key => key in properties)) {
+        issues.push("No recognized options - the action would change nothing");
+    }
+
+    return issues;
+}
+
+/**
+ * Validates the data payload of an action
+ * @param {Object} action - Action
+ * @param {Object} spec - Data spec
+ * @returns {{ issues: string[], parsed: * }} Issues and the parsed payload (if JSON)
+ */
+function checkData(action, spec) {
+    const raw = typeof action.data === "string" ? action.data.trim() : action.data;
+    const hasData = raw !== undefined && raw !== null && raw !== "";
+
+    if (!hasData) {
+        return { issues: spec.required ? ["Missing data payload"] : [], parsed: undefined };
+    }
+
+    switch (spec.format) {
+        case "none":
+            return { issues: [], parsed: undefined };
+
+        case "formula": {
+            const formula = String(raw);
+            if (!formula.startsWith("=")) {
+                return { issues: ["Formula must start with \"=\""], parsed: undefined };
+            }
+            return { issues: checkFormulaSyntax(formula), parsed: undefined };
+        }
+
+        case "values": {
+            let parsed;
+            try {
+                parsed = JSON.parse(raw);
+            } catch {
+                return { issues: [], parsed: undefined }; // Written as a single literal value
+            }
+            return { issues: checkValuesShape(parsed, action), parsed };
+        }
+
+        case "sort": {
+            // Sort also accepts the legacy "column:1,ascending:true" form
+            let parsed;
+            try {
+                parsed = JSON.parse(raw);
+            } catch {
+                return /^\s*\w+\s*:/.test(raw) ? { issues: [], parsed: undefined } : { issues: ["Sort data must be JSON"], parsed: undefined };
+            }
+            const props = { column: int(0), ascending: bool, hasHeaders: bool };
+            return { issues: checkObjectPayload(parsed, { properties: props }), parsed };
+        }
+
+        case "orientation": {
+            let parsed;
+            try {
+                parsed = JSON.parse(raw);
+            } catch {
+                parsed = { orientation: raw };
+            }
+            return { issues: checkObjectPayload(parsed, { properties: { orientation: str(["portrait", "landscape"]) } }), parsed };
+        }
+
+        case "rules": {
+            let parsed;
+            try {
+                parsed = JSON.parse(raw);
+            } catch {
+                return { issues: ["Data is not valid JSON"], parsed: undefined };
+            }
+            return { issues: validateConditionalFormatRules(parsed), parsed };
+        }
+
+        case "text":
+        case "json": {
+            let parsed;
+            try {
+                parsed = JSON.parse(raw);
+            } catch {
+                // Comment and note handlers accept plain text
+                return spec.format === "text" ? { issues: [], parsed: undefined } : { issues: ["Data is not valid JSON"], parsed: undefined };
+            }
+            if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+                return spec.format === "text" && typeof parsed === "string"
+                    ? { issues: [], parsed: undefined }
+                    : { issues: ["Data must be a JSON object"], parsed: undefined };
+            }
+            return { issues: checkObjectPayload(parsed, spec), parsed };
+        }
+
+        default:
+            return { issues: [], parsed: undefined };
+    }
+}
+
+/**
+ * Checks a formula for unbalanced parentheses and quotes
+ * @param {string} formula - Formula text
+ * @returns {string[]} Issues
+ */
+function checkFormulaSyntax(formula) {
+    let depth = 0;
+    let inString = false;
+
+    for (const ch of formula) {
+        if (ch === "\"") {
+            inString = !inString;
+        } else if (!inString && ch === "(") {
+            depth++;
+        } else if (!inString && ch === ")") {
+            depth--;
+            if (depth < 0) return ["Formula has an unmatched \")\""];
+        }
+    }
+
+    if (inString) return ["Formula has an unterminated string"];
+    if (depth > 0) return ["Formula has an unmatched \"(\""];
+    return [];
+}
+
+/**
+ * Checks that a values payload is a rectangular 2D array that fits the target
+ * @param {*} parsed - Parsed payload
+ * @param {Object} action - Action
+ * @returns {string[]} Issues
+ */
+function checkValuesShape(parsed, action) {
+    if (!Array.isArray(parsed)) return [];
+
+    const rows = Array.isArray(parsed[0]) ? parsed : [parsed];
+    if (!rows.every(Array.isArray)) {
+        return ["Values must be a 2D array like [[\"a\",1],[\"b\",2]]"];
+    }
+
+    const width = rows[0]?.length || 0;
+    if (rows.some(row => row.length !== width)) {
+        return ["All value rows must have the same number of columns"];
+    }
+
+    const size = action.type === "values" ? getRangeSize(action.target) : null;
+    if (size && (size.rows !== rows.length || size.cols !== width)) {
+        return [`Values are ${rows.length}x${width} but target ${action.target} is ${size.rows}x${size.cols}`];
+    }
+    return [];
+}
+
+/**
+ * Validates an action against its registered schema
+ * @param {Object} action - Parsed action
+ * @returns {{ valid: boolean, issues: string[] }} Validation result
+ */
+function validateAction(action) {
+    if (!action || typeof action !== "object") {
+        return { valid: false, issues: ["Action is not an object"] };
+    }
+
+    const schema = ACTION_SCHEMAS[action.type];
+    if (!schema) {
+        return { valid: false, issues: [`Unknown action type "${action.type}"`] };
+    }
+
+    const issues = [];
+
+    const targetIssue = checkTarget(action.target, schema.target);
+    if (targetIssue) issues.push(targetIssue);
+
+    if (schema.source) {
+        const sourceIssue = checkTarget(action.source, TARGET.RANGE);
+        if (sourceIssue) issues.push(sourceIssue.replace(/^Missing target$/, "Missing source range").replace(/^Target/, "Source"));
+    }
+
+    const { issues: dataIssues, parsed } = checkData(action, schema.data);
+    issues.push(...dataIssues);
+
+    if (schema.validate) {
+        issues.push(...schema.validate(action, parsed));
+    }
+
+    return { valid: issues.length === 0, issues };
+}
+
+/**
+ * Validates a list of actions
+ * @param {Object[]} actions - Parsed actions
+ * @returns {string[][]} Issues for each action (empty array when valid)
+ */
+function validateActions(actions) {
+    return (actions || []).map(action => validateAction(action).issues);
+}
+
+/**
+ * Orders parsed actions by their references and validates each one
+ * Every response - ACTION tags or structured output - and every preview edit goes
+ * through this before the preview; the response schema only fixes the JSON shape.
+ * @param {Object[]} actions - Parsed actions
+ * @returns {{ actions: Object[], issues: string[][], reordered: boolean }} Actions in run
+ *   order, the validation and reference issues of each, and whether the order changed
+ */
+function checkActions(actions) {
+    const ordered = orderActions(actions || []);
+    return {
+        actions: ordered.actions,
+        issues: validateActions(ordered.actions).map((issues, i) => [...issues, ...ordered.issues[i]]),
+        reordered: ordered.reordered
+    };
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+export {
+    TARGET,
+    ACTION_SCHEMAS,
+    getRangeSize,
+    validateAction,
+    validateActions,
+    checkActions
+};
@@ -856,6 +856,11 @@ After data entry, consider conditional formatting for validation (highlight dupl
 {"columnName":"Profit","position":"end","values":[["Profit"],[100],[150],[200]]}
 </ACTION>
 
+**Add Calculated Column to Table:**
+<ACTION type="addTableColumn" target="SalesData">
+{"columnName":"Total","formula":"=[@Quantity]*[@Price]"}
+</ACTION>
+
 **Resize Table:**
 <ACTION type="resizeTable" target="SalesData">
 {"newRange":"A1:F150"}
@@ -1957,6 +1962,7 @@ RIGHT: <ACTION type="chart" target="A1:C58" chartType="column" title="Chart" pos
 2. **Data starts at row 2** (row 1 is headers)
 3. Always verify column letters before creating formulas
 4. Use the exact cell references from the data context
+5. **Formula columns are read-only** - never overwrite a column listed under FORMULA COLUMNS with values or other formulas unless the user explicitly asks to change it
 
 ## ACTION TYPES REFERENCE
 - formula: <ACTION type="formula" target="CELL">=FORMULA</ACTION>
@@ -2064,7 +2070,7 @@ RIGHT: <ACTION type="chart" target="A1:C58" chartType="column" title="Chart" pos
 - createTable: <ACTION type="createTable" target="RANGE">{"tableName":"NAME","style":"TableStyleMedium2"}</ACTION>
 - styleTable: <ACTION type="styleTable" target="TABLENAME">{"style":"TableStyleDark3"}</ACTION>
 - addTableRow: <ACTION type="addTableRow" target="TABLENAME">{"position":"end","values":[[val1,val2]]}</ACTION>
-- addTableColumn: <ACTION type="addTableColumn" target="TABLENAME">{"columnName":"NAME","position":"end"}</ACTION>
+- addTableColumn: <ACTION type="addTableColumn" target="TABLENAME">{"columnName":"NAME","position":"end"}</ACTION> - add "formula":"=[@Qty]*[@Price]" for a calculated column
 - resizeTable: <ACTION type="resizeTable" target="TABLENAME">{"newRange":"A1:F100"}</ACTION>
 - convertToRange: <ACTION type="convertToRange" target="TABLENAME"></ACTION>
 - toggleTableTotals: <ACTION type="toggleTableTotals" target="TABLENAME">{"show":true}</ACTION>
@@ -2689,7 +2695,18 @@ When user prompt contains multiple task indicators:
 For complex requests involving multiple task types:
 1. Break into logical steps
 2. Execute in dependency order (e.g., create table → create slicer → configure slicer)
-3. Provide clear explanations between steps`;
+3. Provide clear explanations between steps
+
+## REFERENCING EARLIER ACTIONS
+Give an action an id attribute and later actions can use its result instead of guessing auto-generated names:
+- $ref:<id>.name - name of the created table, PivotTable, chart, slicer, shape, sheet or named range
+- $ref:<id>.id - id of the created object
+- $ref:<id>.target - target the action was applied to
+References work in target, source and data. They must not be circular.
+<ACTION type="createTable" id="tbl1" target="A1:E100">{"style":"TableStyleMedium2"}</ACTION>
+<ACTION type="styleTable" target="$ref:tbl1.name">{"style":"TableStyleDark3"}</ACTION>
+<ACTION type="createPivotTable" id="pvt1" target="A1:E100">{"name":"RegionPivot","destination":"PivotSheet!A1"}</ACTION>
+<ACTION type="addPivotField" target="$ref:pvt1.name">{"field":"Region","area":"row"}</ACTION>`;
 }
 
 // ============================================================================
@@ -3866,80 +3883,6 @@ function enhancePrompt(userPrompt, dataContext) {
     };
 }
 
-/**
- * Extracts text from Gemini API response with robust traversal
- * Handles multiple candidates and parts, safety filters, and errors
- * @param {Object} data - Raw API response data
- * @returns {Object} { text: string, error: string|null, blocked: boolean }
- */
-function extractResponseText(data) {
-    // Check for safety/error fields first
-    if (data?.promptFeedback?.blockReason) {
-        return {
-            text: "",
-            error: `Request blocked: ${data.promptFeedback.blockReason}`,
-            blocked: true
-        };
-    }
-    
-    // Check if candidates exist
-    if (!data?.candidates || data.candidates.length === 0) {
-        return {
-            text: "",
-            error: "AI returned no content",
-            blocked: false
-        };
-    }
-    
-    // Iterate over candidates, prefer those with content
-    const allTextParts = [];
-    
-    for (const candidate of data.candidates) {
-        // Check for finish reason issues
-        if (candidate.finishReason === "SAFETY") {
-            return {
-                text: "",
-                error: "Response blocked due to safety filters",
-                blocked: true
-            };
-        }
-        
-        if (candidate.finishReason === "RECITATION") {
-            return {
-                text: "",
-                error: "Response blocked due to recitation concerns",
-                blocked: true
-            };
-        }
-        
-        // Extract text from all parts
-        if (candidate.content?.parts) {
-            for (const part of candidate.content.parts) {
-                if (part.text) {
-                    allTextParts.push(part.text);
-                }
-            }
-        }
-    }
-    
-    // Join all text segments
-    const combinedText = allTextParts.join("\n");
-    
-    if (!combinedText) {
-        return {
-            text: "",
-            error: "AI response contained no text",
-            blocked: false
-        };
-    }
-    
-    return {
-        text: combinedText,
-        error: null,
-        blocked: false
-    };
-}
-
 /**
  * Processes AI response and extracts any function calls
  * @param {string} response - AI response
@@ -4009,7 +3952,6 @@ export {
     handleCorrection,
     
     // Response processing
-    extractResponseText,
     processResponse,
     
     // Storage utilities
@@ -9,8 +9,10 @@ import {
     searchPatterns,
     requiresMultiStep,
     decomposeTask,
-    parseFunctionCalls
+    parseFunctionCalls,
+    getTaskSpecificPrompt
 } from "./ai-engine.js";
+import { validateAction } from "./action-validation.js";
 
 describe("AI Engine", () => {
     describe("detectTaskType", () => {
@@ -336,4 +338,16 @@ describe("AI Engine", () => {
             expect(detectTaskType("use dynamic array formula")).toBe(TASK_TYPES.FORMULA);
         });
     });
+
+    describe("prompt examples", () => {
+        test("action examples for referencing earlier actions pass validation", () => {
+            const prompt = getTaskSpecificPrompt(TASK_TYPES.GENERAL);
+            const section = prompt.slice(prompt.indexOf("## REFERENCING EARLIER ACTIONS"));
+            const examples = [...section.matchAll(/<ACTION type="(\w+)"(?: id="\w+")? target="([^"]+)">(.*?)<\/ACTION>/g)];
+            expect(examples.length).toBeGreaterThan(0);
+            for (const [, type, target, data] of examples) {
+                expect(validateAction({ type, target, data }).issues).toEqual([]);
+            }
+        });
+    });
 });
@@ -0,0 +1,92 @@
+/**
+ * Apply Transaction Module
+ * All-or-nothing application of a batch of actions: every action is snapshotted
+ * with the undo capturers before it runs, the batch stops at the first failure,
+ * and the actions that already ran are rolled back newest first.
+ */
+
+import { hasUndoSupport } from "./undo.js";
+
+// ============================================================================
+// Preflight
+// ============================================================================
+
+/**
+ * Finds the actions of a batch that could not be rolled back
+ * @param {Object[]} actions - Actions to apply
+ * @returns {number[]} Indices of actions without an undo capturer
+ */
+function findIrreversibleActions(actions) {
+    return actions
+        .map((action, index) => (hasUndoSupport(action.type) ? -1 : index))
+        .filter(index => index >= 0);
+}
+
+// ============================================================================
+// Transaction
+// ============================================================================
+
+/**
+ * @typedef {Object} TransactionSteps
+ * @property {function(Object): Object} [resolve] - Prepares an action right before it runs (e.g. resolves references)
+ * @property {function(Object): Promise<Object|null>} capture - Captures undo data for an action, before it runs
+ * @property {function(Object, Object): Promise<void>} execute - Applies an action and syncs; gets the action and its undo data
+ * @property {function(Object): Promise<void>} rollback - Applies undo data and syncs
+ */
+
+/**
+ * @typedef {Object} TransactionResult
+ * @property {{ action: Object, undoData: Object }[]} applied - Actions (as prepared by resolve) left applied:
+ *   the whole batch on success, otherwise only those whose rollback failed
+ * @property {{ index: number, action: Object, error: Error }|null} failure - First failing action as given, null on success
+ * @property {{ action: Object, error: Error }[]} rollbackErrors - Actions that could not be rolled back
+ */
+
+/**
+ * Applies a batch of actions, rolling back the ones already applied when one fails
+ * Snapshots are taken right before each action rather than all at once, so that
+ * they describe the cells the action really changes after earlier actions have
+ * inserted or deleted rows.
+ * @param {Object[]} actions - Actions to apply, in order
+ * @param {TransactionSteps} steps - Capture, execute and rollback callbacks
+ * @returns {Promise<TransactionResult>} Outcome of the batch
+ */
+async function runTransaction(actions, steps) {
+    const done = [];
+
+    for (let index = 0; index < actions.length; index++) {
+        try {
+            const action = steps.resolve ? await steps.resolve(actions[index]) : actions[index];
+            const undoData = await steps.capture(action);
+            // Without a snapshot the action could not be rolled back - treat it as failed before it runs
+            if (!undoData) {
+                throw new Error(`Could not snapshot ${action.target || action.type} for rollback`);
+            }
+            await steps.execute(action, undoData);
+            done.push({ action, undoData });
+        } catch (error) {
+            const rollbackErrors = [];
+            const applied = [];
+            for (const entry of done.reverse()) {
+                try {
+                    await steps.rollback(entry.undoData);
+                } catch (rollbackError) {
+                    rollbackErrors.push({ action: entry.action, error: rollbackError });
+                    applied.unshift(entry);
+                }
+            }
+            return { applied, failure: { index, action: actions[index], error }, rollbackErrors };
+        }
+    }
+
+    return { applied: done, failure: null, rollbackErrors: [] };
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+export {
+    findIrreversibleActions,
+    runTransaction
+};
@@ -0,0 +1,102 @@
+/**
+ * Tests for Apply Transaction Module
+ */
+
+import { findIrreversibleActions, runTransaction } from "./apply-transaction.js";
+
+/**
+ * Creates transaction steps over a fake cell store
+ * @param {Object} cells - Cell values by address, changed in place
+ * @param {string[]} failOn - Targets whose action throws
+ * @returns {Object} Steps with jest mocks
+ */
+function createSteps(cells, failOn = []) {
+    return {
+        capture: jest.fn(async (action) => ({ kind: "range", address: action.target, value: cells[action.target] })),
+        execute: jest.fn(async (action) => {
+            if (failOn.includes(action.target)) throw new Error(`Cannot write ${action.target}`);
+            cells[action.target] = action.data;
+        }),
+        rollback: jest.fn(async (undoData) => {
+            cells[undoData.address] = undoData.value;
+        })
+    };
+}
+
+describe("Apply Transaction", () => {
+    describe("findIrreversibleActions", () => {
+        test("lists actions without an undo capturer", () => {
+            const actions = [
+                { type: "values", target: "A1" },
+                { type: "refreshPivotTable", target: "SalesPivot" },
+                { type: "formula", target: "B1" }
+            ];
+            expect(findIrreversibleActions(actions)).toEqual([1]);
+        });
+    });
+
+    describe("runTransaction", () => {
+        test("applies the whole batch when every action succeeds", async () => {
+            const cells = { A1: "a", B1: "b" };
+            const actions = [{ target: "A1", data: 1 }, { target: "B1", data: 2 }];
+            const result = await runTransaction(actions, createSteps(cells));
+            expect(result.failure).toBeNull();
+            expect(result.applied.map(entry => entry.action)).toEqual(actions);
+            expect(cells).toEqual({ A1: 1, B1: 2 });
+        });
+
+        test("stops at the first failure and rolls back newest first", async () => {
+            const cells = { A1: "a", B1: "b", C1: "c", D1: "d" };
+            const steps = createSteps(cells, ["C1"]);
+            const actions = ["A1", "B1", "C1", "D1"].map(target => ({ target, data: "new" }));
+            const result = await runTransaction(actions, steps);
+
+            expect(result.failure).toMatchObject({ index: 2, action: actions[2] });
+            expect(result.failure.error.message).toBe("Cannot write C1");
+            expect(steps.execute).toHaveBeenCalledTimes(3);
+            expect(steps.rollback.mock.calls.map(([undoData]) => undoData.address)).toEqual(["B1", "A1"]);
+            expect(result.applied).toEqual([]);
+            expect(cells).toEqual({ A1: "a", B1: "b", C1: "c", D1: "d" });
+        });
+
+        test("fails before running an action that could not be snapshotted", async () => {
+            const cells = { A1: "a", B1: "b" };
+            const steps = createSteps(cells);
+            steps.capture.mockImplementation(async (action) => (action.target === "B1" ? null : { address: "A1", value: "a" }));
+            const result = await runTransaction([{ target: "A1", data: 1 }, { target: "B1", data: 2 }], steps);
+
+            expect(result.failure.error.message).toMatch(/Could not snapshot B1/);
+            expect(steps.execute).toHaveBeenCalledTimes(1);
+            expect(cells).toEqual({ A1: "a", B1: "b" });
+        });
+
+        test("runs prepared actions and reports failures with the action as given", async () => {
+            const cells = { A1: "a", B1: "b" };
+            const steps = createSteps(cells, ["B1"]);
+            steps.resolve = jest.fn((action) => ({ ...action, target: action.target.replace("$ref:x.target", "A1") }));
+            const actions = [{ target: "$ref:x.target", data: 1 }, { target: "B1", data: 2 }];
+            const result = await runTransaction(actions, steps);
+
+            expect(steps.execute.mock.calls[0][0].target).toBe("A1");
+            expect(steps.execute.mock.calls[0][1]).toMatchObject({ address: "A1", value: "a" });
+            expect(result.failure.action).toBe(actions[1]);
+            expect(cells).toEqual({ A1: "a", B1: "b" });
+        });
+
+        test("reports actions left applied when their rollback fails", async () => {
+            const cells = { A1: "a", B1: "b", C1: "c" };
+            const steps = createSteps(cells, ["C1"]);
+            steps.rollback.mockImplementation(async (undoData) => {
+                if (undoData.address === "B1") throw new Error("Sheet is protected");
+                cells[undoData.address] = undoData.value;
+            });
+            const actions = ["A1", "B1", "C1"].map(target => ({ target, data: "new" }));
+            const result = await runTransaction(actions, steps);
+
+            expect(result.rollbackErrors).toHaveLength(1);
+            expect(result.rollbackErrors[0].error.message).toBe("Sheet is protected");
+            expect(result.applied.map(entry => entry.action.target)).toEqual(["B1"]);
+            expect(cells).toEqual({ A1: "a", B1: "new", C1: "c" });
+        });
+    });
+});
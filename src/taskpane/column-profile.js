@@ -0,0 +1,296 @@
+/**
+ * Column Profile Module
+ * Profiles every column of a sheet over all of its rows - inferred type, empty
+ * and distinct counts, numeric and date ranges, top values and outliers - and
+ * formats the profiles as the compact column summary sent with each prompt.
+ */
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const PROFILE_CONFIG = {
+    TOP_VALUES: 5,
+    // Columns with at most this many distinct values list all of them (e.g. for dropdowns)
+    LIST_ALL_DISTINCT: 20,
+    MAX_VALUE_CHARS: 25,
+    // Tukey fences: values beyond 1.5 interquartile ranges from the quartiles are outliers
+    OUTLIER_IQR_FACTOR: 1.5,
+    MIN_VALUES_FOR_OUTLIERS: 4
+};
+
+const ERROR_VALUE_REGEX = /^#(NULL!|DIV\/0!|VALUE!|REF!|NAME\?|NUM!|N\/A|SPILL!|CALC!|GETTING_DATA|FIELD!|BLOCKED!|CONNECT!|BUSY!|UNKNOWN!)$/;
+const DATE_TEXT_REGEX = /^(\d{4}-\d{1,2}-\d{1,2}([ T]\d{1,2}:\d{2}(:\d{2})?)?|\d{1,2}[/.]\d{1,2}[/.]\d{2,4})$/;
+
+// Days between the Excel epoch (1899-12-30) and the Unix epoch
+const EXCEL_EPOCH_OFFSET_DAYS = 25569;
+const MS_PER_DAY = 86400000;
+
+// Profiles are computed once per sheet snapshot
+const profileCache = new WeakMap();
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Checks whether a number format displays dates or times
+ * @param {string} format - Number format code
+ * @returns {boolean} True for date and time formats
+ */
+function isDateFormat(format) {
+    if (typeof format !== "string" || !format || format === "General") return false;
+    // Quoted literals, escaped characters and [Red]/[$-409] sections are not format codes
+    const codes = format.replace(/"[^"]*"/g, "").replace(/\\./g, "").replace(/\[(?![hms]+\])[^\]]*\]/gi, "");
+    return /[dmyhs]/i.test(codes);
+}
+
+/**
+ * Classifies one cell value
+ * @param {*} value - Cell value
+ * @param {boolean} dateFormatted - The column is formatted as dates
+ * @returns {string} null, blank, error, boolean, number, date or text
+ */
+function classifyValue(value, dateFormatted) {
+    if (value === null || value === undefined) return "null";
+    if (typeof value === "boolean") return "boolean";
+    if (typeof value === "number") return dateFormatted ? "date" : "number";
+    const text = String(value).trim();
+    if (!text) return "blank";
+    if (ERROR_VALUE_REGEX.test(text)) return "error";
+    if (DATE_TEXT_REGEX.test(text) && !Number.isNaN(Date.parse(text))) return "date";
+    return "text";
+}
+
+/**
+ * Converts a date cell to a timestamp
+ * @param {number|string} value - Excel serial date or date text
+ * @returns {number} Milliseconds since the Unix epoch
+ */
+function toTimestamp(value) {
+    return typeof value === "number"
+        ? Math.round((value - EXCEL_EPOCH_OFFSET_DAYS) * MS_PER_DAY)
+        : Date.parse(value);
+}
+
+/**
+ * Formats a timestamp as a date (and time, when it has one)
+ * @param {number} timestamp - Milliseconds since the Unix epoch
+ * @returns {string} ISO date such as 2024-03-31 or 2024-03-31 14:30
+ */
+function formatTimestamp(timestamp) {
+    const iso = new Date(timestamp).toISOString();
+    const time = iso.slice(11, 16);
+    return time === "00:00" ? iso.slice(0, 10) : `${iso.slice(0, 10)} ${time}`;
+}
+
+/**
+ * Gets a quantile of sorted numbers by linear interpolation
+ * @param {number[]} sorted - Numbers in ascending order
+ * @param {number} q - Quantile between 0 and 1
+ * @returns {number} Quantile
+ */
+function quantile(sorted, q) {
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Counts the values outside the Tukey fences
+ * @param {number[]} sorted - Numbers in ascending order
+ * @returns {number} Number of outliers (0 for too few values)
+ */
+function countOutliers(sorted) {
+    if (sorted.length < PROFILE_CONFIG.MIN_VALUES_FOR_OUTLIERS) return 0;
+    const q1 = quantile(sorted, 0.25);
+    const q3 = quantile(sorted, 0.75);
+    const fence = (q3 - q1) * PROFILE_CONFIG.OUTLIER_IQR_FACTOR;
+    return sorted.filter(value => value < q1 - fence || value > q3 + fence).length;
+}
+
+/**
+ * Formats a number for the summary
+ * @param {number} value - Number
+ * @returns {string} Number with thousands separators and at most two decimals
+ */
+function formatNumber(value) {
+    return value.toLocaleString("en-US", { maximumFractionDigits: 2 });
+}
+
+/**
+ * Shortens a value for the summary
+ * @param {*} value - Cell value
+ * @returns {string} Value text, cut to MAX_VALUE_CHARS, with table pipes escaped
+ */
+function formatValue(value) {
+    const text = String(value).replace(/\|/g, "\\|").replace(/\s+/g, " ");
+    return text.length > PROFILE_CONFIG.MAX_VALUE_CHARS ? `${text.slice(0, PROFILE_CONFIG.MAX_VALUE_CHARS)}…` : text;
+}
+
+// ============================================================================
+// Profiling
+// ============================================================================
+
+/**
+ * @typedef {Object} ColumnProfile
+ * @property {string} type - number, date, text, boolean, mixed or empty
+ * @property {Object<string, number>} kinds - Cells of each type (number, date, text, boolean)
+ * @property {number} rows - Data rows
+ * @property {number} nulls - Cells without a value
+ * @property {number} blanks - Empty or whitespace-only text cells
+ * @property {number} errors - Error values such as #N/A
+ * @property {number} distinct - Distinct values (errors and empty cells excluded)
+ * @property {{ value: *, count: number }[]} top - Most frequent values
+ * @property {number} [min] - Smallest number, or earliest date as a timestamp
+ * @property {number} [max] - Largest number, or latest date as a timestamp
+ * @property {number} [mean] - Mean of the numbers (number columns)
+ * @property {number} [median] - Median of the numbers, or of the dates as a timestamp
+ * @property {number} [outliers] - Numbers outside the Tukey fences (number columns)
+ */
+
+/**
+ * Profiles one column
+ * @param {Array} values - Cell values of the data rows
+ * @param {string} [numberFormat] - Number format of the column's cells, to tell dates from numbers
+ * @returns {ColumnProfile} Profile
+ */
+function profileColumn(values, numberFormat) {
+    const dateFormatted = isDateFormat(numberFormat);
+    const profile = { type: "empty", kinds: {}, rows: values.length, nulls: 0, blanks: 0, errors: 0, distinct: 0, top: [] };
+    const counts = new Map();
+    const numbers = [];
+    const dates = [];
+
+    for (const value of values) {
+        const kind = classifyValue(value, dateFormatted);
+        if (kind === "null") profile.nulls++;
+        else if (kind === "blank") profile.blanks++;
+        else if (kind === "error") profile.errors++;
+        if (kind === "null" || kind === "blank" || kind === "error") continue;
+
+        profile.kinds[kind] = (profile.kinds[kind] || 0) + 1;
+        const key = typeof value === "string" ? value.trim() : value;
+        counts.set(key, (counts.get(key) || 0) + 1);
+        if (kind === "number") numbers.push(value);
+        else if (kind === "date") dates.push(toTimestamp(value));
+    }
+
+    const kinds = Object.keys(profile.kinds);
+    if (kinds.length) profile.type = kinds.length === 1 ? kinds[0] : "mixed";
+    profile.distinct = counts.size;
+    profile.top = [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, Math.max(PROFILE_CONFIG.TOP_VALUES, PROFILE_CONFIG.LIST_ALL_DISTINCT))
+        .map(([value, count]) => ({ value, count }));
+
+    if (numbers.length && (profile.type === "number" || profile.type === "mixed")) {
+        const sorted = [...numbers].sort((a, b) => a - b);
+        Object.assign(profile, {
+            min: sorted[0],
+            max: sorted[sorted.length - 1],
+            mean: sorted.reduce((total, value) => total + value, 0) / sorted.length,
+            median: quantile(sorted, 0.5),
+            outliers: countOutliers(sorted)
+        });
+    } else if (dates.length) {
+        const sorted = [...dates].sort((a, b) => a - b);
+        Object.assign(profile, { min: sorted[0], max: sorted[sorted.length - 1], median: sorted[Math.floor((sorted.length - 1) / 2)] });
+    }
+    return profile;
+}
+
+/**
+ * Profiles every column of a sheet snapshot
+ * The header row is skipped; profiles are cached for the snapshot.
+ * @param {Object} data - Sheet data from readExcelData (values, columnMap, numberFormats)
+ * @returns {{ letter: string, header: string, profile: ColumnProfile }[]} Profiles, in column order
+ */
+function getColumnProfiles(data) {
+    if (profileCache.has(data)) return profileCache.get(data);
+
+    const rows = (data.values || []).slice(1);
+    const profiles = (data.columnMap || []).map(col => ({
+        letter: col.letter,
+        header: col.header,
+        profile: profileColumn(rows.map(row => row?.[col.index]), data.numberFormats?.[col.index])
+    }));
+    profileCache.set(data, profiles);
+    return profiles;
+}
+
+// ============================================================================
+// Formatting
+// ============================================================================
+
+/**
+ * Describes a profile's values in one line
+ * @param {ColumnProfile} profile - Profile
+ * @returns {string} Ranges, outliers and errors for numbers and dates; values for the rest
+ */
+function describeProfile(profile) {
+    const parts = [];
+    if (profile.type === "number" || (profile.type === "mixed" && profile.mean !== undefined)) {
+        parts.push(`min ${formatNumber(profile.min)}, max ${formatNumber(profile.max)}, mean ${formatNumber(profile.mean)}, median ${formatNumber(profile.median)}`);
+        if (profile.outliers) parts.push(`${profile.outliers} outliers`);
+    } else if (profile.type === "date" || (profile.type === "mixed" && profile.min !== undefined)) {
+        parts.push(`${formatTimestamp(profile.min)} to ${formatTimestamp(profile.max)}, median ${formatTimestamp(profile.median)}`);
+    }
+
+    if (profile.type !== "number" && profile.type !== "date" && profile.top.length) {
+        const listAll = profile.distinct <= PROFILE_CONFIG.LIST_ALL_DISTINCT;
+        const shown = listAll ? profile.top : profile.top.slice(0, PROFILE_CONFIG.TOP_VALUES);
+        const values = shown.map(entry => `${formatValue(entry.value)} (${formatNumber(entry.count)})`).join(", ");
+        parts.push(listAll ? `values: ${values}` : `top: ${values}`);
+    }
+
+    if (profile.errors) parts.push(`${profile.errors} errors`);
+    return parts.join("; ");
+}
+
+/**
+ * Formats the profiles of a sheet as the COLUMN STRUCTURE table of the data context
+ * @param {Object} data - Sheet data from readExcelData
+ * @returns {string} Markdown table, one row per column
+ */
+function formatColumnProfiles(data) {
+    const profiles = getColumnProfiles(data);
+    const rows = profiles.map(({ letter, header, profile }) => {
+        const type = profile.type === "mixed"
+            ? `mixed (${Object.entries(profile.kinds).map(([kind, count]) => `${kind} ${formatNumber(count)}`).join(", ")})`
+            : profile.type;
+        const empty = profile.nulls + profile.blanks;
+        return `| ${letter} | ${formatValue(header)} | ${type} | ${formatNumber(empty)} | ${formatNumber(profile.distinct)} | ${describeProfile(profile)} |`;
+    });
+
+    return [
+        `Profiled over all ${formatNumber(Math.max((data.values || []).length - 1, 0))} data rows.`,
+        "| Column Letter | Header Name | Type | Empty | Distinct | Profile |",
+        "|---------------|-------------|------|-------|----------|---------|",
+        ...rows
+    ].join("\n") + "\n";
+}
+
+/**
+ * Lists the columns of a sheet with their types, for the short description of other sheets
+ * @param {Object} data - Sheet data from readExcelData
+ * @returns {string} e.g. "Region (text), Amount (number)"
+ */
+function formatColumnTypes(data) {
+    return getColumnProfiles(data).map(({ header, profile }) => `${header} (${profile.type})`).join(", ");
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+export {
+    PROFILE_CONFIG,
+    isDateFormat,
+    profileColumn,
+    getColumnProfiles,
+    describeProfile,
+    formatColumnProfiles,
+    formatColumnTypes
+};
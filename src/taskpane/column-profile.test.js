@@ -0,0 +1,105 @@
+/**
+ * Tests for Column Profile Module
+ */
+
+import {
+    PROFILE_CONFIG,
+    isDateFormat,
+    profileColumn,
+    getColumnProfiles,
+    describeProfile,
+    formatColumnProfiles,
+    formatColumnTypes
+} from "./column-profile.js";
+
+const DATA = {
+    columnMap: [
+        { letter: "A", index: 0, header: "Region" },
+        { letter: "B", index: 1, header: "Amount" },
+        { letter: "C", index: 2, header: "Closed" }
+    ],
+    numberFormats: ["General", "#,##0.00", "yyyy-mm-dd"],
+    values: [
+        ["Region", "Amount", "Closed"],
+        ["East", 100, 45292],
+        ["West", 200, 45293],
+        ["East", "", 45322],
+        ["North", 150, ""]
+    ]
+};
+
+describe("Column Profile", () => {
+    describe("isDateFormat", () => {
+        test("recognizes date and time formats only", () => {
+            expect(isDateFormat("m/d/yyyy")).toBe(true);
+            expect(isDateFormat("[$-409]mmmm d, yyyy;@")).toBe(true);
+            expect(isDateFormat("[h]:mm:ss")).toBe(true);
+            expect(isDateFormat("General")).toBe(false);
+            expect(isDateFormat("#,##0.00 \"days\"")).toBe(false);
+            expect(isDateFormat("[Red]0.00")).toBe(false);
+            expect(isDateFormat(undefined)).toBe(false);
+        });
+    });
+
+    describe("profileColumn", () => {
+        test("profiles numbers with quartile-based outliers", () => {
+            const profile = profileColumn([10, 12, 11, 13, 12, 500, "", null]);
+            expect(profile).toMatchObject({ type: "number", rows: 8, nulls: 1, blanks: 1, errors: 0, distinct: 5, min: 10, max: 500, median: 12, outliers: 1 });
+            expect(profile.mean).toBeCloseTo(558 / 6);
+            expect(profile.top[0]).toEqual({ value: 12, count: 2 });
+        });
+
+        test("tells dates from numbers by format or text", () => {
+            const serials = profileColumn([45292, 45322, 45306], "d-mmm-yy");
+            expect(serials.type).toBe("date");
+            expect(describeProfile(serials)).toBe("2024-01-01 to 2024-01-31, median 2024-01-15");
+            expect(profileColumn(["2024-03-01", "2024-02-01"]).type).toBe("date");
+            expect(profileColumn([45292])).toMatchObject({ type: "number", mean: 45292 });
+        });
+
+        test("infers text, boolean and mixed columns and counts errors", () => {
+            expect(profileColumn(["a", "b", " "]).type).toBe("text");
+            expect(profileColumn([true, false]).type).toBe("boolean");
+            const mixed = profileColumn([1, 2, "n/a", "#N/A", "#DIV/0!"]);
+            expect(mixed).toMatchObject({ type: "mixed", kinds: { number: 2, text: 1 }, errors: 2, distinct: 3, min: 1, max: 2 });
+            expect(profileColumn(["", null]).type).toBe("empty");
+        });
+    });
+
+    describe("describeProfile", () => {
+        test("lists all values of low-cardinality columns and the top of others", () => {
+            expect(describeProfile(profileColumn(["East", "West", "East"]))).toBe("values: East (2), West (1)");
+            const many = Array.from({ length: PROFILE_CONFIG.LIST_ALL_DISTINCT + 1 }, (_, i) => `v${i}`);
+            const text = describeProfile(profileColumn([...many, "v0"]));
+            expect(text).toMatch(/^top: v0 \(2\), v1 \(1\)/);
+            expect(text.split("), ")).toHaveLength(PROFILE_CONFIG.TOP_VALUES);
+        });
+
+        test("summarizes numbers and errors", () => {
+            expect(describeProfile(profileColumn([1000, 2500.555, "#REF!"]))).toBe("min 1,000, max 2,500.56, mean 1,750.28, median 1,750.28; 1 errors");
+        });
+    });
+
+    describe("getColumnProfiles", () => {
+        test("profiles each column below the header row, once per snapshot", () => {
+            const profiles = getColumnProfiles(DATA);
+            expect(profiles.map(entry => `${entry.letter}:${entry.profile.type}`)).toEqual(["A:text", "B:number", "C:date"]);
+            expect(profiles[1].profile).toMatchObject({ rows: 4, blanks: 1, max: 200 });
+            expect(getColumnProfiles(DATA)).toBe(profiles);
+        });
+    });
+
+    describe("formatColumnProfiles", () => {
+        test("formats one table row per column", () => {
+            const text = formatColumnProfiles(DATA);
+            expect(text).toContain("Profiled over all 4 data rows.");
+            expect(text).toContain("| A | Region | text | 0 | 3 | values: East (2), West (1), North (1) |");
+            expect(text).toContain("| B | Amount | number | 1 | 3 | min 100, max 200, mean 150, median 150 |");
+            expect(text).toContain("| C | Closed | date | 1 | 3 | 2024-01-01 to 2024-01-31, median 2024-01-02 |");
+        });
+
+        test("lists column types for other sheets", () => {
+            expect(formatColumnTypes(DATA)).toBe("Region (text), Amount (number), Closed (date)");
+        });
+    });
+});
@@ -5,6 +5,13 @@
 
 /* global Excel */
 
+import { formatColumnProfiles, formatColumnTypes } from "./column-profile.js";
+import { formatFormulaColumns, formatFormulaColumnNames } from "./formula-context.js";
+import { readSelection, formatSelectionContext } from "./selection-context.js";
+import { readWorkbookIndex, chooseSheetsToLoad, formatWorkbookIndex } from "./workbook-index.js";
+import { formatTableContext } from "./table-context.js";
+import { REGION_CONFIG, getSheetView, formatRegionContext } from "./region-detector.js";
+
 // ============================================================================
 // Column Letter Helpers
 // ============================================================================
@@ -45,6 +52,8 @@ function colLetterToIndex(col) {
 
 /**
  * Reads Excel data from the workbook
+ * The index of every sheet goes into state.workbookIndex; in "all" scope the
+ * active sheet and state.requestedSheets are read in full.
  * @param {Object} state - Application state object
  * @param {Function} updateContextInfo - Callback to update UI context info
  * @param {Function} logDiagnostic - Optional callback for diagnostic logging
@@ -70,16 +79,25 @@ async function readExcelData(state, updateContextInfo, logDiagnostic) {
             
             const activeSheetName = activeSheet.name;
             
+            // The index describes every sheet, however many there are
+            const index = await readWorkbookIndex(ctx);
+            state.workbookIndex = index;
+            
             // Determine which sheets to read
             const sheetsToRead = shouldReadAllSheets 
-                ? sheets.items.slice(0, 10) // All sheets (max 10)
+                ? chooseSheetsToLoad(index, activeSheetName, (state.requestedSheets || []).map(entry => entry.name)).map(entry => sheets.items.find(s => s.id === entry.id))
                 : [sheets.items.find(s => s.name === activeSheetName) || sheets.items[0]];
             
             for (const sheet of sheetsToRead) {
                 try {
                     const usedRange = sheet.getUsedRange();
                     sheet.load("name");
-                    usedRange.load(["address", "values", "rowCount", "columnCount", "columnIndex", "rowIndex"]);
+                    // Formulas tell computed columns from input columns
+                    usedRange.load(["address", "values", "formulas", "rowCount", "columnCount", "columnIndex", "rowIndex"]);
+                    // Formats of the first data row tell date columns from number columns;
+                    // the top rows are read because data may start below a title or header rows
+                    const topRows = usedRange.getRow(0).getResizedRange(REGION_CONFIG.FORMAT_ROWS - 1, 0);
+                    topRows.load("numberFormat");
                     await ctx.sync();
                     
                     const sheetName = sheet.name;
@@ -410,12 +428,16 @@ async function readExcelData(state, updateContextInfo, logDiagnostic) {
                         log(`Could not read data types for sheet "${sheetName}": ${dataTypeError.message}`);
                     }
                     
-                    allSheetsData.push({
+                    // The context describes the data blocks of the used range
+                    allSheetsData.push(getSheetView({
                         sheetName,
                         address: usedRange.address,
                         values,
+                        formulas: usedRange.formulas,
                         headers: headerValidation.isValid ? headers : columnMap.map(c => c.header),
                         columnMap,
+                        numberFormats: topRows.numberFormat?.[1] || [],
+                        topNumberFormats: topRows.numberFormat || [],
                         startRow: startRow + 1,
                         startCol: colIndexToLetter(startCol),
                         rowCount,
@@ -428,7 +450,7 @@ async function readExcelData(state, updateContextInfo, logDiagnostic) {
                         commentsAndNotes,
                         sparklineGroups,
                         dataTypeCells
-                    });
+                    }));
                     
                     log(`Read sheet "${sheetName}": ${rowCount} rows × ${colCount} cols, ${pivotTables.length} PivotTables, ${worksheetNamedRanges.length} named ranges, ${commentsAndNotes.comments.length} comments`);
                 } catch (e) {
@@ -500,8 +522,16 @@ async function readExcelData(state, updateContextInfo, logDiagnostic) {
             state.workbookNamedRanges = workbookNamedRanges;
             state.workbookProtection = workbookProtection;
             
+            // The selection makes "this" and "selected" in prompts concrete
+            try {
+                state.selection = await readSelection(ctx);
+            } catch (e) {
+                state.selection = null;
+                log(`Could not read the selection: ${e.message}`);
+            }
+            
             if (state.currentData) {
-                const scopeText = shouldReadAllSheets ? ` (${allSheetsData.length} sheets)` : "";
+                const scopeText = shouldReadAllSheets ? ` (${allSheetsData.length} of ${index.length} sheets loaded)` : "";
                 updateContextInfo(`${state.currentData.sheetName}: ${state.currentData.rowCount} rows × ${state.currentData.colCount} cols${scopeText}`);
             } else {
                 updateContextInfo("No data");
@@ -514,6 +544,7 @@ async function readExcelData(state, updateContextInfo, logDiagnostic) {
         updateContextInfo(`Failed to read data: ${errorReason}`);
         state.currentData = null;
         state.allSheetsData = [];
+        state.workbookIndex = [];
         log(`readExcelData error: ${errorReason}`);
     }
 }
@@ -562,9 +593,10 @@ function validateHeaders(headers) {
 /**
  * Builds data context string for AI prompts
  * @param {Object} state - Application state with currentData and allSheetsData
+ * @param {{ previewRows?: number, includeOtherSheets?: boolean }} options - Trimming to fit the token budget
  * @returns {string} Formatted data context
  */
-function buildDataContext(state) {
+function buildDataContext(state, { previewRows = 30, includeOtherSheets = true } = {}) {
     if (!state.currentData) {
         return "ERROR: No Excel data available.";
     }
@@ -573,9 +605,9 @@ function buildDataContext(state) {
     
     let context = `## EXCEL WORKBOOK DATA\n\n`;
     
-    // List all sheets in workbook
+    // List the sheets loaded in full - the WORKBOOK INDEX lists them all
     if (state.allSheetsData && state.allSheetsData.length > 1) {
-        context += `**Available Sheets:** ${state.allSheetsData.map(s => s.sheetName).join(", ")}\n`;
+        context += `**Loaded Sheets:** ${state.allSheetsData.map(s => s.sheetName).join(", ")}\n`;
         context += `**Active Sheet:** ${sheetName}\n\n`;
     } else {
         context += `**Sheet:** ${sheetName}\n`;
@@ -589,81 +621,82 @@ function buildDataContext(state) {
     if (headerValidation && !headerValidation.isValid) {
         context += `**Note:** ${headerValidation.reason} - using generic column names\n`;
     }
+    if (state.currentData.title) context += `**Title:** ${state.currentData.title}\n`;
     context += `\n`;
     
-    // Column structure - CRITICAL for AI to understand
-    context += `## COLUMN STRUCTURE\n`;
-    context += `| Column Letter | Header Name | Sample Values |\n`;
-    context += `|---------------|-------------|---------------|\n`;
+    // Separate data blocks, title rows and notes found on the sheet
+    const regionContext = formatRegionContext(state.currentData);
+    if (regionContext) context += `${regionContext}\n`;
     
-    for (const col of columnMap) {
-        // Get sample values from first few data rows
-        const samples = [];
-        for (let r = 1; r < Math.min(4, values.length); r++) {
-            const val = values[r]?.[col.index];
-            if (val !== null && val !== undefined && val !== "") {
-                samples.push(String(val).substring(0, 20));
-            }
-        }
-        context += `| ${col.letter} | ${col.header} | ${samples.join(", ")} |\n`;
-    }
+    // Current selection - what "this" and "selected" refer to
+    const selectionContext = formatSelectionContext(state.selection);
+    if (selectionContext) context += `${selectionContext}\n`;
     
-    context += `\n## DATA PREVIEW (First 30 rows)\n\n`;
+    // Column structure - CRITICAL for AI to understand
+    context += `## COLUMN STRUCTURE\n`;
+    context += formatColumnProfiles(state.currentData);
     
-    // Header row
-    context += `| Row |`;
-    for (const col of columnMap) {
-        context += ` ${col.letter}: ${col.header} |`;
-    }
-    context += `\n|-----|`;
-    for (let c = 0; c < colCount; c++) {
-        context += `------------|`;
-    }
-    context += `\n`;
+    // Computed columns - read-only unless the user asks to change them
+    const formulaSection = formatFormulaColumns(state.currentData);
+    if (formulaSection) context += `\n${formulaSection}`;
     
-    // Data rows
-    const maxRows = Math.min(30, values.length);
-    for (let r = 0; r < maxRows; r++) {
-        const rowNum = state.currentData.startRow + r;
-        context += `| ${rowNum} |`;
+    if (previewRows > 0) {
+        context += `\n## DATA PREVIEW (First ${previewRows} rows)\n\n`;
+        
+        // Header row
+        context += `| Row |`;
+        for (const col of columnMap) {
+            context += ` ${col.letter}: ${col.header} |`;
+        }
+        context += `\n|-----|`;
         for (let c = 0; c < colCount; c++) {
-            let val = values[r]?.[c];
-            if (val === null || val === undefined) val = "";
-            val = String(val).substring(0, 25);
-            context += ` ${val} |`;
+            context += `------------|`;
         }
         context += `\n`;
-    }
-    
-    if (rowCount > 30) {
-        context += `\n... and ${rowCount - 30} more rows\n`;
-    }
-    
-    // Add unique values for key columns (for dropdowns)
-    context += `\n## UNIQUE VALUES IN EACH COLUMN (for dropdowns)\n`;
-    for (const col of columnMap) {
-        const uniqueVals = new Set();
-        for (let r = 1; r < values.length; r++) {
-            const val = values[r]?.[col.index];
-            if (val !== null && val !== undefined && val !== "") {
-                uniqueVals.add(val);
+        
+        // Data rows
+        const maxRows = Math.min(previewRows, values.length);
+        for (let r = 0; r < maxRows; r++) {
+            const rowNum = state.currentData.startRow + r;
+            context += `| ${rowNum} |`;
+            for (let c = 0; c < colCount; c++) {
+                let val = values[r]?.[c];
+                if (val === null || val === undefined) val = "";
+                val = String(val).substring(0, 25);
+                context += ` ${val} |`;
             }
-        }
-        if (uniqueVals.size > 0 && uniqueVals.size <= 50) {
-            context += `**${col.letter} (${col.header}):** ${Array.from(uniqueVals).slice(0, 20).join(", ")}`;
-            if (uniqueVals.size > 20) context += ` ... (${uniqueVals.size} total)`;
             context += `\n`;
         }
+        
+        if (rowCount > previewRows) {
+            context += `\n... and ${rowCount - previewRows} more rows\n`;
+        }
+    } else {
+        context += `\n**Note:** The data preview is left out to fit the prompt budget - use the workbook tools to read rows\n`;
     }
     
+    // Tables of the loaded sheets, and how to reference them
+    const loadedNames = state.allSheetsData?.length ? state.allSheetsData.map(s => s.sheetName) : [sheetName];
+    const tableSection = formatTableContext(state.workbookIndex, loadedNames);
+    if (tableSection) context += `\n${tableSection}`;
+    
+    // Every sheet of the workbook, loaded or not
+    const indexSection = formatWorkbookIndex(state.workbookIndex, sheetName, loadedNames);
+    if (indexSection) context += `\n${indexSection}`;
+    
     // Add information about other sheets
-    if (state.allSheetsData && state.allSheetsData.length > 1) {
+    const hasOtherSheets = state.allSheetsData && state.allSheetsData.length > 1;
+    if (hasOtherSheets && !includeOtherSheets) {
+        context += `\n**Note:** Other sheets are left out to fit the prompt budget - use the workbook tools to read them\n`;
+    } else if (hasOtherSheets) {
         context += `\n## OTHER SHEETS IN WORKBOOK\n`;
         for (const sheet of state.allSheetsData) {
             if (sheet.sheetName === sheetName) continue; // Skip current sheet
             
             context += `\n### ${sheet.sheetName}\n`;
-            context += `- Columns: ${sheet.headers.join(", ")}\n`;
+            context += `- Columns: ${formatColumnTypes(sheet)}\n`;
+            const formulaColumns = formatFormulaColumnNames(sheet);
+            if (formulaColumns) context += `- Formula columns: ${formulaColumns}\n`;
             context += `- Rows: ${sheet.rowCount}\n`;
             
             // Show first few rows as sample
@@ -0,0 +1,280 @@
+/**
+ * Formula Context Module
+ * Tells computed columns from input columns. For every column of a sheet it
+ * finds the cells holding formulas, their representative R1C1 pattern (the
+ * form that is the same on every row of a filled-down column) and the columns
+ * the formulas read, and formats the FORMULA COLUMNS section of the data
+ * context, which marks those columns read-only.
+ */
+
+import { colIndexToLetter, colLetterToIndex } from "./excel-data.js";
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const FORMULA_CONFIG = {
+    // Ranges wider than this are listed as a range rather than column by column
+    MAX_LISTED_COLUMNS: 8,
+    MAX_PATTERN_CHARS: 120
+};
+
+// A1 reference, optionally sheet-qualified: cells and cell ranges, whole columns or whole rows
+const A1_REFERENCE_REGEX = /(^|[^A-Za-z0-9_.$'!])((?:'(?:[^']|'')+'|[A-Za-z_][A-Za-z0-9_.]*)!)?(\$?[A-Z]{1,3}\$?\d+(?::\$?[A-Z]{1,3}\$?\d+)?|\$?[A-Z]{1,3}:\$?[A-Z]{1,3}|\$?\d+:\$?\d+)(?![A-Za-z0-9_(!])/g;
+
+// Analyses are computed once per sheet snapshot
+const formulaCache = new WeakMap();
+
+// ============================================================================
+// R1C1 Conversion
+// ============================================================================
+
+/**
+ * Converts one row or column of a reference to R1C1
+ * @param {string} prefix - "R" or "C"
+ * @param {boolean} absolute - The reference has a $
+ * @param {number} target - Referenced row or column (1-based)
+ * @param {number} origin - Row or column of the formula cell (1-based)
+ * @returns {string} e.g. "R5", "C[-2]" or "R"
+ */
+function toR1C1Part(prefix, absolute, target, origin) {
+    if (absolute) return `${prefix}${target}`;
+    return target === origin ? prefix : `${prefix}[${target - origin}]`;
+}
+
+/**
+ * Converts the references of a formula fragment outside strings and structured references
+ * @param {string} text - Formula fragment
+ * @param {number} row - Row of the formula cell (1-based)
+ * @param {number} col - Column of the formula cell (1-based)
+ * @param {Object[]} refs - Collects the references found
+ * @returns {string} Fragment in R1C1
+ */
+function convertFragment(text, row, col, refs) {
+    return text.replace(A1_REFERENCE_REGEX, (match, lead, sheetPart, reference) => {
+        const sheet = sheetPart ? sheetPart.slice(0, -1).replace(/^'(.*)'$/, "$1").replace(/''/g, "'") : null;
+        const converted = reference.split(":").map(part => {
+            const cell = part.match(/^(\$?)([A-Z]*)(\$?)(\d*)$/);
+            const r = cell[4] ? toR1C1Part("R", cell[3] === "$", parseInt(cell[4], 10), row) : "";
+            const c = cell[2] ? toR1C1Part("C", cell[1] === "$", colLetterToIndex(cell[2]) + 1, col) : "";
+            return { text: `${r}${c}`, col: cell[2] ? colLetterToIndex(cell[2]) : null };
+        });
+        const cols = converted.map(part => part.col).filter(index => index !== null);
+        if (cols.length) refs.push({ sheet, firstCol: Math.min(...cols), lastCol: Math.max(...cols) });
+
+        // Whole columns and rows are written once when both ends are the same (=SUM(C[-1]))
+        const ends = converted.map(part => part.text);
+        const whole = !/[A-Z]\$?\d/.test(reference);
+        const body = whole && ends[0] === ends[1] ? ends[0] : ends.join(":");
+        return `${lead}${sheetPart || ""}${body}`;
+    });
+}
+
+/**
+ * Converts an A1 formula to its R1C1 form and collects its references
+ * String literals and structured references (Table[Column]) are left as they are.
+ * @param {string} formula - Formula in A1 notation, e.g. "=B2*C2"
+ * @param {number} row - Row of the formula cell (1-based)
+ * @param {number} col - Column of the formula cell (1-based)
+ * @returns {{ r1c1: string, refs: { sheet: string|null, firstCol: number, lastCol: number }[] }} The
+ *   R1C1 formula ("=RC[-2]*RC[-1]") and the columns it references (zero-based; row references
+ *   are left out)
+ */
+function analyzeFormula(formula, row, col) {
+    const refs = [];
+    let r1c1 = "";
+    let fragment = "";
+    let depth = 0;
+    for (let i = 0; i < formula.length; i++) {
+        const char = formula[i];
+        if (depth === 0 && char === "\"") {
+            // "" inside a string literal is an escaped quote
+            let end = i + 1;
+            while (end < formula.length && (formula[end] !== "\"" || formula[end + 1] === "\"")) {
+                end += formula[end] === "\"" ? 2 : 1;
+            }
+            r1c1 += convertFragment(fragment, row, col, refs) + formula.slice(i, end + 1);
+            fragment = "";
+            i = end;
+        } else if (char === "[" || (depth > 0 && char === "]")) {
+            if (depth === 0) {
+                r1c1 += convertFragment(fragment, row, col, refs);
+                fragment = "";
+            }
+            depth += char === "[" ? 1 : -1;
+            r1c1 += char;
+        } else if (depth > 0) {
+            r1c1 += char;
+        } else {
+            fragment += char;
+        }
+    }
+    r1c1 += convertFragment(fragment, row, col, refs);
+    return { r1c1, refs };
+}
+
+// ============================================================================
+// Analysis
+// ============================================================================
+
+/**
+ * @typedef {Object} FormulaColumn
+ * @property {string} letter - Column letter
+ * @property {string} header - Header name
+ * @property {number} formulaRows - Data rows holding a formula
+ * @property {number} filledRows - Data rows holding anything
+ * @property {string} pattern - Most common R1C1 formula
+ * @property {number} patternRows - Rows using that pattern
+ * @property {number} otherPatterns - Number of other patterns
+ * @property {string} example - First formula in A1 notation, with its cell
+ * @property {string[]} dependsOn - Columns and other-sheet ranges the formulas read
+ */
+
+/**
+ * Lists the columns a set of references reads
+ * @param {Object[]} refs - References from analyzeFormula
+ * @param {Object} data - Sheet data
+ * @returns {string[]} "B: Qty" for columns of the sheet data, "Z" for other columns of the
+ *   sheet, "Rates!B:C" for other sheets
+ */
+function describeDependencies(refs, data) {
+    const byIndex = new Map((data.columnMap || []).map(col => [colLetterToIndex(col.letter), col]));
+    const listed = new Set();
+    const result = [];
+    const add = text => {
+        if (!listed.has(text)) {
+            listed.add(text);
+            result.push(text);
+        }
+    };
+
+    const sorted = [...refs].sort((a, b) => (a.sheet || "").localeCompare(b.sheet || "") || a.firstCol - b.firstCol);
+    for (const ref of sorted) {
+        const span = ref.firstCol === ref.lastCol
+            ? colIndexToLetter(ref.firstCol)
+            : `${colIndexToLetter(ref.firstCol)}:${colIndexToLetter(ref.lastCol)}`;
+        if (ref.sheet && ref.sheet !== data.sheetName) {
+            add(`${ref.sheet}!${span}`);
+        } else if (ref.lastCol - ref.firstCol >= FORMULA_CONFIG.MAX_LISTED_COLUMNS) {
+            add(span);
+        } else {
+            for (let index = ref.firstCol; index <= ref.lastCol; index++) {
+                const col = byIndex.get(index);
+                add(col ? `${col.letter}: ${col.header}` : colIndexToLetter(index));
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * Finds the formula columns of a sheet snapshot
+ * The header row is skipped; results are cached for the snapshot.
+ * @param {Object} data - Sheet data from readExcelData (values, formulas, columnMap, startRow)
+ * @returns {FormulaColumn[]} Columns holding formulas, in column order
+ */
+function getFormulaColumns(data) {
+    if (formulaCache.has(data)) return formulaCache.get(data);
+
+    const formulas = data.formulas || [];
+    const values = data.values || [];
+    const columns = [];
+    for (const col of data.columnMap || []) {
+        const sheetCol = colLetterToIndex(col.letter) + 1;
+        const patterns = new Map();
+        const refs = [];
+        let formulaRows = 0;
+        let filledRows = 0;
+        let example = null;
+
+        for (let r = 1; r < values.length; r++) {
+            const formula = formulas[r]?.[col.index];
+            const value = values[r]?.[col.index];
+            const isFormula = typeof formula === "string" && formula.startsWith("=");
+            if (isFormula || (value !== null && value !== undefined && value !== "")) filledRows++;
+            if (!isFormula) continue;
+
+            formulaRows++;
+            const sheetRow = data.startRow + r;
+            const analysis = analyzeFormula(formula, sheetRow, sheetCol);
+            const entry = patterns.get(analysis.r1c1);
+            if (entry) {
+                entry.rows++;
+            } else {
+                patterns.set(analysis.r1c1, { rows: 1 });
+                refs.push(...analysis.refs);
+            }
+            if (!example) example = `${col.letter}${sheetRow}: ${formula}`;
+        }
+        if (!formulaRows) continue;
+
+        const [pattern, { rows }] = [...patterns.entries()].sort((a, b) => b[1].rows - a[1].rows)[0];
+        columns.push({
+            letter: col.letter,
+            header: col.header,
+            formulaRows,
+            filledRows,
+            pattern,
+            patternRows: rows,
+            otherPatterns: patterns.size - 1,
+            example,
+            dependsOn: describeDependencies(refs, data)
+        });
+    }
+    formulaCache.set(data, columns);
+    return columns;
+}
+
+// ============================================================================
+// Formatting
+// ============================================================================
+
+/**
+ * Formats the formula columns of a sheet as the FORMULA COLUMNS section of the data context
+ * @param {Object} data - Sheet data from readExcelData
+ * @returns {string} Markdown section, empty when no column holds formulas
+ */
+function formatFormulaColumns(data) {
+    const columns = getFormulaColumns(data);
+    if (!columns.length) return "";
+
+    const cut = text => (text.length > FORMULA_CONFIG.MAX_PATTERN_CHARS ? `${text.slice(0, FORMULA_CONFIG.MAX_PATTERN_CHARS)}…` : text);
+    const escape = text => String(text).replace(/\|/g, "\\|");
+    const rows = columns.map(column => {
+        const coverage = column.formulaRows === column.filledRows
+            ? `all ${column.formulaRows} rows`
+            : `${column.formulaRows} of ${column.filledRows} rows (rest are constants)`;
+        const variants = column.otherPatterns
+            ? `; ${column.patternRows} rows use it, ${column.otherPatterns} other pattern${column.otherPatterns === 1 ? "" : "s"}`
+            : "";
+        return `| ${column.letter} | ${escape(column.header)} | \`${escape(cut(column.pattern))}\` | ${escape(cut(column.example))} | ${coverage}${variants} | ${escape(column.dependsOn.join(", ")) || "-"} |`;
+    });
+
+    let section = `## FORMULA COLUMNS\n`;
+    section += `These columns are computed by formulas. They are READ-ONLY: do not write values or formulas into them unless the user explicitly asks to change that column - change the input columns they depend on instead. New formulas should follow the R1C1 pattern of the column.\n`;
+    section += `| Column Letter | Header Name | Formula (R1C1) | First Formula | Formula Rows | Depends On |\n`;
+    section += `|---------------|-------------|----------------|---------------|--------------|------------|\n`;
+    section += rows.join("\n") + "\n";
+    return section;
+}
+
+/**
+ * Lists the formula columns of a sheet in a few words, for the short description of other sheets
+ * @param {Object} data - Sheet data from readExcelData
+ * @returns {string} e.g. "D: Amount (read-only)", or "" without formulas
+ */
+function formatFormulaColumnNames(data) {
+    return getFormulaColumns(data).map(column => `${column.letter}: ${column.header} (read-only)`).join(", ");
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+export {
+    FORMULA_CONFIG,
+    analyzeFormula,
+    getFormulaColumns,
+    formatFormulaColumns,
+    formatFormulaColumnNames
+};
@@ -0,0 +1,101 @@
+/**
+ * Tests for Formula Context Module
+ */
+
+import { FORMULA_CONFIG, analyzeFormula, getFormulaColumns, formatFormulaColumns, formatFormulaColumnNames } from "./formula-context.js";
+
+/**
+ * Creates sheet data of a used range starting at A1
+ * @param {Array[]} values - Used range values
+ * @param {Array[]} formulas - Used range formulas
+ * @returns {Object} Sheet data as readExcelData stores it
+ */
+function createData(values, formulas) {
+    return {
+        sheetName: "Sales",
+        values,
+        formulas,
+        startRow: 1,
+        columnMap: values[0].map((header, index) => ({ letter: String.fromCharCode(65 + index), index, header }))
+    };
+}
+
+const DATA = createData(
+    [
+        ["Region", "Qty", "Price", "Amount", "Rate", "Note"],
+        ["East", 10, 2.5, 25, 0.1, "ok"],
+        ["West", 4, 3, 12, 0.2, ""],
+        ["North", 7, 1.25, 8.75, 0.1, "check"]
+    ],
+    [
+        ["Region", "Qty", "Price", "Amount", "Rate", "Note"],
+        ["East", 10, 2.5, "=B2*C2", "=VLOOKUP(A2,Rates!A:B,2,FALSE)", "ok"],
+        ["West", 4, 3, "=B3*C3", "=VLOOKUP(A3,Rates!A:B,2,FALSE)", ""],
+        ["North", 7, 1.25, "=B4*C4", 0.1, "=IF(D4>5,\"check\",\"\")"]
+    ]
+);
+
+describe("Formula Context", () => {
+    describe("analyzeFormula", () => {
+        test("converts references relative to the formula cell", () => {
+            expect(analyzeFormula("=B2*C2", 2, 4).r1c1).toBe("=RC[-2]*RC[-1]");
+            expect(analyzeFormula("=SUM($B$2:B5)", 5, 3).r1c1).toBe("=SUM(R2C2:RC[-1])");
+            expect(analyzeFormula("=SUM(A:A)+'My Sheet'!C$5", 2, 4).r1c1).toBe("=SUM(C[-3])+'My Sheet'!R5C[-1]");
+        });
+
+        test("leaves strings, functions and structured references alone", () => {
+            expect(analyzeFormula("=IF(A2=\"B2\",\"say \"\"C3\"\"\",LOG10(D2))", 2, 5).r1c1).toBe("=IF(RC[-4]=\"B2\",\"say \"\"C3\"\"\",LOG10(RC[-1]))");
+            expect(analyzeFormula("=SUM(Sales[Qty])+[@Price]*E2", 2, 6)).toEqual({ r1c1: "=SUM(Sales[Qty])+[@Price]*RC[-1]", refs: [{ sheet: null, firstCol: 4, lastCol: 4 }] });
+        });
+
+        test("collects the referenced columns and sheets", () => {
+            expect(analyzeFormula("=VLOOKUP(A2,Rates!A:C,2,FALSE)", 2, 5).refs).toEqual([
+                { sheet: null, firstCol: 0, lastCol: 0 },
+                { sheet: "Rates", firstCol: 0, lastCol: 2 }
+            ]);
+        });
+    });
+
+    describe("getFormulaColumns", () => {
+        test("finds formula columns, their pattern and their inputs", () => {
+            const columns = getFormulaColumns(DATA);
+            expect(columns.map(column => column.letter)).toEqual(["D", "E", "F"]);
+            expect(columns[0]).toEqual({
+                letter: "D",
+                header: "Amount",
+                formulaRows: 3,
+                filledRows: 3,
+                pattern: "=RC[-2]*RC[-1]",
+                patternRows: 3,
+                otherPatterns: 0,
+                example: "D2: =B2*C2",
+                dependsOn: ["B: Qty", "C: Price"]
+            });
+            expect(columns[1]).toMatchObject({ formulaRows: 2, filledRows: 3, dependsOn: ["A: Region", "Rates!A:B"] });
+            expect(getFormulaColumns(DATA)).toBe(columns);
+        });
+
+        test("is empty for sheets without formulas", () => {
+            expect(getFormulaColumns(createData([["A"], [1]], [["A"], [1]]))).toEqual([]);
+            expect(getFormulaColumns(createData([["A"], [1]]))).toEqual([]);
+        });
+    });
+
+    describe("formatFormulaColumns", () => {
+        test("lists formula columns as read-only", () => {
+            const text = formatFormulaColumns(DATA);
+            expect(text).toContain("## FORMULA COLUMNS");
+            expect(text).toContain("READ-ONLY");
+            expect(text).toContain("| D | Amount | `=RC[-2]*RC[-1]` | D2: =B2*C2 | all 3 rows | B: Qty, C: Price |");
+            expect(text).toContain("| E | Rate | `=VLOOKUP(RC[-4],Rates!C[-4]:C[-3],2,FALSE)` | E2: =VLOOKUP(A2,Rates!A:B,2,FALSE) | 2 of 3 rows (rest are constants) | A: Region, Rates!A:B |");
+            expect(formatFormulaColumns(createData([["A"], [1]]))).toBe("");
+        });
+
+        test("cuts long formulas and names the columns for other sheets", () => {
+            const long = `=${"A2+".repeat(FORMULA_CONFIG.MAX_PATTERN_CHARS)}1`;
+            const text = formatFormulaColumns(createData([["Total"], [5]], [["Total"], [long]]));
+            expect(text).toContain("…`");
+            expect(formatFormulaColumnNames(DATA)).toBe("D: Amount (read-only), E: Rate (read-only), F: Note (read-only)");
+        });
+    });
+});
@@ -178,7 +178,11 @@ const TYPE_LABELS = {
  * @property {string} type - Action type
  * @property {string} target - Target range address
  * @property {number} timestamp - Unix timestamp
- * @property {Object} undoData - Data to restore previous state
+ * @property {Object|null} undoData - Data to restore previous state (null when the action has no inverse)
+ * @property {Object} [action] - The applied action, re-run by redo when there is no redo data
+ * @property {string} [sheetId] - Id of the worksheet the action was applied to
+ * @property {string} [sheetName] - Name of that worksheet when the entry was recorded
+ * @property {Object|null} [redoData] - Undone entries only: data to restore the state the undo replaced
  */
 
 /**
@@ -254,6 +258,25 @@ function hasHistory(entries) {
     return true;
 }
 
+/**
+ * Checks if a history entry can be undone
+ * @param {HistoryEntry} entry - History entry
+ * @returns {boolean} True if the entry has undo data
+ */
+function canUndoEntry(entry) {
+    return Boolean(entry && entry.undoData);
+}
+
+/**
+ * Checks if an undone entry can be redone
+ * Entries with redo data restore the state the undo replaced; others re-run their action
+ * @param {HistoryEntry} entry - Undone history entry
+ * @returns {boolean} True if the entry can be redone
+ */
+function canRedoEntry(entry) {
+    return Boolean(entry && (entry.redoData || entry.action));
+}
+
 /**
  * Formats a timestamp as relative time
  * @param {number} timestamp - Unix timestamp
@@ -275,6 +298,21 @@ function formatRelativeTime(timestamp) {
     return `${days} days ago`;
 }
 
+/**
+ * Escapes text for insertion into HTML
+ * Entries are also restored from the workbook's document settings, so none of
+ * their fields can be trusted as markup.
+ * @param {*} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 /**
  * Renders a single history entry as HTML
  * @param {HistoryEntry} entry - The entry to render
@@ -284,15 +322,17 @@ function formatRelativeTime(timestamp) {
 function renderHistoryEntry(entry, getIcon) {
     const icon = getIcon ? getIcon(entry.type) : '';
     const timeStr = formatRelativeTime(entry.timestamp);
-    const label = TYPE_LABELS[entry.type] || entry.type;
+    const label = escapeHTML(TYPE_LABELS[entry.type] || entry.type);
+    const undoable = canUndoEntry(entry);
     
     return `
-        <div class="history-entry" data-id="${entry.id}">
-            <div class="history-icon ${entry.type}">${icon}</div>
+        <div class="history-entry${undoable ? '' : ' no-undo'}" data-id="${escapeHTML(entry.id)}">
+            <div class="history-icon ${escapeHTML(entry.type)}">${icon}</div>
             <div class="history-content">
                 <span class="history-label">${label}</span>
-                <span class="history-target">${entry.target}</span>
+                <span class="history-target">${escapeHTML(entry.target)}</span>
             </div>
+            ${undoable ? '' : '<span class="history-undo-state" title="This action has no inverse and cannot be undone">No undo</span>'}
             <span class="history-time">${timeStr}</span>
         </div>
     `;
@@ -312,6 +352,47 @@ function renderHistoryList(entries, getIcon) {
     return entries.map(entry => renderHistoryEntry(entry, getIcon)).join('');
 }
 
+/**
+ * Renders a single undone entry of the redo stack
+ * @param {HistoryEntry} entry - Undone history entry
+ * @param {Function} getIcon - Function to get icon for action type
+ * @returns {string} HTML string
+ */
+function renderRedoEntry(entry, getIcon) {
+    const icon = getIcon ? getIcon(entry.type) : '';
+    const label = escapeHTML(TYPE_LABELS[entry.type] || entry.type);
+    
+    return `
+        <div class="history-entry undone" data-id="${escapeHTML(entry.id)}">
+            <div class="history-icon ${escapeHTML(entry.type)}">${icon}</div>
+            <div class="history-content">
+                <span class="history-label">${label}</span>
+                <span class="history-target">${escapeHTML(entry.target)}</span>
+            </div>
+            <span class="history-undo-state" title="Undone - press Redo to apply it again">Undone</span>
+        </div>
+    `;
+}
+
+/**
+ * Renders both stacks: undone entries that can be redone, then applied entries
+ * Without undone entries this is the same as renderHistoryList
+ * @param {HistoryEntry[]} entries - Applied entries, newest first
+ * @param {HistoryEntry[]} redoEntries - Undone entries, most recently undone first
+ * @param {Function} getIcon - Function to get icon for action type
+ * @returns {string} HTML string
+ */
+function renderHistoryStacks(entries, redoEntries, getIcon) {
+    if (!redoEntries || redoEntries.length === 0) {
+        return renderHistoryList(entries, getIcon);
+    }
+    
+    return '<div class="history-section-title">Redo</div>' +
+        redoEntries.map(entry => renderRedoEntry(entry, getIcon)).join('') +
+        '<div class="history-section-title">Undo</div>' +
+        renderHistoryList(entries, getIcon);
+}
+
 // ES Module exports
 export {
     MAX_ENTRIES,
@@ -321,9 +402,13 @@ export {
     removeFromHistory,
     getLatestEntry,
     hasHistory,
+    canUndoEntry,
+    canRedoEntry,
     formatRelativeTime,
     renderHistoryEntry,
-    renderHistoryList
+    renderHistoryList,
+    renderRedoEntry,
+    renderHistoryStacks
 };
 
 // CommonJS exports for testing
@@ -336,8 +421,12 @@ if (typeof module !== 'undefined' && module.exports) {
         removeFromHistory,
         getLatestEntry,
         hasHistory,
+        canUndoEntry,
+        canRedoEntry,
         formatRelativeTime,
         renderHistoryEntry,
-        renderHistoryList
+        renderHistoryList,
+        renderRedoEntry,
+        renderHistoryStacks
     };
 }
@@ -11,9 +11,13 @@ const {
     removeFromHistory,
     getLatestEntry,
     hasHistory,
+    canUndoEntry,
+    canRedoEntry,
     formatRelativeTime,
     renderHistoryEntry,
-    renderHistoryList
+    renderHistoryList,
+    renderRedoEntry,
+    renderHistoryStacks
 } = require('./history');
 
 // All 87 action types supported by the history module
@@ -237,8 +241,9 @@ describe('History Module - Property Based Tests', () => {
                     // Should contain a time string
                     expect(html).toMatch(/(\d+ (min|hr|days?) ago|just now|yesterday)/);
                     
-                    // Should contain the entry id
-                    expect(html).toContain(entry.id);
+                    // Should contain the entry id, escaped for the attribute
+                    const escapedId = entry.id.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+                    expect(html).toContain(`data-id="${escapedId}"`);
                 }),
                 { numRuns: 100 }
             );
@@ -441,4 +446,59 @@ describe('History Module - Property Based Tests', () => {
             expect(entry.undoData.tableState).toEqual(complexUndoData.tableState);
         });
     });
+
+    describe('Undo availability', () => {
+        test('entries without undo data are marked as not undoable', () => {
+            const undoable = createHistoryEntry({ type: 'insertRows', target: '5' }, { kind: 'inserted', address: '5:5', shift: 'Up' });
+            const permanent = createHistoryEntry({ type: 'refreshPivotTable', target: 'Pivot1' }, null);
+
+            expect(canUndoEntry(undoable)).toBe(true);
+            expect(canUndoEntry(permanent)).toBe(false);
+            expect(canUndoEntry(null)).toBe(false);
+
+            expect(renderHistoryEntry(undoable, () => '')).not.toContain('No undo');
+            const html = renderHistoryEntry(permanent, () => '');
+            expect(html).toContain('no-undo');
+            expect(html).toContain('No undo');
+        });
+    });
+
+    describe('Redo stack', () => {
+        test('undone entries can be redone from redo data or their action', () => {
+            expect(canRedoEntry({ type: 'formula', redoData: { kind: 'range' } })).toBe(true);
+            expect(canRedoEntry({ type: 'chart', redoData: null, action: { type: 'chart', target: 'A1:B5' } })).toBe(true);
+            expect(canRedoEntry({ type: 'chart', redoData: null })).toBe(false);
+            expect(canRedoEntry(undefined)).toBe(false);
+        });
+
+        test('both stacks are rendered with the redo stack first', () => {
+            const applied = [createHistoryEntry({ type: 'format', target: 'A1:D1' }, { kind: 'range' })];
+            const undone = [{ ...createHistoryEntry({ type: 'formula', target: 'E2' }, { kind: 'range' }), redoData: { kind: 'range' } }];
+
+            expect(renderHistoryStacks(applied, [], () => '')).toBe(renderHistoryList(applied, () => ''));
+
+            const html = renderHistoryStacks(applied, undone, () => '');
+            expect(html.indexOf('E2')).toBeLessThan(html.indexOf('A1:D1'));
+            expect(html).toContain('history-entry undone');
+            expect(html.match(/class="history-section-title"/g)).toHaveLength(2);
+        });
+    });
+
+    describe('Restored entries', () => {
+        test('fields read back from a workbook are escaped', () => {
+            const entry = {
+                id: '1" onclick="steal()',
+                type: '<img src=x onerror=alert(1)>',
+                target: '<script>alert(1)</script>',
+                timestamp: Date.now(),
+                undoData: null
+            };
+            for (const html of [renderHistoryEntry(entry, () => ''), renderRedoEntry(entry, () => '')]) {
+                expect(html).not.toContain('<script>');
+                expect(html).not.toContain('<img');
+                expect(html).not.toContain('" onclick=');
+                expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+            }
+        });
+    });
 });
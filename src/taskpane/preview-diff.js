@@ -0,0 +1,423 @@
+/**
+ * Preview Diff Module
+ * Predicts what range-writing actions put into their target cells and compares it
+ * with the current contents, for the before/after grid of the preview panel.
+ */
+
+import { colIndexToLetter, colLetterToIndex } from "./excel-data.js";
+import { adjustFormulaReferences } from "./action-executor.js";
+import { stripSheetName } from "./undo.js";
+import { parseCellRange } from "./snapshot-cache.js";
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const DIFF_CONFIG = {
+    // Targets above this many cells are not read - the preview says so instead
+    MAX_READ_CELLS: 10000,
+    // Size of the rendered grid; the counts still cover the whole target
+    MAX_ROWS: 8,
+    MAX_COLS: 6
+};
+
+/**
+ * Action types whose resulting cell contents can be predicted before applying
+ */
+const DIFF_ACTION_TYPES = ["formula", "values", "copy", "copyValues", "findReplace", "mergeCells"];
+
+/**
+ * Action types that rewrite, move or remove cells without predictable contents;
+ * the preview only counts the formulas among those cells
+ */
+const FORMULA_CHECK_ACTION_TYPES = ["autofill", "sort", "removeDuplicates", "textToColumns"];
+
+// ============================================================================
+// Prediction
+// ============================================================================
+
+/**
+ * Checks whether a cell is empty
+ * @param {*} value - Cell value or formula
+ * @returns {boolean} True for empty strings, null and undefined
+ */
+function isEmptyCell(value) {
+    return value === "" || value === null || value === undefined;
+}
+
+/**
+ * Parses the payload of a values action the way the executor does
+ * @param {string} data - Action data
+ * @returns {Array[]} 2D values
+ */
+function parseValues(data) {
+    try {
+        let values = JSON.parse(data);
+        if (!Array.isArray(values)) values = [[values]];
+        if (!Array.isArray(values[0])) values = [values];
+        return values;
+    } catch {
+        return [[data]];
+    }
+}
+
+/**
+ * Replaces text in one cell the way Range.replaceAll does
+ * @param {*} content - Cell formula or value
+ * @param {Object} options - findReplace options
+ * @returns {*} New content
+ */
+function replaceInCell(content, options) {
+    if (isEmptyCell(content)) return content;
+
+    const text = String(content);
+    const flags = options.matchCase ? "g" : "gi";
+    const pattern = options.find.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+    if (options.matchEntireCell) {
+        return new RegExp(`^${pattern}$`, flags).test(text) ? (options.replace || "") : content;
+    }
+    const result = text.replace(new RegExp(pattern, flags), () => options.replace || "");
+    return result === text ? content : result;
+}
+
+/**
+ * Predicts the contents of the target cells after an action
+ * @param {Object} action - Action to apply
+ * @param {Array[]} before - Current formulas of the target
+ * @param {{ values: Array[], formulas: Array[] }|null} source - Source range contents for copy actions
+ * @returns {Array[]|null} Predicted formulas/values, or null if the type is not predictable
+ */
+function predictContents(action, before, source = null) {
+    switch (action.type) {
+        case "formula":
+            // Same reference shifting as applyFormula
+            return before.map((row, r) => row.map((_, c) => adjustFormulaReferences(String(action.data || ""), r, c)));
+
+        case "values":
+            return parseValues(action.data);
+
+        case "copy":
+            return source ? source.formulas : null;
+
+        case "copyValues":
+            return source ? source.values : null;
+
+        case "findReplace": {
+            let options;
+            try {
+                options = { matchCase: false, matchEntireCell: false, ...JSON.parse(action.data) };
+            } catch {
+                return null;
+            }
+            if (!options.find) return null;
+            return before.map(row => row.map(cell => replaceInCell(cell, options)));
+        }
+
+        case "mergeCells":
+            // Only the top-left value survives a merge
+            return before.map((row, r) => row.map((cell, c) => (r === 0 && c === 0 ? cell : "")));
+
+        default:
+            return null;
+    }
+}
+
+// ============================================================================
+// Comparison
+// ============================================================================
+
+/**
+ * @typedef {Object} DiffCell
+ * @property {*} before - Current content
+ * @property {*} after - Predicted content
+ * @property {string} status - "unchanged", "added" (empty cell filled) or "overwritten" (non-empty cell replaced or cleared)
+ */
+
+/**
+ * @typedef {Object} RangeDiff
+ * @property {string} address - Target address (without sheet name)
+ * @property {DiffCell[][]} cells - Cells, row by row
+ * @property {number} overwritten - Non-empty cells whose content would be replaced or cleared
+ * @property {number|null} formulasOverwritten - Overwritten cells that hold a formula;
+ *   for targets too large to read, all formula cells of the target, or null if they could not be counted
+ * @property {number} changed - All cells whose content would change
+ * @property {boolean} [tooLarge] - Set instead of cells when the target was too large to read
+ */
+
+/**
+ * Compares the current and predicted contents of a range
+ * @param {string} address - Target address
+ * @param {Array[]} before - Current contents
+ * @param {Array[]} after - Predicted contents
+ * @returns {RangeDiff} Diff
+ */
+function computeDiff(address, before, after) {
+    const rows = Math.max(before.length, after.length);
+    const cols = Math.max(...before.map(row => row.length), ...after.map(row => row.length), 0);
+    let overwritten = 0;
+    let formulasOverwritten = 0;
+    let changed = 0;
+
+    const cells = [];
+    for (let r = 0; r < rows; r++) {
+        const row = [];
+        for (let c = 0; c < cols; c++) {
+            const was = before[r]?.[c] ?? "";
+            const will = after[r]?.[c] ?? "";
+            let status = "unchanged";
+            if (String(was) !== String(will)) {
+                changed++;
+                if (isEmptyCell(was)) {
+                    status = "added";
+                } else {
+                    overwritten++;
+                    if (String(was).startsWith("=")) formulasOverwritten++;
+                    status = "overwritten";
+                }
+            }
+            row.push({ before: was, after: will, status });
+        }
+        cells.push(row);
+    }
+
+    return { address: stripSheetName(address), cells, overwritten, formulasOverwritten, changed };
+}
+
+/**
+ * Counts the formula cells of a range without reading its contents
+ * @param {Excel.RequestContext} ctx - Excel context
+ * @param {Excel.Range} range - Range
+ * @returns {Promise<number|null>} Formula cells, or null if the host cannot count them
+ */
+async function countFormulaCells(ctx, range) {
+    if (typeof range.getSpecialCellsOrNullObject !== "function") return null;
+    try {
+        const cells = range.getSpecialCellsOrNullObject("Formulas");
+        cells.load("cellCount");
+        await ctx.sync();
+        return cells.isNullObject ? 0 : cells.cellCount;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Reads the target (and source) of an action and predicts its effect
+ * @param {Excel.RequestContext} ctx - Excel context
+ * @param {Excel.Worksheet} sheet - Worksheet the action will be applied to
+ * @param {Object} action - Pending action
+ * @returns {Promise<RangeDiff|null>} Diff, or null if the action does not write predictable cell contents
+ */
+async function loadActionDiff(ctx, sheet, action) {
+    if (!DIFF_ACTION_TYPES.includes(action.type) || !action.target) return null;
+
+    let target = sheet.getRange(action.target);
+    let source = null;
+
+    // Copies write the source's size from the target's top-left cell
+    if (action.type === "copy" || action.type === "copyValues") {
+        if (!action.source) return null;
+        const sourceRange = sheet.getRange(action.source);
+        sourceRange.load(["rowCount", "columnCount"]);
+        await ctx.sync();
+        target = sheet.getRange(action.target.split(":")[0])
+            .getResizedRange(sourceRange.rowCount - 1, sourceRange.columnCount - 1);
+        if (sourceRange.rowCount * sourceRange.columnCount <= DIFF_CONFIG.MAX_READ_CELLS) {
+            sourceRange.load(["values", "formulas"]);
+            source = sourceRange;
+        }
+    }
+
+    target.load(["address", "rowCount", "columnCount"]);
+    await ctx.sync();
+    if (target.rowCount * target.columnCount > DIFF_CONFIG.MAX_READ_CELLS) {
+        // findReplace only rewrites matching cells; its risk rule already flags large ranges
+        const formulasOverwritten = action.type === "findReplace" ? 0 : await countFormulaCells(ctx, target);
+        return { address: stripSheetName(target.address), cells: [], overwritten: 0, formulasOverwritten, changed: 0, tooLarge: true };
+    }
+
+    target.load("formulas");
+    await ctx.sync();
+
+    const after = predictContents(action, target.formulas, source && { values: source.values, formulas: source.formulas });
+    return after ? computeDiff(target.address, target.formulas, after) : null;
+}
+
+// ============================================================================
+// Formula Check
+// ============================================================================
+
+/**
+ * @typedef {Object} FormulaCheck
+ * @property {string} address - Checked range (without sheet name)
+ * @property {number|null} formulaCells - Cells holding a formula that the action rewrites, moves or removes,
+ *   or null if a range too large to read could not be counted
+ * @property {boolean} [tooLarge] - Set when the range was too large to read
+ */
+
+/**
+ * Gets the range textToColumns writes to - the columns right of the target, or its destination
+ * @param {Excel.RequestContext} ctx - Excel context
+ * @param {Excel.Worksheet} sheet - Worksheet
+ * @param {Object} action - textToColumns action
+ * @returns {Promise<Excel.Range|null>} Destination range, or null if the target is too large to read
+ */
+async function getSplitDestination(ctx, sheet, action) {
+    let options = { delimiter: "," };
+    try {
+        options = { ...options, ...JSON.parse(action.data || "{}") };
+    } catch {
+        // Defaults, as textToColumns uses them
+    }
+    const source = sheet.getRange(action.target);
+    source.load(["rowIndex", "columnIndex", "rowCount", "columnCount"]);
+    await ctx.sync();
+    if (source.rowCount * source.columnCount > DIFF_CONFIG.MAX_READ_CELLS) return null;
+
+    source.load("values");
+    await ctx.sync();
+
+    const values = source.values;
+    const width = values.reduce((max, row) => Math.max(max, String(row[0] ?? "").split(options.delimiter || ",").length), 1);
+    return options.destination
+        ? sheet.getRange(options.destination).getResizedRange(values.length - 1, width - 1)
+        : sheet.getRangeByIndexes(source.rowIndex, source.columnIndex + 1, values.length, width);
+}
+
+/**
+ * Counts the formulas among the cells an action rewrites, moves or removes
+ * Autofill keeps its source cells, which are left out.
+ * @param {Excel.RequestContext} ctx - Excel context
+ * @param {Excel.Worksheet} sheet - Worksheet the action will be applied to
+ * @param {Object} action - Pending action
+ * @returns {Promise<FormulaCheck|null>} Check, or null for other action types
+ */
+async function loadFormulaCheck(ctx, sheet, action) {
+    if (!FORMULA_CHECK_ACTION_TYPES.includes(action.type) || !action.target) return null;
+
+    const range = action.type === "textToColumns" ? await getSplitDestination(ctx, sheet, action) : sheet.getRange(action.target);
+    if (!range) {
+        // The split width depends on the source values, so the destination is unknown
+        return { address: stripSheetName(action.target), formulaCells: null, tooLarge: true };
+    }
+    range.load(["address", "rowCount", "columnCount"]);
+    await ctx.sync();
+    const address = stripSheetName(range.address);
+    if (range.rowCount * range.columnCount > DIFF_CONFIG.MAX_READ_CELLS) {
+        let formulaCells = await countFormulaCells(ctx, range);
+        if (formulaCells !== null && action.type === "autofill" && action.source) {
+            const kept = await countFormulaCells(ctx, sheet.getRange(action.source));
+            formulaCells = kept === null ? null : Math.max(formulaCells - kept, 0);
+        }
+        return { address, formulaCells, tooLarge: true };
+    }
+
+    range.load("formulas");
+    await ctx.sync();
+    const origin = parseCellRange(address);
+    const kept = action.type === "autofill" ? parseCellRange(action.source) : null;
+    let formulaCells = 0;
+    range.formulas.forEach((row, r) => row.forEach((cell, c) => {
+        const inSource = kept && origin
+            && origin.row + r >= kept.row && origin.row + r < kept.row + kept.rowCount
+            && origin.col + c >= kept.col && origin.col + c < kept.col + kept.colCount;
+        if (!inSource && String(cell).startsWith("=")) formulaCells++;
+    }));
+    return { address, formulaCells };
+}
+
+// ============================================================================
+// Rendering
+// ============================================================================
+
+/**
+ * Escapes text for insertion into HTML
+ * @param {*} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+    return String(text ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+/**
+ * Renders one side of the diff as a small sheet-like table
+ * @param {RangeDiff} diff - Diff
+ * @param {string} side - "before" or "after"
+ * @param {number} rows - Rows to render
+ * @param {number} cols - Columns to render
+ * @returns {string} HTML string
+ */
+function renderDiffTable(diff, side, rows, cols) {
+    const [, colLetters = "A", rowDigits = "1"] = diff.address.replace(/\$/g, "").match(/^([A-Z]+)(\d+)/i) || [];
+    const firstCol = colLetterToIndex(colLetters);
+    const firstRow = parseInt(rowDigits, 10);
+
+    const header = Array.from({ length: cols }, (_, c) => `<th>${colIndexToLetter(firstCol + c)}</th>`).join("");
+    const body = diff.cells.slice(0, rows).map((row, r) => {
+        const cells = row.slice(0, cols).map(cell => {
+            const value = escapeHTML(cell[side]);
+            return `<td class="diff-${cell.status}" title="${value}">${value}</td>`;
+        }).join("");
+        return `<tr><th>${firstRow + r}</th>${cells}</tr>`;
+    }).join("");
+
+    return `
+        <div class="diff-side">
+            <div class="diff-side-title">${side === "before" ? "Before" : "After"}</div>
+            <table class="diff-table"><thead><tr><th></th>${header}</tr></thead><tbody>${body}</tbody></table>
+        </div>
+    `;
+}
+
+/**
+ * Renders the before/after grid of an action
+ * @param {RangeDiff} diff - Diff
+ * @returns {string} HTML string
+ */
+function renderDiffGrid(diff) {
+    if (!diff) return "";
+    if (diff.tooLarge) {
+        return `<div class="preview-diff"><div class="diff-summary">${escapeHTML(diff.address)} is too large to preview</div></div>`;
+    }
+
+    const totalRows = diff.cells.length;
+    const totalCols = diff.cells[0]?.length || 0;
+    const rows = Math.min(totalRows, DIFF_CONFIG.MAX_ROWS);
+    const cols = Math.min(totalCols, DIFF_CONFIG.MAX_COLS);
+
+    let summary = diff.changed ? `${diff.changed} cell${diff.changed === 1 ? "" : "s"} change` : "No cell contents change";
+    if (diff.overwritten) {
+        summary += `, <b>${diff.overwritten} existing value${diff.overwritten === 1 ? "" : "s"} overwritten</b>`;
+    }
+    const clipped = rows < totalRows || cols < totalCols
+        ? `<div class="diff-clipped">Showing ${rows} of ${totalRows} rows, ${cols} of ${totalCols} columns</div>`
+        : "";
+
+    return `
+        <div class="preview-diff">
+            <div class="diff-summary">${summary}</div>
+            <div class="diff-grids">${renderDiffTable(diff, "before", rows, cols)}${renderDiffTable(diff, "after", rows, cols)}</div>
+            ${clipped}
+        </div>
+    `.trim();
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+export {
+    DIFF_CONFIG,
+    DIFF_ACTION_TYPES,
+    FORMULA_CHECK_ACTION_TYPES,
+    predictContents,
+    computeDiff,
+    loadActionDiff,
+    loadFormulaCheck,
+    renderDiffGrid
+};
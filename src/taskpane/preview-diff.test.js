@@ -0,0 +1,172 @@
+/**
+ * Tests for Preview Diff Module
+ */
+
+import { DIFF_CONFIG, predictContents, computeDiff, loadActionDiff, loadFormulaCheck, renderDiffGrid } from "./preview-diff.js";
+
+/**
+ * Creates a mock range with the given formulas
+ * @param {string} address - Range address
+ * @param {Array[]} formulas - Cell formulas
+ * @returns {Object} Mock range
+ */
+function createMockRange(address, formulas) {
+    const range = {
+        address: `Sheet1!${address}`,
+        rowCount: formulas.length,
+        columnCount: formulas[0].length,
+        formulas,
+        values: formulas,
+        load: jest.fn(),
+        getResizedRange: jest.fn((rows, cols) => ({ ...range, rowCount: rows + 1, columnCount: cols + 1 }))
+    };
+    return range;
+}
+
+const ctx = { sync: jest.fn(() => Promise.resolve()) };
+
+describe("Preview Diff", () => {
+    describe("predictContents", () => {
+        test("shifts relative references of formulas like the executor", () => {
+            const after = predictContents({ type: "formula", data: "=A2*$B$1" }, [[""], [""], [""]]);
+            expect(after).toEqual([["=A2*$B$1"], ["=A3*$B$1"], ["=A4*$B$1"]]);
+        });
+
+        test("uses parsed values and copy sources", () => {
+            expect(predictContents({ type: "values", data: "[[1,\"x\"]]" }, [["", ""]])).toEqual([[1, "x"]]);
+            const source = { values: [[3]], formulas: [["=1+2"]] };
+            expect(predictContents({ type: "copy" }, [[""]], source)).toEqual([["=1+2"]]);
+            expect(predictContents({ type: "copyValues" }, [[""]], source)).toEqual([[3]]);
+        });
+
+        test("replaces text with the findReplace options", () => {
+            const before = [["Apple pie", "apple"], ["Pear", ""]];
+            expect(predictContents({ type: "findReplace", data: "{\"find\":\"apple\",\"replace\":\"Plum\"}" }, before))
+                .toEqual([["Plum pie", "Plum"], ["Pear", ""]]);
+            expect(predictContents({ type: "findReplace", data: "{\"find\":\"apple\",\"replace\":\"Plum\",\"matchCase\":true,\"matchEntireCell\":true}" }, before))
+                .toEqual([["Apple pie", "Plum"], ["Pear", ""]]);
+        });
+
+        test("keeps only the top-left value of a merge", () => {
+            expect(predictContents({ type: "mergeCells" }, [["a", "b"], ["c", ""]])).toEqual([["a", ""], ["", ""]]);
+        });
+
+        test("returns null for types without a prediction", () => {
+            expect(predictContents({ type: "format", data: "{}" }, [[""]])).toBeNull();
+        });
+    });
+
+    describe("computeDiff", () => {
+        test("classifies cells and counts overwritten values", () => {
+            const diff = computeDiff("Sheet1!B2:C3", [["old", ""], [5, "same"]], [["new", "added"], [5, "same"]]);
+            expect(diff.address).toBe("B2:C3");
+            expect(diff.cells.map(row => row.map(cell => cell.status))).toEqual([
+                ["overwritten", "added"],
+                ["unchanged", "unchanged"]
+            ]);
+            expect(diff.overwritten).toBe(1);
+            expect(diff.changed).toBe(2);
+        });
+
+        test("counts overwritten formulas", () => {
+            const diff = computeDiff("B2:C3", [["old", ""], ["=A1", "same"]], [["new", "added"], [5, "same"]]);
+            expect(diff.cells[1][0].status).toBe("overwritten");
+            expect(diff.overwritten).toBe(2);
+            expect(diff.formulasOverwritten).toBe(1);
+            expect(diff.changed).toBe(3);
+        });
+    });
+
+    describe("loadActionDiff", () => {
+        test("reads the target and predicts its contents", async () => {
+            const target = createMockRange("A1:A2", [["Total"], [""]]);
+            const sheet = { getRange: jest.fn(() => target) };
+            const diff = await loadActionDiff(ctx, sheet, { type: "values", target: "A1:A2", data: "[[1],[2]]" });
+            expect(diff.overwritten).toBe(1);
+            expect(diff.cells[1][0]).toEqual({ before: "", after: 2, status: "added" });
+        });
+
+        test("skips unpredictable types and oversized targets", async () => {
+            const sheet = { getRange: jest.fn(() => createMockRange("A:A", [[""]])) };
+            expect(await loadActionDiff(ctx, sheet, { type: "sort", target: "A1:B5" })).toBeNull();
+
+            const huge = createMockRange("A:A", [[""]]);
+            huge.rowCount = DIFF_CONFIG.MAX_READ_CELLS + 1;
+            const diff = await loadActionDiff(ctx, { getRange: () => huge }, { type: "formula", target: "A:A", data: "=1" });
+            expect(diff.tooLarge).toBe(true);
+            expect(diff.formulasOverwritten).toBeNull();
+            expect(huge.load).not.toHaveBeenCalledWith("formulas");
+        });
+
+        test("counts the formulas of oversized targets without reading them", async () => {
+            const huge = createMockRange("A1:A20000", [[""]]);
+            huge.rowCount = 20000;
+            huge.getSpecialCellsOrNullObject = jest.fn(() => ({ isNullObject: false, cellCount: 12, load: jest.fn() }));
+            const sheet = { getRange: () => huge };
+            const diff = await loadActionDiff(ctx, sheet, { type: "copy", source: "A1:A20000", target: "A1" });
+            expect(diff).toMatchObject({ tooLarge: true, formulasOverwritten: 12 });
+            expect(huge.getSpecialCellsOrNullObject).toHaveBeenCalledWith("Formulas");
+
+            const replace = await loadActionDiff(ctx, sheet, { type: "findReplace", target: "A1:A20000", data: "{\"find\":\"a\"}" });
+            expect(replace.formulasOverwritten).toBe(0);
+        });
+    });
+
+    describe("loadFormulaCheck", () => {
+        test("counts formulas that autofill and sort rewrite, leaving out the autofill source", async () => {
+            const target = createMockRange("C2:C4", [["=A2*B2"], ["=A3*B3"], [""]]);
+            const sheet = { getRange: jest.fn(() => target) };
+            expect(await loadFormulaCheck(ctx, sheet, { type: "autofill", target: "C2:C4", source: "C2" }))
+                .toEqual({ address: "C2:C4", formulaCells: 1 });
+            expect((await loadFormulaCheck(ctx, sheet, { type: "sort", target: "C2:C4" })).formulaCells).toBe(2);
+            expect(await loadFormulaCheck(ctx, sheet, { type: "values", target: "C2:C4" })).toBeNull();
+        });
+
+        test("checks the columns textToColumns writes to", async () => {
+            const source = { values: [["a,b,c"], ["d"]], rowIndex: 1, columnIndex: 0, rowCount: 2, columnCount: 1, load: jest.fn() };
+            const destination = createMockRange("B2:D3", [["", "=1", ""], ["", "", ""]]);
+            const sheet = { getRange: jest.fn(() => source), getRangeByIndexes: jest.fn(() => destination) };
+            expect(await loadFormulaCheck(ctx, sheet, { type: "textToColumns", target: "A2:A3", data: "{\"delimiter\":\",\"}" }))
+                .toEqual({ address: "B2:D3", formulaCells: 1 });
+            expect(sheet.getRangeByIndexes).toHaveBeenCalledWith(1, 1, 2, 3);
+        });
+
+        test("counts formulas of oversized ranges, leaving out the autofill source", async () => {
+            const target = createMockRange("C2:C20001", [[""]]);
+            target.rowCount = 20000;
+            target.getSpecialCellsOrNullObject = jest.fn(() => ({ isNullObject: false, cellCount: 5, load: jest.fn() }));
+            const source = createMockRange("C2", [["=A2*B2"]]);
+            source.getSpecialCellsOrNullObject = jest.fn(() => ({ isNullObject: false, cellCount: 1, load: jest.fn() }));
+            const sheet = { getRange: jest.fn(address => (address === "C2" ? source : target)) };
+            expect(await loadFormulaCheck(ctx, sheet, { type: "autofill", target: "C2:C20001", source: "C2" }))
+                .toEqual({ address: "C2:C20001", formulaCells: 4, tooLarge: true });
+        });
+
+        test("does not read oversized textToColumns sources", async () => {
+            const source = { rowIndex: 0, columnIndex: 0, rowCount: 20000, columnCount: 1, load: jest.fn() };
+            const sheet = { getRange: jest.fn(() => source), getRangeByIndexes: jest.fn() };
+            expect(await loadFormulaCheck(ctx, sheet, { type: "textToColumns", target: "A1:A20000" }))
+                .toEqual({ address: "A1:A20000", formulaCells: null, tooLarge: true });
+            expect(source.load).not.toHaveBeenCalledWith("values");
+        });
+    });
+
+    describe("renderDiffGrid", () => {
+        test("renders both sides with sheet headers and highlights overwritten cells", () => {
+            const html = renderDiffGrid(computeDiff("C5:D5", [["<b>", ""]], [["x", "y"]]));
+            expect(html).toContain("Before");
+            expect(html).toContain("After");
+            expect(html).toContain("<th>C</th><th>D</th>");
+            expect(html).toContain("<th>5</th>");
+            expect(html).toContain("class=\"diff-overwritten\"");
+            expect(html).toContain("&lt;b&gt;");
+            expect(html).toContain("1 existing value overwritten");
+        });
+
+        test("clips large diffs and renders nothing without a diff", () => {
+            const rows = Array.from({ length: DIFF_CONFIG.MAX_ROWS + 2 }, () => [""]);
+            expect(renderDiffGrid(computeDiff("A1", rows, rows))).toContain(`Showing ${DIFF_CONFIG.MAX_ROWS} of ${DIFF_CONFIG.MAX_ROWS + 2} rows`);
+            expect(renderDiffGrid(null)).toBe("");
+        });
+    });
+});
@@ -0,0 +1,259 @@
+/**
+ * Preview Edit Module
+ * Inline editing of a pending action's target and payload in the preview panel.
+ * Fields are derived from the action's schema (see action-validation.js): the target,
+ * the source and chart attributes where they apply, and either the raw payload or,
+ * for JSON objects, one field per top-level property.
+ */
+
+import { ACTION_SCHEMAS, checkActions } from "./action-validation.js";
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+// Chart types the chart executor recognizes
+const CHART_TYPES = ["column", "bar", "line", "area", "pie", "doughnut", "scatter", "radar", "stackedColumn", "stackedBar"];
+
+const DATA_LABELS = {
+    formula: "Formula",
+    values: "Values (JSON)",
+    json: "Options (JSON)",
+    sort: "Sort",
+    rules: "Rules (JSON)",
+    orientation: "Orientation",
+    text: "Text"
+};
+
+// ============================================================================
+// Fields
+// ============================================================================
+
+/**
+ * @typedef {Object} EditField
+ * @property {string} id - "attr:<name>" for action attributes, "data" for the raw payload, "data:<key>" for a payload property
+ * @property {string} label - Field label
+ * @property {string} value - Current value as text
+ * @property {string[]} [options] - Choices, rendered as a select
+ * @property {boolean} [multiline] - Rendered as a textarea
+ */
+
+/**
+ * Parses a JSON object payload
+ * @param {string} data - Action data
+ * @returns {Object|null} Parsed object, or null if the data is not a JSON object
+ */
+function parseObjectData(data) {
+    try {
+        const parsed = JSON.parse(data);
+        return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Checks whether a value can be edited in a single input
+ * @param {*} value - Value
+ * @returns {boolean} True for strings, numbers and booleans
+ */
+function isPrimitive(value) {
+    return ["string", "number", "boolean"].includes(typeof value);
+}
+
+/**
+ * Adds the choices of a value to a list that may not contain it
+ * @param {string[]} options - Choices
+ * @param {string} value - Current value
+ * @returns {string[]} Choices including the current value
+ */
+function withValue(options, value) {
+    return value && !options.includes(value) ? [value, ...options] : options;
+}
+
+/**
+ * Gets the editable fields of an action
+ * @param {Object} action - Pending action
+ * @returns {EditField[]} Fields, in display order
+ */
+function getEditableFields(action) {
+    const schema = ACTION_SCHEMAS[action.type] || {};
+    const fields = [{ id: "attr:target", label: "Target", value: action.target || "" }];
+
+    if (schema.source || action.source) {
+        fields.push({ id: "attr:source", label: "Source", value: action.source || "" });
+    }
+
+    if (action.type === "chart" || action.type === "pivotChart") {
+        const chartType = action.chartType || "column";
+        fields.push(
+            { id: "attr:chartType", label: "Chart type", value: chartType, options: withValue(CHART_TYPES, chartType) },
+            { id: "attr:title", label: "Title", value: action.title || "" },
+            { id: "attr:position", label: "Position", value: action.position || "" }
+        );
+    }
+
+    const format = schema.data?.format;
+    if (format === "none") return fields;
+
+    const data = typeof action.data === "string" ? action.data : "";
+    const object = format === "json" ? parseObjectData(data) : null;
+    const entries = object ? Object.entries(object) : [];
+
+    // Flat JSON objects get one field per property; anything else is edited as text
+    if (entries.length && entries.every(([, value]) => isPrimitive(value))) {
+        for (const [key, value] of entries) {
+            const spec = schema.data.properties?.[key];
+            const field = { id: `data:${key}`, label: key, value: String(value) };
+            if (typeof value === "boolean") {
+                field.options = ["true", "false"];
+            } else if (spec?.enum) {
+                field.options = withValue(spec.enum, String(value));
+            }
+            fields.push(field);
+        }
+        return fields;
+    }
+
+    fields.push({
+        id: "data",
+        label: DATA_LABELS[format] || "Data",
+        value: data,
+        multiline: format !== "formula" && format !== "orientation"
+    });
+    return fields;
+}
+
+/**
+ * Converts edited text back to the type of the original value
+ * @param {string} text - Edited text
+ * @param {*} original - Original value
+ * @returns {*} Typed value
+ */
+function coerceValue(text, original) {
+    if (typeof original === "boolean") return text === "true";
+    if (typeof original === "number") {
+        const number = Number(text);
+        return text.trim() !== "" && !Number.isNaN(number) ? number : text;
+    }
+    return text;
+}
+
+/**
+ * Applies edited field values to an action
+ * @param {Object} action - Pending action
+ * @param {Object<string, string>} edits - Edited text by field id
+ * @returns {Object} New action; the original is not modified
+ */
+function applyEdits(action, edits) {
+    const edited = { ...action };
+    const object = parseObjectData(action.data);
+    let objectChanged = false;
+
+    for (const [id, text] of Object.entries(edits)) {
+        const value = String(text ?? "");
+        if (id.startsWith("attr:")) {
+            edited[id.slice(5)] = value.trim();
+        } else if (id === "data") {
+            edited.data = value.trim();
+        } else if (id.startsWith("data:") && object) {
+            const key = id.slice(5);
+            object[key] = coerceValue(value, object[key]);
+            objectChanged = true;
+        }
+    }
+
+    if (objectChanged) {
+        edited.data = JSON.stringify(object);
+    }
+    return edited;
+}
+
+/**
+ * Replaces one pending action with its edited version and checks the whole list again
+ * An edit can reference an unknown or later action, or close a cycle, so the list
+ * is validated and ordered again like a freshly parsed one.
+ * @param {Object[]} actions - Pending actions
+ * @param {number} index - Index of the edited action
+ * @param {Object<string, string>} edits - Edited text by field id
+ * @returns {{ actions: Object[], issues: string[][], previous: number[] }} Actions in run
+ *   order, the issues of each, and the index each action had before
+ */
+function applyEditToList(actions, index, edits) {
+    const edited = actions.map((action, i) => (i === index ? applyEdits(action, edits) : action));
+    const { actions: ordered, issues } = checkActions(edited);
+    return { actions: ordered, issues, previous: ordered.map(action => edited.indexOf(action)) };
+}
+
+// ============================================================================
+// Rendering
+// ============================================================================
+
+/**
+ * Escapes text for insertion into HTML
+ * @param {*} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+    return String(text ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+/**
+ * Renders the input of one field
+ * @param {EditField} field - Field
+ * @returns {string} HTML string
+ */
+function renderFieldInput(field) {
+    const id = escapeHTML(field.id);
+    if (field.options) {
+        const options = field.options.map(option =>
+            `<option value="${escapeHTML(option)}"${option === field.value ? " selected" : ""}>${escapeHTML(option)}</option>`
+        ).join("");
+        return `<select data-field="${id}">${options}</select>`;
+    }
+    if (field.multiline) {
+        return `<textarea data-field="${id}" rows="3" spellcheck="false">${escapeHTML(field.value)}</textarea>`;
+    }
+    return `<input type="text" data-field="${id}" value="${escapeHTML(field.value)}" spellcheck="false">`;
+}
+
+/**
+ * Renders the edit form of a preview item
+ * @param {Object} action - Pending action
+ * @param {number} index - Index of the action
+ * @returns {string} HTML string
+ */
+function renderEditForm(action, index) {
+    const fields = getEditableFields(action).map(field => `
+        <label class="preview-edit-field">
+            <span>${escapeHTML(field.label)}</span>
+            ${renderFieldInput(field)}
+        </label>
+    `).join("");
+
+    return `
+        <div class="preview-edit" data-index="${index}">
+            ${fields}
+            <div class="preview-edit-actions">
+                <button class="btn-secondary preview-edit-cancel" data-index="${index}">Cancel</button>
+                <button class="btn-secondary preview-edit-save" data-index="${index}">Save</button>
+            </div>
+        </div>
+    `.trim();
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+export {
+    CHART_TYPES,
+    getEditableFields,
+    applyEdits,
+    applyEditToList,
+    renderEditForm
+};
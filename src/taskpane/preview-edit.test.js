@@ -0,0 +1,95 @@
+/**
+ * Tests for Preview Edit Module
+ */
+
+import { getEditableFields, applyEdits, applyEditToList, renderEditForm } from "./preview-edit.js";
+import { validateAction } from "./action-validation.js";
+
+describe("Preview Edit", () => {
+    describe("getEditableFields", () => {
+        test("offers the target and the raw payload of text formats", () => {
+            const fields = getEditableFields({ type: "formula", target: "C2:C10", data: "=A2*B2" });
+            expect(fields.map(field => field.id)).toEqual(["attr:target", "data"]);
+            expect(fields[1]).toMatchObject({ label: "Formula", value: "=A2*B2", multiline: false });
+        });
+
+        test("splits flat JSON objects into typed fields", () => {
+            const fields = getEditableFields({ type: "format", target: "A1:D1", data: "{\"bold\":true,\"fill\":\"#FFFF00\",\"fontSize\":12}" });
+            expect(fields.map(field => field.id)).toEqual(["attr:target", "data:bold", "data:fill", "data:fontSize"]);
+            expect(fields[1].options).toEqual(["true", "false"]);
+            expect(fields[3].value).toBe("12");
+        });
+
+        test("adds source and chart attributes, and skips payloads of data-less types", () => {
+            expect(getEditableFields({ type: "copy", target: "D1", source: "A1:B5" }).map(field => field.id))
+                .toEqual(["attr:target", "attr:source"]);
+
+            const chart = getEditableFields({ type: "chart", target: "A1:B10", chartType: "line", title: "Sales", position: "H2" });
+            expect(chart.find(field => field.id === "attr:chartType")).toMatchObject({ value: "line" });
+            expect(chart.find(field => field.id === "attr:chartType").options).toContain("pie");
+        });
+
+        test("falls back to raw JSON for nested payloads", () => {
+            const fields = getEditableFields({ type: "filter", target: "A1:C20", data: "{\"column\":1,\"values\":[\"East\"]}" });
+            expect(fields[1]).toMatchObject({ id: "data", multiline: true });
+        });
+    });
+
+    describe("applyEdits", () => {
+        test("returns a new action with edited attributes and payload", () => {
+            const action = { type: "formula", target: "C2:C10", data: "=A2*B2" };
+            const edited = applyEdits(action, { "attr:target": " D2:D10 ", data: "=A2+B2" });
+            expect(edited).toEqual({ type: "formula", target: "D2:D10", data: "=A2+B2" });
+            expect(action.target).toBe("C2:C10");
+        });
+
+        test("keeps the types of JSON properties", () => {
+            const action = { type: "format", target: "A1", data: "{\"bold\":true,\"fontSize\":12,\"fill\":\"#FFFF00\"}" };
+            const edited = applyEdits(action, { "data:bold": "false", "data:fontSize": "14", "data:fill": "#00FF00" });
+            expect(JSON.parse(edited.data)).toEqual({ bold: false, fontSize: 14, fill: "#00FF00" });
+        });
+
+        test("produces actions that the parser's validation checks", () => {
+            const action = { type: "format", target: "A1", data: "{\"fontSize\":12}" };
+            expect(validateAction(applyEdits(action, { "data:fontSize": "large" })).valid).toBe(false);
+            expect(validateAction(applyEdits(action, { "attr:target": "" })).valid).toBe(false);
+            expect(validateAction(applyEdits(action, { "data:fontSize": "16" })).valid).toBe(true);
+        });
+    });
+
+    describe("applyEditToList", () => {
+        const ACTIONS = [
+            { id: "tbl1", type: "createTable", target: "A1:C10", data: "{\"tableName\":\"Sales\"}" },
+            { id: "style", type: "styleTable", target: "$ref:tbl1.name", data: "{\"style\":\"TableStyleLight9\"}" }
+        ];
+
+        test("reports references broken by the edit", () => {
+            const unknown = applyEditToList(ACTIONS, 1, { "attr:target": "$ref:tbl2.name" });
+            expect(unknown.issues[1]).toContain("$ref:tbl2.name refers to unknown action id \"tbl2\"");
+            expect(unknown.issues[0]).toEqual([]);
+
+            const circular = applyEditToList(ACTIONS, 0, { "attr:target": "$ref:style.target" });
+            expect(circular.issues.every(list => list.some(issue => issue.startsWith("Circular reference")))).toBe(true);
+            expect(ACTIONS[0].target).toBe("A1:C10");
+        });
+
+        test("moves an action after the one it now references", () => {
+            const actions = [{ type: "format", target: "A1", data: "{\"bold\":true}" }, ...ACTIONS];
+            const result = applyEditToList(actions, 0, { "attr:target": "$ref:tbl1.target" });
+            expect(result.actions.map(action => action.target)).toEqual(["A1:C10", "$ref:tbl1.target", "$ref:tbl1.name"]);
+            expect(result.previous).toEqual([1, 0, 2]);
+            expect(result.issues).toEqual([[], [], []]);
+        });
+    });
+
+    describe("renderEditForm", () => {
+        test("renders escaped inputs with the field ids", () => {
+            const html = renderEditForm({ type: "values", target: "A1", data: "[[\"<b>\"]]" }, 3);
+            expect(html).toContain("data-index=\"3\"");
+            expect(html).toContain("data-field=\"attr:target\"");
+            expect(html).toContain("<textarea data-field=\"data\"");
+            expect(html).toContain("&lt;b&gt;");
+            expect(html).toContain("preview-edit-save");
+        });
+    });
+});
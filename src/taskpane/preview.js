@@ -557,6 +557,7 @@ function getActionDetails(action) {
                 const parts = [`Table: ${action.target}`];
                 if (opts.columnName) parts.push(`Column: ${opts.columnName}`);
                 if (opts.position) parts.push(`Position: ${opts.position}`);
+                if (opts.formula) parts.push(`Formula: ${opts.formula}`);
                 return parts.join("\n");
             } catch {
                 return `Add column to ${action.target}`;
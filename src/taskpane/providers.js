@@ -0,0 +1,480 @@
+/**
+ * LLM Provider Module
+ * Adapters that hide each backend's auth, request shape and response format
+ * behind one interface, so the add-in is not tied to a single model vendor.
+ *
+ * Supported providers:
+ *   gemini - Google Gemini (generativelanguage.googleapis.com)
+ *   openai - OpenAI-compatible chat completions (OpenAI, Azure OpenAI, vLLM, ...)
+ *   ollama - Local Ollama server (/api/chat)
+ *
+ * Messages are passed around in a provider-neutral shape:
+ *   { role: "user" | "assistant", content: string }
+ */
+
+/* global fetch, console */
+
+// ============================================================================
+// Shared Helpers
+// ============================================================================
+
+/**
+ * @typedef {Object} ProviderRequest
+ * @property {string} url - Request URL
+ * @property {Object} headers - HTTP headers
+ * @property {Object} body - JSON body
+ */
+
+/**
+ * @typedef {Object} ChatOptions
+ * @property {string} endpoint - Base endpoint (empty to use the provider default)
+ * @property {string} apiKey - API key (may be empty for local providers)
+ * @property {string} model - Model or deployment name
+ * @property {string} systemPrompt - System instruction
+ * @property {Object[]} messages - Conversation in provider-neutral shape
+ * @property {number} temperature - Sampling temperature
+ * @property {number} maxTokens - Maximum output tokens
+ * @property {boolean} stream - Whether to request a streamed response
+ * @property {Object} responseSchema - Optional JSON response schema (providers with supportsResponseSchema only)
+ */
+
+/**
+ * Removes trailing slashes from an endpoint URL
+ * @param {string} url - Endpoint URL
+ * @returns {string} Normalized URL
+ */
+function trimTrailingSlash(url) {
+    return String(url || "").replace(/\/+$/, "");
+}
+
+/**
+ * Builds the standard result object returned by extractResponse
+ * @param {string} text - Response text
+ * @param {string|null} error - Error message
+ * @param {boolean} blocked - Whether the response was blocked by the provider
+ * @returns {{ text: string, error: string|null, blocked: boolean }}
+ */
+function responseResult(text, error = null, blocked = false) {
+    return { text, error, blocked };
+}
+
+// ============================================================================
+// Gemini
+// ============================================================================
+
+const GEMINI_ENDPOINT = "https://generativelanguage.googleapis.com/v1beta/models/";
+
+/**
+ * Builds a Gemini generateContent / streamGenerateContent request
+ * @param {ChatOptions} options - Chat options
+ * @returns {ProviderRequest} Request description
+ */
+function buildGeminiRequest(options) {
+    const base = options.endpoint ? `${trimTrailingSlash(options.endpoint)}/` : GEMINI_ENDPOINT;
+    const method = options.stream ? "streamGenerateContent?alt=sse" : "generateContent";
+
+    const generationConfig = { temperature: options.temperature, maxOutputTokens: options.maxTokens };
+    if (options.responseSchema) {
+        generationConfig.responseMimeType = "application/json";
+        generationConfig.responseSchema = options.responseSchema;
+    }
+
+    return {
+        url: `${base}${options.model}:${method}`,
+        headers: {
+            "Content-Type": "application/json",
+            "x-goog-api-key": options.apiKey
+        },
+        body: {
+            systemInstruction: { parts: [{ text: options.systemPrompt }] },
+            contents: options.messages.map(m => ({
+                role: m.role === "assistant" ? "model" : "user",
+                parts: [{ text: m.content }]
+            })),
+            generationConfig
+        }
+    };
+}
+
+/**
+ * Extracts text from a Gemini response with robust traversal
+ * Handles multiple candidates and parts, safety filters, and errors
+ * @param {Object} data - Raw API response data
+ * @returns {Object} { text: string, error: string|null, blocked: boolean }
+ */
+function extractGeminiResponse(data) {
+    // Check for safety/error fields first
+    if (data?.promptFeedback?.blockReason) {
+        return responseResult("", `Request blocked: ${data.promptFeedback.blockReason}`, true);
+    }
+
+    // Check if candidates exist
+    if (!data?.candidates || data.candidates.length === 0) {
+        return responseResult("", "AI returned no content");
+    }
+
+    // Iterate over candidates, prefer those with content
+    const allTextParts = [];
+
+    for (const candidate of data.candidates) {
+        // Check for finish reason issues
+        if (candidate.finishReason === "SAFETY") {
+            return responseResult("", "Response blocked due to safety filters", true);
+        }
+
+        if (candidate.finishReason === "RECITATION") {
+            return responseResult("", "Response blocked due to recitation concerns", true);
+        }
+
+        // Extract text from all parts
+        if (candidate.content?.parts) {
+            for (const part of candidate.content.parts) {
+                if (part.text) {
+                    allTextParts.push(part.text);
+                }
+            }
+        }
+    }
+
+    // Join all text segments
+    const combinedText = allTextParts.join("\n");
+
+    if (!combinedText) {
+        return responseResult("", "AI response contained no text");
+    }
+
+    return responseResult(combinedText);
+}
+
+/**
+ * Extracts the text delta from one streamed Gemini chunk
+ * Throws when the chunk reports a safety or recitation block
+ * @param {Object} chunk - Parsed streamGenerateContent chunk
+ * @returns {string} Text contained in the chunk (may be empty)
+ */
+function extractGeminiStreamDelta(chunk) {
+    if (chunk?.promptFeedback?.blockReason) {
+        throw new Error(`Request blocked: ${chunk.promptFeedback.blockReason}`);
+    }
+
+    const parts = [];
+    for (const candidate of chunk?.candidates || []) {
+        if (candidate.finishReason === "SAFETY") {
+            throw new Error("Response blocked due to safety filters");
+        }
+        if (candidate.finishReason === "RECITATION") {
+            throw new Error("Response blocked due to recitation concerns");
+        }
+        for (const part of candidate.content?.parts || []) {
+            if (part.text) parts.push(part.text);
+        }
+    }
+    return parts.join("");
+}
+
+// ============================================================================
+// OpenAI-Compatible Chat Completions
+// ============================================================================
+
+/**
+ * Checks whether an endpoint points at Azure OpenAI (which uses the api-key header)
+ * @param {string} endpoint - Endpoint URL
+ * @returns {boolean} True for Azure OpenAI endpoints
+ */
+function isAzureEndpoint(endpoint) {
+    return /\.openai\.azure\.com/i.test(endpoint || "");
+}
+
+/**
+ * Resolves the chat completions URL for an OpenAI-compatible endpoint
+ * Accepts either a base URL (https://host/v1) or the full completions URL.
+ * Query strings (Azure api-version) are preserved.
+ * @param {string} endpoint - Configured endpoint
+ * @returns {string} Chat completions URL
+ */
+function getChatCompletionsUrl(endpoint) {
+    const [path, query] = String(endpoint || "https://api.openai.com/v1").split("?");
+    const base = trimTrailingSlash(path);
+    const url = /\/chat\/completions$/.test(base) ? base : `${base}/chat/completions`;
+    return query ? `${url}?${query}` : url;
+}
+
+/**
+ * Builds an OpenAI-compatible chat completions request
+ * @param {ChatOptions} options - Chat options
+ * @returns {ProviderRequest} Request description
+ */
+function buildOpenAIRequest(options) {
+    const headers = { "Content-Type": "application/json" };
+    if (options.apiKey) {
+        if (isAzureEndpoint(options.endpoint)) {
+            headers["api-key"] = options.apiKey;
+        } else {
+            headers.Authorization = `Bearer ${options.apiKey}`;
+        }
+    }
+
+    return {
+        url: getChatCompletionsUrl(options.endpoint),
+        headers,
+        body: {
+            model: options.model,
+            messages: [
+                { role: "system", content: options.systemPrompt },
+                ...options.messages.map(m => ({ role: m.role, content: m.content }))
+            ],
+            temperature: options.temperature,
+            max_tokens: options.maxTokens,
+            stream: !!options.stream
+        }
+    };
+}
+
+/**
+ * Extracts text from a chat completions response
+ * @param {Object} data - Raw API response data
+ * @returns {Object} { text: string, error: string|null, blocked: boolean }
+ */
+function extractOpenAIResponse(data) {
+    const choice = data?.choices?.[0];
+    if (!choice) {
+        return responseResult("", "AI returned no content");
+    }
+    if (choice.finish_reason === "content_filter") {
+        return responseResult("", "Response blocked due to content filter", true);
+    }
+    const text = choice.message?.content || "";
+    if (!text) {
+        return responseResult("", "AI response contained no text");
+    }
+    return responseResult(text);
+}
+
+/**
+ * Extracts the text delta from one streamed chat completions chunk
+ * @param {Object} chunk - Parsed stream chunk
+ * @returns {string} Text contained in the chunk (may be empty)
+ */
+function extractOpenAIStreamDelta(chunk) {
+    const choice = chunk?.choices?.[0];
+    if (choice?.finish_reason === "content_filter") {
+        throw new Error("Response blocked due to content filter");
+    }
+    return choice?.delta?.content || "";
+}
+
+/**
+ * Lists models served by an OpenAI-compatible endpoint (GET /models)
+ * @param {Object} options - { endpoint, apiKey, fetchImpl }
+ * @returns {Promise<string[]>} Model ids
+ */
+async function listOpenAIModels(options) {
+    const fetchImpl = options.fetchImpl || fetch;
+    const url = getChatCompletionsUrl(options.endpoint).replace(/\/chat\/completions(\?|$)/, "/models$1");
+    const { headers } = buildOpenAIRequest({ ...options, messages: [] });
+    const res = await fetchImpl(url, { headers });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const data = await res.json();
+    return (data.data || []).map(m => m.id).filter(Boolean);
+}
+
+// ============================================================================
+// Ollama
+// ============================================================================
+
+const OLLAMA_ENDPOINT = "http://localhost:11434";
+
+/**
+ * Builds an Ollama /api/chat request
+ * @param {ChatOptions} options - Chat options
+ * @returns {ProviderRequest} Request description
+ */
+function buildOllamaRequest(options) {
+    const headers = { "Content-Type": "application/json" };
+    if (options.apiKey) {
+        headers.Authorization = `Bearer ${options.apiKey}`;
+    }
+
+    return {
+        url: `${trimTrailingSlash(options.endpoint || OLLAMA_ENDPOINT)}/api/chat`,
+        headers,
+        body: {
+            model: options.model,
+            messages: [
+                { role: "system", content: options.systemPrompt },
+                ...options.messages.map(m => ({ role: m.role, content: m.content }))
+            ],
+            stream: !!options.stream,
+            options: { temperature: options.temperature, num_predict: options.maxTokens }
+        }
+    };
+}
+
+/**
+ * Extracts text from an Ollama chat response
+ * @param {Object} data - Raw API response data
+ * @returns {Object} { text: string, error: string|null, blocked: boolean }
+ */
+function extractOllamaResponse(data) {
+    if (data?.error) {
+        return responseResult("", String(data.error));
+    }
+    const text = data?.message?.content || "";
+    if (!text) {
+        return responseResult("", "AI response contained no text");
+    }
+    return responseResult(text);
+}
+
+/**
+ * Extracts the text delta from one streamed Ollama NDJSON line
+ * @param {Object} chunk - Parsed NDJSON object
+ * @returns {string} Text contained in the chunk (may be empty)
+ */
+function extractOllamaStreamDelta(chunk) {
+    if (chunk?.error) {
+        throw new Error(String(chunk.error));
+    }
+    return chunk?.message?.content || "";
+}
+
+/**
+ * Lists models installed on the Ollama server (GET /api/tags)
+ * @param {Object} options - { endpoint, fetchImpl }
+ * @returns {Promise<string[]>} Model names
+ */
+async function listOllamaModels(options) {
+    const fetchImpl = options.fetchImpl || fetch;
+    const res = await fetchImpl(`${trimTrailingSlash(options.endpoint || OLLAMA_ENDPOINT)}/api/tags`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const data = await res.json();
+    return (data.models || []).map(m => m.name).filter(Boolean);
+}
+
+// ============================================================================
+// Provider Registry
+// ============================================================================
+
+/**
+ * @typedef {Object} Provider
+ * @property {string} id - Provider id
+ * @property {string} label - Display name
+ * @property {string} defaultEndpoint - Endpoint used when none is configured
+ * @property {boolean} requiresApiKey - Whether requests need an API key
+ * @property {boolean} supportsResponseSchema - Whether buildRequest honours options.responseSchema
+ * @property {Object[]} models - Built-in model list ({ id, label })
+ * @property {string} streamFormat - "sse" or "ndjson"
+ * @property {Function} buildRequest - (ChatOptions) => ProviderRequest
+ * @property {Function} extractResponse - (data) => { text, error, blocked }
+ * @property {Function} extractStreamDelta - (chunk) => string
+ * @property {Function|null} listModels - Optional async model discovery
+ */
+
+const PROVIDERS = {
+    gemini: {
+        id: "gemini",
+        label: "Google Gemini",
+        defaultEndpoint: GEMINI_ENDPOINT,
+        requiresApiKey: true,
+        supportsResponseSchema: true,
+        models: [
+            { id: "gemini-2.5-flash", label: "Gemini 2.5 Flash (Recommended)" },
+            { id: "gemini-2.0-flash-exp", label: "Gemini 2.0 Flash" },
+            { id: "gemini-2.0-pro-exp", label: "Gemini 2.0 Pro" }
+        ],
+        streamFormat: "sse",
+        buildRequest: buildGeminiRequest,
+        extractResponse: extractGeminiResponse,
+        extractStreamDelta: extractGeminiStreamDelta,
+        listModels: null
+    },
+    openai: {
+        id: "openai",
+        label: "OpenAI-compatible (OpenAI, Azure OpenAI, vLLM)",
+        defaultEndpoint: "https://api.openai.com/v1",
+        requiresApiKey: false,
+        supportsResponseSchema: false,
+        models: [
+            { id: "gpt-4o-mini", label: "GPT-4o mini" },
+            { id: "gpt-4o", label: "GPT-4o" },
+            { id: "gpt-4.1-mini", label: "GPT-4.1 mini" }
+        ],
+        streamFormat: "sse",
+        buildRequest: buildOpenAIRequest,
+        extractResponse: extractOpenAIResponse,
+        extractStreamDelta: extractOpenAIStreamDelta,
+        listModels: listOpenAIModels
+    },
+    ollama: {
+        id: "ollama",
+        label: "Ollama (local)",
+        defaultEndpoint: OLLAMA_ENDPOINT,
+        requiresApiKey: false,
+        supportsResponseSchema: false,
+        models: [
+            { id: "llama3.1", label: "Llama 3.1" },
+            { id: "qwen2.5", label: "Qwen 2.5" },
+            { id: "mistral", label: "Mistral" }
+        ],
+        streamFormat: "ndjson",
+        buildRequest: buildOllamaRequest,
+        extractResponse: extractOllamaResponse,
+        extractStreamDelta: extractOllamaStreamDelta,
+        listModels: listOllamaModels
+    }
+};
+
+const DEFAULT_PROVIDER = "gemini";
+
+/**
+ * Gets a provider adapter by id (falls back to Gemini)
+ * @param {string} id - Provider id
+ * @returns {Provider} Provider adapter
+ */
+function getProvider(id) {
+    return PROVIDERS[id] || PROVIDERS[DEFAULT_PROVIDER];
+}
+
+/**
+ * Gets the models to show for a provider
+ * Uses the provider's discovery endpoint when available, falling back to the built-in list
+ * @param {string} id - Provider id
+ * @param {Object} options - { endpoint, apiKey, fetchImpl }
+ * @returns {Promise<Object[]>} Models as { id, label }
+ */
+async function getProviderModels(id, options = {}) {
+    const provider = getProvider(id);
+    if (!provider.listModels) {
+        return provider.models;
+    }
+    try {
+        const ids = await provider.listModels({ ...options, endpoint: options.endpoint || provider.defaultEndpoint });
+        if (ids.length > 0) {
+            return ids.map(modelId => ({ id: modelId, label: modelId }));
+        }
+    } catch (e) {
+        console.warn(`Could not list ${provider.label} models:`, e.message);
+    }
+    return provider.models;
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+export {
+    PROVIDERS,
+    DEFAULT_PROVIDER,
+    getProvider,
+    getProviderModels,
+    buildGeminiRequest,
+    extractGeminiResponse,
+    extractGeminiStreamDelta,
+    buildOpenAIRequest,
+    extractOpenAIResponse,
+    extractOpenAIStreamDelta,
+    getChatCompletionsUrl,
+    buildOllamaRequest,
+    extractOllamaResponse,
+    extractOllamaStreamDelta
+};
@@ -0,0 +1,186 @@
+/**
+ * Tests for LLM Provider Module
+ */
+
+import {
+    PROVIDERS,
+    getProvider,
+    getProviderModels,
+    buildGeminiRequest,
+    extractGeminiResponse,
+    extractGeminiStreamDelta,
+    buildOpenAIRequest,
+    extractOpenAIResponse,
+    extractOpenAIStreamDelta,
+    getChatCompletionsUrl,
+    buildOllamaRequest,
+    extractOllamaResponse,
+    extractOllamaStreamDelta
+} from "./providers.js";
+
+const baseOptions = {
+    endpoint: "",
+    apiKey: "secret",
+    model: "test-model",
+    systemPrompt: "You are helpful",
+    messages: [
+        { role: "user", content: "Hi" },
+        { role: "assistant", content: "Hello" },
+        { role: "user", content: "Sum A1:A5" }
+    ],
+    temperature: 0.2,
+    maxTokens: 1000,
+    stream: true
+};
+
+/**
+ * Builds a minimal fetch stub returning the given JSON
+ * @param {Object} data - JSON body
+ * @param {number} status - HTTP status
+ * @returns {Function} Fetch stub that records its calls
+ */
+function jsonFetch(data, status = 200) {
+    const stub = jest.fn(async () => ({
+        ok: status >= 200 && status < 300,
+        status,
+        json: async () => data
+    }));
+    return stub;
+}
+
+describe("Providers", () => {
+    describe("registry", () => {
+        test("every provider implements the adapter interface", () => {
+            for (const provider of Object.values(PROVIDERS)) {
+                expect(typeof provider.buildRequest).toBe("function");
+                expect(typeof provider.extractResponse).toBe("function");
+                expect(typeof provider.extractStreamDelta).toBe("function");
+                expect(["sse", "ndjson"]).toContain(provider.streamFormat);
+                expect(provider.models.length).toBeGreaterThan(0);
+            }
+        });
+
+        test("unknown ids fall back to Gemini", () => {
+            expect(getProvider("nope").id).toBe("gemini");
+        });
+    });
+
+    describe("Gemini", () => {
+        test("builds a streaming request with the key in a header", () => {
+            const req = buildGeminiRequest(baseOptions);
+            expect(req.url).toBe("https://generativelanguage.googleapis.com/v1beta/models/test-model:streamGenerateContent?alt=sse");
+            expect(req.url).not.toContain("secret");
+            expect(req.headers["x-goog-api-key"]).toBe("secret");
+            expect(req.body.systemInstruction.parts[0].text).toBe("You are helpful");
+            expect(req.body.contents.map(c => c.role)).toEqual(["user", "model", "user"]);
+            expect(req.body.generationConfig).toEqual({ temperature: 0.2, maxOutputTokens: 1000 });
+        });
+
+        test("requests JSON output when a response schema is given", () => {
+            const schema = { type: "OBJECT", properties: {} };
+            const req = buildGeminiRequest({ ...baseOptions, responseSchema: schema });
+            expect(req.body.generationConfig.responseMimeType).toBe("application/json");
+            expect(req.body.generationConfig.responseSchema).toBe(schema);
+            expect(buildGeminiRequest(baseOptions).body.generationConfig.responseMimeType).toBeUndefined();
+        });
+
+        test("extracts joined text from all candidates", () => {
+            const data = { candidates: [{ content: { parts: [{ text: "a" }, { text: "b" }] } }] };
+            expect(extractGeminiResponse(data)).toEqual({ text: "a\nb", error: null, blocked: false });
+        });
+
+        test("reports blocked responses", () => {
+            expect(extractGeminiResponse({ promptFeedback: { blockReason: "SAFETY" } }).blocked).toBe(true);
+            expect(extractGeminiResponse({ candidates: [{ finishReason: "SAFETY" }] }).blocked).toBe(true);
+            expect(extractGeminiResponse({ candidates: [] }).error).toBe("AI returned no content");
+        });
+
+        test("stream deltas join parts and throw on blocks", () => {
+            expect(extractGeminiStreamDelta({ candidates: [{ content: { parts: [{ text: "a" }, { text: "b" }] } }] })).toBe("ab");
+            expect(extractGeminiStreamDelta({ usageMetadata: { totalTokenCount: 10 } })).toBe("");
+            expect(() => extractGeminiStreamDelta({ promptFeedback: { blockReason: "OTHER" } }))
+                .toThrow("Request blocked: OTHER");
+        });
+    });
+
+    describe("OpenAI-compatible", () => {
+        test("appends /chat/completions to base URLs only once", () => {
+            expect(getChatCompletionsUrl("http://localhost:8000/v1/")).toBe("http://localhost:8000/v1/chat/completions");
+            expect(getChatCompletionsUrl("https://api.openai.com/v1/chat/completions")).toBe("https://api.openai.com/v1/chat/completions");
+        });
+
+        test("keeps the Azure api-version query string and uses the api-key header", () => {
+            const endpoint = "https://res.openai.azure.com/openai/deployments/gpt4?api-version=2024-06-01";
+            const req = buildOpenAIRequest({ ...baseOptions, endpoint });
+            expect(req.url).toBe("https://res.openai.azure.com/openai/deployments/gpt4/chat/completions?api-version=2024-06-01");
+            expect(req.headers["api-key"]).toBe("secret");
+            expect(req.headers.Authorization).toBeUndefined();
+        });
+
+        test("uses bearer auth and a system message", () => {
+            const req = buildOpenAIRequest({ ...baseOptions, endpoint: "https://api.openai.com/v1" });
+            expect(req.headers.Authorization).toBe("Bearer secret");
+            expect(req.body.messages[0]).toEqual({ role: "system", content: "You are helpful" });
+            expect(req.body.messages).toHaveLength(4);
+            expect(req.body.stream).toBe(true);
+        });
+
+        test("omits auth headers when no key is set (vLLM)", () => {
+            const req = buildOpenAIRequest({ ...baseOptions, apiKey: "", endpoint: "http://localhost:8000/v1" });
+            expect(req.headers).toEqual({ "Content-Type": "application/json" });
+        });
+
+        test("extracts message content and stream deltas", () => {
+            expect(extractOpenAIResponse({ choices: [{ message: { content: "ok" } }] }).text).toBe("ok");
+            expect(extractOpenAIResponse({ choices: [{ finish_reason: "content_filter" }] }).blocked).toBe(true);
+            expect(extractOpenAIStreamDelta({ choices: [{ delta: { content: "x" } }] })).toBe("x");
+            expect(extractOpenAIStreamDelta({ choices: [{ delta: {} }] })).toBe("");
+        });
+    });
+
+    describe("Ollama", () => {
+        test("builds an /api/chat request against the local default", () => {
+            const req = buildOllamaRequest({ ...baseOptions, apiKey: "" });
+            expect(req.url).toBe("http://localhost:11434/api/chat");
+            expect(req.headers.Authorization).toBeUndefined();
+            expect(req.body.options).toEqual({ temperature: 0.2, num_predict: 1000 });
+        });
+
+        test("extracts message content and string errors", () => {
+            expect(extractOllamaResponse({ message: { content: "ok" } }).text).toBe("ok");
+            expect(extractOllamaResponse({ error: "model not found" }).error).toBe("model not found");
+            expect(extractOllamaStreamDelta({ message: { content: "x" }, done: false })).toBe("x");
+            expect(() => extractOllamaStreamDelta({ error: "boom" })).toThrow("boom");
+        });
+    });
+
+    describe("getProviderModels", () => {
+        test("returns the built-in list for Gemini without fetching", async () => {
+            const fetchImpl = jsonFetch({});
+            const models = await getProviderModels("gemini", { fetchImpl });
+            expect(models).toBe(PROVIDERS.gemini.models);
+            expect(fetchImpl).not.toHaveBeenCalled();
+        });
+
+        test("lists installed Ollama models", async () => {
+            const fetchImpl = jsonFetch({ models: [{ name: "llama3.1:8b" }, { name: "phi3" }] });
+            const models = await getProviderModels("ollama", { fetchImpl });
+            expect(fetchImpl).toHaveBeenCalledWith("http://localhost:11434/api/tags");
+            expect(models.map(m => m.id)).toEqual(["llama3.1:8b", "phi3"]);
+        });
+
+        test("lists OpenAI-compatible models from /models", async () => {
+            const fetchImpl = jsonFetch({ data: [{ id: "Qwen/Qwen2.5-7B" }] });
+            const models = await getProviderModels("openai", { endpoint: "http://localhost:8000/v1", fetchImpl });
+            expect(fetchImpl.mock.calls[0][0]).toBe("http://localhost:8000/v1/models");
+            expect(models).toEqual([{ id: "Qwen/Qwen2.5-7B", label: "Qwen/Qwen2.5-7B" }]);
+        });
+
+        test("falls back to the built-in list when discovery fails", async () => {
+            const spy = jest.spyOn(console, "warn").mockImplementation(() => {});
+            const models = await getProviderModels("ollama", { fetchImpl: jsonFetch({}, 500) });
+            expect(models).toBe(PROVIDERS.ollama.models);
+            spy.mockRestore();
+        });
+    });
+});
@@ -0,0 +1,352 @@
+/**
+ * Query Engine Module
+ * Evaluates the queries the AI writes into read-only answers. Instead of counting
+ * through the data preview itself, the model writes <QUERY>{json spec}</QUERY>
+ * where a figure belongs; the taskpane runs the spec over all rows of the sheet
+ * and puts the exact result in its place.
+ */
+
+import { colLetterToIndex } from "./excel-data.js";
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const QUERY_CONFIG = {
+    // Groups and distinct values listed in an answer
+    MAX_LIST_ITEMS: 50,
+    MAX_FRACTION_DIGITS: 2
+};
+
+const QUERY_OPS = ["count", "sum", "avg", "min", "max", "distinct", "groupBy"];
+const CONDITION_OPS = ["=", "!=", ">", ">=", "<", "<=", "contains"];
+
+const QUERY_OPEN_TAG = "<QUERY";
+const QUERY_REGEX = /<QUERY>([\s\S]*?)<\/QUERY>/g;
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Checks whether a cell is empty
+ * @param {*} value - Cell value
+ * @returns {boolean} True for empty strings, null and undefined
+ */
+function isEmptyValue(value) {
+    return value === "" || value === null || value === undefined;
+}
+
+/**
+ * Converts a cell value to a number
+ * @param {*} value - Cell value
+ * @returns {number|null} The number, or null for text and empty cells
+ */
+function toNumber(value) {
+    if (typeof value === "number") return Number.isFinite(value) ? value : null;
+    if (typeof value !== "string" || !value.trim()) return null;
+    const number = Number(value.trim());
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Finds the index of a column by header name or column letter
+ * Header names win over letters, so a column titled "B" is found by its title.
+ * @param {Object} data - Sheet data (values, headers, columnMap)
+ * @param {string} column - Header name (case-insensitive) or column letter
+ * @returns {number} Zero-based index within the values
+ */
+function resolveColumn(data, column) {
+    const name = String(column ?? "").trim();
+    if (!name) throw new Error("Missing column");
+
+    const headers = data.headers || data.values?.[0] || [];
+    const byHeader = headers.findIndex(header => String(header).trim().toLowerCase() === name.toLowerCase());
+    if (byHeader !== -1) return byHeader;
+
+    if (/^[A-Z]{1,3}$/i.test(name)) {
+        const letter = name.toUpperCase();
+        const mapped = (data.columnMap || []).find(col => col.letter === letter);
+        if (mapped) return mapped.index;
+        if (!data.columnMap) {
+            const index = colLetterToIndex(letter);
+            if (index < headers.length) return index;
+        }
+    }
+    throw new Error(`Unknown column "${name}"`);
+}
+
+/**
+ * Builds a row predicate from one condition
+ * Text comparisons ignore case unless matchCase is set; ordering operators
+ * compare numbers when both sides are numeric and text otherwise.
+ * @param {Object} data - Sheet data
+ * @param {{ column: string, op?: string, value: * }} condition - Condition
+ * @param {boolean} matchCase - Compare text case-sensitively
+ * @returns {function(Array): boolean} Predicate over a row
+ */
+function buildCondition(data, condition, matchCase) {
+    const index = resolveColumn(data, condition?.column);
+    const op = condition.op || "=";
+    if (!CONDITION_OPS.includes(op)) {
+        throw new Error(`Unknown condition operator "${op}" (use ${CONDITION_OPS.join(", ")})`);
+    }
+    const expected = condition.value;
+    const expectedNumber = toNumber(expected);
+    const normalize = value => (matchCase ? String(value ?? "") : String(value ?? "").toLowerCase());
+    const expectedText = normalize(expected);
+
+    return row => {
+        const value = row[index];
+        if (op === "contains") return !isEmptyValue(value) && normalize(value).includes(expectedText);
+
+        const number = toNumber(value);
+        let order;
+        if (number !== null && expectedNumber !== null) {
+            order = number - expectedNumber;
+        } else {
+            const text = normalize(value);
+            order = text === expectedText ? 0 : (text < expectedText ? -1 : 1);
+        }
+        switch (op) {
+            case "=": return order === 0;
+            case "!=": return order !== 0;
+            case ">": return order > 0;
+            case ">=": return order >= 0;
+            case "<": return order < 0;
+            default: return order <= 0;
+        }
+    };
+}
+
+/**
+ * Aggregates the values of one column
+ * @param {string} op - count, sum, avg, min or max
+ * @param {Array} values - Cell values
+ * @returns {number|null} Result, null when there are no numbers to aggregate
+ */
+function aggregate(op, values) {
+    const filled = values.filter(value => !isEmptyValue(value));
+    if (op === "count") return filled.length;
+
+    const numbers = filled.map(toNumber).filter(number => number !== null);
+    if (!numbers.length) return op === "sum" ? 0 : null;
+    switch (op) {
+        case "sum": return numbers.reduce((total, number) => total + number, 0);
+        case "avg": return numbers.reduce((total, number) => total + number, 0) / numbers.length;
+        case "min": return numbers.reduce((min, number) => Math.min(min, number), Infinity);
+        default: return numbers.reduce((max, number) => Math.max(max, number), -Infinity);
+    }
+}
+
+/**
+ * Counts the distinct values of a column, in order of first appearance
+ * Text values that differ only in case are merged unless matchCase is set.
+ * @param {Array} values - Cell values
+ * @param {boolean} matchCase - Keep values that differ in case apart
+ * @returns {{ value: *, count: number }[]} Distinct values with their counts
+ */
+function countDistinct(values, matchCase) {
+    const groups = new Map();
+    for (const value of values) {
+        if (isEmptyValue(value)) continue;
+        const key = typeof value === "string" && !matchCase ? value.trim().toLowerCase() : value;
+        const group = groups.get(key);
+        if (group) {
+            group.count++;
+        } else {
+            groups.set(key, { value, count: 1 });
+        }
+    }
+    return [...groups.values()];
+}
+
+/**
+ * Formats a number for an answer
+ * @param {number} value - Number
+ * @returns {string} Number with thousands separators and at most two decimals
+ */
+function formatNumber(value) {
+    return value.toLocaleString("en-US", { maximumFractionDigits: QUERY_CONFIG.MAX_FRACTION_DIGITS });
+}
+
+// ============================================================================
+// Queries
+// ============================================================================
+
+/**
+ * @typedef {Object} QuerySpec
+ * @property {string} op - count, sum, avg, min, max, distinct or groupBy
+ * @property {string} [column] - Column to aggregate (optional for count, which then counts rows)
+ * @property {{ column: string, op?: string, value: * }[]} [where] - Conditions, all of which must hold
+ * @property {string} [by] - Column to group by (groupBy)
+ * @property {string} [agg] - Aggregation per group (groupBy, default count)
+ * @property {boolean} [matchCase] - Compare text case-sensitively
+ * @property {string} [sheet] - Sheet to query instead of the active one
+ */
+
+/**
+ * Runs a query over all data rows of a sheet
+ * @param {QuerySpec} spec - Query
+ * @param {Object} data - Sheet data from readExcelData (values with the header row first)
+ * @returns {{ op: string, value?: number|null, rows: number, groups?: { value: *, count?: number, result: number|null }[] }} Result
+ */
+function runQuery(spec, data) {
+    if (!spec || typeof spec !== "object") throw new Error("Query must be a JSON object");
+    const op = spec.op;
+    if (!QUERY_OPS.includes(op)) throw new Error(`Unknown query "${op}" (use ${QUERY_OPS.join(", ")})`);
+    if (!data?.values?.length) throw new Error("No data to query");
+
+    const matchCase = spec.matchCase === true;
+    const where = Array.isArray(spec.where) ? spec.where : (spec.where ? [spec.where] : []);
+    const conditions = where.map(condition => buildCondition(data, condition, matchCase));
+    const rows = data.values.slice(1).filter(row => conditions.every(condition => condition(row)));
+
+    if (op === "count" && !spec.column) {
+        return { op, value: rows.length, rows: rows.length };
+    }
+
+    if (op === "groupBy") {
+        const byIndex = resolveColumn(data, spec.by);
+        const agg = spec.agg || "count";
+        if (!["count", "sum", "avg", "min", "max"].includes(agg)) throw new Error(`Unknown aggregation "${agg}"`);
+        const column = agg === "count" && !spec.column ? null : resolveColumn(data, spec.column);
+
+        const buckets = new Map();
+        for (const row of rows) {
+            const key = row[byIndex];
+            if (isEmptyValue(key)) continue;
+            const bucketKey = typeof key === "string" && !matchCase ? key.trim().toLowerCase() : key;
+            if (!buckets.has(bucketKey)) buckets.set(bucketKey, { value: key, rows: [] });
+            buckets.get(bucketKey).rows.push(row);
+        }
+        const groups = [...buckets.values()]
+            .map(bucket => ({
+                value: bucket.value,
+                result: column === null ? bucket.rows.length : aggregate(agg, bucket.rows.map(row => row[column]))
+            }))
+            .sort((a, b) => (b.result ?? -Infinity) - (a.result ?? -Infinity));
+        return { op, rows: rows.length, groups };
+    }
+
+    const values = rows.map(row => row[resolveColumn(data, spec.column)]);
+    if (op === "distinct") {
+        const groups = countDistinct(values, matchCase).map(group => ({ value: group.value, result: group.count }));
+        return { op, value: groups.length, rows: rows.length, groups };
+    }
+    return { op, value: aggregate(op, values), rows: rows.length };
+}
+
+/**
+ * Formats a query result for the answer text
+ * Single figures are inlined; groups and distinct values become a list.
+ * @param {Object} result - Result from runQuery
+ * @returns {string} Text
+ */
+function formatQueryResult(result) {
+    if (!result.groups) {
+        return result.value === null ? "n/a (no numeric values)" : formatNumber(result.value);
+    }
+    if (!result.groups.length) return "none";
+
+    const shown = result.groups.slice(0, QUERY_CONFIG.MAX_LIST_ITEMS);
+    const lines = shown.map(group => {
+        const label = typeof group.value === "number" ? formatNumber(group.value) : String(group.value);
+        return `- ${label}: ${group.result === null ? "n/a" : formatNumber(group.result)}`;
+    });
+    if (result.groups.length > shown.length) {
+        lines.push(`- ... and ${result.groups.length - shown.length} more`);
+    }
+    const heading = result.op === "distinct" ? `${formatNumber(result.value)} distinct values` : "";
+    return `${heading}\n${lines.join("\n")}\n`;
+}
+
+// ============================================================================
+// Answer Text
+// ============================================================================
+
+/**
+ * Gets the system-prompt section describing queries
+ * @returns {string} Prompt text
+ */
+function getQueryInstructions() {
+    return `
+
+## EXACT FIGURES WITH QUERIES
+The data preview shows only the first rows, so never count or add up values yourself.
+Write a query wherever a figure belongs; it is run over ALL rows and replaced by the exact result:
+<QUERY>{"op":"count","where":[{"column":"Region","op":"=","value":"East"}]}</QUERY>
+- op: ${QUERY_OPS.join(", ")}
+- column: header name or column letter (optional for count, which then counts rows)
+- where: conditions that must all hold; op is one of ${CONDITION_OPS.join(", ")}
+- groupBy: "by" is the grouping column, "agg" one of count, sum, avg, min, max over "column"
+- distinct and groupBy produce a list - put them on their own line
+- Text is compared ignoring case; add "matchCase":true when the user distinguishes case
+- Add "sheet" to query another sheet`;
+}
+
+/**
+ * Replaces the queries in an answer with their results
+ * A query that cannot run is replaced by a short error note, so the answer
+ * never shows a made-up figure in its place.
+ * @param {string} text - Answer text with QUERY tags
+ * @param {Object[]} sheets - Sheet data; the first is queried unless a spec names another sheet
+ * @returns {{ text: string, results: { spec: Object|null, result?: Object, error?: string }[] }} Answer and query outcomes
+ */
+function replaceQueries(text, sheets) {
+    const results = [];
+    const replaced = String(text).replace(QUERY_REGEX, (match, body) => {
+        let spec = null;
+        try {
+            spec = JSON.parse(body.trim());
+            const data = spec?.sheet
+                ? sheets.find(sheet => sheet?.sheetName?.toLowerCase() === String(spec.sheet).toLowerCase())
+                : sheets[0];
+            if (!data) throw new Error(`Sheet "${spec.sheet}" is not loaded`);
+            const result = runQuery(spec, data);
+            results.push({ spec, result });
+            return formatQueryResult(result);
+        } catch (e) {
+            const error = spec ? e.message : "Query is not valid JSON";
+            results.push({ spec, error });
+            return `[query failed: ${error}]`;
+        }
+    });
+    return { text: replaced.replace(/\n{3,}/g, "\n\n").trim(), results };
+}
+
+/**
+ * Hides queries while an answer is streaming, including an unfinished one at the end
+ * @param {string} text - Answer text, possibly still streaming
+ * @returns {string} Text with complete queries shown as "…"
+ */
+function maskQueries(text) {
+    let result = String(text).replace(QUERY_REGEX, "…");
+    const open = result.lastIndexOf(QUERY_OPEN_TAG);
+    if (open !== -1) {
+        result = result.slice(0, open);
+    } else {
+        // The stream may have stopped in the middle of "<QUERY"
+        for (let len = Math.min(QUERY_OPEN_TAG.length - 1, result.length); len > 0; len--) {
+            if (QUERY_OPEN_TAG.startsWith(result.slice(-len))) {
+                result = result.slice(0, -len);
+                break;
+            }
+        }
+    }
+    return result;
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+export {
+    QUERY_CONFIG,
+    resolveColumn,
+    runQuery,
+    formatQueryResult,
+    getQueryInstructions,
+    replaceQueries,
+    maskQueries
+};
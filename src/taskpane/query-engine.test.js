@@ -0,0 +1,140 @@
+/**
+ * Tests for Query Engine Module
+ */
+
+import { QUERY_CONFIG, resolveColumn, runQuery, formatQueryResult, getQueryInstructions, replaceQueries, maskQueries } from "./query-engine.js";
+
+const DATA = {
+    sheetName: "Sales",
+    headers: ["Region", "Rep", "Amount", "Status"],
+    columnMap: [
+        { letter: "B", index: 0, header: "Region" },
+        { letter: "C", index: 1, header: "Rep" },
+        { letter: "D", index: 2, header: "Amount" },
+        { letter: "E", index: 3, header: "Status" }
+    ],
+    values: [
+        ["Region", "Rep", "Amount", "Status"],
+        ["East", "Ann", 100, "d"],
+        ["West", "Bob", 250, "D"],
+        ["east", "Cid", 50, ""],
+        ["North", "Ann", "n/a", "d"],
+        ["West", "Dee", "300", "x"]
+    ]
+};
+
+describe("Query Engine", () => {
+    describe("resolveColumn", () => {
+        test("finds columns by header name or sheet column letter", () => {
+            expect(resolveColumn(DATA, "amount")).toBe(2);
+            expect(resolveColumn(DATA, "E")).toBe(3);
+            expect(() => resolveColumn(DATA, "A")).toThrow("Unknown column \"A\"");
+            expect(() => resolveColumn(DATA, "Price")).toThrow("Unknown column \"Price\"");
+        });
+    });
+
+    describe("runQuery", () => {
+        test("counts rows and non-empty cells", () => {
+            expect(runQuery({ op: "count" }, DATA).value).toBe(5);
+            expect(runQuery({ op: "count", column: "Status" }, DATA).value).toBe(4);
+        });
+
+        test("aggregates numbers, including numeric text", () => {
+            expect(runQuery({ op: "sum", column: "Amount" }, DATA).value).toBe(700);
+            expect(runQuery({ op: "avg", column: "Amount" }, DATA).value).toBe(175);
+            expect(runQuery({ op: "min", column: "Amount" }, DATA).value).toBe(50);
+            expect(runQuery({ op: "max", column: "Amount" }, DATA).value).toBe(300);
+        });
+
+        test("filters rows with conditions", () => {
+            expect(runQuery({ op: "count", where: [{ column: "Region", value: "EAST" }] }, DATA).value).toBe(2);
+            expect(runQuery({ op: "sum", column: "Amount", where: [{ column: "Amount", op: ">", value: 100 }] }, DATA).value).toBe(550);
+            expect(runQuery({ op: "count", where: [{ column: "Rep", op: "contains", value: "n" }, { column: "Region", op: "!=", value: "North" }] }, DATA).value)
+                .toBe(1);
+        });
+
+        test("compares text case-sensitively only when asked", () => {
+            expect(runQuery({ op: "count", where: [{ column: "Status", value: "d" }] }, DATA).value).toBe(3);
+            expect(runQuery({ op: "count", where: [{ column: "Status", value: "d" }], matchCase: true }, DATA).value).toBe(2);
+        });
+
+        test("lists distinct values with counts", () => {
+            const result = runQuery({ op: "distinct", column: "Region" }, DATA);
+            expect(result.value).toBe(3);
+            expect(result.groups).toEqual([
+                { value: "East", result: 2 },
+                { value: "West", result: 2 },
+                { value: "North", result: 1 }
+            ]);
+        });
+
+        test("groups rows and sorts groups by their result", () => {
+            const result = runQuery({ op: "groupBy", by: "Region", agg: "sum", column: "Amount" }, DATA);
+            expect(result.groups).toEqual([
+                { value: "West", result: 550 },
+                { value: "East", result: 150 },
+                { value: "North", result: 0 }
+            ]);
+            expect(runQuery({ op: "groupBy", by: "Rep" }, DATA).groups[0]).toEqual({ value: "Ann", result: 2 });
+        });
+
+        test("rejects unknown operations", () => {
+            expect(() => runQuery({ op: "median", column: "Amount" }, DATA)).toThrow("Unknown query \"median\"");
+            expect(() => runQuery({ op: "count", where: [{ column: "Amount", op: "~", value: 1 }] }, DATA))
+                .toThrow("Unknown condition operator \"~\"");
+            expect(() => runQuery({ op: "groupBy", by: "Region", agg: "median" }, DATA)).toThrow("Unknown aggregation \"median\"");
+        });
+    });
+
+    describe("formatQueryResult", () => {
+        test("formats figures and lists", () => {
+            expect(formatQueryResult({ op: "avg", value: 1234.5678, rows: 3 })).toBe("1,234.57");
+            expect(formatQueryResult({ op: "avg", value: null, rows: 0 })).toBe("n/a (no numeric values)");
+            expect(formatQueryResult({ op: "groupBy", rows: 2, groups: [{ value: "East", result: 2 }] })).toBe("\n- East: 2\n");
+        });
+
+        test("cuts long lists", () => {
+            const groups = Array.from({ length: QUERY_CONFIG.MAX_LIST_ITEMS + 5 }, (_, i) => ({ value: `v${i}`, result: 1 }));
+            const text = formatQueryResult({ op: "distinct", value: groups.length, rows: groups.length, groups });
+            expect(text).toContain(`${groups.length} distinct values`);
+            expect(text).toContain("- ... and 5 more");
+        });
+    });
+
+    describe("replaceQueries", () => {
+        test("replaces queries with their results", () => {
+            const text = "There are <QUERY>{\"op\":\"count\",\"where\":[{\"column\":\"Region\",\"value\":\"West\"}]}</QUERY> West deals "
+                + "worth <QUERY>{\"op\":\"sum\",\"column\":\"Amount\",\"where\":[{\"column\":\"Region\",\"value\":\"West\"}]}</QUERY>.";
+            const answer = replaceQueries(text, [DATA]);
+            expect(answer.text).toBe("There are 2 West deals worth 550.");
+            expect(answer.results.map(outcome => outcome.result.rows)).toEqual([2, 2]);
+        });
+
+        test("queries other sheets by name", () => {
+            const other = { sheetName: "Targets", headers: ["Goal"], values: [["Goal"], [10], [20]] };
+            expect(replaceQueries("<QUERY>{\"op\":\"sum\",\"column\":\"Goal\",\"sheet\":\"targets\"}</QUERY>", [DATA, other]).text).toBe("30");
+        });
+
+        test("shows failed queries instead of a figure", () => {
+            const answer = replaceQueries("Total: <QUERY>{\"op\":\"sum\",\"column\":\"Price\"}</QUERY>, <QUERY>{op}</QUERY>", [DATA]);
+            expect(answer.text).toBe("Total: [query failed: Unknown column \"Price\"], [query failed: Query is not valid JSON]");
+            expect(answer.results[0]).toEqual({ spec: { op: "sum", column: "Price" }, error: "Unknown column \"Price\"" });
+        });
+    });
+
+    describe("maskQueries", () => {
+        test("hides complete and unfinished queries", () => {
+            expect(maskQueries("Total: <QUERY>{\"op\":\"count\"}</QUERY> rows")).toBe("Total: … rows");
+            expect(maskQueries("Total: <QUERY>{\"op\":")).toBe("Total: ");
+            expect(maskQueries("Total: <QU")).toBe("Total: ");
+        });
+    });
+
+    describe("getQueryInstructions", () => {
+        test("describes operations and conditions", () => {
+            const text = getQueryInstructions();
+            expect(text).toContain("count, sum, avg, min, max, distinct, groupBy");
+            expect(text).toContain("=, !=, >, >=, <, <=, contains");
+        });
+    });
+});
@@ -0,0 +1,419 @@
+/**
+ * Region Detector Module
+ * Finds the separate data blocks of a sheet - tables side by side, title rows
+ * above them, notes below - and each block's real header rows, including
+ * multi-row headers. readExcelData reads the used range as one grid; the sheet
+ * view built here describes the largest block (with the others listed next to
+ * it) so that column mapping follows the data rather than the first row of the
+ * used range.
+ */
+
+import { colIndexToLetter, colLetterToIndex } from "./excel-data.js";
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const REGION_CONFIG = {
+    MAX_HEADER_ROWS: 3,
+    // Title rows (one label in the first column) stripped from the top of a block
+    MAX_TITLE_ROWS: 2,
+    // Rows sampled to tell header rows from data rows
+    SAMPLE_ROWS: 10,
+    // Number formats are read for this many top rows of the used range
+    FORMAT_ROWS: 12,
+    // A text block at most this many rows above a data block is its title
+    MAX_TITLE_GAP: 2,
+    MAX_NOTE_CHARS: 80
+};
+
+// Sheet views by snapshot - snapshots are replaced, never changed, when the sheet changes
+const viewCache = new WeakMap();
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Checks whether a cell has a value
+ * @param {*} value - Cell value
+ * @returns {boolean} False for empty strings, null and undefined
+ */
+function isFilled(value) {
+    return value !== "" && value !== null && value !== undefined;
+}
+
+/**
+ * Gets the share of text among the filled cells of a row
+ * @param {Array} row - Cell values
+ * @returns {number} 0 to 1, or -1 for an empty row
+ */
+function textShare(row) {
+    const filled = row.filter(isFilled);
+    if (!filled.length) return -1;
+    return filled.filter(value => typeof value === "string").length / filled.length;
+}
+
+/**
+ * Cuts a block of rows and columns out of the grid
+ * @param {Array[]} values - Grid
+ * @param {{ top: number, left: number, rowCount: number, colCount: number }} box - Block
+ * @returns {Array[]} Block values
+ */
+function sliceBox(values, box) {
+    return values.slice(box.top, box.top + box.rowCount).map(row => row.slice(box.left, box.left + box.colCount));
+}
+
+// ============================================================================
+// Detection
+// ============================================================================
+
+/**
+ * Finds the runs of filled rows or columns of a box
+ * @param {boolean[]} filled - Whether each row or column holds a value
+ * @returns {{ start: number, count: number }[]} Runs, in order
+ */
+function findRuns(filled) {
+    const runs = [];
+    for (let i = 0; i < filled.length; i++) {
+        if (!filled[i]) continue;
+        const last = runs[runs.length - 1];
+        if (last && last.start + last.count === i) {
+            last.count++;
+        } else {
+            runs.push({ start: i, count: 1 });
+        }
+    }
+    return runs;
+}
+
+/**
+ * Splits a box at empty rows, then at empty columns, until no block has either
+ * Each box is scanned once for its filled rows and columns and cut at all of its
+ * empty rows (or columns) at once; the parts wait on a stack rather than in
+ * recursive calls, so sheets with thousands of blank-separated records stay linear.
+ * @param {Array[]} values - Grid
+ * @param {Object} box - Box
+ * @returns {Object[]} Blocks, top to bottom and left to right
+ */
+function cutBlocks(values, box) {
+    const blocks = [];
+    const pending = [box];
+    while (pending.length) {
+        const current = pending.pop();
+        const filledRows = new Array(current.rowCount).fill(false);
+        const filledCols = new Array(current.colCount).fill(false);
+        for (let r = 0; r < current.rowCount; r++) {
+            const row = values[current.top + r];
+            if (!row) continue;
+            for (let c = 0; c < current.colCount; c++) {
+                if (isFilled(row[current.left + c])) {
+                    filledRows[r] = true;
+                    filledCols[c] = true;
+                }
+            }
+        }
+
+        const rowRuns = findRuns(filledRows);
+        const colRuns = findRuns(filledCols);
+        if (!rowRuns.length) continue;
+
+        const firstRow = rowRuns[0].start;
+        const lastRow = rowRuns[rowRuns.length - 1].start + rowRuns[rowRuns.length - 1].count;
+        const firstCol = colRuns[0].start;
+        const lastCol = colRuns[colRuns.length - 1].start + colRuns[colRuns.length - 1].count;
+        const trimmed = { top: current.top + firstRow, left: current.left + firstCol, rowCount: lastRow - firstRow, colCount: lastCol - firstCol };
+
+        let parts;
+        if (rowRuns.length > 1) {
+            parts = rowRuns.map(run => ({ ...trimmed, top: current.top + run.start, rowCount: run.count }));
+        } else if (colRuns.length > 1) {
+            parts = colRuns.map(run => ({ ...trimmed, left: current.left + run.start, colCount: run.count }));
+        } else {
+            blocks.push(trimmed);
+            continue;
+        }
+        // Last part pushed first, so blocks come out in reading order
+        for (let i = parts.length - 1; i >= 0; i--) pending.push(parts[i]);
+    }
+    return blocks;
+}
+
+/**
+ * Joins blocks split by a single blank row inside a table
+ * The lower block must lie within the columns of the upper one and start with
+ * data rather than a header row of its own.
+ * @param {Array[]} values - Grid
+ * @param {Object[]} blocks - Blocks from cutBlocks
+ * @returns {Object[]} Blocks
+ */
+function mergeBlankRowSplits(values, blocks) {
+    const merged = [];
+    for (const block of blocks) {
+        const above = merged[merged.length - 1];
+        if (above
+            && block.top - (above.top + above.rowCount) === 1
+            && block.left >= above.left && block.left + block.colCount <= above.left + above.colCount
+            && above.rowCount > 2
+            && countHeaderRows(sliceBox(values, { ...block, left: above.left, colCount: above.colCount })) === 0) {
+            above.rowCount = block.top + block.rowCount - above.top;
+            continue;
+        }
+        merged.push({ ...block });
+    }
+    return merged;
+}
+
+/**
+ * Counts the header rows at the top of a block
+ * Header rows are mostly text, and more so than the data rows below them; a
+ * block of text only has one. Further header rows follow sparser ones (group
+ * labels above the column names).
+ * @param {Array[]} rows - Block values
+ * @returns {number} 0 to MAX_HEADER_ROWS
+ */
+function countHeaderRows(rows) {
+    if (rows.length < 2) return 0;
+    const sample = rows.slice(Math.min(REGION_CONFIG.MAX_HEADER_ROWS, rows.length - 1)).slice(0, REGION_CONFIG.SAMPLE_ROWS);
+    const shares = sample.map(textShare).filter(share => share >= 0).sort((a, b) => a - b);
+    const dataShare = shares.length ? shares[Math.floor(shares.length / 2)] : 0;
+    const filledCount = row => row.filter(isFilled).length;
+
+    let count = 0;
+    while (count < REGION_CONFIG.MAX_HEADER_ROWS && count < rows.length - 1) {
+        const share = textShare(rows[count]);
+        const textTable = count === 0 && dataShare === 1;
+        if (share < 0.5 || (share <= dataShare && !textTable)) break;
+        if (count > 0 && filledCount(rows[count - 1]) >= filledCount(rows[count])) break;
+        count++;
+    }
+    return count;
+}
+
+/**
+ * Combines the header rows of a block into one name per column
+ * Labels of upper rows spanning several columns (merged cells keep the value in
+ * their first cell) carry over to the columns named by the last header row.
+ * @param {Array[]} headerRows - Header rows of the block
+ * @param {string[]} letters - Column letters of the block
+ * @returns {string[]} Names such as "Q1 / Sales", or "Column X" for unnamed columns
+ */
+function combineHeaders(headerRows, letters) {
+    const last = headerRows[headerRows.length - 1] || [];
+    const upper = headerRows.slice(0, -1).map(row => {
+        let carried = "";
+        return letters.map((_, c) => {
+            if (isFilled(row[c])) carried = String(row[c]).trim();
+            return isFilled(row[c]) || isFilled(last[c]) ? carried : "";
+        });
+    });
+    return letters.map((letter, c) => {
+        const parts = [...upper.map(row => row[c]), isFilled(last[c]) ? String(last[c]).trim() : ""].filter(Boolean);
+        return parts.length ? [...new Set(parts)].join(" / ") : `Column ${letter}`;
+    });
+}
+
+/**
+ * @typedef {Object} Region
+ * @property {number} top - First row of the block within the grid (title rows excluded)
+ * @property {number} left - First column within the grid
+ * @property {number} rowCount - Rows, header rows included
+ * @property {number} colCount - Columns
+ * @property {number} headerRows - Header rows at the top
+ * @property {string|null} title - Title above the block
+ */
+
+/**
+ * Finds the data blocks and the notes of a grid
+ * Blocks are separated by empty rows or columns. One-line labels are titles of
+ * the block just below them, or notes.
+ * @param {Array[]} values - Used range values
+ * @returns {{ regions: Region[], notes: { top: number, left: number, text: string }[] }} Blocks in reading order
+ */
+function detectRegions(values) {
+    const width = (values || []).reduce((max, row) => Math.max(max, row.length), 0);
+    const blocks = mergeBlankRowSplits(values || [], cutBlocks(values || [], { top: 0, left: 0, rowCount: (values || []).length, colCount: width }));
+
+    const regions = [];
+    const labels = [];
+    for (const block of blocks) {
+        const rows = sliceBox(values, block);
+        // At most two rows with one label each - a title or a note, not data
+        if (rows.length <= 2 && rows.every(row => row.filter(isFilled).length <= 1)) {
+            labels.push({ top: block.top, left: block.left, bottom: block.top + block.rowCount - 1, text: rows.map(row => row.filter(isFilled).join("")).join(" ") });
+            continue;
+        }
+
+        // Title rows inside the block: one label in the first column above wider rows
+        let titleRows = 0;
+        const titles = [];
+        while (titleRows < REGION_CONFIG.MAX_TITLE_ROWS && rows.length - titleRows > 1 && block.colCount > 1) {
+            const filled = rows[titleRows].map((value, c) => (isFilled(value) ? c : -1)).filter(c => c >= 0);
+            if (filled.length !== 1 || filled[0] !== 0 || rows[titleRows + 1].filter(isFilled).length < 2) break;
+            titles.push(String(rows[titleRows][0]).trim());
+            titleRows++;
+        }
+
+        const dataRows = rows.slice(titleRows);
+        regions.push({
+            top: block.top + titleRows,
+            left: block.left,
+            rowCount: block.rowCount - titleRows,
+            colCount: block.colCount,
+            headerRows: countHeaderRows(dataRows),
+            title: titles.length ? titles.join(" - ") : null
+        });
+    }
+
+    // Regions by first row, so each label only looks at the rows just below it
+    const byTop = new Map();
+    for (const region of regions) {
+        if (!byTop.has(region.top)) byTop.set(region.top, []);
+        byTop.get(region.top).push(region);
+    }
+
+    const notes = [];
+    for (const label of labels) {
+        let below = null;
+        for (let gap = 1; gap <= REGION_CONFIG.MAX_TITLE_GAP && !below; gap++) {
+            below = (byTop.get(label.bottom + gap) || []).find(region => !region.title
+                && label.left >= region.left && label.left < region.left + region.colCount);
+        }
+        if (below) {
+            below.title = label.text;
+        } else {
+            notes.push({ top: label.top, left: label.left, text: label.text });
+        }
+    }
+    return { regions, notes };
+}
+
+// ============================================================================
+// Sheet Views
+// ============================================================================
+
+/**
+ * Builds the sheet data of one block, in the shape readExcelData produces
+ * The first row of values is the combined header row, followed by the data rows.
+ * @param {Object} snapshot - Sheet data of the whole used range
+ * @param {Region} region - Block
+ * @returns {Object} Sheet data of the block
+ */
+function buildRegionView(snapshot, region) {
+    const usedTop = snapshot.startRow;
+    const usedLeft = colLetterToIndex(snapshot.startCol);
+    const prefix = String(snapshot.address).slice(0, String(snapshot.address).lastIndexOf("!") + 1);
+    const letters = Array.from({ length: region.colCount }, (_, c) => colIndexToLetter(usedLeft + region.left + c));
+
+    const rows = sliceBox(snapshot.values, region);
+    const headers = region.headerRows ? combineHeaders(rows.slice(0, region.headerRows), letters) : letters.map(letter => `Column ${letter}`);
+    const firstDataRow = usedTop + region.top + region.headerRows;
+    const formatRow = snapshot.topNumberFormats?.[region.top + region.headerRows]
+        || (region.top + region.headerRows === 1 ? snapshot.numberFormats : null)
+        || [];
+
+    return {
+        sheetName: snapshot.sheetName,
+        address: `${prefix}${letters[0]}${usedTop + region.top}:${letters[letters.length - 1]}${usedTop + region.top + region.rowCount - 1}`,
+        values: [headers, ...rows.slice(region.headerRows)],
+        formulas: snapshot.formulas && [headers, ...sliceBox(snapshot.formulas, region).slice(region.headerRows)],
+        headers,
+        columnMap: letters.map((letter, c) => ({ letter, index: c, header: headers[c] })),
+        numberFormats: formatRow.slice(region.left, region.left + region.colCount),
+        startRow: firstDataRow - 1,
+        startCol: letters[0],
+        rowCount: rows.length - region.headerRows + 1,
+        colCount: region.colCount,
+        dataStartRow: firstDataRow,
+        headerValidation: region.headerRows
+            ? { isValid: true, reason: `${region.headerRows} header row${region.headerRows === 1 ? "" : "s"} detected` }
+            : { isValid: false, reason: "No header row detected" },
+        headerRows: region.headerRows,
+        title: region.title
+    };
+}
+
+/**
+ * Gets the view of a sheet that the data context describes
+ * A sheet holding one block with at most one header row at the top of the used
+ * range is returned as it is. Otherwise the view is the largest block, with
+ * all blocks in "regions" and stray labels in "notes"; other sheet fields
+ * (pivot tables, comments, ...) are kept.
+ * @param {Object} snapshot - Sheet data of the whole used range (from readExcelData)
+ * @returns {Object} Sheet data
+ */
+function getSheetView(snapshot) {
+    if (!snapshot?.values) return snapshot;
+    if (viewCache.has(snapshot)) return viewCache.get(snapshot);
+
+    const { regions, notes } = detectRegions(snapshot.values);
+    const width = snapshot.values.reduce((max, row) => Math.max(max, row.length), 0);
+    const primary = regions.reduce((best, region) =>
+        (!best || region.rowCount * region.colCount > best.rowCount * best.colCount ? region : best), null);
+    const plain = regions.length === 1 && !notes.length && !primary.title && primary.headerRows <= 1
+        && primary.top === 0 && primary.left === 0
+        && primary.rowCount === snapshot.values.length && primary.colCount === width;
+
+    let view = snapshot;
+    if (primary && !plain) {
+        const primaryView = buildRegionView(snapshot, primary);
+        const usedTop = snapshot.startRow;
+        const usedLeft = colLetterToIndex(snapshot.startCol);
+        view = {
+            ...snapshot,
+            ...primaryView,
+            regions: regions.map(region => (region === primary ? primaryView : buildRegionView(snapshot, region))),
+            notes: notes.map(note => ({ address: `${colIndexToLetter(usedLeft + note.left)}${usedTop + note.top}`, text: note.text }))
+        };
+    }
+    viewCache.set(snapshot, view);
+    return view;
+}
+
+// ============================================================================
+// Formatting
+// ============================================================================
+
+/**
+ * Formats the blocks of a sheet view as the DATA REGIONS section of the data context
+ * @param {Object} view - Sheet view from getSheetView
+ * @returns {string} Markdown section, empty for sheets with one plain block
+ */
+function formatRegionContext(view) {
+    if (!view?.regions) return "";
+
+    const cut = text => (text.length > REGION_CONFIG.MAX_NOTE_CHARS ? `${text.slice(0, REGION_CONFIG.MAX_NOTE_CHARS)}…` : text);
+    let section = `## DATA REGIONS\n`;
+    section += view.regions.length > 1
+        ? `This sheet holds ${view.regions.length} separate data blocks. COLUMN STRUCTURE, DATA PREVIEW and queries describe the primary block; address the others by their own ranges.\n`
+        : `The data block does not start at the top of the used range. COLUMN STRUCTURE, DATA PREVIEW and queries describe this block.\n`;
+
+    view.regions.forEach((region, i) => {
+        const primary = region.address === view.address ? " (primary)" : "";
+        const title = region.title ? ` "${cut(region.title)}"` : "";
+        const headerText = region.headerRows
+            ? `${region.headerRows} header row${region.headerRows === 1 ? "" : "s"}, data from row ${region.dataStartRow}`
+            : `no header row, data from row ${region.dataStartRow}`;
+        section += `\n### Block ${i + 1}${title}${primary}: ${region.address}\n`;
+        section += `- ${headerText}, ${region.rowCount - 1} data rows\n`;
+        section += `- Columns: ${region.columnMap.map(col => `${col.letter}: ${cut(String(col.header))}`).join(", ")}\n`;
+    });
+
+    if (view.notes?.length) {
+        section += `\n**Notes on the sheet:** ${view.notes.map(note => `${note.address}: "${cut(note.text)}"`).join("; ")}\n`;
+    }
+    return section;
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+export {
+    REGION_CONFIG,
+    detectRegions,
+    countHeaderRows,
+    combineHeaders,
+    getSheetView,
+    formatRegionContext
+};
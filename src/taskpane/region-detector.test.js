@@ -0,0 +1,153 @@
+/**
+ * Tests for Region Detector Module
+ */
+
+import { detectRegions, countHeaderRows, combineHeaders, getSheetView, formatRegionContext } from "./region-detector.js";
+
+/**
+ * Creates sheet data of a used range starting at A1
+ * @param {Array[]} values - Used range values
+ * @param {Array[]} [topNumberFormats] - Number formats of the top rows
+ * @returns {Object} Sheet data as readExcelData stores it
+ */
+function createSnapshot(values, topNumberFormats = []) {
+    return {
+        sheetName: "Report",
+        address: `Report!A1:${String.fromCharCode(64 + values[0].length)}${values.length}`,
+        values,
+        startRow: 1,
+        startCol: "A",
+        numberFormats: topNumberFormats[1] || [],
+        topNumberFormats
+    };
+}
+
+const SALES = [
+    ["Region", "Qty", "Price"],
+    ["East", 10, 2.5],
+    ["West", 4, 3],
+    ["North", 7, 1.25]
+];
+
+describe("Region Detector", () => {
+    describe("countHeaderRows", () => {
+        test("finds single and multi-row headers", () => {
+            expect(countHeaderRows(SALES)).toBe(1);
+            expect(countHeaderRows([["", "Q1", "", "Q2"], ["Region", "Sales", "Units", "Sales"], ["East", 1, 2, 3], ["West", 4, 5, 6]])).toBe(2);
+            expect(countHeaderRows([["Name", "City"], ["Ann", "Oslo"], ["Bo", "Rome"]])).toBe(1);
+            expect(countHeaderRows([[1, 2], [3, 4], [5, 6]])).toBe(0);
+        });
+
+        test("does not take text data rows for more header rows", () => {
+            expect(countHeaderRows([["Region", "Note", "Qty"], ["East", "late", "n/a"], ["West", "ok", 3], ["North", "ok", 4]])).toBe(1);
+        });
+    });
+
+    describe("combineHeaders", () => {
+        test("carries group labels over the columns below them", () => {
+            expect(combineHeaders([["", "Q1", "", "Q2", ""], ["Region", "Sales", "Units", "Sales", ""]], ["A", "B", "C", "D", "E"]))
+                .toEqual(["Region", "Q1 / Sales", "Q1 / Units", "Q2 / Sales", "Column E"]);
+        });
+    });
+
+    describe("detectRegions", () => {
+        test("separates a title, side-by-side blocks and notes", () => {
+            const values = [
+                ["Quarterly report", "", "", "", "", ""],
+                ["", "", "", "", "", ""],
+                ["Region", "Qty", "Price", "", "Rep", "Target"],
+                ["East", 10, 2.5, "", "Ann", 100],
+                ["West", 4, 3, "", "Bo", 80],
+                ["North", 7, 1.25, "", "", ""],
+                ["", "", "", "", "", ""],
+                ["Source: ERP export", "", "", "", "", ""]
+            ];
+            const { regions, notes } = detectRegions(values);
+            expect(regions).toEqual([
+                { top: 2, left: 0, rowCount: 4, colCount: 3, headerRows: 1, title: "Quarterly report" },
+                { top: 2, left: 4, rowCount: 3, colCount: 2, headerRows: 1, title: null }
+            ]);
+            expect(notes).toEqual([{ top: 7, left: 0, text: "Source: ERP export" }]);
+        });
+
+        test("strips title rows inside a block and keeps tables with a blank row together", () => {
+            const values = [
+                ["Sales 2024", "", ""],
+                ...SALES,
+                ["", "", ""],
+                ["South", 3, 4],
+                ["Central", 5, 6]
+            ];
+            expect(detectRegions(values).regions).toEqual([{ top: 1, left: 0, rowCount: 7, colCount: 3, headerRows: 1, title: "Sales 2024" }]);
+        });
+
+        test("splits large double-spaced sheets without deep recursion", () => {
+            const values = Array.from({ length: 40000 }, (_, i) => (i % 2 ? ["", "", ""] : [`Record ${i / 2}`, i, "ok"]));
+            const { regions, notes } = detectRegions(values);
+            expect(regions).toHaveLength(20000);
+            expect(regions[19999]).toMatchObject({ top: 39998, left: 0, rowCount: 1, colCount: 3 });
+            expect(notes).toEqual([]);
+        });
+    });
+
+    describe("getSheetView", () => {
+        test("returns plain single-table sheets unchanged", () => {
+            const snapshot = createSnapshot(SALES);
+            expect(getSheetView(snapshot)).toBe(snapshot);
+            const headerless = createSnapshot([[1, 2], [3, 4]]);
+            expect(getSheetView(headerless)).toBe(headerless);
+        });
+
+        test("handles sheets with more rows than a host accepts as call arguments", () => {
+            const values = [["Id", "Qty"], ...Array.from({ length: 200000 }, (_, i) => [i, i % 7])];
+            const snapshot = { ...createSnapshot(SALES), address: "Report!A1:B200001", values };
+            expect(getSheetView(snapshot)).toBe(snapshot);
+        });
+
+        test("describes the largest block with its own address and column map", () => {
+            const values = [
+                ["Budget", "", "", "", ""],
+                ["", "Q1", "", "Q2", ""],
+                ["Dept", "Plan", "Actual", "Plan", "Actual"],
+                ["Ops", 10, 9, 12, 13],
+                ["IT", 5, 6, 5, 4]
+            ];
+            const formats = [[], [], [], ["General", "0.00", "0.00", "0.00", "0.00"]];
+            const snapshot = createSnapshot(values, formats);
+            const view = getSheetView(snapshot);
+
+            expect(view).toMatchObject({
+                address: "Report!A2:E5",
+                headers: ["Dept", "Q1 / Plan", "Q1 / Actual", "Q2 / Plan", "Q2 / Actual"],
+                startRow: 3,
+                dataStartRow: 4,
+                rowCount: 3,
+                headerRows: 2,
+                title: "Budget",
+                numberFormats: ["General", "0.00", "0.00", "0.00", "0.00"]
+            });
+            expect(view.values).toEqual([view.headers, ["Ops", 10, 9, 12, 13], ["IT", 5, 6, 5, 4]]);
+            expect(view.columnMap[1]).toEqual({ letter: "B", index: 1, header: "Q1 / Plan" });
+            expect(getSheetView(snapshot)).toBe(view);
+        });
+    });
+
+    describe("formatRegionContext", () => {
+        test("lists every block and the notes", () => {
+            const values = [
+                ["Region", "Qty", "", "Rep", "Target"],
+                ["East", 10, "", "Ann", 100],
+                ["West", 4, "", "Bo", 80],
+                ["North", 7, "", "", ""],
+                ["", "", "", "", ""],
+                ["Figures in USD", "", "", "", ""]
+            ];
+            const text = formatRegionContext(getSheetView(createSnapshot(values)));
+            expect(text).toContain("This sheet holds 2 separate data blocks.");
+            expect(text).toContain("### Block 1 (primary): Report!A1:B4\n- 1 header row, data from row 2, 3 data rows\n- Columns: A: Region, B: Qty");
+            expect(text).toContain("### Block 2: Report!D1:E3");
+            expect(text).toContain("**Notes on the sheet:** A6: \"Figures in USD\"");
+            expect(formatRegionContext(createSnapshot(SALES))).toBe("");
+        });
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * Risk Analyzer Module
+ * Flags pending actions that destroy data or change protection, so the preview
+ * can leave them unchecked and ask for confirmation before they are applied.
+ */
+
+import { getRangeSize } from "./action-validation.js";
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const RISK_CONFIG = {
+    // findReplace over more cells than this is flagged
+    LARGE_RANGE_CELLS: 1000
+};
+
+const PROTECTION_ACTIONS = [
+    "protectWorksheet", "unprotectWorksheet", "protectRange", "unprotectRange",
+    "protectWorkbook", "unprotectWorkbook"
+];
+
+/**
+ * Risk checks by action type
+ * Each returns a description of the risk, or null if the action is safe as given
+ */
+const RISK_RULES = {
+    deleteRows: () => "Deletes entire rows, including everything outside the visible data",
+    deleteColumns: () => "Deletes entire columns, including everything outside the visible data",
+    removeDuplicates: () => "Permanently removes the rows it considers duplicates",
+    convertToRange: () => "Removes the table - structured references, calculated columns and table styling are lost",
+    findReplace: (action) => {
+        const size = getRangeSize(action.target);
+        if (!size) {
+            return "Replaces text across whole rows, columns or a named range";
+        }
+        const cells = size.rows * size.cols;
+        return cells > RISK_CONFIG.LARGE_RANGE_CELLS
+            ? `Replaces text across a large range (${cells.toLocaleString()} cells)`
+            : null;
+    },
+    ...Object.fromEntries(PROTECTION_ACTIONS.map(type => [
+        type,
+        () => (type.startsWith("un") ? "Removes protection" : "Changes protection - locked content cannot be edited without the password")
+    ]))
+};
+
+// ============================================================================
+// Analysis
+// ============================================================================
+
+/**
+ * Describes formula cells an action rewrites, moves or removes
+ * @param {string} type - Action type
+ * @param {number} count - Formula cells
+ * @returns {string} Risk description
+ */
+function describeFormulaCells(type, count) {
+    const cells = `${count} cell${count === 1 ? "" : "s"} containing formulas`;
+    if (type === "sort") return `Moves ${cells} - references to other rows can point to the wrong data after sorting`;
+    if (type === "removeDuplicates") return `Can remove rows with ${cells}`;
+    return `Overwrites ${cells}`;
+}
+
+/**
+ * Lists the risks of one action
+ * @param {Object} action - Pending action
+ * @param {Object|null} diff - Before/after contents of the target (see preview-diff.js), when loaded
+ * @param {Object|null} check - Formula check of the cells the action writes ({ formulaCells }),
+ *   or { failed: true } when the target could not be read
+ *   Counts are null when a target too large to read could not be checked.
+ * @returns {string[]} Risk descriptions, empty if the action is safe
+ */
+function analyzeActionRisks(action, diff = null, check = null) {
+    const risks = [];
+
+    const rule = RISK_RULES[action.type];
+    const risk = rule ? rule(action) : null;
+    if (risk) risks.push(risk);
+
+    if (diff && diff.formulasOverwritten > 0) {
+        const count = diff.formulasOverwritten;
+        risks.push(`Overwrites ${count} cell${count === 1 ? "" : "s"} containing formulas`);
+    }
+    if (check?.formulaCells > 0) {
+        risks.push(describeFormulaCells(action.type, check.formulaCells));
+    }
+    if (check?.failed) {
+        risks.push("The target could not be read to check for formulas - it may overwrite them");
+    }
+    if ((diff?.tooLarge && diff.formulasOverwritten === null) || (check?.tooLarge && check.formulaCells === null)) {
+        risks.push("The target is too large to be checked for formulas - it may overwrite them");
+    }
+
+    return risks;
+}
+
+/**
+ * Lists the risks of each pending action
+ * @param {Object[]} actions - Pending actions
+ * @param {(Object|null)[]} diffs - Diffs by action index, when loaded
+ * @param {(Object|null)[]} checks - Formula checks by action index, when loaded
+ * @returns {string[][]} Risks per action, in order
+ */
+function analyzeRisks(actions, diffs = [], checks = []) {
+    return (actions || []).map((action, index) => analyzeActionRisks(action, diffs[index] || null, checks[index] || null));
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+export {
+    RISK_CONFIG,
+    analyzeActionRisks,
+    analyzeRisks
+};
@@ -0,0 +1,84 @@
+/**
+ * Tests for Risk Analyzer Module
+ */
+
+import { analyzeActionRisks, analyzeRisks } from "./risk-analyzer.js";
+
+describe("Risk Analyzer", () => {
+    describe("analyzeActionRisks", () => {
+        test("flags destructive and protection actions", () => {
+            const flagged = [
+                { type: "deleteRows", target: "5:7" },
+                { type: "deleteColumns", target: "C" },
+                { type: "removeDuplicates", target: "A1:D50" },
+                { type: "convertToRange", target: "SalesTable" },
+                { type: "protectWorksheet", target: "current" },
+                { type: "unprotectWorkbook", target: "workbook" },
+                { type: "protectRange", target: "A1:B5" }
+            ];
+            for (const action of flagged) {
+                expect(analyzeActionRisks(action)).toHaveLength(1);
+            }
+            expect(analyzeActionRisks({ type: "unprotectRange", target: "A1" })[0]).toBe("Removes protection");
+        });
+
+        test("leaves ordinary actions alone", () => {
+            for (const action of [
+                { type: "format", target: "A1:D1", data: "{\"bold\":true}" },
+                { type: "insertRows", target: "5" },
+                { type: "chart", target: "A1:B10" }
+            ]) {
+                expect(analyzeActionRisks(action)).toEqual([]);
+            }
+        });
+
+        test("flags findReplace only over large or unbounded ranges", () => {
+            const replace = (target) => analyzeActionRisks({ type: "findReplace", target, data: "{\"find\":\"a\"}" });
+            expect(replace("A1:D10")).toEqual([]);
+            expect(replace("A1:J200")[0]).toMatch(/large range \(2,000 cells\)/);
+            expect(replace("A:C")[0]).toMatch(/whole rows, columns/);
+        });
+
+        test("flags writes onto formula cells once the diff is known", () => {
+            const action = { type: "values", target: "B2:B4", data: "[[1],[2],[3]]" };
+            expect(analyzeActionRisks(action, { overwritten: 2, formulasOverwritten: 0 })).toEqual([]);
+            expect(analyzeActionRisks(action, { overwritten: 2, formulasOverwritten: 2 }))
+                .toEqual(["Overwrites 2 cells containing formulas"]);
+        });
+
+        test("flags formula cells that other writes rewrite, move or remove", () => {
+            expect(analyzeActionRisks({ type: "autofill", target: "C2:C9", source: "C2" }, null, { formulaCells: 3 }))
+                .toEqual(["Overwrites 3 cells containing formulas"]);
+            expect(analyzeActionRisks({ type: "sort", target: "A1:D9" }, null, { formulaCells: 1 })[0])
+                .toMatch(/^Moves 1 cell containing formulas/);
+            expect(analyzeActionRisks({ type: "textToColumns", target: "A2:A9" }, null, { formulaCells: 0 })).toEqual([]);
+        });
+
+        test("flags writes whose target could not be checked", () => {
+            expect(analyzeActionRisks({ type: "values", target: "B2", data: "[[1]]" }, null, { failed: true }))
+                .toEqual(["The target could not be read to check for formulas - it may overwrite them"]);
+        });
+
+        test("flags targets too large to read unless their formulas were counted", () => {
+            const action = { type: "formula", target: "C:C", data: "=A1" };
+            expect(analyzeActionRisks(action, { tooLarge: true, overwritten: 0, formulasOverwritten: null }))
+                .toEqual(["The target is too large to be checked for formulas - it may overwrite them"]);
+            expect(analyzeActionRisks(action, { tooLarge: true, overwritten: 0, formulasOverwritten: 4 }))
+                .toEqual(["Overwrites 4 cells containing formulas"]);
+            expect(analyzeActionRisks({ type: "sort", target: "A:D" }, null, { tooLarge: true, formulaCells: null }))
+                .toEqual(["The target is too large to be checked for formulas - it may overwrite them"]);
+        });
+    });
+
+    describe("analyzeRisks", () => {
+        test("returns risks per action in order", () => {
+            const risks = analyzeRisks(
+                [{ type: "formula", target: "C2", data: "=A2" }, { type: "deleteRows", target: "3" }],
+                [{ overwritten: 1, formulasOverwritten: 1 }]
+            );
+            expect(risks[0]).toEqual(["Overwrites 1 cell containing formulas"]);
+            expect(risks[1]).toHaveLength(1);
+            expect(analyzeRisks(null)).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,192 @@
+/**
+ * Selection Context Module
+ * Reads the user's current selection - address, values, formulas and number
+ * formats - and formats it as the SELECTED RANGE section of the data context,
+ * so that prompts like "format this" or "explain these cells" need no guessing.
+ */
+
+import { colIndexToLetter, colLetterToIndex } from "./excel-data.js";
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const SELECTION_CONFIG = {
+    // Cells read from large selections; whole rows of the top-left block are kept
+    MAX_CELLS: 400,
+    MAX_FORMULAS: 50,
+    MAX_VALUE_CHARS: 40
+};
+
+// Words that point at the selection rather than at a named range
+const SELECTION_WORDS_REGEX = /\b(this|these|selected|selection|highlighted)\b/i;
+
+// ============================================================================
+// Reading
+// ============================================================================
+
+/**
+ * @typedef {Object} SelectionSnapshot
+ * @property {string} address - Address of the whole selection (sheet-qualified)
+ * @property {number} rowCount - Rows of the whole selection
+ * @property {number} colCount - Columns of the whole selection
+ * @property {string} shownAddress - Address of the block whose cells were read
+ * @property {Array[]} values - Values of the block
+ * @property {Array[]} formulas - Formulas of the block
+ * @property {Array[]} numberFormats - Number formats of the block
+ * @property {boolean} truncated - Only the top-left block of a large selection was read
+ */
+
+/**
+ * Reads the current selection
+ * Large selections (e.g. whole columns) are read as their top-left block of at
+ * most MAX_CELLS cells.
+ * @param {Excel.RequestContext} ctx - Excel context
+ * @returns {Promise<SelectionSnapshot>} Selection
+ */
+async function readSelection(ctx) {
+    const selected = ctx.workbook.getSelectedRange();
+    selected.load(["address", "rowCount", "columnCount"]);
+    await ctx.sync();
+
+    const rowCount = selected.rowCount;
+    const colCount = selected.columnCount;
+    const truncated = rowCount * colCount > SELECTION_CONFIG.MAX_CELLS;
+    let block = selected;
+    if (truncated) {
+        const shownCols = Math.min(colCount, SELECTION_CONFIG.MAX_CELLS);
+        const shownRows = Math.max(1, Math.min(rowCount, Math.floor(SELECTION_CONFIG.MAX_CELLS / shownCols)));
+        block = selected.getCell(0, 0).getResizedRange(shownRows - 1, shownCols - 1);
+    }
+    block.load(["address", "values", "formulas", "numberFormat"]);
+    await ctx.sync();
+
+    return {
+        address: selected.address,
+        rowCount,
+        colCount,
+        shownAddress: block.address,
+        values: block.values,
+        formulas: block.formulas,
+        numberFormats: block.numberFormat,
+        truncated
+    };
+}
+
+// ============================================================================
+// Formatting
+// ============================================================================
+
+/**
+ * Gets the top-left cell of an address
+ * @param {string} address - Address, optionally sheet-qualified
+ * @returns {{ col: number, row: number }} Zero-based column and one-based row
+ */
+function getTopLeft(address) {
+    const cells = String(address).slice(String(address).lastIndexOf("!") + 1).replace(/\$/g, "");
+    const match = cells.match(/^([A-Z]+)(\d+)/i);
+    if (match) return { col: colLetterToIndex(match[1]), row: parseInt(match[2], 10) };
+    // Whole rows ("3:5") start in column A, whole columns ("B:D") in row 1
+    const rowsOnly = cells.match(/^(\d+):/);
+    if (rowsOnly) return { col: 0, row: parseInt(rowsOnly[1], 10) };
+    const colsOnly = cells.match(/^([A-Z]+):/i);
+    return { col: colsOnly ? colLetterToIndex(colsOnly[1]) : 0, row: 1 };
+}
+
+/**
+ * Formats a cell value for a table cell
+ * @param {*} value - Cell value
+ * @returns {string} Value text, cut to MAX_VALUE_CHARS, with pipes escaped
+ */
+function formatCell(value) {
+    if (value === null || value === undefined) return "";
+    const text = String(value).replace(/\|/g, "\\|").replace(/\s+/g, " ");
+    return text.length > SELECTION_CONFIG.MAX_VALUE_CHARS ? `${text.slice(0, SELECTION_CONFIG.MAX_VALUE_CHARS)}…` : text;
+}
+
+/**
+ * Summarizes the number formats of each column of the block
+ * @param {Array[]} numberFormats - Number formats of the block
+ * @param {string[]} letters - Column letters of the block
+ * @returns {string} e.g. "all General" or "B: 0.00; C: General; D: mixed"
+ */
+function describeNumberFormats(numberFormats, letters) {
+    const perColumn = letters.map((letter, c) => {
+        const formats = new Set((numberFormats || []).map(row => row?.[c]).filter(format => format !== undefined));
+        return { letter, format: formats.size === 1 ? [...formats][0] : (formats.size ? "mixed" : "General") };
+    });
+    const distinct = new Set(perColumn.map(entry => entry.format));
+    if (distinct.size === 1) return `all ${perColumn[0]?.format ?? "General"}`;
+    return perColumn.map(entry => `${entry.letter}: ${entry.format}`).join("; ");
+}
+
+/**
+ * Formats the selection as the SELECTED RANGE section of the data context
+ * @param {SelectionSnapshot|null} selection - Selection from readSelection
+ * @returns {string} Markdown section, empty without a selection
+ */
+function formatSelectionContext(selection) {
+    if (!selection || !selection.address) return "";
+
+    const { row, col } = getTopLeft(selection.shownAddress || selection.address);
+    const values = selection.values || [];
+    const width = values[0]?.length || 0;
+    const letters = Array.from({ length: width }, (_, c) => colIndexToLetter(col + c));
+    const n = value => value.toLocaleString("en-US");
+
+    let section = `## SELECTED RANGE\n`;
+    section += `**Address:** ${selection.address} (${n(selection.rowCount)} rows × ${n(selection.colCount)} columns)\n`;
+    section += `This is the user's current selection: "this", "these cells", "the selection" and "selected" in the request refer to it.\n`;
+    if (selection.truncated) {
+        section += `Showing the top-left ${n(values.length)} rows × ${n(width)} columns (${selection.shownAddress}).\n`;
+    }
+
+    if (width) {
+        section += `\n| Row | ${letters.join(" | ")} |\n`;
+        section += `|-----|${letters.map(() => "---|").join("")}\n`;
+        values.forEach((cells, r) => {
+            section += `| ${row + r} | ${cells.map(formatCell).join(" | ")} |\n`;
+        });
+    }
+
+    const formulas = [];
+    (selection.formulas || []).forEach((cells, r) => {
+        cells.forEach((formula, c) => {
+            if (typeof formula === "string" && formula.startsWith("=")) {
+                formulas.push(`${letters[c]}${row + r}: ${formula}`);
+            }
+        });
+    });
+    if (formulas.length) {
+        const shown = formulas.slice(0, SELECTION_CONFIG.MAX_FORMULAS);
+        section += `\n**Formulas:** ${shown.join("; ")}`;
+        if (formulas.length > shown.length) section += `; ... and ${formulas.length - shown.length} more`;
+        section += `\n`;
+    }
+    if (width) {
+        section += `**Number formats:** ${describeNumberFormats(selection.numberFormats, letters)}\n`;
+    }
+    return section;
+}
+
+/**
+ * Points the request at the selection when it says "this" or "selected"
+ * @param {string} prompt - User request
+ * @param {SelectionSnapshot|null} selection - Current selection
+ * @returns {string} A note to append to the request, or "" when the request does not refer to the selection
+ */
+function getSelectionReferenceNote(prompt, selection) {
+    if (!selection?.address || !SELECTION_WORDS_REGEX.test(String(prompt))) return "";
+    return `\n(The user has ${selection.address} selected - "this"/"selected" refers to that range, see SELECTED RANGE.)`;
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+export {
+    SELECTION_CONFIG,
+    readSelection,
+    formatSelectionContext,
+    getSelectionReferenceNote
+};
@@ -0,0 +1,105 @@
+/**
+ * Tests for Selection Context Module
+ */
+
+import { SELECTION_CONFIG, readSelection, formatSelectionContext, getSelectionReferenceNote } from "./selection-context.js";
+
+const SELECTION = {
+    address: "Sales!B2:C4",
+    rowCount: 3,
+    colCount: 2,
+    shownAddress: "Sales!B2:C4",
+    values: [["Region", "Total"], ["East", 150], ["West|North", 90]],
+    formulas: [["Region", "Total"], ["East", "=SUM(D3:F3)"], ["West|North", "=SUM(D4:F4)"]],
+    numberFormats: [["General", "General"], ["General", "0.00"], ["General", "0.00"]],
+    truncated: false
+};
+
+/**
+ * Creates a mock context whose selection has the given size
+ * @param {number} rows - Selected rows
+ * @param {number} cols - Selected columns
+ * @returns {{ ctx: Object, selected: Object }} Context and the selected range
+ */
+function createMockCtx(rows, cols) {
+    const createRange = (address, rowCount, columnCount) => ({
+        address,
+        rowCount,
+        columnCount,
+        values: [],
+        formulas: [],
+        numberFormat: [],
+        load: jest.fn(),
+        getCell: jest.fn(() => ({
+            getResizedRange: jest.fn((r, c) => createRange(`Sheet1!A1:block${r + 1}x${c + 1}`, r + 1, c + 1))
+        }))
+    });
+    const selected = createRange("Sheet1!A:C", rows, cols);
+    return {
+        ctx: { sync: jest.fn(() => Promise.resolve()), workbook: { getSelectedRange: jest.fn(() => selected) } },
+        selected
+    };
+}
+
+describe("Selection Context", () => {
+    describe("readSelection", () => {
+        test("reads small selections whole", async () => {
+            const { ctx, selected } = createMockCtx(3, 2);
+            const selection = await readSelection(ctx);
+            expect(selection).toMatchObject({ address: "Sheet1!A:C", rowCount: 3, colCount: 2, shownAddress: "Sheet1!A:C", truncated: false });
+            expect(selected.load).toHaveBeenLastCalledWith(["address", "values", "formulas", "numberFormat"]);
+        });
+
+        test("reads the top-left block of large selections", async () => {
+            const { ctx } = createMockCtx(1048576, 3);
+            const selection = await readSelection(ctx);
+            const rows = Math.floor(SELECTION_CONFIG.MAX_CELLS / 3);
+            expect(selection).toMatchObject({ rowCount: 1048576, shownAddress: `Sheet1!A1:block${rows}x3`, truncated: true });
+        });
+    });
+
+    describe("formatSelectionContext", () => {
+        test("shows the address, values, formulas and number formats", () => {
+            const text = formatSelectionContext(SELECTION);
+            expect(text).toContain("## SELECTED RANGE\n**Address:** Sales!B2:C4 (3 rows × 2 columns)");
+            expect(text).toContain("| Row | B | C |");
+            expect(text).toContain("| 3 | East | 150 |");
+            expect(text).toContain("| 4 | West\\|North | 90 |");
+            expect(text).toContain("**Formulas:** C3: =SUM(D3:F3); C4: =SUM(D4:F4)");
+            expect(text).toContain("**Number formats:** B: General; C: mixed");
+            expect(text).not.toContain("Showing the top-left");
+        });
+
+        test("notes truncated selections and whole-column addresses", () => {
+            const text = formatSelectionContext({
+                ...SELECTION,
+                address: "Sales!D:D",
+                rowCount: 1048576,
+                colCount: 1,
+                shownAddress: "Sales!D1:D2",
+                values: [["Qty"], [5]],
+                formulas: [["Qty"], [5]],
+                numberFormats: [["General"], ["General"]],
+                truncated: true
+            });
+            expect(text).toContain("(1,048,576 rows × 1 columns)");
+            expect(text).toContain("Showing the top-left 2 rows × 1 columns (Sales!D1:D2).");
+            expect(text).toContain("| 2 | 5 |");
+            expect(text).toContain("**Number formats:** all General");
+            expect(text).not.toContain("**Formulas:**");
+        });
+
+        test("is empty without a selection", () => {
+            expect(formatSelectionContext(null)).toBe("");
+        });
+    });
+
+    describe("getSelectionReferenceNote", () => {
+        test("points requests about the selection at its address", () => {
+            expect(getSelectionReferenceNote("Format this as currency", SELECTION)).toContain("The user has Sales!B2:C4 selected");
+            expect(getSelectionReferenceNote("Explain the selected cells", SELECTION)).not.toBe("");
+            expect(getSelectionReferenceNote("Sum column B", SELECTION)).toBe("");
+            expect(getSelectionReferenceNote("Format this", null)).toBe("");
+        });
+    });
+});
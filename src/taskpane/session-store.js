@@ -0,0 +1,232 @@
+/**
+ * Session Store Module
+ * Persists the action history (undo and redo stacks) and the chat of a workbook
+ * in its document settings, so they survive closing and reopening the taskpane.
+ * Document settings travel with the workbook file, which makes the session per workbook.
+ */
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const SESSION_CONFIG = {
+    SETTINGS_KEY: "excel_copilot_session",
+    VERSION: 1,
+    // Document settings are stored inside the workbook; keep well below the host's limit
+    MAX_CHARS: 1000000,
+    MAX_TRANSCRIPT: 40
+};
+
+// ============================================================================
+// Payload
+// ============================================================================
+
+/**
+ * @typedef {Object} Session
+ * @property {Object[]} entries - History entries, newest first
+ * @property {Object[]} redoEntries - Undone entries, most recently undone first
+ * @property {Object[]} conversation - Conversation history sent to the provider
+ * @property {Object[]} transcript - Chat messages as shown ({ role, content, type }), oldest first
+ */
+
+/**
+ * Checks whether a session holds nothing worth saving
+ * @param {Session} session - Session
+ * @returns {boolean} True if all parts are empty
+ */
+function isEmptySession(session) {
+    return !session.entries.length && !session.redoEntries.length &&
+        !session.conversation.length && !session.transcript.length;
+}
+
+/**
+ * Removes a password from action data
+ * @param {string|Object} data - Action data, usually a JSON string
+ * @returns {string|Object} Data without its password
+ */
+function stripPassword(data) {
+    if (data && typeof data === "object") {
+        const { password, ...rest } = data;
+        return password === undefined ? data : rest;
+    }
+    if (typeof data !== "string" || !data.includes("password")) return data;
+    try {
+        const parsed = JSON.parse(data);
+        if (!parsed || typeof parsed !== "object" || !("password" in parsed)) return data;
+        delete parsed.password;
+        return JSON.stringify(parsed);
+    } catch {
+        return data;
+    }
+}
+
+/**
+ * Gets the stored form of a history entry
+ * Document settings are readable by anyone who opens the file, so protection
+ * passwords are never stored. Undo and redo of a password-protected change need
+ * the password; such entries are left out.
+ * @param {Object} entry - History entry
+ * @returns {Object|null} Entry without passwords, or null to leave it out
+ */
+function toStoredEntry(entry) {
+    if (entry?.undoData?.password || entry?.redoData?.password) return null;
+
+    const stored = { ...entry };
+    if (entry?.action) stored.action = { ...entry.action, data: stripPassword(entry.action.data) };
+    if (entry?.undoData) stored.undoData = stripPassword(entry.undoData);
+    if (entry?.redoData) stored.redoData = stripPassword(entry.redoData);
+    return stored;
+}
+
+/**
+ * Builds the stored form of a session, trimmed to the size limit
+ * The oldest undone entries go first, then the oldest undo points, then the oldest chat.
+ * Each item is serialized once; the payload size is kept as a running total.
+ * @param {Session} session - Session to store
+ * @param {number} maxChars - Maximum length of the serialized payload
+ * @returns {{ payload: Object, dropped: number }} Payload and the number of items dropped to fit
+ */
+function buildSessionPayload(session, maxChars = SESSION_CONFIG.MAX_CHARS) {
+    const payload = {
+        version: SESSION_CONFIG.VERSION,
+        entries: (session.entries || []).map(toStoredEntry).filter(Boolean),
+        redoEntries: (session.redoEntries || []).map(toStoredEntry).filter(Boolean),
+        conversation: [...(session.conversation || [])],
+        transcript: (session.transcript || []).slice(-SESSION_CONFIG.MAX_TRANSCRIPT)
+    };
+
+    // Serialized length of each item; items of an array are separated by commas
+    const lists = ["redoEntries", "entries", "transcript", "conversation"];
+    const sizes = {};
+    let total = JSON.stringify({ ...payload, entries: [], redoEntries: [], conversation: [], transcript: [] }).length;
+    for (const key of lists) {
+        sizes[key] = payload[key].map(item => JSON.stringify(item).length);
+        total += sizes[key].reduce((sum, size) => sum + size, 0) + Math.max(sizes[key].length - 1, 0);
+    }
+
+    let dropped = 0;
+    for (const key of lists) {
+        // Undo stacks lose their oldest (last) items, the chat its oldest (first) ones
+        const fromEnd = key === "redoEntries" || key === "entries";
+        while (total > maxChars && payload[key].length) {
+            const size = fromEnd ? sizes[key].pop() : sizes[key].shift();
+            if (fromEnd) payload[key].pop();
+            else payload[key].shift();
+            total -= size + (payload[key].length ? 1 : 0);
+            dropped++;
+        }
+    }
+    return { payload, dropped };
+}
+
+/**
+ * Checks whether the named fields of a stored item are strings
+ * @param {*} item - Stored item
+ * @param {string[]} fields - Fields that must be strings
+ * @returns {boolean} True for an object with all fields set to strings
+ */
+function hasStringFields(item, fields) {
+    return Boolean(item) && typeof item === "object" && fields.every(field => typeof item[field] === "string");
+}
+
+/**
+ * Checks a stored history entry before it is restored
+ * @param {*} entry - Stored entry
+ * @returns {boolean} True if the entry can be shown and undone
+ */
+function isValidEntry(entry) {
+    return hasStringFields(entry, ["id", "type", "target"]) && Number.isFinite(entry.timestamp);
+}
+
+/**
+ * Reads a stored payload back into a session
+ * The payload comes from the workbook file, which anyone can edit: items of the
+ * wrong shape are dropped rather than rendered.
+ * @param {*} payload - Value read from the document settings
+ * @returns {Session|null} Session, or null if the payload is missing or from another version
+ */
+function parseSessionPayload(payload) {
+    if (!payload || typeof payload !== "object" || payload.version !== SESSION_CONFIG.VERSION) {
+        return null;
+    }
+
+    const list = (value, isValid) => (Array.isArray(value) ? value.filter(isValid) : []);
+    return {
+        entries: list(payload.entries, isValidEntry),
+        redoEntries: list(payload.redoEntries, isValidEntry),
+        conversation: list(payload.conversation, item => hasStringFields(item, ["role", "content"])),
+        transcript: list(payload.transcript, item => hasStringFields(item, ["role", "content", "type"]))
+    };
+}
+
+// ============================================================================
+// Document Settings
+// ============================================================================
+
+/**
+ * Saves the document settings to the workbook
+ * @param {Office.Settings} settings - Document settings
+ * @returns {Promise<void>}
+ */
+function saveSettings(settings) {
+    return new Promise((resolve, reject) => {
+        settings.saveAsync((result) => {
+            if (result.status === "failed") {
+                reject(new Error(result.error?.message || "Could not save document settings"));
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+/**
+ * Loads the session saved in a workbook
+ * @param {Office.Settings} settings - Document settings
+ * @returns {Session|null} Saved session, or null if there is none
+ */
+function loadSession(settings) {
+    return parseSessionPayload(settings.get(SESSION_CONFIG.SETTINGS_KEY));
+}
+
+/**
+ * Saves a session to a workbook; an empty session removes the saved one
+ * @param {Office.Settings} settings - Document settings
+ * @param {Session} session - Session to save
+ * @returns {Promise<number>} Number of items dropped to fit the size limit
+ */
+async function saveSession(settings, session) {
+    if (isEmptySession(session)) {
+        await clearSession(settings);
+        return 0;
+    }
+
+    const { payload, dropped } = buildSessionPayload(session);
+    settings.set(SESSION_CONFIG.SETTINGS_KEY, payload);
+    await saveSettings(settings);
+    return dropped;
+}
+
+/**
+ * Removes the saved session from a workbook
+ * @param {Office.Settings} settings - Document settings
+ * @returns {Promise<void>}
+ */
+async function clearSession(settings) {
+    settings.remove(SESSION_CONFIG.SETTINGS_KEY);
+    await saveSettings(settings);
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+export {
+    SESSION_CONFIG,
+    isEmptySession,
+    buildSessionPayload,
+    parseSessionPayload,
+    loadSession,
+    saveSession,
+    clearSession
+};
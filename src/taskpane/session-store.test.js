@@ -0,0 +1,147 @@
+/**
+ * Tests for Session Store Module
+ */
+
+import {
+    SESSION_CONFIG,
+    isEmptySession,
+    buildSessionPayload,
+    parseSessionPayload,
+    loadSession,
+    saveSession
+} from "./session-store.js";
+
+/**
+ * Creates a mock Office.Settings object backed by a plain object
+ * @param {string} status - Status reported by saveAsync
+ * @returns {Object} Mock settings
+ */
+function createMockSettings(status = "succeeded") {
+    const values = {};
+    return {
+        get: jest.fn((key) => (key in values ? values[key] : null)),
+        set: jest.fn((key, value) => { values[key] = value; }),
+        remove: jest.fn((key) => { delete values[key]; }),
+        saveAsync: jest.fn((callback) => callback({ status, error: { message: "Quota exceeded" } })),
+        _values: values
+    };
+}
+
+/**
+ * Creates a session with the given number of history entries
+ * @param {number} count - Number of entries
+ * @returns {Object} Session
+ */
+function createSession(count) {
+    return {
+        entries: Array.from({ length: count }, (_, i) => ({ id: `e${i}`, type: "values", target: "A1", timestamp: 1700000000000 + i, undoData: { formulas: [["x".repeat(100)]] } })),
+        redoEntries: [{ id: "r0", type: "format", target: "B2", timestamp: 1700000000000, redoData: { formulas: [["y".repeat(100)]] } }],
+        conversation: [{ role: "user", content: "Sum column B" }, { role: "assistant", content: "Done" }],
+        transcript: [{ role: "user", content: "Sum column B", type: "" }, { role: "ai", content: "Done", type: "" }]
+    };
+}
+
+describe("Session Store", () => {
+    describe("buildSessionPayload", () => {
+        test("keeps everything when under the limit", () => {
+            const { payload, dropped } = buildSessionPayload(createSession(3));
+            expect(dropped).toBe(0);
+            expect(payload.version).toBe(SESSION_CONFIG.VERSION);
+            expect(payload.entries.map(e => e.id)).toEqual(["e0", "e1", "e2"]);
+        });
+
+        test("drops undone entries, then the oldest undo points, to fit", () => {
+            const session = createSession(5);
+            const full = JSON.stringify(buildSessionPayload(session).payload).length;
+            const { payload, dropped } = buildSessionPayload(session, full - 450);
+
+            expect(payload.redoEntries).toEqual([]);
+            expect(payload.entries.map(e => e.id)).toEqual(["e0", "e1", "e2"]);
+            expect(payload.transcript).toHaveLength(2);
+            expect(dropped).toBe(3);
+            expect(JSON.stringify(payload).length).toBeLessThanOrEqual(full - 450);
+        });
+
+        test("serializes each item once while trimming", () => {
+            const session = createSession(200);
+            const stringify = jest.spyOn(JSON, "stringify");
+            const { payload, dropped } = buildSessionPayload(session, 5000);
+            const calls = stringify.mock.calls.length;
+            stringify.mockRestore();
+
+            expect(calls).toBeLessThanOrEqual(206);
+            expect(dropped).toBeGreaterThan(150);
+            expect(JSON.stringify(payload).length).toBeLessThanOrEqual(5000);
+        });
+
+        test("never stores protection passwords", () => {
+            const session = createSession(0);
+            session.entries = [
+                { id: "p0", type: "protectWorksheet", action: { type: "protectWorksheet", data: "{\"password\":\"s3cret\"}" }, undoData: { kind: "sheetProtection", wasProtected: false, password: "s3cret" } },
+                { id: "p1", type: "protectWorksheet", action: { type: "protectWorksheet", data: "{\"password\":\"\",\"allowSort\":true}" }, undoData: { kind: "sheetProtection", wasProtected: false, password: null } }
+            ];
+            const { payload, dropped } = buildSessionPayload(session);
+
+            expect(dropped).toBe(0);
+            expect(payload.entries.map(e => e.id)).toEqual(["p1"]);
+            expect(JSON.parse(payload.entries[0].action.data)).toEqual({ allowSort: true });
+            expect(payload.entries[0].undoData).toEqual({ kind: "sheetProtection", wasProtected: false });
+            expect(JSON.stringify(payload)).not.toContain("s3cret");
+        });
+
+        test("keeps only the most recent chat messages", () => {
+            const session = createSession(0);
+            session.transcript = Array.from({ length: SESSION_CONFIG.MAX_TRANSCRIPT + 5 }, (_, i) => ({ role: "user", content: `m${i}` }));
+            const { payload } = buildSessionPayload(session);
+            expect(payload.transcript).toHaveLength(SESSION_CONFIG.MAX_TRANSCRIPT);
+            expect(payload.transcript[0].content).toBe("m5");
+        });
+    });
+
+    describe("parseSessionPayload", () => {
+        test("rejects missing and other-version payloads", () => {
+            expect(parseSessionPayload(null)).toBeNull();
+            expect(parseSessionPayload({ version: 0, entries: [] })).toBeNull();
+            expect(parseSessionPayload({ version: SESSION_CONFIG.VERSION, entries: "bad" }))
+                .toEqual({ entries: [], redoEntries: [], conversation: [], transcript: [] });
+        });
+
+        test("drops entries and messages of the wrong shape", () => {
+            const { entries, redoEntries, conversation, transcript } = createSession(1);
+            const session = parseSessionPayload({
+                version: SESSION_CONFIG.VERSION,
+                entries: [...entries, null, { ...entries[0], target: { html: "<b>" } }, { ...entries[0], timestamp: "now" }],
+                redoEntries: [...redoEntries, { ...redoEntries[0], id: 7 }],
+                conversation: [...conversation, { role: "user" }],
+                transcript: [...transcript, { role: "ai", type: "" }, "text", { role: "ai", content: "Hi", type: null }]
+            });
+            expect(session).toEqual({ entries, redoEntries, conversation, transcript });
+        });
+    });
+
+    describe("document settings", () => {
+        test("round-trips a session", async () => {
+            const settings = createMockSettings();
+            const session = createSession(2);
+            await saveSession(settings, session);
+
+            expect(settings.saveAsync).toHaveBeenCalledTimes(1);
+            expect(loadSession(settings)).toEqual(session);
+        });
+
+        test("saving an empty session removes the saved one", async () => {
+            const settings = createMockSettings();
+            await saveSession(settings, createSession(1));
+            const empty = { entries: [], redoEntries: [], conversation: [], transcript: [] };
+            expect(isEmptySession(empty)).toBe(true);
+
+            await saveSession(settings, empty);
+            expect(settings.remove).toHaveBeenCalledWith(SESSION_CONFIG.SETTINGS_KEY);
+            expect(loadSession(settings)).toBeNull();
+        });
+
+        test("rejects when the workbook cannot be saved", async () => {
+            await expect(saveSession(createMockSettings("failed"), createSession(1))).rejects.toThrow("Quota exceeded");
+        });
+    });
+});
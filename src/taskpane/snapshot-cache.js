@@ -0,0 +1,369 @@
+/**
+ * Snapshot Cache Module
+ * Keeps the sheet snapshots read by readExcelData between prompts, keyed by
+ * worksheet id. Worksheet change events mark what changed: edited ranges are
+ * re-read and patched into the cached values, structural changes (inserted or
+ * deleted rows, columns and cells) and edits outside the snapshot cause the
+ * sheet to be read again in full, and deleted sheets are dropped. Recalculation
+ * changes formula results without change events, so sheets holding formulas
+ * are read again after it, as are sheets whose number formats changed.
+ * The workbook index (workbook-index.js) is kept too, until a change, an added
+ * or deleted sheet or table, or a different sheet list makes it out of date.
+ */
+
+/* global Excel */
+
+import { colLetterToIndex } from "./excel-data.js";
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const SNAPSHOT_CONFIG = {
+    // More edited regions than this and the sheet is simply read again
+    MAX_DIRTY_REGIONS: 50
+};
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Parses a cell range address
+ * @param {string} address - Address such as "Sheet1!B5:C6" or "B5"
+ * @returns {{ row: number, col: number, rowCount: number, colCount: number }|null} Zero-based
+ *   position and size, or null for whole rows and columns
+ */
+function parseCellRange(address) {
+    const cells = String(address || "").slice(String(address || "").lastIndexOf("!") + 1).replace(/\$/g, "");
+    const match = cells.match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/i);
+    if (!match) return null;
+    const col = colLetterToIndex(match[1]);
+    const row = parseInt(match[2], 10) - 1;
+    const lastCol = match[3] ? colLetterToIndex(match[3]) : col;
+    const lastRow = match[4] ? parseInt(match[4], 10) - 1 : row;
+    return { row, col, rowCount: lastRow - row + 1, colCount: lastCol - col + 1 };
+}
+
+// ============================================================================
+// Cache
+// ============================================================================
+
+/**
+ * @typedef {Object} SnapshotCache
+ * @property {boolean} watching - Change events are registered; without them nothing is served from the cache
+ * @property {Map<string, { snapshot: Object, stale: boolean, regions: string[] }>} sheets - Entries by worksheet id
+ * @property {Map<string, number>} changes - Change events recorded per worksheet id, cached or not
+ * @property {boolean} watchingTables - Table added and deleted events are registered; without them the index is not kept
+ * @property {Object[]|null} index - Workbook index from readWorkbookIndex, null when out of date
+ * @property {number} indexChanges - Number of times the index was invalidated
+ */
+
+/**
+ * Creates an empty cache
+ * @returns {SnapshotCache} Cache
+ */
+function createSnapshotCache() {
+    return { watching: false, watchingTables: false, sheets: new Map(), changes: new Map(), index: null, indexChanges: 0 };
+}
+
+/**
+ * Counts a change event of a worksheet
+ * @param {SnapshotCache} cache - Cache
+ * @param {string} sheetId - Worksheet id
+ */
+function countChange(cache, sheetId) {
+    cache.changes.set(sheetId, (cache.changes.get(sheetId) || 0) + 1);
+}
+
+/**
+ * Notes the start of a sheet read, so that changes arriving during it are not lost
+ * @param {SnapshotCache} cache - Cache
+ * @param {string} sheetId - Worksheet id
+ * @returns {number} Token for storeSnapshot
+ */
+function startSheetRead(cache, sheetId) {
+    return cache.changes.get(sheetId) || 0;
+}
+
+/**
+ * Stores a freshly read or patched snapshot
+ * A sheet that changed while it was being read is stored stale: the snapshot may
+ * or may not include the change, so the next read starts over.
+ * @param {SnapshotCache} cache - Cache
+ * @param {string} sheetId - Worksheet id
+ * @param {Object} snapshot - Sheet data from readExcelData
+ * @param {number} [readStart] - Token from startSheetRead taken before the read
+ */
+function storeSnapshot(cache, sheetId, snapshot, readStart) {
+    const stale = readStart !== undefined && readStart !== startSheetRead(cache, sheetId);
+    cache.sheets.set(sheetId, { snapshot, stale, regions: [], hasFormulas: containsFormulas(snapshot) });
+}
+
+/**
+ * Checks whether a snapshot holds formulas
+ * @param {Object} snapshot - Sheet data
+ * @returns {boolean} True if any cell holds a formula, or if the formulas were not read
+ */
+function containsFormulas(snapshot) {
+    if (!snapshot.formulas) return true;
+    return snapshot.formulas.some(row => row.some(cell => typeof cell === "string" && cell.startsWith("=")));
+}
+
+/**
+ * Marks a sheet to be read again in full
+ * @param {Object} entry - Cache entry
+ */
+function markStale(entry) {
+    entry.stale = true;
+    entry.regions = [];
+}
+
+/**
+ * Records a worksheet change
+ * @param {SnapshotCache} cache - Cache
+ * @param {string} sheetId - Worksheet id
+ * @param {string} address - Changed range
+ * @param {string} changeType - Excel.DataChangeType of the change
+ */
+function recordChange(cache, sheetId, address, changeType) {
+    countChange(cache, sheetId);
+    invalidateIndex(cache);
+    const entry = cache.sheets.get(sheetId);
+    if (!entry || entry.stale) return;
+    if (changeType === "RangeEdited" && entry.regions.length < SNAPSHOT_CONFIG.MAX_DIRTY_REGIONS) {
+        entry.regions.push(address);
+    } else {
+        markStale(entry);
+    }
+}
+
+/**
+ * Records a recalculation of a worksheet
+ * Recalculated results (dependent cells, other-sheet references, volatile
+ * functions) raise no change events; sheets holding formulas are read again.
+ * @param {SnapshotCache} cache - Cache
+ * @param {string} sheetId - Worksheet id
+ */
+function recordCalculation(cache, sheetId) {
+    countChange(cache, sheetId);
+    const entry = cache.sheets.get(sheetId);
+    if (entry && !entry.stale && entry.hasFormulas) markStale(entry);
+}
+
+/**
+ * Records a format change of a worksheet
+ * Snapshots keep the number formats of the top rows of the used range; changes
+ * there, or anywhere they cannot be placed, cause a full read.
+ * @param {SnapshotCache} cache - Cache
+ * @param {string} sheetId - Worksheet id
+ * @param {string} address - Changed range
+ */
+function recordFormatChange(cache, sheetId, address) {
+    countChange(cache, sheetId);
+    const entry = cache.sheets.get(sheetId);
+    if (!entry || entry.stale) return;
+    const used = parseCellRange(entry.snapshot.address);
+    const changed = parseCellRange(address);
+    const formatRows = Math.max(entry.snapshot.topNumberFormats?.length || 0, 2);
+    if (!used || !changed || changed.row < used.row + formatRows) markStale(entry);
+}
+
+/**
+ * Drops the snapshot of a sheet
+ * @param {SnapshotCache} cache - Cache
+ * @param {string} sheetId - Worksheet id
+ */
+function forgetSheet(cache, sheetId) {
+    cache.sheets.delete(sheetId);
+    invalidateIndex(cache);
+}
+
+/**
+ * Drops all snapshots
+ * @param {SnapshotCache} cache - Cache
+ */
+function clearSnapshots(cache) {
+    cache.sheets.clear();
+    invalidateIndex(cache);
+}
+
+// ============================================================================
+// Workbook Index
+// ============================================================================
+
+/**
+ * Marks the cached workbook index out of date
+ * Edits can change used ranges, header rows and table row counts.
+ * @param {SnapshotCache} cache - Cache
+ */
+function invalidateIndex(cache) {
+    cache.index = null;
+    cache.indexChanges++;
+}
+
+/**
+ * Gets the cached workbook index if it still describes the workbook
+ * Renames, reordering and visibility changes raise no change events; they show
+ * in the sheet list, which the caller has loaded anyway.
+ * @param {SnapshotCache} cache - Cache
+ * @param {{ id: string, name: string, visibility: string }[]} sheets - Current worksheets, in order
+ * @returns {Object[]|null} Cached index, or null when it has to be read
+ */
+function getCachedIndex(cache, sheets) {
+    const index = cache.watching && cache.watchingTables ? cache.index : null;
+    if (!index || index.length !== sheets.length) return null;
+    const same = index.every((entry, i) =>
+        entry.id === sheets[i].id && entry.name === sheets[i].name && entry.visibility === sheets[i].visibility);
+    return same ? index : null;
+}
+
+/**
+ * Notes the start of an index read
+ * @param {SnapshotCache} cache - Cache
+ * @returns {number} Token for storeIndex
+ */
+function startIndexRead(cache) {
+    return cache.indexChanges;
+}
+
+/**
+ * Stores a freshly read workbook index, unless the workbook changed while it was read
+ * @param {SnapshotCache} cache - Cache
+ * @param {Object[]} index - Workbook index
+ * @param {number} readStart - Token from startIndexRead taken before the read
+ */
+function storeIndex(cache, index, readStart) {
+    cache.index = readStart === cache.indexChanges ? index : null;
+}
+
+/**
+ * Decides how to get a sheet's data
+ * @param {SnapshotCache} cache - Cache
+ * @param {string} sheetId - Worksheet id
+ * @param {string} sheetName - Current sheet name (renames do not raise change events)
+ * @returns {{ mode: "cached"|"patch"|"full", snapshot?: Object, regions?: Object[] }} Plan:
+ *   use the snapshot as is, re-read the edited regions, or read the sheet in full
+ */
+function planSheetRead(cache, sheetId, sheetName) {
+    const entry = cache.watching ? cache.sheets.get(sheetId) : null;
+    if (!entry || entry.stale || entry.snapshot.sheetName !== sheetName) return { mode: "full" };
+    if (!entry.regions.length) return { mode: "cached", snapshot: entry.snapshot };
+
+    // Edits must lie within the snapshot below its header row; anything else may change the
+    // used range or the column headers
+    const used = parseCellRange(entry.snapshot.address);
+    const regions = entry.regions.map(address => ({ address, ...parseCellRange(address) }));
+    const inside = used && regions.every(region =>
+        region.row !== undefined
+        && region.row > used.row
+        && region.col >= used.col
+        && region.row + region.rowCount <= used.row + used.rowCount
+        && region.col + region.colCount <= used.col + used.colCount);
+    return inside ? { mode: "patch", snapshot: entry.snapshot, regions } : { mode: "full" };
+}
+
+/**
+ * Re-reads edited regions - values, and formulas when the snapshot has them - and patches them into a snapshot
+ * @param {Excel.RequestContext} ctx - Excel context
+ * @param {Excel.Worksheet} sheet - Worksheet
+ * @param {Object} snapshot - Cached sheet data
+ * @param {{ address: string, row: number, col: number }[]} regions - Edited regions from planSheetRead
+ * @returns {Promise<Object|null>} New snapshot, or null when the used range moved and a full read is needed
+ */
+async function patchSnapshot(ctx, sheet, snapshot, regions) {
+    const usedRange = sheet.getUsedRange();
+    usedRange.load("address");
+    const ranges = regions.map(region => {
+        const range = sheet.getRange(region.address);
+        range.load(snapshot.formulas ? ["values", "formulas"] : "values");
+        return { region, range };
+    });
+    await ctx.sync();
+    if (usedRange.address !== snapshot.address) return null;
+
+    const used = parseCellRange(snapshot.address);
+    const values = snapshot.values.map(row => [...row]);
+    const formulas = snapshot.formulas?.map(row => [...row]);
+    for (const { region, range } of ranges) {
+        range.values.forEach((cells, r) => {
+            cells.forEach((value, c) => {
+                values[region.row - used.row + r][region.col - used.col + c] = value;
+                if (formulas) formulas[region.row - used.row + r][region.col - used.col + c] = range.formulas[r][c];
+            });
+        });
+    }
+    // A new object, so caches keyed by the snapshot (e.g. column profiles) start over
+    return formulas ? { ...snapshot, values, formulas } : { ...snapshot, values };
+}
+
+// ============================================================================
+// Change Events
+// ============================================================================
+
+/**
+ * Registers the workbook events that keep the cache current
+ * The cache serves snapshots only once this has succeeded.
+ * @param {SnapshotCache} cache - Cache
+ * @param {function(string): void} [log] - Diagnostic logger
+ * @returns {Promise<void>}
+ */
+async function watchWorkbookChanges(cache, log = () => {}) {
+    await Excel.run(async (ctx) => {
+        const worksheets = ctx.workbook.worksheets;
+        if (!worksheets.onCalculated || !worksheets.onFormatChanged) {
+            throw new Error("Calculation and format events are not supported by this version of Excel");
+        }
+        worksheets.onChanged.add(async (args) => {
+            recordChange(cache, args.worksheetId, args.address, args.changeType);
+        });
+        worksheets.onCalculated.add(async (args) => {
+            recordCalculation(cache, args.worksheetId);
+        });
+        worksheets.onFormatChanged.add(async (args) => {
+            recordFormatChange(cache, args.worksheetId, args.address);
+        });
+        worksheets.onAdded.add(async () => {
+            invalidateIndex(cache);
+            log("Worksheet added - it is read with the next prompt");
+        });
+        worksheets.onDeleted.add(async (args) => {
+            forgetSheet(cache, args.worksheetId);
+            log("Worksheet deleted - dropped its snapshot");
+        });
+        // Tables are listed in the index; creating or removing one need not change any cell
+        const tables = ctx.workbook.tables;
+        if (tables.onAdded && tables.onDeleted) {
+            tables.onAdded.add(async () => invalidateIndex(cache));
+            tables.onDeleted.add(async () => invalidateIndex(cache));
+            cache.watchingTables = true;
+        }
+        await ctx.sync();
+    });
+    // Snapshots read before the events were registered may have missed changes
+    clearSnapshots(cache);
+    cache.watching = true;
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+export {
+    SNAPSHOT_CONFIG,
+    parseCellRange,
+    createSnapshotCache,
+    startSheetRead,
+    storeSnapshot,
+    recordChange,
+    recordCalculation,
+    recordFormatChange,
+    forgetSheet,
+    clearSnapshots,
+    getCachedIndex,
+    startIndexRead,
+    storeIndex,
+    planSheetRead,
+    patchSnapshot,
+    watchWorkbookChanges
+};
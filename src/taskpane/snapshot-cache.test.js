@@ -0,0 +1,275 @@
+/**
+ * Tests for Snapshot Cache Module
+ */
+
+import {
+    SNAPSHOT_CONFIG,
+    parseCellRange,
+    createSnapshotCache,
+    startSheetRead,
+    storeSnapshot,
+    recordChange,
+    recordCalculation,
+    recordFormatChange,
+    forgetSheet,
+    getCachedIndex,
+    startIndexRead,
+    storeIndex,
+    planSheetRead,
+    patchSnapshot,
+    watchWorkbookChanges
+} from "./snapshot-cache.js";
+
+const SNAPSHOT = {
+    sheetName: "Sales",
+    address: "Sales!B2:D4",
+    values: [["Region", "Qty", "Price"], ["East", 1, 10], ["West", 2, 20]]
+};
+
+/**
+ * Creates a cache that watches changes and holds SNAPSHOT under id "s1"
+ * @returns {Object} Cache
+ */
+function createWatchedCache() {
+    const cache = createSnapshotCache();
+    cache.watching = true;
+    storeSnapshot(cache, "s1", SNAPSHOT);
+    return cache;
+}
+
+describe("Snapshot Cache", () => {
+    describe("parseCellRange", () => {
+        test("parses cells and ranges, not whole rows or columns", () => {
+            expect(parseCellRange("Sales!$C$3:D4")).toEqual({ row: 2, col: 2, rowCount: 2, colCount: 2 });
+            expect(parseCellRange("AA10")).toEqual({ row: 9, col: 26, rowCount: 1, colCount: 1 });
+            expect(parseCellRange("B:B")).toBeNull();
+            expect(parseCellRange("3:5")).toBeNull();
+        });
+    });
+
+    describe("planSheetRead", () => {
+        test("serves unchanged snapshots only while changes are watched", () => {
+            const cache = createWatchedCache();
+            expect(planSheetRead(cache, "s1", "Sales")).toEqual({ mode: "cached", snapshot: SNAPSHOT });
+            cache.watching = false;
+            expect(planSheetRead(cache, "s1", "Sales")).toEqual({ mode: "full" });
+        });
+
+        test("reads unknown, renamed and deleted sheets in full", () => {
+            const cache = createWatchedCache();
+            expect(planSheetRead(cache, "s2", "Other")).toEqual({ mode: "full" });
+            expect(planSheetRead(cache, "s1", "Sales 2024")).toEqual({ mode: "full" });
+            forgetSheet(cache, "s1");
+            expect(planSheetRead(cache, "s1", "Sales")).toEqual({ mode: "full" });
+        });
+
+        test("reads a sheet again when it changed while it was being read", () => {
+            const cache = createWatchedCache();
+            const readStart = startSheetRead(cache, "s2");
+            recordChange(cache, "s2", "C3", "RangeEdited");
+            storeSnapshot(cache, "s2", SNAPSHOT, readStart);
+            expect(planSheetRead(cache, "s2", "Sales")).toEqual({ mode: "full" });
+
+            storeSnapshot(cache, "s2", SNAPSHOT, startSheetRead(cache, "s2"));
+            expect(planSheetRead(cache, "s2", "Sales")).toEqual({ mode: "cached", snapshot: SNAPSHOT });
+        });
+
+        test("patches edits inside the data rows", () => {
+            const cache = createWatchedCache();
+            recordChange(cache, "s1", "C3", "RangeEdited");
+            recordChange(cache, "s1", "C4:D4", "RangeEdited");
+            const plan = planSheetRead(cache, "s1", "Sales");
+            expect(plan.mode).toBe("patch");
+            expect(plan.regions.map(region => region.address)).toEqual(["C3", "C4:D4"]);
+        });
+
+        test("reads in full after header edits, edits outside the snapshot and structural changes", () => {
+            for (const [address, changeType] of [["C2", "RangeEdited"], ["E3", "RangeEdited"], ["B5", "RangeEdited"], ["3:3", "RowInserted"]]) {
+                const cache = createWatchedCache();
+                recordChange(cache, "s1", address, changeType);
+                expect(planSheetRead(cache, "s1", "Sales")).toEqual({ mode: "full" });
+            }
+        });
+
+        test("gives up on patching after too many edits", () => {
+            const cache = createWatchedCache();
+            for (let i = 0; i <= SNAPSHOT_CONFIG.MAX_DIRTY_REGIONS; i++) {
+                recordChange(cache, "s1", "C3", "RangeEdited");
+            }
+            expect(planSheetRead(cache, "s1", "Sales")).toEqual({ mode: "full" });
+        });
+    });
+
+    describe("recordCalculation", () => {
+        test("reads sheets holding formulas in full after a recalculation", () => {
+            const cache = createWatchedCache();
+            storeSnapshot(cache, "s1", { ...SNAPSHOT, formulas: [["Region", "Qty", "Price"], ["East", 1, "=C3*10"], ["West", 2, 20]] });
+            storeSnapshot(cache, "s2", { ...SNAPSHOT, formulas: SNAPSHOT.values });
+            recordChange(cache, "s1", "C3", "RangeEdited");
+            recordCalculation(cache, "s1");
+            recordCalculation(cache, "s2");
+
+            expect(planSheetRead(cache, "s1", "Sales")).toEqual({ mode: "full" });
+            expect(planSheetRead(cache, "s2", "Sales").mode).toBe("cached");
+        });
+
+        test("assumes formulas when they were not read", () => {
+            const cache = createWatchedCache();
+            recordCalculation(cache, "s1");
+            expect(planSheetRead(cache, "s1", "Sales")).toEqual({ mode: "full" });
+        });
+    });
+
+    describe("recordFormatChange", () => {
+        test("reads in full when the formats of the top rows change", () => {
+            const topNumberFormats = [["General"], ["0.00"], ["0.00"]];
+            for (const [address, mode] of [["C3", "full"], ["B:B", "full"], ["C4", "full"], ["C40", "cached"]]) {
+                const cache = createWatchedCache();
+                storeSnapshot(cache, "s1", { ...SNAPSHOT, topNumberFormats });
+                recordFormatChange(cache, "s1", address);
+                expect(planSheetRead(cache, "s1", "Sales").mode).toBe(mode);
+            }
+        });
+    });
+
+    describe("patchSnapshot", () => {
+        /**
+         * Creates a mock sheet whose ranges return the given values
+         * @param {string} usedAddress - Current used range address
+         * @param {Object<string, Array[]>} rangeValues - Values by address
+         * @returns {{ ctx: Object, sheet: Object }} Context and sheet
+         */
+        function createMockSheet(usedAddress, rangeValues) {
+            return {
+                ctx: { sync: jest.fn(() => Promise.resolve()) },
+                sheet: {
+                    getUsedRange: jest.fn(() => ({ address: usedAddress, load: jest.fn() })),
+                    getRange: jest.fn(address => ({ values: rangeValues[address], load: jest.fn() }))
+                }
+            };
+        }
+
+        test("re-reads edited ranges into a copy of the snapshot", async () => {
+            const { ctx, sheet } = createMockSheet("Sales!B2:D4", { "C4:D4": [[5, 50]] });
+            const patched = await patchSnapshot(ctx, sheet, SNAPSHOT, [{ address: "C4:D4", ...parseCellRange("C4:D4") }]);
+            expect(patched.values).toEqual([["Region", "Qty", "Price"], ["East", 1, 10], ["West", 5, 50]]);
+            expect(patched).not.toBe(SNAPSHOT);
+            expect(SNAPSHOT.values[2]).toEqual(["West", 2, 20]);
+        });
+
+        test("patches formulas along with values", async () => {
+            const { ctx, sheet } = createMockSheet("Sales!B2:D4", {});
+            sheet.getRange = jest.fn(() => ({ values: [[30]], formulas: [["=C3*10"]], load: jest.fn() }));
+            const snapshot = { ...SNAPSHOT, formulas: SNAPSHOT.values };
+            const patched = await patchSnapshot(ctx, sheet, snapshot, [{ address: "D3", ...parseCellRange("D3") }]);
+            expect(patched.values[1]).toEqual(["East", 1, 30]);
+            expect(patched.formulas[1]).toEqual(["East", 1, "=C3*10"]);
+            expect(snapshot.formulas[1]).toEqual(["East", 1, 10]);
+        });
+
+        test("asks for a full read when the used range moved", async () => {
+            const { ctx, sheet } = createMockSheet("Sales!B2:D9", { C3: [[7]] });
+            expect(await patchSnapshot(ctx, sheet, SNAPSHOT, [{ address: "C3", ...parseCellRange("C3") }])).toBeNull();
+        });
+    });
+
+    describe("workbook index", () => {
+        const INDEX = [
+            { id: "s1", name: "Sales", visibility: "Visible", address: "B2:D4", tables: [] },
+            { id: "s2", name: "Notes", visibility: "Hidden", address: null, tables: [] }
+        ];
+        const SHEETS = INDEX.map(({ id, name, visibility }) => ({ id, name, visibility }));
+
+        /**
+         * Creates a watched cache holding INDEX
+         * @returns {Object} Cache
+         */
+        function createIndexedCache() {
+            const cache = createWatchedCache();
+            cache.watchingTables = true;
+            storeIndex(cache, INDEX, startIndexRead(cache));
+            return cache;
+        }
+
+        test("keeps the index until a sheet changes", () => {
+            const cache = createIndexedCache();
+            expect(getCachedIndex(cache, SHEETS)).toBe(INDEX);
+            recordFormatChange(cache, "s1", "Sales!F9");
+            recordCalculation(cache, "s2");
+            expect(getCachedIndex(cache, SHEETS)).toBe(INDEX);
+            recordChange(cache, "s1", "C3", "RangeEdited");
+            expect(getCachedIndex(cache, SHEETS)).toBeNull();
+        });
+
+        test("reads the index again when the sheet list differs", () => {
+            const cache = createIndexedCache();
+            expect(getCachedIndex(cache, [SHEETS[1], SHEETS[0]])).toBeNull();
+            expect(getCachedIndex(cache, [{ ...SHEETS[0], name: "Sales 2024" }, SHEETS[1]])).toBeNull();
+            expect(getCachedIndex(cache, [SHEETS[0], { ...SHEETS[1], visibility: "Visible" }])).toBeNull();
+            expect(getCachedIndex(cache, [SHEETS[0]])).toBeNull();
+            forgetSheet(cache, "s2");
+            expect(getCachedIndex(cache, SHEETS)).toBeNull();
+        });
+
+        test("drops an index read while the workbook changed, or without table events", () => {
+            const cache = createIndexedCache();
+            const readStart = startIndexRead(cache);
+            recordChange(cache, "s2", "A1", "RangeEdited");
+            storeIndex(cache, INDEX, readStart);
+            expect(getCachedIndex(cache, SHEETS)).toBeNull();
+
+            storeIndex(cache, INDEX, startIndexRead(cache));
+            cache.watchingTables = false;
+            expect(getCachedIndex(cache, SHEETS)).toBeNull();
+        });
+    });
+
+    describe("watchWorkbookChanges", () => {
+        test("routes worksheet events into the cache", async () => {
+            const handlers = {};
+            const event = name => ({ add: jest.fn(handler => { handlers[name] = handler; }) });
+            const ctx = {
+                sync: jest.fn(() => Promise.resolve()),
+                workbook: {
+                    worksheets: {
+                        onChanged: event("changed"),
+                        onCalculated: event("calculated"),
+                        onFormatChanged: event("formatChanged"),
+                        onAdded: event("added"),
+                        onDeleted: event("deleted")
+                    },
+                    tables: {
+                        onAdded: event("tableAdded"),
+                        onDeleted: event("tableDeleted")
+                    }
+                }
+            };
+            global.Excel = { run: jest.fn(callback => callback(ctx)) };
+
+            const cache = createSnapshotCache();
+            storeSnapshot(cache, "s0", SNAPSHOT);
+            await watchWorkbookChanges(cache);
+            expect(cache.watching).toBe(true);
+            expect(cache.sheets.size).toBe(0);
+
+            storeSnapshot(cache, "s1", SNAPSHOT);
+            await handlers.changed({ worksheetId: "s1", address: "C3", changeType: "RangeEdited" });
+            expect(cache.sheets.get("s1").regions).toEqual(["C3"]);
+            await handlers.calculated({ worksheetId: "s1" });
+            expect(cache.sheets.get("s1").stale).toBe(true);
+            storeSnapshot(cache, "s1", SNAPSHOT);
+            await handlers.formatChanged({ worksheetId: "s1", address: "B2:D2" });
+            expect(cache.sheets.get("s1").stale).toBe(true);
+            await handlers.deleted({ worksheetId: "s1" });
+            expect(cache.sheets.has("s1")).toBe(false);
+
+            const sheets = [{ id: "s1", name: "Sales", visibility: "Visible" }];
+            for (const name of ["added", "tableAdded", "tableDeleted"]) {
+                storeIndex(cache, sheets, startIndexRead(cache));
+                await handlers[name]({});
+                expect(getCachedIndex(cache, sheets)).toBeNull();
+            }
+            delete global.Excel;
+        });
+    });
+});
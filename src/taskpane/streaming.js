@@ -0,0 +1,235 @@
+/**
+ * Streaming Module
+ * Reads streamed model responses (server-sent events or newline-delimited JSON)
+ * and prepares partial responses for progressive rendering
+ */
+
+/* global fetch, TextDecoder */
+
+// ============================================================================
+// SSE Parsing
+// ============================================================================
+
+/**
+ * Parses one SSE event block into its data payload
+ * Multiple "data:" lines are joined with newlines, comments and other fields are ignored
+ * @param {string} block - Raw event block (without the trailing blank line)
+ * @returns {string|null} Data payload or null if the block has no data
+ */
+function parseSSEEvent(block) {
+    const dataLines = [];
+    for (const line of block.split(/\r?\n/)) {
+        if (line.startsWith("data:")) {
+            dataLines.push(line.slice(5).replace(/^ /, ""));
+        }
+    }
+    return dataLines.length ? dataLines.join("\n") : null;
+}
+
+/**
+ * Reads an SSE response body and calls onEvent for every JSON data payload
+ * @param {Response} response - Fetch response with a readable body
+ * @param {Function} onEvent - Callback receiving each parsed JSON payload
+ * @returns {Promise<void>}
+ */
+async function readSSEStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    const flush = (block) => {
+        const payload = parseSSEEvent(block);
+        if (payload === null || payload === "[DONE]") return;
+        try {
+            onEvent(JSON.parse(payload));
+        } catch (e) {
+            if (e instanceof SyntaxError) {
+                throw new Error(`Malformed stream chunk: ${payload.substring(0, 80)}`);
+            }
+            throw e;
+        }
+    };
+
+    let chunk = await reader.read();
+    while (!chunk.done) {
+        buffer += decoder.decode(chunk.value, { stream: true });
+
+        // Events are separated by a blank line
+        let boundary = buffer.search(/\r?\n\r?\n/);
+        while (boundary !== -1) {
+            const block = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, "");
+            flush(block);
+            boundary = buffer.search(/\r?\n\r?\n/);
+        }
+
+        chunk = await reader.read();
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim()) {
+        flush(buffer);
+    }
+}
+
+/**
+ * Reads a newline-delimited JSON (NDJSON) response body and calls onEvent for every line
+ * Used by providers such as Ollama that stream one JSON object per line
+ * @param {Response} response - Fetch response with a readable body
+ * @param {Function} onEvent - Callback receiving each parsed JSON object
+ * @returns {Promise<void>}
+ */
+async function readNDJSONStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    const flush = (line) => {
+        if (!line.trim()) return;
+        try {
+            onEvent(JSON.parse(line));
+        } catch (e) {
+            if (e instanceof SyntaxError) {
+                throw new Error(`Malformed stream chunk: ${line.substring(0, 80)}`);
+            }
+            throw e;
+        }
+    };
+
+    let chunk = await reader.read();
+    while (!chunk.done) {
+        buffer += decoder.decode(chunk.value, { stream: true });
+
+        let newline = buffer.indexOf("\n");
+        while (newline !== -1) {
+            flush(buffer.slice(0, newline));
+            buffer = buffer.slice(newline + 1);
+            newline = buffer.indexOf("\n");
+        }
+
+        chunk = await reader.read();
+    }
+
+    buffer += decoder.decode();
+    flush(buffer);
+}
+
+// ============================================================================
+// Streaming Requests
+// ============================================================================
+
+/**
+ * Gets a readable error message from a failed API response body
+ * Handles { error: { message } } (Gemini/OpenAI) and { error: "..." } (Ollama)
+ * @param {Object} errorData - Parsed error body
+ * @param {number} status - HTTP status code
+ * @returns {string} Error message
+ */
+function getErrorMessage(errorData, status) {
+    if (typeof errorData?.error === "string") return errorData.error;
+    return errorData?.error?.message || `HTTP ${status}`;
+}
+
+/**
+ * Checks whether an error was caused by aborting a request
+ * @param {Error} error - Error thrown by fetch or a stream reader
+ * @returns {boolean} True for AbortController cancellations
+ */
+function isAbortError(error) {
+    return error?.name === "AbortError";
+}
+
+/**
+ * Sends a provider request and accumulates the streamed text
+ * @param {Object} request - { url, headers, body } as built by a provider adapter
+ * @param {Object} options - Streaming options
+ * @param {Function} options.extractDelta - Maps one parsed stream chunk to its text delta
+ * @param {string} options.format - "sse" (default) or "ndjson"
+ * @param {Function} options.onText - Called with (fullTextSoFar, delta) after each chunk
+ * @param {AbortSignal} options.signal - Optional signal that cancels the request and the stream
+ * @param {Function} options.fetchImpl - Optional fetch implementation (defaults to global fetch)
+ * @returns {Promise<string>} The complete response text (rejects with an AbortError when aborted)
+ */
+async function streamRequest(request, options) {
+    const { extractDelta, format = "sse", onText, signal, fetchImpl = fetch } = options;
+
+    const res = await fetchImpl(request.url, {
+        method: "POST",
+        headers: request.headers || { "Content-Type": "application/json" },
+        body: JSON.stringify(request.body),
+        signal
+    });
+
+    if (!res.ok) {
+        const errorData = await res.json().catch(() => ({}));
+        throw new Error(`API Error: ${getErrorMessage(errorData, res.status)}`);
+    }
+
+    let fullText = "";
+    const readStream = format === "ndjson" ? readNDJSONStream : readSSEStream;
+    await readStream(res, (chunk) => {
+        const delta = extractDelta(chunk);
+        if (!delta) return;
+        fullText += delta;
+        if (onText) onText(fullText, delta);
+    });
+
+    return fullText;
+}
+
+// ============================================================================
+// Partial Response Helpers
+// ============================================================================
+
+const ACTION_OPEN_TAG = "<ACTION";
+const ACTION_CLOSE_TAG = "</ACTION>";
+
+/**
+ * Splits streamed text into the part whose ACTION blocks are all closed and the pending tail
+ * Only the closed part is safe to hand to parseResponse
+ * @param {string} text - Streamed text so far
+ * @returns {{ closed: string, pending: string }} Closed prefix and pending remainder
+ */
+function splitStreamingText(text) {
+    const openIndex = text.lastIndexOf(ACTION_OPEN_TAG);
+    const closeIndex = text.lastIndexOf(ACTION_CLOSE_TAG);
+
+    // An ACTION tag is still open - everything from its start is pending
+    if (openIndex !== -1 && openIndex > closeIndex) {
+        return { closed: text.slice(0, openIndex), pending: text.slice(openIndex) };
+    }
+
+    // The stream may have stopped in the middle of "<ACTION"
+    for (let len = Math.min(ACTION_OPEN_TAG.length - 1, text.length); len > 0; len--) {
+        if (ACTION_OPEN_TAG.startsWith(text.slice(-len))) {
+            return { closed: text.slice(0, -len), pending: text.slice(-len) };
+        }
+    }
+
+    return { closed: text, pending: "" };
+}
+
+/**
+ * Gets the text to show in the chat bubble while a response is still streaming
+ * Closed ACTION blocks are removed and an unfinished ACTION block is hidden
+ * @param {string} text - Streamed text so far
+ * @returns {string} Displayable message text
+ */
+function getStreamingDisplayText(text) {
+    const { closed } = splitStreamingText(text);
+    return closed.replace(/<ACTION[\s\S]*?<\/ACTION>/g, "").trim();
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+export {
+    parseSSEEvent,
+    readSSEStream,
+    readNDJSONStream,
+    streamRequest,
+    isAbortError,
+    splitStreamingText,
+    getStreamingDisplayText
+};
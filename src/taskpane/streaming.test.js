@@ -0,0 +1,253 @@
+/**
+ * Tests for Streaming Module
+ * Runs the stream readers against a local stub server that mimics
+ * Gemini streamGenerateContent (SSE) and Ollama /api/chat (NDJSON)
+ */
+
+import http from "http";
+import {
+    parseSSEEvent,
+    streamRequest,
+    isAbortError,
+    splitStreamingText,
+    getStreamingDisplayText
+} from "./streaming.js";
+import { extractGeminiStreamDelta, extractOllamaStreamDelta } from "./providers.js";
+
+/**
+ * Builds a Gemini-style stream chunk
+ * @param {string} text - Text delta
+ * @param {string} finishReason - Optional finish reason
+ * @returns {string} SSE event string
+ */
+function sseChunk(text, finishReason) {
+    const candidate = { content: { role: "model", parts: [{ text }] } };
+    if (finishReason) candidate.finishReason = finishReason;
+    return `data: ${JSON.stringify({ candidates: [candidate] })}\r\n\r\n`;
+}
+
+/**
+ * Streams a Gemini-style request against the stub server
+ * @param {string} url - Stub URL
+ * @param {Object} body - Request body
+ * @param {Object} options - Extra streamRequest options
+ * @returns {Promise<string>} Full text
+ */
+function streamGemini(url, body, options = {}) {
+    return streamRequest(
+        { url, headers: { "Content-Type": "application/json" }, body },
+        { extractDelta: extractGeminiStreamDelta, ...options }
+    );
+}
+
+describe("Streaming", () => {
+    let server;
+    let baseUrl;
+    let routes;
+
+    beforeAll((done) => {
+        routes = {};
+        server = http.createServer((req, res) => {
+            let body = "";
+            req.on("data", (c) => { body += c; });
+            req.on("end", () => {
+                const handler = routes[req.url.split("?")[0]];
+                if (!handler) {
+                    res.writeHead(404);
+                    res.end();
+                    return;
+                }
+                handler(req, res, body);
+            });
+        });
+        server.listen(0, "127.0.0.1", () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    /**
+     * Registers a stub route that writes the given events with a small delay between them
+     */
+    function stubStream(path, events) {
+        routes[path] = (req, res) => {
+            res.writeHead(200, { "Content-Type": "text/event-stream" });
+            let i = 0;
+            const next = () => {
+                if (i >= events.length) {
+                    res.end();
+                    return;
+                }
+                res.write(events[i++]);
+                setTimeout(next, 5);
+            };
+            next();
+        };
+    }
+
+    describe("streamRequest (SSE)", () => {
+        test("calls onText for every chunk and returns the full text", async () => {
+            stubStream("/stream", [
+                sseChunk("Hello"),
+                sseChunk(", wor"),
+                sseChunk("ld!", "STOP")
+            ]);
+
+            const seen = [];
+            const text = await streamGemini(`${baseUrl}/stream?alt=sse`, { contents: [] }, {
+                onText: (full, delta) => seen.push({ full, delta })
+            });
+
+            expect(text).toBe("Hello, world!");
+            expect(seen.map(s => s.delta)).toEqual(["Hello", ", wor", "ld!"]);
+            expect(seen[1].full).toBe("Hello, wor");
+        });
+
+        test("handles events split across network writes", async () => {
+            const event = sseChunk("split payload");
+            stubStream("/split", [event.slice(0, 20), event.slice(20, 41), event.slice(41)]);
+
+            const text = await streamGemini(`${baseUrl}/split`, {});
+            expect(text).toBe("split payload");
+        });
+
+        test("posts the request body as JSON", async () => {
+            let received = null;
+            routes["/echo"] = (req, res, body) => {
+                received = JSON.parse(body);
+                res.writeHead(200, { "Content-Type": "text/event-stream" });
+                res.end(sseChunk("ok"));
+            };
+
+            await streamGemini(`${baseUrl}/echo`, { contents: [{ role: "user" }] });
+            expect(received).toEqual({ contents: [{ role: "user" }] });
+        });
+
+        test("throws the API error message for non-2xx responses", async () => {
+            routes["/error"] = (req, res) => {
+                res.writeHead(400, { "Content-Type": "application/json" });
+                res.end(JSON.stringify({ error: { message: "API key not valid" } }));
+            };
+
+            await expect(streamGemini(`${baseUrl}/error`, {}))
+                .rejects.toThrow("API Error: API key not valid");
+        });
+
+        test("throws when the stream reports a safety block", async () => {
+            stubStream("/blocked", [sseChunk("partial"), sseChunk("", "SAFETY")]);
+
+            await expect(streamGemini(`${baseUrl}/blocked`, {}))
+                .rejects.toThrow("safety filters");
+        });
+
+        test("keeps ACTION tags split across chunks intact", async () => {
+            stubStream("/action", [
+                sseChunk("Adding a total. <ACT"),
+                sseChunk("ION type=\"formula\" target=\"C2\">=SUM("),
+                sseChunk("A2:B2)</ACTION>")
+            ]);
+
+            const displayed = [];
+            const text = await streamGemini(`${baseUrl}/action`, {}, {
+                onText: (full) => displayed.push(getStreamingDisplayText(full))
+            });
+
+            expect(text).toBe("Adding a total. <ACTION type=\"formula\" target=\"C2\">=SUM(A2:B2)</ACTION>");
+            expect(displayed).toEqual(["Adding a total.", "Adding a total.", "Adding a total."]);
+        });
+    });
+
+    describe("abort", () => {
+        test("stops a stream mid-response and rejects with an AbortError", async () => {
+            stubStream("/slow", [sseChunk("one"), sseChunk("two"), sseChunk("three"), sseChunk("four")]);
+
+            const controller = new AbortController();
+            const seen = [];
+            const promise = streamGemini(`${baseUrl}/slow`, {}, {
+                signal: controller.signal,
+                onText: (full, delta) => {
+                    seen.push(delta);
+                    if (delta === "one") controller.abort();
+                }
+            });
+
+            const err = await promise.catch(e => e);
+            expect(isAbortError(err)).toBe(true);
+            expect(seen).toEqual(["one"]);
+        });
+
+        test("rejects immediately when the signal is already aborted", async () => {
+            stubStream("/never", [sseChunk("unused")]);
+            const controller = new AbortController();
+            controller.abort();
+
+            const err = await streamGemini(`${baseUrl}/never`, {}, { signal: controller.signal }).catch(e => e);
+            expect(isAbortError(err)).toBe(true);
+        });
+
+        test("does not treat other errors as aborts", () => {
+            expect(isAbortError(new Error("API Error: boom"))).toBe(false);
+            expect(isAbortError(undefined)).toBe(false);
+        });
+    });
+
+    describe("streamRequest (NDJSON)", () => {
+        test("reads one JSON object per line", async () => {
+            const line = (content, done = false) => `${JSON.stringify({ message: { role: "assistant", content }, done })}\n`;
+            const whole = line("Hi") + line(" there") + line("", true);
+            stubStream("/api/chat", [whole.slice(0, 30), whole.slice(30)]);
+
+            const deltas = [];
+            const text = await streamRequest(
+                { url: `${baseUrl}/api/chat`, body: { stream: true } },
+                { format: "ndjson", extractDelta: extractOllamaStreamDelta, onText: (full, d) => deltas.push(d) }
+            );
+
+            expect(text).toBe("Hi there");
+            expect(deltas).toEqual(["Hi", " there"]);
+        });
+
+        test("surfaces string error bodies", async () => {
+            routes["/ollama-error"] = (req, res) => {
+                res.writeHead(404, { "Content-Type": "application/json" });
+                res.end(JSON.stringify({ error: "model \"foo\" not found" }));
+            };
+
+            await expect(streamRequest(
+                { url: `${baseUrl}/ollama-error`, body: {} },
+                { format: "ndjson", extractDelta: extractOllamaStreamDelta }
+            )).rejects.toThrow("API Error: model \"foo\" not found");
+        });
+    });
+
+    describe("parseSSEEvent", () => {
+        test("joins multi-line data fields", () => {
+            expect(parseSSEEvent("data: {\"a\":\ndata: 1}")).toBe("{\"a\":\n1}");
+        });
+
+        test("ignores comments and other fields", () => {
+            expect(parseSSEEvent(": keep-alive\nevent: message")).toBeNull();
+        });
+    });
+
+    describe("splitStreamingText", () => {
+        test("treats text without ACTION tags as closed", () => {
+            expect(splitStreamingText("Plain answer")).toEqual({ closed: "Plain answer", pending: "" });
+        });
+
+        test("holds back an unclosed ACTION block", () => {
+            const text = "Done. <ACTION type=\"values\" target=\"A1\">[[1]]</ACTION> <ACTION type=\"format\"";
+            const { closed, pending } = splitStreamingText(text);
+            expect(closed).toBe("Done. <ACTION type=\"values\" target=\"A1\">[[1]]</ACTION> ");
+            expect(pending).toBe("<ACTION type=\"format\"");
+        });
+
+        test("holds back a partial opening tag", () => {
+            expect(splitStreamingText("Sure <ACT")).toEqual({ closed: "Sure ", pending: "<ACT" });
+        });
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * Table Context Module
+ * Formats the Excel Tables of the loaded sheets as the TABLES section of the
+ * data context - names, ranges, columns and totals-row state - and steers
+ * formulas in or over a table to structured references, which keep working
+ * when the table grows. Tables come from the workbook index (workbook-index.js).
+ */
+
+import { parseCellRange } from "./snapshot-cache.js";
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const TABLE_CONFIG = {
+    // Column names listed per table
+    MAX_COLUMNS: 30
+};
+
+// ============================================================================
+// Lookup
+// ============================================================================
+
+/**
+ * Splits "Sheet!A1:B2" into a sheet name and cells
+ * @param {string} address - Address, optionally sheet-qualified
+ * @param {string} defaultSheet - Sheet of unqualified addresses
+ * @returns {{ sheetName: string, cells: string }} Parts
+ */
+function splitAddress(address, defaultSheet) {
+    const text = String(address || "");
+    const bang = text.lastIndexOf("!");
+    if (bang === -1) return { sheetName: defaultSheet, cells: text };
+    const sheetName = text.slice(0, bang).replace(/^'(.*)'$/, "$1").replace(/''/g, "'");
+    return { sheetName, cells: text.slice(bang + 1) };
+}
+
+/**
+ * Finds the table whose range holds the top-left cell of an address
+ * @param {Object[]} index - Workbook index (see readWorkbookIndex)
+ * @param {string} address - Address, optionally sheet-qualified
+ * @param {string} defaultSheet - Sheet of unqualified addresses
+ * @returns {{ table: Object, sheetName: string, column: string|null }|null} The table and the
+ *   column under the cell, or null outside tables (and for whole rows or columns)
+ */
+function findTableAt(index, address, defaultSheet) {
+    const { sheetName, cells } = splitAddress(address, defaultSheet);
+    const cell = parseCellRange(cells);
+    const entry = (index || []).find(sheet => sheet.name === sheetName);
+    if (!cell || !entry) return null;
+
+    for (const table of entry.tables || []) {
+        const range = parseCellRange(table.address);
+        if (range
+            && cell.row >= range.row && cell.row < range.row + range.rowCount
+            && cell.col >= range.col && cell.col < range.col + range.colCount) {
+            return { table, sheetName, column: table.columns?.[cell.col - range.col] ?? null };
+        }
+    }
+    return null;
+}
+
+// ============================================================================
+// Formatting
+// ============================================================================
+
+/**
+ * Formats the tables of the loaded sheets as the TABLES section of the data context
+ * @param {Object[]} index - Workbook index (see readWorkbookIndex)
+ * @param {string[]} loadedNames - Sheets whose data is in the context
+ * @returns {string} Markdown section, empty when those sheets have no tables
+ */
+function formatTableContext(index, loadedNames) {
+    const loaded = new Set(loadedNames);
+    const tables = (index || [])
+        .filter(entry => loaded.has(entry.name))
+        .flatMap(entry => (entry.tables || []).map(table => ({ ...table, sheetName: entry.name })));
+    if (!tables.length) return "";
+
+    const rows = tables.map(table => {
+        const columns = table.columns || [];
+        const shown = columns.slice(0, TABLE_CONFIG.MAX_COLUMNS).map(name => String(name).replace(/\|/g, "\\|"));
+        const more = columns.length - shown.length;
+        return `| ${table.name} | ${table.sheetName} | ${table.address} | ${table.rowCount} | ${table.showTotals ? "shown" : "off"} | ${shown.join(", ")}${more > 0 ? `, ... (+${more} more)` : ""} |`;
+    });
+
+    const example = tables[0];
+    const exampleColumn = example.columns?.[0] || "Column";
+    let section = `## TABLES\n`;
+    section += `| Table | Sheet | Range | Data Rows | Totals Row | Columns |\n`;
+    section += `|-------|-------|-------|-----------|------------|---------|\n`;
+    section += rows.join("\n") + "\n";
+    section += `\nFormulas in or over a table must use structured references - they follow the table when it grows, A1 ranges do not:\n`;
+    section += `- \`[@${exampleColumn}]\` for the same row inside the table, \`${example.name}[${exampleColumn}]\` for the whole column, \`${example.name}[[#Totals],[${exampleColumn}]]\` for its total\n`;
+    section += `- A formula action whose target is the whole data body of one table column is written as a calculated column\n`;
+    section += `- Add a computed column with addTableColumn and a "formula", e.g. {"columnName":"Margin","formula":"=[@Revenue]-[@Cost]"}\n`;
+    return section;
+}
+
+/**
+ * Points the request at structured references when the selection is in a table
+ * @param {Object|null} selection - Current selection (see readSelection)
+ * @param {Object[]} index - Workbook index
+ * @param {string} activeName - Active sheet name
+ * @returns {string} A note to append to the request, or "" outside tables
+ */
+function getTableReferenceNote(selection, index, activeName) {
+    const found = selection?.address ? findTableAt(index, selection.address, activeName) : null;
+    if (!found) return "";
+    const { table, column } = found;
+    const example = column ? `${table.name}[${column}] or [@${column}]` : `${table.name}[Column] or [@Column]`;
+    return `\n(The selection is in table ${table.name} - use structured references such as ${example} for formulas there.)`;
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+export {
+    TABLE_CONFIG,
+    findTableAt,
+    formatTableContext,
+    getTableReferenceNote
+};
@@ -0,0 +1,64 @@
+/**
+ * Tests for Table Context Module
+ */
+
+import { TABLE_CONFIG, findTableAt, formatTableContext, getTableReferenceNote } from "./table-context.js";
+
+const SALES_TABLE = {
+    name: "Sales",
+    address: "B2:E50",
+    rowCount: 47,
+    columns: ["Region", "Qty", "Price", "Amount"],
+    showHeaders: true,
+    showTotals: true
+};
+
+const INDEX = [
+    { name: "Data", tables: [SALES_TABLE] },
+    { name: "Q&A's", tables: [{ name: "Notes", address: "A1:A5", rowCount: 4, columns: ["Note"], showHeaders: true, showTotals: false }] },
+    { name: "Empty", tables: [] }
+];
+
+describe("Table Context", () => {
+    describe("findTableAt", () => {
+        test("finds the table and the column under a cell", () => {
+            expect(findTableAt(INDEX, "E10", "Data")).toEqual({ table: SALES_TABLE, sheetName: "Data", column: "Amount" });
+            expect(findTableAt(INDEX, "Data!B2:C3", "Empty")?.column).toBe("Region");
+            expect(findTableAt(INDEX, "'Q&A''s'!A3", "Data")?.table.name).toBe("Notes");
+        });
+
+        test("returns null outside tables and for whole columns", () => {
+            expect(findTableAt(INDEX, "F10", "Data")).toBeNull();
+            expect(findTableAt(INDEX, "B51", "Data")).toBeNull();
+            expect(findTableAt(INDEX, "E:E", "Data")).toBeNull();
+            expect(findTableAt(INDEX, "E10", "Missing")).toBeNull();
+        });
+    });
+
+    describe("formatTableContext", () => {
+        test("lists the tables of loaded sheets and asks for structured references", () => {
+            const text = formatTableContext(INDEX, ["Data"]);
+            expect(text).toContain("## TABLES");
+            expect(text).toContain("| Sales | Data | B2:E50 | 47 | shown | Region, Qty, Price, Amount |");
+            expect(text).not.toContain("| Notes |");
+            expect(text).toContain("`[@Region]` for the same row inside the table, `Sales[Region]` for the whole column");
+            expect(text).toContain("calculated column");
+        });
+
+        test("cuts long column lists and is empty without tables", () => {
+            const columns = Array.from({ length: TABLE_CONFIG.MAX_COLUMNS + 2 }, (_, i) => `C${i}`);
+            const text = formatTableContext([{ name: "Wide", tables: [{ ...SALES_TABLE, columns }] }], ["Wide"]);
+            expect(text).toContain(`C${TABLE_CONFIG.MAX_COLUMNS - 1}, ... (+2 more) |`);
+            expect(formatTableContext(INDEX, ["Empty"])).toBe("");
+        });
+    });
+
+    describe("getTableReferenceNote", () => {
+        test("names the table when the selection is inside one", () => {
+            expect(getTableReferenceNote({ address: "Data!E5:E9" }, INDEX, "Data"))
+                .toBe("\n(The selection is in table Sales - use structured references such as Sales[Amount] or [@Amount] for formulas there.)");
+            expect(getTableReferenceNote({ address: "Data!H5" }, INDEX, "Data")).toBe("");
+            expect(getTableReferenceNote(null, INDEX, "Data")).toBe("");
+        });
+    });
+});
@@ -3,7 +3,7 @@
  * Enhanced with: Task-specific prompts, Function calling, RAG, Multi-step reasoning, Learning
  */
 
-/* global document, Excel, Office, fetch, localStorage */
+/* global document, Excel, Office, fetch, localStorage, AbortController */
 
 // Version number - increment with each update
 const VERSION = "3.6.4";
@@ -15,12 +15,60 @@ import {
     isCorrection,
     handleCorrection,
     processResponse,
-    extractResponseText,
     getRAGContext,
     getCorrectionContext,
     clearCorrections
 } from "./ai-engine.js";
 
+import {
+    streamRequest,
+    isAbortError,
+    getStreamingDisplayText
+} from "./streaming.js";
+
+import {
+    DEFAULT_PROVIDER,
+    getProvider,
+    getProviderModels
+} from "./providers.js";
+
+import {
+    buildActionResponseSchema,
+    getStructuredOutputInstructions,
+    parseStructuredResponse,
+    getStructuredDisplayText
+} from "./action-schema.js";
+import { checkActions } from "./action-validation.js";
+import { captureUndo, captureRedo, applyUndo, loadCreatedItems, getSheetRef, findEntrySheet } from "./undo.js";
+import { canUndoEntry, canRedoEntry, renderHistoryStacks } from "./history.js";
+import { loadSession, saveSession } from "./session-store.js";
+import { DIFF_ACTION_TYPES, FORMULA_CHECK_ACTION_TYPES, loadActionDiff, loadFormulaCheck, renderDiffGrid } from "./preview-diff.js";
+import { analyzeRisks } from "./risk-analyzer.js";
+import { findIrreversibleActions, runTransaction } from "./apply-transaction.js";
+import { resolveActionRefs, buildActionResult } from "./action-refs.js";
+import { applyEditToList, renderEditForm } from "./preview-edit.js";
+import { TOOL_CONFIG, getToolInstructions, parseToolCalls, stripToolCalls, runToolCall, formatToolResults } from "./workbook-tools.js";
+import { getQueryInstructions, replaceQueries, maskQueries } from "./query-engine.js";
+import { formatColumnProfiles, formatColumnTypes } from "./column-profile.js";
+import { formatFormulaColumns, formatFormulaColumnNames } from "./formula-context.js";
+import { TOKEN_CONFIG, estimateMessagesTokens, getTokenBudget, fitPromptToBudget, formatPromptUsage } from "./token-budget.js";
+import { readSelection, formatSelectionContext, getSelectionReferenceNote } from "./selection-context.js";
+import { readWorkbookIndex, findSheetsInPrompt, addRequestedSheets, chooseSheetsToLoad, formatWorkbookIndex } from "./workbook-index.js";
+import { formatTableContext, getTableReferenceNote } from "./table-context.js";
+import { REGION_CONFIG, getSheetView, formatRegionContext } from "./region-detector.js";
+import {
+    createSnapshotCache,
+    startSheetRead,
+    storeSnapshot,
+    clearSnapshots,
+    getCachedIndex,
+    startIndexRead,
+    storeIndex,
+    planSheetRead,
+    patchSnapshot,
+    watchWorkbookChanges
+} from "./snapshot-cache.js";
+
 import {
     colIndexToLetter,
     colLetterToIndex,
@@ -33,7 +81,8 @@ import {
 import {
     setDiagnosticLogger,
     executeAction as executeActionFromModule,
-    adjustFormulaReferences
+    adjustFormulaReferences,
+    applyTableColumnFormula
 } from "./action-executor.js";
 
 import {
@@ -50,43 +99,75 @@ import {
 } from "./diagnostics.js";
 
 const CONFIG = {
-    GEMINI_MODEL: "gemini-2.0-flash-exp", // Default model
-    GEMINI_MODELS: {
-        FLASH_2_5: "gemini-2.5-flash",
-        FLASH_2_0: "gemini-2.0-flash-exp",
-        PRO_2_0: "gemini-2.0-pro-exp"
-    },
-    API_ENDPOINT: "https://generativelanguage.googleapis.com/v1beta/models/",
     STORAGE_KEY: "excel_copilot_api_key",
     THEME_KEY: "excel_copilot_theme",
     MODEL_KEY: "excel_copilot_model",
+    PROVIDER_KEY: "excel_copilot_provider",
+    ENDPOINT_KEY: "excel_copilot_endpoint",
     MAX_HISTORY: 10,
     MAX_RETRIES: 3,
     RETRY_DELAY: 1000,
     VERSION: VERSION
 };
 
+// Settings-modal text for each provider
+const PROVIDER_UI = {
+    gemini: {
+        keyLabel: "Gemini API Key",
+        keyHint: 'Get your free key at <a href="https://aistudio.google.com/apikey" target="_blank">Google AI Studio</a>',
+        modelHint: "Flash models are faster and cheaper. Pro models offer better reasoning for complex tasks."
+    },
+    openai: {
+        keyLabel: "API Key (optional for vLLM)",
+        keyHint: "Sent as a Bearer token, or as the api-key header for Azure OpenAI endpoints.",
+        modelHint: "Models reported by the endpoint. For Azure, the deployment in the URL decides the model."
+    },
+    ollama: {
+        keyLabel: "API Key (optional)",
+        keyHint: "Only needed when Ollama runs behind an authenticating proxy.",
+        modelHint: "Models installed on the Ollama server (ollama list)."
+    }
+};
+
 const state = {
+    provider: DEFAULT_PROVIDER, // LLM provider id (see providers.js)
+    endpoint: "",            // Custom endpoint for the provider ("" = provider default)
     apiKey: "",
-    selectedModel: CONFIG.GEMINI_MODELS.FLASH_2_5, // Default to Gemini 2.5 Flash
+    selectedModel: getProvider(DEFAULT_PROVIDER).models[0].id, // Default to Gemini 2.5 Flash
     pendingActions: [],
     currentData: null,
     allSheetsData: [],       // Data from all sheets in workbook
-    conversationHistory: [],
+    selection: null,         // Current selection (see selection-context.js), refreshed with the data
+    workbookIndex: [],       // Every sheet's name, used range, headers and tables (see workbook-index.js)
+    requestedSheets: [],     // { name, prompt } - sheets named in recent prompts or described for the model, most recent first - read in full in "all" scope
+    promptCount: 0,          // Prompts read for so far, to age out requestedSheets
+    snapshots: createSnapshotCache(), // Sheet snapshots kept between reads, invalidated by change events
+    conversationHistory: [], // { role: "user" | "assistant", content } - provider-neutral
+    chatTranscript: [],      // { role, content, type } - chat messages as shown, saved with the workbook session
     isFirstMessage: true,
     lastAIResponse: "",      // Track last AI response for corrections
     currentTaskType: null,   // Track current task type
     worksheetScope: "single", // "single" or "all" - controls multi-sheet access
+    applyMode: "independent", // "independent" or "atomic" - atomic rolls the batch back when an action fails
     selectionHandler: null,  // Reference to selection change event handler
+    abortController: null,   // AbortController of the in-flight AI request (null when idle)
     // Preview state
     preview: {
         selections: [],      // boolean[] - selection state for each action
         expandedIndex: -1,   // number - index of expanded action (-1 if none)
-        highlightedIndex: -1 // number - index of highlighted action (-1 if none)
+        highlightedIndex: -1, // number - index of highlighted action (-1 if none)
+        editingIndex: -1,    // number - index of the action being edited inline (-1 if none)
+        issues: [],          // string[][] - validation and reference issues for each action
+        diffs: [],           // (RangeDiff|null)[] - before/after contents of each action's target
+        checks: [],          // (FormulaCheck|null)[] - formulas among the cells each action writes (see preview-diff.js)
+        diffsLoading: null,  // Promise|null - diffs and checks still being read
+        risks: [],           // string[][] - destructive effects of each action (see risk-analyzer.js)
+        riskConfirmed: false // boolean - user confirmed applying the selected flagged actions
     },
     // History state for undo functionality
     history: {
         entries: [],         // HistoryEntry[] - all history entries, newest first
+        redoEntries: [],     // HistoryEntry[] - undone entries that can be redone, most recently undone first
         panelVisible: false, // boolean - whether history panel is shown
         maxEntries: 20       // number - maximum entries to retain
     },
@@ -118,32 +199,12 @@ function initApp() {
     
     logInfo("Excel Copilot initializing", { version: VERSION });
     
-    // Comment 8: Load API key with de-obfuscation
-    // Note: Key is stored with basic obfuscation for backward compatibility
-    try {
-        const stored = localStorage.getItem(CONFIG.STORAGE_KEY) || "";
-        if (stored) {
-            // Try to decode (new format) or use as-is (old format)
-            try {
-                state.apiKey = atob(stored);
-            } catch (e) {
-                // Old format - use as-is
-                state.apiKey = stored;
-            }
-        }
-    } catch (e) {
-        state.apiKey = "";
-        logWarn("Could not load API key");
-    }
-    
-    // Load saved model selection
-    const savedModel = localStorage.getItem(CONFIG.MODEL_KEY);
-    if (savedModel && Object.values(CONFIG.GEMINI_MODELS).includes(savedModel)) {
-        state.selectedModel = savedModel;
-    } else {
-        // Default to Gemini 2.5 Flash
-        state.selectedModel = CONFIG.GEMINI_MODELS.FLASH_2_5;
-    }
+    // Load provider, then its API key, endpoint and model
+    state.provider = getProvider(localStorage.getItem(CONFIG.PROVIDER_KEY)).id;
+    const providerSettings = loadProviderSettings(state.provider);
+    state.apiKey = providerSettings.apiKey;
+    state.endpoint = providerSettings.endpoint;
+    state.selectedModel = providerSettings.model;
     
     // Update version badge and add click handler
     const versionBadge = document.getElementById("versionBadge");
@@ -164,8 +225,15 @@ function initApp() {
     if (savedScope) {
         state.worksheetScope = savedScope;
     }
+    
+    // Load saved apply mode preference
+    const savedApplyMode = localStorage.getItem("excel_copilot_apply_mode");
+    if (savedApplyMode) {
+        state.applyMode = savedApplyMode;
+    }
     bindEvents();
     initModeButtons();
+    restoreSession();
     readExcelData().then(() => {
         logInfo("Initial data load complete");
     });
@@ -176,6 +244,7 @@ function bindEvents() {
     const input = document.getElementById("promptInput");
     
     sendBtn?.addEventListener("click", handleSend);
+    document.getElementById("stopBtn")?.addEventListener("click", stopRequest);
     input?.addEventListener("keydown", (e) => {
         if (e.key === "Enter" && !e.shiftKey) {
             e.preventDefault();
@@ -189,42 +258,54 @@ function bindEvents() {
     });
     
     document.getElementById("applyBtn")?.addEventListener("click", handleApply);
+    document.getElementById("riskCancelBtn")?.addEventListener("click", hideRiskConfirmation);
+    document.getElementById("riskConfirmBtn")?.addEventListener("click", () => {
+        state.preview.riskConfirmed = true;
+        hideRiskConfirmation();
+        handleApply();
+    });
     
     document.getElementById("refreshBtn")?.addEventListener("click", async () => {
         const btn = document.getElementById("refreshBtn");
         btn.classList.add("loading");
-        await readExcelData();
+        await readExcelData({ force: true });
         btn.classList.remove("loading");
         toast("Refreshed");
     });
     
     document.getElementById("settingsBtn")?.addEventListener("click", () => {
+        document.getElementById("providerSelect").value = state.provider;
         document.getElementById("apiKeyInput").value = state.apiKey;
-        // Set model selection
-        document.getElementById("modelSelect").value = state.selectedModel;
+        document.getElementById("endpointInput").value = state.endpoint;
+        // Set provider-specific labels and model list
+        updateProviderFields(state.provider, state.selectedModel);
         // Set worksheet scope radio button
         document.getElementById(state.worksheetScope === "all" ? "scopeAll" : "scopeSingle").checked = true;
+        document.getElementById(state.applyMode === "atomic" ? "applyAtomic" : "applyIndependent").checked = true;
         document.getElementById("modal").classList.add("open");
     });
     
     document.getElementById("closeModal")?.addEventListener("click", closeModal);
     document.getElementById("cancelBtn")?.addEventListener("click", closeModal);
+    document.getElementById("providerSelect")?.addEventListener("change", (e) => {
+        // Show the stored settings of the newly selected provider (state changes only on save)
+        const stored = loadProviderSettings(e.target.value);
+        document.getElementById("apiKeyInput").value = stored.apiKey;
+        document.getElementById("endpointInput").value = stored.endpoint;
+        updateProviderFields(e.target.value, stored.model);
+    });
+    
+    document.getElementById("endpointInput")?.addEventListener("change", () => {
+        const providerId = document.getElementById("providerSelect").value;
+        updateProviderFields(providerId, document.getElementById("modelSelect").value);
+    });
+    
     document.getElementById("saveBtn")?.addEventListener("click", async () => {
+        state.provider = getProvider(document.getElementById("providerSelect").value).id;
         state.apiKey = document.getElementById("apiKeyInput").value.trim();
-        
-        // Comment 8: Store API key with minimal obfuscation
-        // Note: For better security, consider not persisting at all
-        if (state.apiKey) {
-            // Simple base64 encoding (not true encryption, but prevents casual viewing)
-            const obfuscated = btoa(state.apiKey);
-            localStorage.setItem(CONFIG.STORAGE_KEY, obfuscated);
-        } else {
-            localStorage.removeItem(CONFIG.STORAGE_KEY);
-        }
-        
-        // Save model selection
+        state.endpoint = document.getElementById("endpointInput").value.trim();
         state.selectedModel = document.getElementById("modelSelect").value;
-        localStorage.setItem(CONFIG.MODEL_KEY, state.selectedModel);
+        saveProviderSettings();
         
         // Save worksheet scope preference
         const selectedScope = document.querySelector('input[name="worksheetScope"]:checked')?.value || "single";
@@ -232,6 +313,10 @@ function bindEvents() {
         state.worksheetScope = selectedScope;
         localStorage.setItem("excel_copilot_worksheet_scope", selectedScope);
         
+        // Save apply mode preference
+        state.applyMode = document.querySelector('input[name="applyMode"]:checked')?.value || "independent";
+        localStorage.setItem("excel_copilot_apply_mode", state.applyMode);
+        
         // Comment 6: Re-attach selection listener and refresh data when scope changes
         if (scopeChanged) {
             await reattachSelectionListener();
@@ -242,13 +327,13 @@ function bindEvents() {
         
         closeModal();
         toast("Saved");
-        logInfo("Settings saved", { scope: selectedScope, model: state.selectedModel });
+        logInfo("Settings saved", { scope: selectedScope, applyMode: state.applyMode, provider: state.provider, model: state.selectedModel });
     });
     
     // Comment 8: Add "Remove API key" functionality
     document.getElementById("removeApiKeyBtn")?.addEventListener("click", () => {
         state.apiKey = "";
-        localStorage.removeItem(CONFIG.STORAGE_KEY);
+        localStorage.removeItem(getProviderStorageKey(CONFIG.STORAGE_KEY, state.provider));
         document.getElementById("apiKeyInput").value = "";
         toast("API key removed");
         logInfo("API key removed");
@@ -263,11 +348,14 @@ function bindEvents() {
         clearLearnedCorrections();
     });
     
+    document.getElementById("clearSessionBtn")?.addEventListener("click", clearSavedSession);
+    
     document.getElementById("clearBtn")?.addEventListener("click", clearChat);
     
     // History and Undo buttons
     document.getElementById("historyBtn")?.addEventListener("click", toggleHistoryPanel);
     document.getElementById("undoBtn")?.addEventListener("click", performUndo);
+    document.getElementById("redoBtn")?.addEventListener("click", performRedo);
     
     // Comment 10: Diagnostics panel buttons
     document.getElementById("diagnosticsBtn")?.addEventListener("click", toggleDiagnosticsPanel);
@@ -323,12 +411,125 @@ function bindEvents() {
     });
     
     setupSelectionListener();
+    setupChangeListeners();
 }
 
 function closeModal() {
     document.getElementById("modal").classList.remove("open");
 }
 
+// ============================================================================
+// Provider Settings
+// ============================================================================
+
+/**
+ * Gets the localStorage key for a per-provider setting
+ * Gemini keeps the original key names so existing settings survive the upgrade
+ * @param {string} baseKey - Base storage key
+ * @param {string} providerId - Provider id
+ * @returns {string} Storage key
+ */
+function getProviderStorageKey(baseKey, providerId) {
+    return providerId === DEFAULT_PROVIDER ? baseKey : `${baseKey}_${providerId}`;
+}
+
+/**
+ * Loads the stored API key, endpoint and model of a provider
+ * @param {string} providerId - Provider id
+ * @returns {{ apiKey: string, endpoint: string, model: string }} Stored settings
+ */
+function loadProviderSettings(providerId) {
+    const provider = getProvider(providerId);
+    let apiKey = "";
+    
+    // Comment 8: Load API key with de-obfuscation
+    // Note: Key is stored with basic obfuscation for backward compatibility
+    try {
+        const stored = localStorage.getItem(getProviderStorageKey(CONFIG.STORAGE_KEY, provider.id)) || "";
+        try {
+            // Try to decode (new format) or use as-is (old format)
+            apiKey = stored ? atob(stored) : "";
+        } catch (e) {
+            apiKey = stored;
+        }
+    } catch (e) {
+        logWarn("Could not load API key");
+    }
+    
+    const endpoint = localStorage.getItem(getProviderStorageKey(CONFIG.ENDPOINT_KEY, provider.id)) || "";
+    
+    // Built-in Gemini models are a fixed list; other providers may serve any model name
+    const savedModel = localStorage.getItem(getProviderStorageKey(CONFIG.MODEL_KEY, provider.id));
+    const isKnownModel = provider.models.some(m => m.id === savedModel);
+    const model = savedModel && (isKnownModel || provider.listModels) ? savedModel : provider.models[0].id;
+    
+    return { apiKey, endpoint, model };
+}
+
+/**
+ * Persists the current provider, API key, endpoint and model
+ */
+function saveProviderSettings() {
+    localStorage.setItem(CONFIG.PROVIDER_KEY, state.provider);
+    
+    // Comment 8: Store API key with minimal obfuscation
+    // Note: For better security, consider not persisting at all
+    const keyName = getProviderStorageKey(CONFIG.STORAGE_KEY, state.provider);
+    if (state.apiKey) {
+        // Simple base64 encoding (not true encryption, but prevents casual viewing)
+        localStorage.setItem(keyName, btoa(state.apiKey));
+    } else {
+        localStorage.removeItem(keyName);
+    }
+    
+    const endpointName = getProviderStorageKey(CONFIG.ENDPOINT_KEY, state.provider);
+    if (state.endpoint) {
+        localStorage.setItem(endpointName, state.endpoint);
+    } else {
+        localStorage.removeItem(endpointName);
+    }
+    
+    localStorage.setItem(getProviderStorageKey(CONFIG.MODEL_KEY, state.provider), state.selectedModel);
+}
+
+/**
+ * Updates the settings modal for a provider: labels, endpoint field and model list
+ * @param {string} providerId - Provider id
+ * @param {string} selectedModel - Model to keep selected if available
+ */
+async function updateProviderFields(providerId, selectedModel) {
+    const provider = getProvider(providerId);
+    const ui = PROVIDER_UI[provider.id];
+    
+    document.getElementById("apiKeyLabel").textContent = ui.keyLabel;
+    document.getElementById("apiKeyHint").innerHTML = ui.keyHint;
+    document.getElementById("modelHint").textContent = ui.modelHint;
+    document.getElementById("endpointSection").hidden = provider.id === DEFAULT_PROVIDER;
+    document.getElementById("endpointInput").placeholder = provider.defaultEndpoint;
+    
+    const select = document.getElementById("modelSelect");
+    const models = await getProviderModels(provider.id, {
+        endpoint: document.getElementById("endpointInput").value.trim(),
+        apiKey: document.getElementById("apiKeyInput").value.trim()
+    });
+    
+    // The provider may have been switched again while models were loading
+    if (document.getElementById("providerSelect").value !== provider.id) return;
+    
+    const options = [...models];
+    if (selectedModel && !options.some(m => m.id === selectedModel) && provider.listModels) {
+        options.unshift({ id: selectedModel, label: selectedModel });
+    }
+    select.innerHTML = "";
+    for (const model of options) {
+        const option = document.createElement("option");
+        option.value = model.id;
+        option.textContent = model.label;
+        select.appendChild(option);
+    }
+    select.value = options.some(m => m.id === selectedModel) ? selectedModel : options[0].id;
+}
+
 async function setupSelectionListener() {
     try {
         // Remove existing handler if any (Comment 6)
@@ -358,12 +559,38 @@ async function reattachSelectionListener() {
     await setupSelectionListener();
 }
 
+/**
+ * Registers the workbook change events that keep the snapshot cache current
+ * Without them every read loads all sheets in full.
+ */
+async function setupChangeListeners() {
+    try {
+        await watchWorkbookChanges(state.snapshots, logDebug);
+        logDebug("Workbook change listeners attached");
+    } catch (e) {
+        logWarn(`Workbook change listeners failed - sheets are re-read for every prompt: ${e.message}`);
+    }
+}
+
 // ============================================================================
 // Read Excel Data with Column Headers
 // Note: colIndexToLetter and colLetterToIndex are imported from excel-data.js
 // ============================================================================
-async function readExcelData() {
+
+/**
+ * Reads the workbook index into state.workbookIndex and the sheets in scope into
+ * state.currentData and state.allSheetsData
+ * In "all" scope the active sheet is read in full together with the sheets the
+ * prompt names and those named or described for the last few prompts (state.requestedSheets).
+ * Unchanged sheets come from the snapshot cache and edited ones are patched, as
+ * worksheet change events recorded them - also after applying, undoing or redoing
+ * actions. The workbook index is cached the same way. Only force (the manual
+ * refresh) drops the cache and reads everything again.
+ * @param {{ force?: boolean, prompt?: string }} options - Read options (event args when used as a handler)
+ */
+async function readExcelData({ force = false, prompt } = {}) {
     const infoEl = document.getElementById("contextInfo");
+    if (force === true) clearSnapshots(state.snapshots);
     
     try {
         await Excel.run(async (ctx) => {
@@ -382,16 +609,52 @@ async function readExcelData() {
             
             const activeSheetName = activeSheet.name;
             
+            // The index describes every sheet, however many there are; it is kept until
+            // the workbook changes, so selection changes do not read it again
+            let index = getCachedIndex(state.snapshots, sheets.items);
+            if (!index) {
+                const indexStart = startIndexRead(state.snapshots);
+                index = await readWorkbookIndex(ctx);
+                storeIndex(state.snapshots, index, indexStart);
+            }
+            state.workbookIndex = index;
+            if (typeof prompt === "string") {
+                state.promptCount++;
+                state.requestedSheets = addRequestedSheets(state.requestedSheets, findSheetsInPrompt(prompt, index), state.promptCount);
+            }
+            
             // Determine which sheets to read
             const sheetsToRead = shouldReadAllSheets 
-                ? sheets.items.slice(0, 10) // All sheets (max 10)
+                ? chooseSheetsToLoad(index, activeSheetName, state.requestedSheets.map(entry => entry.name)).map(entry => sheets.items.find(s => s.id === entry.id))
                 : [sheets.items.find(s => s.name === activeSheetName) || sheets.items[0]]; // Just active sheet
             
             for (const sheet of sheetsToRead) {
                 try {
+                    // Reuse the snapshot of an unchanged sheet, or re-read only its edited ranges
+                    const readStart = startSheetRead(state.snapshots, sheet.id);
+                    const plan = planSheetRead(state.snapshots, sheet.id, sheet.name);
+                    if (plan.mode === "cached") {
+                        allSheetsData.push(getSheetView(plan.snapshot));
+                        continue;
+                    }
+                    if (plan.mode === "patch") {
+                        const patched = await patchSnapshot(ctx, sheet, plan.snapshot, plan.regions);
+                        if (patched) {
+                            logDebug(`Sheet "${sheet.name}": re-read ${plan.regions.length} edited range(s)`);
+                            storeSnapshot(state.snapshots, sheet.id, patched, readStart);
+                            allSheetsData.push(getSheetView(patched));
+                            continue;
+                        }
+                    }
+                    
                     const usedRange = sheet.getUsedRange();
                     sheet.load("name");
-                    usedRange.load(["address", "values", "rowCount", "columnCount", "columnIndex", "rowIndex"]);
+                    // Formulas tell computed columns from input columns
+                    usedRange.load(["address", "values", "formulas", "rowCount", "columnCount", "columnIndex", "rowIndex"]);
+                    // Formats of the first data row tell date columns from number columns;
+                    // the top rows are read because data may start below a title or header rows
+                    const topRows = usedRange.getRow(0).getResizedRange(REGION_CONFIG.FORMAT_ROWS - 1, 0);
+                    topRows.load("numberFormat");
                     await ctx.sync();
                     
                     const sheetName = sheet.name;
@@ -435,19 +698,25 @@ async function readExcelData() {
                         });
                     }
                     
-                    allSheetsData.push({
+                    const sheetData = {
                         sheetName,
                         address: usedRange.address,
                         values,
+                        formulas: usedRange.formulas,
                         headers: headerValidation.isValid ? headers : columnMap.map(c => c.header),
                         columnMap,
+                        numberFormats: topRows.numberFormat?.[1] || [],
+                        topNumberFormats: topRows.numberFormat || [],
                         startRow: startRow + 1,
                         startCol: colIndexToLetter(startCol),
                         rowCount,
                         colCount,
                         dataStartRow: startRow + 2,
                         headerValidation
-                    });
+                    };
+                    // The cache keeps the whole used range; the context describes its data blocks
+                    storeSnapshot(state.snapshots, sheet.id, sheetData, readStart);
+                    allSheetsData.push(getSheetView(sheetData));
                 } catch (e) {
                     // Sheet might be empty, log and skip it (Comment 1)
                     const sheetName = sheet.name || "Unknown";
@@ -470,8 +739,16 @@ async function readExcelData() {
             state.currentData = activeSheetData || allSheetsData[0] || null;
             state.allSheetsData = shouldReadAllSheets ? allSheetsData : [];
             
+            // The selection makes "this" and "selected" in prompts concrete
+            try {
+                state.selection = await readSelection(ctx);
+            } catch (e) {
+                state.selection = null;
+                logWarn(`Could not read the selection: ${e.message}`);
+            }
+            
             if (state.currentData) {
-                const scopeText = shouldReadAllSheets ? ` (${allSheetsData.length} sheets)` : "";
+                const scopeText = shouldReadAllSheets ? ` (${allSheetsData.length} of ${index.length} sheets loaded)` : "";
                 infoEl.textContent = `${state.currentData.sheetName}: ${state.currentData.rowCount} rows × ${state.currentData.colCount} cols${scopeText}`;
             } else {
                 infoEl.textContent = "No data";
@@ -484,6 +761,7 @@ async function readExcelData() {
         infoEl.textContent = `Failed to read data: ${errorReason.substring(0, 50)}`;
         state.currentData = null;
         state.allSheetsData = [];
+        state.workbookIndex = [];
         logError(`readExcelData error: ${errorReason}`);
     }
 }
@@ -517,6 +795,25 @@ function addMessage(role, content, type = "") {
             behavior: 'smooth'
         });
     }, 100);
+    
+    return msg;
+}
+
+/**
+ * Replaces the content of an existing chat message (used while streaming)
+ * @param {HTMLElement} msg - Message element returned by addMessage
+ * @param {string} content - New message content
+ * @param {string} type - Optional message type class
+ */
+function updateMessage(msg, content, type) {
+    if (!msg) return;
+    msg.querySelector(".msg-body").innerHTML = formatText(content);
+    if (type !== undefined) {
+        msg.className = `msg ai ${type}`;
+    }
+    
+    const chat = document.getElementById("chat");
+    chat.scrollTop = chat.scrollHeight;
 }
 
 function formatText(text) {
@@ -694,20 +991,36 @@ function explainFormula(formula) {
 }
 
 function clearChat() {
+    resetChat();
+    toast("Cleared");
+}
+
+/**
+ * Empties the chat, the conversation and the preview, and saves the session
+ */
+function resetChat() {
     state.conversationHistory = [];
+    state.requestedSheets = [];
+    state.chatTranscript = [];
     state.pendingActions = [];
     state.isFirstMessage = true;
     state.lastAIResponse = "";
     state.currentTaskType = null;
     state.preview.selections = [];
     state.preview.expandedIndex = -1;
+    state.preview.editingIndex = -1;
+    state.preview.issues = [];
+    state.preview.diffs = [];
+    state.preview.checks = [];
+    state.preview.risks = [];
+    state.preview.riskConfirmed = false;
     document.getElementById("chat").innerHTML = "";
     document.getElementById("chat").style.display = "none";
     document.getElementById("welcome").style.display = "flex";
     document.getElementById("applyBtn").disabled = true;
     hidePreviewPanel();
     hideTaskTypeIndicator();
-    toast("Cleared");
+    persistSession();
 }
 
 /**
@@ -878,9 +1191,9 @@ async function performUpdate() {
 async function handleSend() {
     const input = document.getElementById("promptInput");
     const prompt = input.value.trim();
-    if (!prompt) return;
+    if (!prompt || state.abortController) return;
     
-    if (!state.apiKey) {
+    if (getProvider(state.provider).requiresApiKey && !state.apiKey) {
         document.getElementById("settingsBtn").click();
         toast("Enter API key");
         return;
@@ -888,7 +1201,7 @@ async function handleSend() {
     
     // Comment 1: Separate readExcelData from AI call with specific error handling
     try {
-        await readExcelData();
+        await readExcelData({ prompt });
     } catch (dataError) {
         console.error("Failed to read Excel data:", dataError);
         logError(`Data read failed: ${dataError.message}`);
@@ -927,8 +1240,26 @@ async function handleSend() {
     showTyping();
     showLoadingSkeleton();
     
+    const controller = new AbortController();
+    state.abortController = controller;
+    setRequestInFlight(true);
+    
+    // Streamed AI bubble - created on the first chunk, replaced by the final message
+    let streamingMsg = null;
+    const onStreamText = (fullText) => {
+        const displayText = getStructuredDisplayText(fullText) ?? getStreamingDisplayText(stripToolCalls(maskQueries(fullText)));
+        if (!streamingMsg) {
+            if (!displayText) return;
+            hideTyping();
+            hideLoadingSkeleton();
+            streamingMsg = addMessage("ai", displayText, "streaming");
+        } else {
+            updateMessage(streamingMsg, displayText);
+        }
+    };
+    
     try {
-        const response = await callAI(prompt);
+        const response = await callAI(prompt, onStreamText, controller.signal);
         hideTyping();
         hideLoadingSkeleton();
         hideTaskTypeIndicator();
@@ -937,42 +1268,106 @@ async function handleSend() {
         let { message, actions } = parseResponse(response);
         
         if (state.mode === "readonly") {
-            // Strip out ACTION tags in read-only mode
+            // Strip out ACTION tags in read-only mode and put the exact query results in the answer
             actions = [];
-            message = response.replace(/<ACTION[\s\S]*?<\/ACTION>/g, "").trim();
+            const sheets = [state.currentData, ...(state.allSheetsData || [])];
+            const answered = replaceQueries(response.replace(/<ACTION[\s\S]*?<\/ACTION>/g, ""), sheets);
+            message = answered.text;
+            answered.results.forEach(outcome => {
+                const spec = JSON.stringify(outcome.spec);
+                if (outcome.error) logWarn(`Query ${spec} failed: ${outcome.error}`);
+                else logDebug(`Query ${spec} over ${outcome.result.rows} rows`);
+            });
         }
         
+        // Actions that reference others ($ref:<id>.<field>) are moved after them, and every
+        // action is validated whichever format it came in
+        const checked = checkActions(actions);
+        if (checked.reordered) logInfo("Reordered actions so that references point to earlier actions");
+        actions = checked.actions;
         state.pendingActions = actions;
         
         // Add task type badge to AI response
         const taskBadge = getTaskTypeBadge(state.currentTaskType);
         const enhancedMessage = taskBadge + message;
         
-        addMessage("ai", enhancedMessage, actions.length ? "has-action" : "");
+        if (streamingMsg) {
+            updateMessage(streamingMsg, enhancedMessage, actions.length ? "has-action" : "");
+        } else {
+            addMessage("ai", enhancedMessage, actions.length ? "has-action" : "");
+        }
         
         if (actions.length) {
-            // Initialize preview state and show preview panel
-            state.preview.selections = actions.map(() => true);
+            // Initialize preview state and show preview panel; flagged actions start unchecked
             state.preview.expandedIndex = -1;
+            state.preview.editingIndex = -1;
+            state.preview.issues = checked.issues;
+            state.preview.issues.forEach((issues, i) => {
+                if (issues.length) logWarn(`Action ${i + 1} (${actions[i].type}) failed validation: ${issues.join("; ")}`);
+            });
+            state.preview.diffs = [];
+            state.preview.checks = [];
+            state.preview.risks = analyzeRisks(actions);
+            state.preview.selections = state.preview.risks.map(risks => risks.length === 0);
+            state.preview.riskConfirmed = false;
             showPreviewPanel();
+            loadPreviewDiffs();
         } else {
             hidePreviewPanel();
         }
         
         state.conversationHistory.push(
-            { role: "user", parts: [{ text: prompt }] },
-            { role: "model", parts: [{ text: response }] }
+            { role: "user", content: prompt },
+            { role: "assistant", content: response }
         );
         
         if (state.conversationHistory.length > CONFIG.MAX_HISTORY * 2) {
             state.conversationHistory = state.conversationHistory.slice(-CONFIG.MAX_HISTORY * 2);
         }
+        
+        state.chatTranscript.push(
+            { role: "user", content: prompt, type: isCorrectionMsg ? "correction" : "" },
+            { role: "ai", content: enhancedMessage, type: "" }
+        );
+        persistSession();
     } catch (err) {
         hideTyping();
         hideLoadingSkeleton();
         hideTaskTypeIndicator();
-        addMessage("ai", getErrorMessage(err), "error");
+        streamingMsg?.remove();
+        
+        // A stopped request leaves conversationHistory untouched so the next prompt starts clean
+        if (isAbortError(err)) {
+            logInfo("AI request stopped by user");
+            toast("Stopped");
+        } else {
+            addMessage("ai", getErrorMessage(err), "error");
+        }
+    } finally {
+        state.abortController = null;
+        setRequestInFlight(false);
+    }
+}
+
+/**
+ * Aborts the in-flight AI request, if any
+ */
+function stopRequest() {
+    state.abortController?.abort();
+}
+
+/**
+ * Swaps the send button for the stop button while a request is running
+ * @param {boolean} inFlight - Whether an AI request is running
+ */
+function setRequestInFlight(inFlight) {
+    const sendBtn = document.getElementById("sendBtn");
+    const stopBtn = document.getElementById("stopBtn");
+    if (sendBtn) {
+        sendBtn.hidden = inFlight;
+        sendBtn.disabled = inFlight || !document.getElementById("promptInput").value.trim();
     }
+    if (stopBtn) stopBtn.hidden = !inFlight;
 }
 
 /**
@@ -1037,9 +1432,14 @@ function getTaskTypeBadge(taskType) {
     return badges[taskType] || "";
 }
 
-async function callAI(userPrompt) {
-    const dataContext = buildDataContext();
-    
+/**
+ * Sends the prompt to the configured provider using its streaming endpoint
+ * @param {string} userPrompt - The user's request
+ * @param {Function} onText - Optional callback receiving the accumulated text after each streamed chunk
+ * @param {AbortSignal} signal - Optional signal that cancels the request
+ * @returns {Promise<string>} The complete (processed) response text
+ */
+async function callAI(userPrompt, onText, signal) {
     // Use AI engine to enhance the prompt with task-specific context
     const enhanced = enhancePrompt(userPrompt, state.currentData);
     state.currentTaskType = enhanced.taskType;
@@ -1053,58 +1453,90 @@ async function callAI(userPrompt) {
     let systemPrompt = enhanced.systemPrompt;
     
     if (state.mode === "readonly") {
-        systemPrompt = getReadOnlySystemPrompt();
+        systemPrompt = getReadOnlySystemPrompt() + getQueryInstructions();
+    }
+    
+    // Ask for structured JSON output where the provider supports it (ACTION tags otherwise)
+    const provider = getProvider(state.provider);
+    const useResponseSchema = provider.supportsResponseSchema && state.mode !== "readonly";
+    systemPrompt += getToolInstructions();
+    if (useResponseSchema) {
+        systemPrompt += getStructuredOutputInstructions();
+    }
+    
+    // Fit the data context and history into the model's token budget
+    const userRequest = `\n\n---\nUSER REQUEST: ${enhanced.userPrompt}${getSelectionReferenceNote(userPrompt, state.selection)}`
+        + getTableReferenceNote(state.selection, state.workbookIndex, state.currentData?.sheetName);
+    const plan = fitPromptToBudget({
+        budget: getTokenBudget(state.provider, state.selectedModel),
+        systemPrompt,
+        request: userRequest,
+        history: state.conversationHistory,
+        buildContext: buildDataContext
+    });
+    if (plan.overBudget) {
+        logWarn(formatPromptUsage(plan), plan.usage);
+    } else {
+        logInfo(formatPromptUsage(plan), plan.usage);
     }
     
     // Build the enhanced user message
-    const fullUserMessage = `${dataContext}\n\n---\nUSER REQUEST: ${enhanced.userPrompt}`;
-    
-    const contents = [...state.conversationHistory];
-    contents.push({ role: "user", parts: [{ text: fullUserMessage }] });
-    
-    // Make API call without retry logic - let errors through
-    const res = await fetch(
-        `${CONFIG.API_ENDPOINT}${state.selectedModel}:generateContent?key=${state.apiKey}`,
-        {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-                systemInstruction: { parts: [{ text: systemPrompt }] },
-                contents,
-                generationConfig: { temperature: 0.1, maxOutputTokens: 4096 }
-            })
-        }
-    );
-    
-    if (!res.ok) {
-        const errorData = await res.json().catch(() => ({}));
-        const errorMessage = errorData.error?.message || `HTTP ${res.status}`;
-        throw new Error(`API Error: ${errorMessage}`);
-    }
-    
-    const data = await res.json();
-    
-    // Comment 5: Use robust response extraction
-    const extracted = extractResponseText(data);
-    
-    if (extracted.error) {
-        logWarn(`AI response issue: ${extracted.error}`);
-        if (extracted.blocked) {
-            throw new Error(extracted.error);
-        }
-        // Show toast for empty responses
-        toast(extracted.error);
-        return extracted.error;
+    const fullUserMessage = `${plan.context}${userRequest}`;
+    
+    const messages = [...plan.history, { role: "user", content: fullUserMessage }];
+    
+    // The model may request read-only workbook tools before answering; their results
+    // are sent back until it answers or the tool rounds are used up
+    let response = "";
+    const toolMessages = [];
+    for (let turn = 0; ; turn++) {
+        // Stream the response so the chat can render it progressively - let errors through
+        const request = provider.buildRequest({
+            endpoint: state.endpoint,
+            apiKey: state.apiKey,
+            model: state.selectedModel,
+            systemPrompt,
+            messages,
+            temperature: 0.1,
+            maxTokens: TOKEN_CONFIG.RESPONSE_TOKENS,
+            stream: true,
+            responseSchema: useResponseSchema ? buildActionResponseSchema() : null
+        });
+        response = await streamRequest(request, {
+            extractDelta: provider.extractStreamDelta,
+            format: provider.streamFormat,
+            onText,
+            signal
+        });
+        
+        const calls = turn < TOOL_CONFIG.MAX_TURNS ? parseToolCalls(response) : [];
+        if (!response || !calls.length) break;
+        
+        const outcomes = await runWorkbookTools(calls.slice(0, TOOL_CONFIG.MAX_CALLS_PER_TURN));
+        // Sheets the model described are read in full with the next prompt
+        const described = outcomes.filter(outcome => outcome.name === "describeSheet" && !outcome.error).map(outcome => outcome.args.sheet);
+        if (described.length) state.requestedSheets = addRequestedSheets(state.requestedSheets, described, state.promptCount);
+        
+        // Tool rounds share what the planned prompt left of the budget; each round gets
+        // an even part of it so the later rounds still fit
+        const toolRequest = { role: "assistant", content: response };
+        const room = plan.budget - plan.usage.total - estimateMessagesTokens([...toolMessages, toolRequest]) - TOKEN_CONFIG.MESSAGE_OVERHEAD_TOKENS;
+        const maxChars = Math.max(room, 0) * TOKEN_CONFIG.CHARS_PER_TOKEN / (TOOL_CONFIG.MAX_TURNS - turn);
+        const results = {
+            role: "user",
+            content: formatToolResults(outcomes, turn + 1 === TOOL_CONFIG.MAX_TURNS, { skipped: calls.length - outcomes.length, maxChars })
+        };
+        toolMessages.push(toolRequest, results);
+        messages.push(toolRequest, results);
     }
+    response = stripToolCalls(response);
     
-    if (!extracted.text) {
+    if (!response) {
         logWarn("AI returned no content");
         toast("AI returned no content");
         return "No response from AI";
     }
     
-    const response = extracted.text;
-    
     // Store response for potential correction learning
     state.lastAIResponse = response;
     
@@ -1114,6 +1546,34 @@ async function callAI(userPrompt) {
     return processed.response;
 }
 
+/**
+ * Runs the workbook tools the model requested and shows each call in the chat
+ * @param {{ name: string, args: Object }[]} calls - Tool calls from parseToolCalls
+ * @returns {Promise<Object[]>} Outcomes, in call order (see runToolCall)
+ */
+async function runWorkbookTools(calls) {
+    let outcomes;
+    try {
+        outcomes = await Excel.run(async (ctx) => {
+            const results = [];
+            for (const call of calls) {
+                results.push(await runToolCall(ctx, call));
+            }
+            return results;
+        });
+    } catch (e) {
+        logWarn(`Workbook tools failed: ${e.message}`);
+        outcomes = calls.map(call => ({ ...call, error: e.message, summary: `failed: ${e.message}` }));
+    }
+    
+    for (const outcome of outcomes) {
+        const args = Object.keys(outcome.args || {}).length ? ` ${JSON.stringify(outcome.args)}` : "";
+        addMessage("ai", `Tool \`${outcome.name}\`${args} - ${outcome.summary}`, outcome.error ? "tool tool-error" : "tool");
+        logDebug(`Tool ${outcome.name}${args}: ${outcome.summary}`);
+    }
+    return outcomes;
+}
+
 /**
  * Gets the system prompt for read-only mode
  * In this mode, AI analyzes data and gives direct answers without formulas/actions
@@ -1125,29 +1585,32 @@ function getReadOnlySystemPrompt() {
 - Analyze the Excel data provided and give DIRECT ANSWERS
 - Do NOT provide formulas or ACTION tags
 - Do NOT suggest modifications to the spreadsheet
-- Calculate and compute answers yourself from the data provided
+- Take every figure from a QUERY rather than from reading the preview
 - Give clear, concise answers with the actual values/numbers
 
 ## CRITICAL ACCURACY RULES
-1. **COUNT CAREFULLY**: When counting occurrences, examine EVERY cell in the data preview
-2. **CASE SENSITIVITY**: "d" and "D" are different - count only exact matches unless told otherwise
-3. **EMPTY CELLS**: Ignore empty/null cells in counts
-4. **VERIFY YOUR COUNT**: Double-check your answer before responding
-5. **BE PRECISE**: If you count 5 occurrences, say exactly 5, not approximately
+1. **NEVER COUNT BY HAND**: The data preview shows only the first rows - use a QUERY for every count, total, average, minimum, maximum or list of values
+2. **CASE SENSITIVITY**: "d" and "D" are different when the user says so - set "matchCase" in the query
+3. **EMPTY CELLS**: Queries ignore empty cells in counts and aggregates
+4. **BE PRECISE**: Never estimate a figure that a query can compute
 
 ## EXAMPLES
-- "How many times does 'd' appear?" → Examine each cell, count lowercase 'd' only → "There are exactly 5 occurrences of 'd'"
-- "What is the total of column B?" → Add all numbers in column B → "The total is 1,234"
-- "How many rows have value X?" → Count rows where value equals X → "There are 15 rows with value X"
+- "How many times does 'd' appear in Status?" → "There are <QUERY>{"op":"count","where":[{"column":"Status","op":"=","value":"d"}],"matchCase":true}</QUERY> occurrences of 'd'"
+- "What is the total of column B?" → "The total is <QUERY>{"op":"sum","column":"B"}</QUERY>"
+- "Sales by region?" → "Sales by region:\n<QUERY>{"op":"groupBy","by":"Region","agg":"sum","column":"Sales"}</QUERY>"
 
 ## IMPORTANT
-- You have access to ALL the data in the DATA PREVIEW section
-- Count EVERY occurrence manually from the data shown
-- Be EXACT with your counts - accuracy is critical
+- The DATA PREVIEW shows the columns and the first rows; queries run over ALL rows
+- Use the preview to understand the data, and queries for the figures
 - Do NOT use ACTION tags - just provide text answers`;
 }
 
-function buildDataContext() {
+/**
+ * Builds the data context of a prompt
+ * @param {{ previewRows?: number, includeOtherSheets?: boolean }} options - Trimming to fit the token budget
+ * @returns {string} Formatted data context
+ */
+function buildDataContext({ previewRows = 30, includeOtherSheets = true } = {}) {
     if (!state.currentData) {
         return "ERROR: No Excel data available.";
     }
@@ -1156,9 +1619,9 @@ function buildDataContext() {
     
     let context = `## EXCEL WORKBOOK DATA\n\n`;
     
-    // List all sheets in workbook
+    // List the sheets loaded in full - the WORKBOOK INDEX lists them all
     if (state.allSheetsData && state.allSheetsData.length > 1) {
-        context += `**Available Sheets:** ${state.allSheetsData.map(s => s.sheetName).join(", ")}\n`;
+        context += `**Loaded Sheets:** ${state.allSheetsData.map(s => s.sheetName).join(", ")}\n`;
         context += `**Active Sheet:** ${sheetName}\n\n`;
     } else {
         context += `**Sheet:** ${sheetName}\n`;
@@ -1166,81 +1629,83 @@ function buildDataContext() {
     
     context += `**Data Range:** ${address}\n`;
     context += `**Total Rows:** ${rowCount} (including header)\n`;
-    context += `**Total Columns:** ${colCount}\n\n`;
+    context += `**Total Columns:** ${colCount}\n`;
+    if (state.currentData.title) context += `**Title:** ${state.currentData.title}\n`;
+    context += `\n`;
     
-    // Column structure - CRITICAL for AI to understand
-    context += `## COLUMN STRUCTURE\n`;
-    context += `| Column Letter | Header Name | Sample Values |\n`;
-    context += `|---------------|-------------|---------------|\n`;
+    // Separate data blocks, title rows and notes found on the sheet
+    const regionContext = formatRegionContext(state.currentData);
+    if (regionContext) context += `${regionContext}\n`;
     
-    for (const col of columnMap) {
-        // Get sample values from first few data rows
-        const samples = [];
-        for (let r = 1; r < Math.min(4, values.length); r++) {
-            const val = values[r]?.[col.index];
-            if (val !== null && val !== undefined && val !== "") {
-                samples.push(String(val).substring(0, 20));
-            }
-        }
-        context += `| ${col.letter} | ${col.header} | ${samples.join(", ")} |\n`;
-    }
+    // Current selection - what "this" and "selected" refer to
+    const selectionContext = formatSelectionContext(state.selection);
+    if (selectionContext) context += `${selectionContext}\n`;
     
-    context += `\n## DATA PREVIEW (First 30 rows)\n\n`;
+    // Column structure - CRITICAL for AI to understand
+    context += `## COLUMN STRUCTURE\n`;
+    context += formatColumnProfiles(state.currentData);
     
-    // Header row
-    context += `| Row |`;
-    for (const col of columnMap) {
-        context += ` ${col.letter}: ${col.header} |`;
-    }
-    context += `\n|-----|`;
-    for (let c = 0; c < colCount; c++) {
-        context += `------------|`;
-    }
-    context += `\n`;
+    // Computed columns - read-only unless the user asks to change them
+    const formulaSection = formatFormulaColumns(state.currentData);
+    if (formulaSection) context += `\n${formulaSection}`;
     
-    // Data rows
-    const maxRows = Math.min(30, values.length);
-    for (let r = 0; r < maxRows; r++) {
-        const rowNum = state.currentData.startRow + r;
-        context += `| ${rowNum} |`;
+    if (previewRows > 0) {
+        context += `\n## DATA PREVIEW (First ${previewRows} rows)\n\n`;
+        
+        // Header row
+        context += `| Row |`;
+        for (const col of columnMap) {
+            context += ` ${col.letter}: ${col.header} |`;
+        }
+        context += `\n|-----|`;
         for (let c = 0; c < colCount; c++) {
-            let val = values[r]?.[c];
-            if (val === null || val === undefined) val = "";
-            val = String(val).substring(0, 25);
-            context += ` ${val} |`;
+            context += `------------|`;
         }
         context += `\n`;
-    }
-    
-    if (rowCount > 30) {
-        context += `\n... and ${rowCount - 30} more rows\n`;
-    }
-    
-    // Add unique values for key columns (for dropdowns)
-    context += `\n## UNIQUE VALUES IN EACH COLUMN (for dropdowns)\n`;
-    for (const col of columnMap) {
-        const uniqueVals = new Set();
-        for (let r = 1; r < values.length; r++) {
-            const val = values[r]?.[col.index];
-            if (val !== null && val !== undefined && val !== "") {
-                uniqueVals.add(val);
+        
+        // Data rows
+        const maxRows = Math.min(previewRows, values.length);
+        for (let r = 0; r < maxRows; r++) {
+            const rowNum = state.currentData.startRow + r;
+            context += `| ${rowNum} |`;
+            for (let c = 0; c < colCount; c++) {
+                let val = values[r]?.[c];
+                if (val === null || val === undefined) val = "";
+                val = String(val).substring(0, 25);
+                context += ` ${val} |`;
             }
-        }
-        if (uniqueVals.size > 0 && uniqueVals.size <= 50) {
-            context += `**${col.letter} (${col.header}):** ${Array.from(uniqueVals).slice(0, 20).join(", ")}`;
-            if (uniqueVals.size > 20) context += ` ... (${uniqueVals.size} total)`;
             context += `\n`;
         }
+        
+        if (rowCount > previewRows) {
+            context += `\n... and ${rowCount - previewRows} more rows\n`;
+        }
+    } else {
+        context += `\n**Note:** The data preview is left out to fit the prompt budget - use the workbook tools to read rows\n`;
     }
     
+    // Tables of the loaded sheets, and how to reference them
+    const loadedNames = state.allSheetsData?.length ? state.allSheetsData.map(s => s.sheetName) : [sheetName];
+    const tableSection = formatTableContext(state.workbookIndex, loadedNames);
+    if (tableSection) context += `\n${tableSection}`;
+    
+    // Every sheet of the workbook, loaded or not
+    const indexSection = formatWorkbookIndex(state.workbookIndex, sheetName, loadedNames);
+    if (indexSection) context += `\n${indexSection}`;
+    
     // Add information about other sheets
-    if (state.allSheetsData && state.allSheetsData.length > 1) {
+    const hasOtherSheets = state.allSheetsData && state.allSheetsData.length > 1;
+    if (hasOtherSheets && !includeOtherSheets) {
+        context += `\n**Note:** Other sheets are left out to fit the prompt budget - use the workbook tools to read them\n`;
+    } else if (hasOtherSheets) {
         context += `\n## OTHER SHEETS IN WORKBOOK\n`;
         for (const sheet of state.allSheetsData) {
             if (sheet.sheetName === sheetName) continue; // Skip current sheet
             
             context += `\n### ${sheet.sheetName}\n`;
-            context += `- Columns: ${sheet.headers.join(", ")}\n`;
+            context += `- Columns: ${formatColumnTypes(sheet)}\n`;
+            const formulaColumns = formatFormulaColumnNames(sheet);
+            if (formulaColumns) context += `- Formula columns: ${formulaColumns}\n`;
             context += `- Rows: ${sheet.rowCount}\n`;
             
             // Show first few rows as sample
@@ -1266,7 +1731,21 @@ Check COLUMN STRUCTURE first. Data starts at row 2.
 Use ACTION tags for: formula, values, format, chart, validation.`;
 }
 
+/**
+ * Parses an AI response into a message and actions
+ * Structured (responseSchema) responses are used when present; <ACTION> tags are the fallback
+ * @param {string} text - AI response text
+ * @returns {{ message: string, actions: Object[] }} Parsed response
+ */
 function parseResponse(text) {
+    const structured = parseStructuredResponse(text);
+    if (structured) {
+        if (structured.dropped > 0) {
+            logWarn(`Ignored ${structured.dropped} structured action(s) without a type`);
+        }
+        return { message: structured.message, actions: structured.actions };
+    }
+    
     const actions = [];
     const actionRegex = /<ACTION\s+([^>]*)>([\s\S]*?)<\/ACTION>/g;
     
@@ -1281,8 +1760,11 @@ function parseResponse(text) {
         const chartType = attrs.match(/chartType="([^"]+)"/)?.[1] || "column";
         const title = attrs.match(/title="([^"]+)"/)?.[1] || "";
         const position = attrs.match(/position="([^"]+)"/)?.[1] || "H2";
+        const id = attrs.match(/\bid="([^"]+)"/)?.[1];
         
-        actions.push({ type, target, source, chartType, title, position, data: content });
+        const action = { type, target, source, chartType, title, position, data: content };
+        if (id) action.id = id;
+        actions.push(action);
     }
     
     const message = text.replace(/<ACTION[\s\S]*?<\/ACTION>/g, "").trim();
@@ -1393,15 +1875,40 @@ function hasSelectedActions(selections) {
     return selections.some(s => s === true);
 }
 
+/**
+ * Escapes text for insertion into preview HTML
+ */
+function escapePreviewText(text) {
+    return String(text ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
 /**
  * Renders a single preview item HTML
+ * @param {string[]} issues - Validation issues shown in the expanded details when hasWarning is set
+ * @param {RangeDiff|null} diff - Before/after contents of the target, shown in the expanded details
+ * @param {string[]} risks - Destructive effects, shown in the expanded details
+ * @param {boolean} isEditing - Show the inline edit form instead of the details
  */
-function renderPreviewItemHTML(action, index, isExpanded, isSelected, hasWarning) {
+function renderPreviewItemHTML(action, index, isExpanded, isSelected, hasWarning, issues = [], diff = null, risks = [], isEditing = false) {
     const icon = getActionIcon(action.type);
     const summary = getActionSummary(action);
-    const details = getActionDetails(action);
+    const details = escapePreviewText(getActionDetails(action));
+    const diffHTML = renderDiffGrid(diff);
+    const issuesHTML = hasWarning && issues.length
+        ? `<ul class="preview-issues">${issues.map(issue => `<li>${escapePreviewText(issue)}</li>`).join('')}</ul>`
+        : '';
+    const risksHTML = risks.length
+        ? `<ul class="preview-risks">${risks.map(risk => `<li>${escapePreviewText(risk)}</li>`).join('')}</ul>`
+        : '';
     const expandedClass = isExpanded ? 'expanded' : '';
     const warningClass = hasWarning ? 'warning' : '';
+    const detailsHTML = isEditing
+        ? `${issuesHTML}${renderEditForm(action, index)}`
+        : `${issuesHTML}${risksHTML}${diffHTML}${details}<button class="btn-secondary preview-edit-btn" data-index="${index}">Edit</button>`;
     
     return `
         <div class="preview-item ${expandedClass} ${warningClass}" data-index="${index}">
@@ -1410,10 +1917,10 @@ function renderPreviewItemHTML(action, index, isExpanded, isSelected, hasWarning
             <div class="preview-content">
                 <div class="preview-summary">
                     ${summary}
-                    <span class="preview-target">${action.target}</span>
+                    <span class="preview-target">${escapePreviewText(action.target)}</span>
                     ${hasWarning ? '<svg class="preview-warning" viewBox="0 0 24 24" fill="currentColor"><path d="M12 2L1 21h22L12 2zm0 3.5L19.5 19h-15L12 5.5zM11 10v4h2v-4h-2zm0 6v2h2v-2h-2z"/></svg>' : ''}
                 </div>
-                <div class="preview-details">${details}</div>
+                <div class="preview-details">${detailsHTML}</div>
             </div>
             <div class="preview-expand">
                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M6 9l6 6 6-6"/></svg>
@@ -1443,7 +1950,13 @@ function showPreviewPanel() {
     const html = state.pendingActions.map((action, index) => {
         const isExpanded = index === state.preview.expandedIndex;
         const isSelected = state.preview.selections[index];
-        return renderPreviewItemHTML(action, index, isExpanded, isSelected, false);
+        const issues = state.preview.issues[index] || [];
+        const diff = state.preview.diffs[index] || null;
+        const risks = state.preview.risks[index] || [];
+        // Destroying existing data raises the warning as well
+        const hasWarning = issues.length > 0 || risks.length > 0 || Boolean(diff && diff.overwritten > 0);
+        const isEditing = isExpanded && index === state.preview.editingIndex;
+        return renderPreviewItemHTML(action, index, isExpanded, isSelected, hasWarning, issues, diff, risks, isEditing);
     }).join('');
     
     list.innerHTML = html;
@@ -1454,14 +1967,113 @@ function showPreviewPanel() {
     updateApplyButtonState();
 }
 
+/**
+ * Reads the targets of the pending actions and re-renders the preview with before/after grids
+ * Actions whose results cannot be predicted get no grid. handleApply waits for the
+ * returned promise (kept in state.preview.diffsLoading) before checking risks.
+ * @returns {Promise<void>}
+ */
+function loadPreviewDiffs() {
+    const loading = readPreviewDiffs(state.pendingActions).finally(() => {
+        if (state.preview.diffsLoading === loading) state.preview.diffsLoading = null;
+    });
+    state.preview.diffsLoading = loading;
+    return loading;
+}
+
+/**
+ * Reads the diffs and formula checks of a list of actions into the preview state
+ * Writes whose targets cannot be read are flagged, since they may overwrite formulas
+ * @param {Object[]} actions - Pending actions
+ */
+async function readPreviewDiffs(actions) {
+    const writesCells = action => DIFF_ACTION_TYPES.includes(action.type) || FORMULA_CHECK_ACTION_TYPES.includes(action.type);
+    let diffs = [];
+    let checks;
+    try {
+        ({ diffs, checks } = await Excel.run(async (ctx) => {
+            const sheet = ctx.workbook.worksheets.getActiveWorksheet();
+            const result = { diffs: [], checks: [] };
+            for (const action of actions) {
+                let diff = null;
+                let check = null;
+                try {
+                    diff = await loadActionDiff(ctx, sheet, action);
+                    check = await loadFormulaCheck(ctx, sheet, action);
+                } catch (e) {
+                    // Invalid targets are also reported by validation; skip the grid
+                    logDebug(`No preview diff for ${action.type} on ${action.target}: ${e.message}`);
+                    diff = null;
+                    check = writesCells(action) ? { failed: true } : null;
+                }
+                result.diffs.push(diff);
+                result.checks.push(check);
+            }
+            return result;
+        }));
+    } catch (e) {
+        logWarn(`Could not load preview diffs: ${e.message}`);
+        checks = actions.map(action => (writesCells(action) ? { failed: true } : null));
+    }
+    
+    // The preview may have been applied or replaced in the meantime
+    if (state.pendingActions !== actions) return;
+    state.preview.diffs = diffs;
+    state.preview.checks = checks;
+    
+    // Formula overwrites are only known now - uncheck actions that just became flagged
+    const risks = analyzeRisks(actions, diffs, checks);
+    risks.forEach((actionRisks, index) => {
+        if (actionRisks.length && !state.preview.risks[index]?.length) {
+            state.preview.selections[index] = false;
+        }
+    });
+    state.preview.risks = risks;
+    showPreviewPanel();
+}
+
 /**
  * Hides the preview panel
  */
 function hidePreviewPanel() {
     const panel = document.getElementById("previewPanel");
     panel.style.display = "none";
+    hideRiskConfirmation();
     state.preview.selections = [];
     state.preview.expandedIndex = -1;
+    state.preview.editingIndex = -1;
+    state.preview.issues = [];
+    state.preview.diffs = [];
+    state.preview.checks = [];
+    state.preview.risks = [];
+    state.preview.riskConfirmed = false;
+}
+
+/**
+ * Asks for confirmation before applying selected actions that were flagged as risky
+ * @param {number[]} indices - Indices of the selected flagged actions
+ */
+function showRiskConfirmation(indices) {
+    const box = document.getElementById("riskConfirm");
+    const text = document.getElementById("riskConfirmText");
+    if (!box || !text) return;
+    
+    const items = indices.map(index => {
+        const action = state.pendingActions[index];
+        const risks = state.preview.risks[index].join("; ");
+        return `<li><b>${escapePreviewText(getActionSummary(action))} ${escapePreviewText(action.target)}</b>: ${escapePreviewText(risks)}</li>`;
+    }).join('');
+    const count = indices.length;
+    text.innerHTML = `<p>${count} selected change${count > 1 ? 's' : ''} may destroy data or change protection:</p><ul>${items}</ul>`;
+    box.style.display = "block";
+}
+
+/**
+ * Hides the risk confirmation
+ */
+function hideRiskConfirmation() {
+    const box = document.getElementById("riskConfirm");
+    if (box) box.style.display = "none";
 }
 
 /**
@@ -1473,6 +2085,9 @@ function bindPreviewEvents() {
         cb.addEventListener("change", (e) => {
             const index = parseInt(e.target.dataset.index);
             state.preview.selections[index] = e.target.checked;
+            // A confirmation covers only the selection it was given for
+            state.preview.riskConfirmed = false;
+            hideRiskConfirmation();
             updateApplyButtonState();
         });
         // Stop propagation to prevent expand/collapse when clicking checkbox
@@ -1498,15 +2113,81 @@ function bindPreviewEvents() {
         });
     });
     
+    // Inline editing - clicks inside the form must not collapse the item
+    document.querySelectorAll(".preview-edit-btn").forEach(btn => {
+        btn.addEventListener("click", (e) => {
+            e.stopPropagation();
+            state.preview.editingIndex = parseInt(btn.dataset.index);
+            showPreviewPanel();
+        });
+    });
+    document.querySelectorAll(".preview-edit").forEach(form => {
+        form.addEventListener("click", (e) => e.stopPropagation());
+        form.querySelector(".preview-edit-cancel")?.addEventListener("click", () => {
+            state.preview.editingIndex = -1;
+            showPreviewPanel();
+        });
+        form.querySelector(".preview-edit-save")?.addEventListener("click", () => {
+            savePreviewEdit(parseInt(form.dataset.index), form);
+        });
+    });
+    
     // Select all button
     document.getElementById("selectAllBtn")?.addEventListener("click", toggleSelectAll);
 }
 
+/**
+ * Replaces a pending action with its edited version from the inline edit form
+ * The edited action is validated and risk-checked like a freshly parsed one
+ * @param {number} index - Index of the edited action
+ * @param {HTMLElement} form - Edit form
+ */
+function savePreviewEdit(index, form) {
+    if (!state.pendingActions[index]) return;
+    
+    const edits = {};
+    form.querySelectorAll("[data-field]").forEach(input => {
+        edits[input.dataset.field] = input.value;
+    });
+    
+    // The whole list is checked again: the edit can break references between actions
+    const { actions, issues, previous } = applyEditToList(state.pendingActions, index, edits);
+    const position = previous.indexOf(index);
+    const edited = actions[position];
+    if (actions.some((action, i) => previous[i] !== i)) logInfo("Reordered actions so that references point to earlier actions");
+    issues.forEach((list, i) => {
+        if (list.length) logWarn(`Action ${i + 1} (${actions[i].type}) failed validation: ${list.join("; ")}`);
+    });
+    
+    // A new array, so that diffs still loading for the old actions are discarded
+    state.pendingActions = actions;
+    state.preview.issues = issues;
+    state.preview.selections = previous.map(i => state.preview.selections[i]);
+    if (state.preview.expandedIndex >= 0) state.preview.expandedIndex = previous.indexOf(state.preview.expandedIndex);
+    state.preview.editingIndex = -1;
+    state.preview.diffs = [];
+    state.preview.checks = [];
+    
+    // An edit can make an action risky - uncheck it like a newly flagged one
+    const risks = analyzeRisks(actions);
+    if (risks[position].length && !state.preview.risks[index]?.length) {
+        state.preview.selections[position] = false;
+    }
+    state.preview.risks = risks;
+    state.preview.riskConfirmed = false;
+    hideRiskConfirmation();
+    
+    logInfo(`Edited action ${position + 1} (${edited.type}) in preview`);
+    showPreviewPanel();
+    loadPreviewDiffs();
+}
+
 /**
  * Toggles expand/collapse for a preview item
  */
 function toggleExpand(index) {
     state.preview.expandedIndex = state.preview.expandedIndex === index ? -1 : index;
+    state.preview.editingIndex = -1;
     showPreviewPanel(); // Re-render
 }
 
@@ -1516,6 +2197,8 @@ function toggleExpand(index) {
 function toggleSelectAll() {
     const allSelected = state.preview.selections.every(s => s);
     state.preview.selections = state.preview.selections.map(() => !allSelected);
+    state.preview.riskConfirmed = false;
+    hideRiskConfirmation();
     showPreviewPanel(); // Re-render
 }
 
@@ -1642,11 +2325,25 @@ function handleKeyboardShortcuts(e) {
         }
     }
     
-    // Escape to close modal or clear input
+    // Ctrl+Y / Cmd+Y or Ctrl+Shift+Z / Cmd+Shift+Z to redo (when not in input)
+    const key = e.key.toLowerCase();
+    if ((e.ctrlKey || e.metaKey) && (key === 'y' || (key === 'z' && e.shiftKey))) {
+        const activeEl = document.activeElement;
+        if (activeEl.tagName !== 'INPUT' && activeEl.tagName !== 'TEXTAREA') {
+            if (state.history.redoEntries.length > 0) {
+                e.preventDefault();
+                performRedo();
+            }
+        }
+    }
+    
+    // Escape to close modal, stop a running request or clear input
     if (e.key === 'Escape') {
         const modal = document.getElementById("modal");
         if (modal.classList.contains('open')) {
             closeModal();
+        } else if (state.abortController) {
+            stopRequest();
         } else {
             const input = document.getElementById("promptInput");
             if (input.value) {
@@ -1743,23 +2440,16 @@ function generateHistoryId() {
 }
 
 /**
- * Captures the current state of a range for undo
+ * Captures what is needed to undo an action before it is applied
+ * Range actions get a full snapshot; structural actions record an inverse (see undo.js)
  * @param {Excel.RequestContext} ctx - Excel context
  * @param {Excel.Worksheet} sheet - Active worksheet
- * @param {string} rangeAddress - The range to capture
- * @returns {Promise<Object>} The captured undo data
+ * @param {Object} action - The action about to be applied
+ * @returns {Promise<Object|null>} The captured undo data, or null if the action cannot be undone
  */
-async function captureUndoData(ctx, sheet, rangeAddress) {
+async function captureUndoData(ctx, sheet, action) {
     try {
-        const range = sheet.getRange(rangeAddress);
-        range.load(["values", "formulas", "address"]);
-        await ctx.sync();
-        
-        return {
-            values: range.values,
-            formulas: range.formulas,
-            address: range.address
-        };
+        return await captureUndo(ctx, sheet, action);
     } catch (e) {
         console.warn("Could not capture undo data:", e);
         return null;
@@ -1767,17 +2457,48 @@ async function captureUndoData(ctx, sheet, rangeAddress) {
 }
 
 /**
- * Adds an action to history
+ * Captures the state an undo is about to replace, so it can be redone
+ * @param {Excel.RequestContext} ctx - Excel context
+ * @param {Excel.Worksheet} sheet - Active worksheet
+ * @param {Object} undoData - Undo data about to be applied
+ * @returns {Promise<Object|null>} The captured redo data, or null if redo has to re-run the action
+ */
+async function captureRedoData(ctx, sheet, undoData) {
+    try {
+        return await captureRedo(ctx, sheet, undoData);
+    } catch (e) {
+        console.warn("Could not capture redo data:", e);
+        return null;
+    }
+}
+
+/**
+ * Adds a newly applied action to history
+ * Anything undone before it can no longer be redone. The session is not saved
+ * here: the caller saves it once for the whole batch.
+ * @param {Object} action - The applied action
+ * @param {Object|null} undoData - The captured undo data
+ * @param {{ sheetId: string, sheetName: string }} sheetRef - The sheet the action was applied to, as it is after the action
  */
-function addActionToHistory(action, undoData) {
-    const entry = {
+function addActionToHistory(action, undoData, sheetRef) {
+    state.history.redoEntries = [];
+    pushHistoryEntry({
         id: generateHistoryId(),
         type: action.type,
         target: action.target,
         timestamp: Date.now(),
-        undoData: undoData
-    };
-    
+        undoData: undoData,
+        action: action,
+        ...sheetRef
+    }, false);
+}
+
+/**
+ * Prepends an entry to history
+ * @param {Object} entry - History entry
+ * @param {boolean} [persist=true] - Save the session afterwards
+ */
+function pushHistoryEntry(entry, persist = true) {
     // Prepend to history
     state.history.entries = [entry, ...state.history.entries];
     
@@ -1790,6 +2511,7 @@ function addActionToHistory(action, undoData) {
     if (state.history.panelVisible) {
         renderHistoryPanel();
     }
+    if (persist) persistSession();
 }
 
 /**
@@ -1802,24 +2524,46 @@ async function performUndo() {
     }
     
     const entry = state.history.entries[0];
+    if (!canUndoEntry(entry)) {
+        toast("The last action cannot be undone");
+        return;
+    }
     
     try {
+        let redoData = null;
+        let sheetRef = null;
+        let refusal = null;
         await Excel.run(async (ctx) => {
-            const sheet = ctx.workbook.worksheets.getActiveWorksheet();
-            const range = sheet.getRange(entry.undoData.address);
+            // Undo onto the sheet the action was applied to, not whichever sheet is active
+            const { sheet, reason } = await findEntrySheet(ctx, entry);
+            if (!sheet) {
+                refusal = reason;
+                return;
+            }
             
-            // Restore formulas (which also restores values for non-formula cells)
-            range.formulas = entry.undoData.formulas;
-            await ctx.sync();
+            // Record the state being replaced, then apply the recorded inverse operation
+            redoData = await captureRedoData(ctx, sheet, entry.undoData);
+            await applyUndo(ctx, sheet, entry.undoData);
+            
+            // Undoing a rename changes the name redo has to find
+            sheetRef = entry.sheetId ? await getSheetRef(ctx, sheet) : {};
         });
         
-        // Remove from history
+        if (refusal) {
+            addMessage("ai", `Cannot undo ${entry.type} on ${entry.target}: ${refusal} since it was applied.`, "error");
+            toast("Undo unavailable");
+            return;
+        }
+        
+        // Move from history to the redo stack
         state.history.entries = state.history.entries.slice(1);
+        state.history.redoEntries = [{ ...entry, ...sheetRef, redoData }, ...state.history.redoEntries].slice(0, state.history.maxEntries);
         
         updateUndoButtonState();
         if (state.history.panelVisible) {
             renderHistoryPanel();
         }
+        persistSession();
         
         toast("Undone");
         await readExcelData();
@@ -1831,74 +2575,89 @@ async function performUndo() {
 }
 
 /**
- * Updates the Undo button state
+ * Redoes the most recently undone action
+ * Restores the recorded after-state when there is one, otherwise applies the action again
  */
-function updateUndoButtonState() {
-    const undoBtn = document.getElementById("undoBtn");
-    if (undoBtn) {
-        undoBtn.disabled = state.history.entries.length === 0;
+async function performRedo() {
+    const entry = state.history.redoEntries[0];
+    if (!entry) {
+        toast("Nothing to redo");
+        return;
+    }
+    if (!canRedoEntry(entry)) {
+        toast("The last undone action cannot be redone");
+        return;
+    }
+    
+    try {
+        let undoData = entry.undoData;
+        let sheetRef = null;
+        let refusal = null;
+        await Excel.run(async (ctx) => {
+            const { sheet, reason } = await findEntrySheet(ctx, entry);
+            if (!sheet) {
+                refusal = reason;
+                return;
+            }
+            
+            if (entry.redoData) {
+                // The original undo data still reverts the restored state
+                await applyUndo(ctx, sheet, entry.redoData);
+            } else {
+                undoData = await captureUndoData(ctx, sheet, entry.action);
+                await executeAction(ctx, sheet, entry.action);
+                await ctx.sync();
+            }
+            sheetRef = entry.sheetId ? await getSheetRef(ctx, sheet) : {};
+        });
+        
+        if (refusal) {
+            addMessage("ai", `Cannot redo ${entry.type} on ${entry.target}: ${refusal} since it was undone.`, "error");
+            toast("Redo unavailable");
+            return;
+        }
+        
+        // Move from the redo stack back to history, without clearing the rest of the redo stack
+        state.history.redoEntries = state.history.redoEntries.slice(1);
+        const redone = { ...entry, ...sheetRef, undoData, timestamp: Date.now() };
+        delete redone.redoData;
+        pushHistoryEntry(redone);
+        
+        toast("Redone");
+        await readExcelData();
+    } catch (e) {
+        console.error("Redo failed:", e);
+        toast("Redo failed");
+        // Keep entry on the redo stack on failure
     }
 }
 
 /**
- * Formats a timestamp as relative time
+ * Updates the Undo and Redo button states
  */
-function formatRelativeTime(timestamp) {
-    const now = Date.now();
-    const diff = now - timestamp;
-    
-    const seconds = Math.floor(diff / 1000);
-    const minutes = Math.floor(seconds / 60);
-    const hours = Math.floor(minutes / 60);
-    const days = Math.floor(hours / 24);
+function updateUndoButtonState() {
+    const undoBtn = document.getElementById("undoBtn");
+    if (undoBtn) {
+        const latest = state.history.entries[0];
+        undoBtn.disabled = !canUndoEntry(latest);
+        undoBtn.title = latest && !canUndoEntry(latest) ? "The last action cannot be undone" : "";
+    }
     
-    if (seconds < 60) return 'just now';
-    if (minutes < 60) return `${minutes} min ago`;
-    if (hours < 24) return `${hours} hr ago`;
-    if (days === 1) return 'yesterday';
-    return `${days} days ago`;
+    const redoBtn = document.getElementById("redoBtn");
+    if (redoBtn) {
+        redoBtn.disabled = !canRedoEntry(state.history.redoEntries[0]);
+    }
 }
 
 /**
- * Renders the history panel
+ * Renders the history panel: the redo stack above the undo history
+ * Entries without an inverse operation are marked as not undoable
  */
 function renderHistoryPanel() {
     const list = document.getElementById("historyList");
     if (!list) return;
     
-    if (!state.history.entries.length) {
-        list.innerHTML = '<div class="history-empty">No actions yet</div>';
-        return;
-    }
-    
-    const typeLabels = {
-        formula: "Formula",
-        values: "Values",
-        format: "Format",
-        chart: "Chart",
-        validation: "Dropdown",
-        sort: "Sort",
-        autofill: "Autofill"
-    };
-    
-    const html = state.history.entries.map(entry => {
-        const icon = getActionIcon(entry.type);
-        const label = typeLabels[entry.type] || entry.type;
-        const timeStr = formatRelativeTime(entry.timestamp);
-        
-        return `
-            <div class="history-entry" data-id="${entry.id}">
-                <div class="history-icon ${entry.type}">${icon}</div>
-                <div class="history-content">
-                    <span class="history-label">${label}</span>
-                    <span class="history-target">${entry.target}</span>
-                </div>
-                <span class="history-time">${timeStr}</span>
-            </div>
-        `;
-    }).join('');
-    
-    list.innerHTML = html;
+    list.innerHTML = renderHistoryStacks(state.history.entries, state.history.redoEntries, getActionIcon);
 }
 
 /**
@@ -1921,6 +2680,92 @@ function toggleHistoryPanel() {
     }
 }
 
+// ============================================================================
+// Session Persistence
+// ============================================================================
+
+/**
+ * Gets the settings stored in the workbook, or null outside a document
+ * @returns {Office.Settings|null} Document settings
+ */
+function getDocumentSettings() {
+    return Office.context?.document?.settings || null;
+}
+
+/**
+ * Restores the history and chat saved in this workbook
+ * A session that cannot be restored is skipped, so the add-in still starts
+ */
+function restoreSession() {
+    const settings = getDocumentSettings();
+    if (!settings) return;
+    
+    try {
+        const session = loadSession(settings);
+        if (!session) return;
+        
+        state.history.entries = session.entries.slice(0, state.history.maxEntries);
+        state.history.redoEntries = session.redoEntries.slice(0, state.history.maxEntries);
+        state.conversationHistory = session.conversation;
+        state.chatTranscript = session.transcript;
+        session.transcript.forEach(msg => addMessage(msg.role, msg.content, msg.type));
+        
+        updateUndoButtonState();
+        logInfo("Restored saved session", {
+            entries: state.history.entries.length,
+            redoEntries: state.history.redoEntries.length,
+            messages: state.chatTranscript.length
+        });
+    } catch (e) {
+        logWarn(`Could not restore the saved session: ${e.message}`);
+        state.history.entries = [];
+        state.history.redoEntries = [];
+        state.conversationHistory = [];
+        state.chatTranscript = [];
+        document.getElementById("chat").innerHTML = "";
+        document.getElementById("chat").style.display = "none";
+        document.getElementById("welcome").style.display = "flex";
+        updateUndoButtonState();
+    }
+}
+
+/**
+ * Saves the history and chat to the workbook's document settings
+ * Runs in the background; a failed save only loses persistence
+ */
+function persistSession() {
+    const settings = getDocumentSettings();
+    if (!settings) return;
+    
+    saveSession(settings, {
+        entries: state.history.entries,
+        redoEntries: state.history.redoEntries,
+        conversation: state.conversationHistory,
+        transcript: state.chatTranscript
+    }).then((dropped) => {
+        if (dropped) logWarn(`Saved session trimmed to fit the size limit: ${dropped} oldest item(s) dropped`);
+    }).catch((e) => {
+        logWarn(`Could not save the session: ${e.message}`);
+    });
+}
+
+/**
+ * Clears the history and chat of this workbook, including the saved copy
+ */
+function clearSavedSession() {
+    state.history.entries = [];
+    state.history.redoEntries = [];
+    updateUndoButtonState();
+    if (state.history.panelVisible) {
+        renderHistoryPanel();
+    }
+    
+    // Saving an empty session removes it from the workbook
+    resetChat();
+    toast("Saved history cleared");
+    logInfo("Saved session cleared");
+}
+
 // ============================================================================
 // Comment 10: Diagnostics Panel Functions
 // ============================================================================
@@ -1976,6 +2821,11 @@ async function handleApply() {
         return;
     }
     
+    // Formula overwrites are flagged once the targets are read - wait for that, also after an edit
+    while (state.preview.diffsLoading) {
+        await state.preview.diffsLoading;
+    }
+    
     // Get only selected actions
     const selectedActions = filterSelectedActions(state.pendingActions, state.preview.selections);
     
@@ -1984,32 +2834,52 @@ async function handleApply() {
         return;
     }
     
+    // Flagged actions only run after an explicit confirmation, which is used up here
+    const riskyIndices = state.pendingActions
+        .map((_, index) => index)
+        .filter(index => state.preview.selections[index] && state.preview.risks[index]?.length);
+    if (riskyIndices.length && !state.preview.riskConfirmed) {
+        showRiskConfirmation(riskyIndices);
+        return;
+    }
+    state.preview.riskConfirmed = false;
+    
     const applyBtn = document.getElementById("applyBtn");
     applyBtn.disabled = true;
     applyBtn.textContent = "Applying...";
     
+    if (state.applyMode === "atomic") {
+        await applyAllOrNothing(selectedActions);
+        // A rolled-back batch keeps its preview for another attempt
+        updateApplyButtonState();
+        return;
+    }
+    
     let successCount = 0;
     let errorMsg = "";
     
     try {
         await Excel.run(async (ctx) => {
             const sheet = ctx.workbook.worksheets.getActiveWorksheet();
+            const results = {}; // Results of applied actions by id, for $ref: references
             
-            for (const action of selectedActions) {
+            for (const pending of selectedActions) {
                 try {
-                    // Capture undo data before applying (skip for charts - can't undo)
-                    let undoData = null;
-                    if (action.type !== 'chart') {
-                        undoData = await captureUndoData(ctx, sheet, action.target);
-                    }
+                    // References to earlier actions are resolved now that those have run
+                    const action = resolveActionRefs(pending, results);
+                    
+                    // Capture undo data before applying (null when the action has no inverse)
+                    const undoData = await captureUndoData(ctx, sheet, action);
                     
                     await executeAction(ctx, sheet, action);
                     await ctx.sync();
                     successCount++;
                     
-                    // Add to history if we have undo data
-                    if (undoData) {
-                        addActionToHistory(action, undoData);
+                    // Every applied action is recorded; the panel shows which can be undone.
+                    // The sheet name is read after the action, which may have renamed it
+                    addActionToHistory(action, undoData, await getSheetRef(ctx, sheet));
+                    if (action.id) {
+                        results[action.id] = await loadActionResult(ctx, sheet, action, undoData);
                     }
                 } catch (e) {
                     errorMsg = e.message;
@@ -2036,10 +2906,122 @@ async function handleApply() {
         toast("Failed");
     }
     
+    // One save for the whole batch
+    if (successCount) persistSession();
+    
     applyBtn.disabled = true;
     applyBtn.textContent = "Apply Changes";
 }
 
+/**
+ * Reads what an applied action produced, for later actions that reference it
+ * Created objects (tables, PivotTables, charts...) are found through the undo data
+ * @param {Excel.RequestContext} ctx - Excel context
+ * @param {Excel.Worksheet} sheet - Active worksheet
+ * @param {Object} action - Applied action, with references resolved
+ * @param {Object|null} undoData - Undo data captured before the action ran
+ * @returns {Promise<Object>} Result fields (see buildActionResult)
+ */
+async function loadActionResult(ctx, sheet, action, undoData) {
+    let created = null;
+    if (undoData?.kind === "created") {
+        try {
+            created = (await loadCreatedItems(ctx, sheet, undoData))[0] || null;
+        } catch (e) {
+            logWarn(`Could not read the object created by ${action.type}: ${e.message}`);
+        }
+    }
+    return buildActionResult(action, created);
+}
+
+/**
+ * Applies the selected actions as one batch: if any action fails, the ones already
+ * applied are rolled back with their undo snapshots and the workbook is left as it was
+ * @param {Object[]} selectedActions - Actions to apply, in order
+ */
+async function applyAllOrNothing(selectedActions) {
+    // Every action must be reversible, otherwise a failure could not be rolled back
+    const irreversible = findIrreversibleActions(selectedActions);
+    if (irreversible.length) {
+        const names = irreversible.map(index => `${selectedActions[index].type} ${selectedActions[index].target || ""}`.trim());
+        addMessage("ai", `All-or-nothing apply cannot roll back: ${names.join(", ")}. Deselect ${irreversible.length > 1 ? "them" : "it"} or switch to independent apply in settings. Nothing was applied.`, "error");
+        toast("Nothing applied");
+        return;
+    }
+    
+    let recorded = false;
+    try {
+        const result = await Excel.run(async (ctx) => {
+            const sheet = ctx.workbook.worksheets.getActiveWorksheet();
+            const results = {}; // Results of applied actions by id, for $ref: references
+            const outcome = await runTransaction(selectedActions, {
+                resolve: (action) => resolveActionRefs(action, results),
+                capture: (action) => captureUndo(ctx, sheet, action),
+                execute: async (action, undoData) => {
+                    await executeAction(ctx, sheet, action);
+                    await ctx.sync();
+                    if (action.id) {
+                        results[action.id] = await loadActionResult(ctx, sheet, action, undoData);
+                    }
+                },
+                rollback: async (undoData) => {
+                    await applyUndo(ctx, sheet, undoData);
+                    await ctx.sync();
+                }
+            });
+            
+            // Whatever is still applied (everything on success) goes to the history as usual
+            if (outcome.applied.length) {
+                const sheetRef = await getSheetRef(ctx, sheet);
+                outcome.applied.forEach(({ action, undoData }) => addActionToHistory(action, undoData, sheetRef));
+                recorded = true;
+            }
+            return outcome;
+        });
+        
+        const total = selectedActions.length;
+        if (!result.failure) {
+            addMessage("ai", `${total} change${total > 1 ? 's' : ''} applied successfully.`, "success");
+            toast("Applied");
+            state.pendingActions = [];
+            hidePreviewPanel();
+        } else {
+            const { index, action, error } = result.failure;
+            const rolledBack = index - result.rollbackErrors.length;
+            logError(`All-or-nothing apply failed at action ${index + 1} (${action.type}): ${error.message}`);
+            let message = `Change ${index + 1}/${total} (${action.type} ${action.target || ""}) failed: ${error.message}.`;
+            
+            if (!result.rollbackErrors.length) {
+                message += rolledBack > 0
+                    ? ` ${rolledBack} earlier change${rolledBack > 1 ? 's were' : ' was'} rolled back; nothing was applied.`
+                    : " Nothing was applied.";
+                // The workbook is unchanged - keep the preview so the failed action can be fixed and retried
+                const pendingIndex = state.pendingActions.indexOf(action);
+                if (pendingIndex >= 0) {
+                    state.preview.issues[pendingIndex] = [...(state.preview.issues[pendingIndex] || []), `Failed to apply: ${error.message}`];
+                    state.preview.expandedIndex = pendingIndex;
+                    showPreviewPanel();
+                }
+            } else {
+                const failed = result.rollbackErrors.map(({ action: a, error: e }) => `${a.type} ${a.target || ""}: ${e.message}`);
+                message += ` Rollback incomplete - still applied: ${failed.join("; ")}. These can be undone from the history.`;
+                state.pendingActions = [];
+                hidePreviewPanel();
+            }
+            addMessage("ai", message, "error");
+            toast("Rolled back");
+        }
+        
+        await readExcelData();
+    } catch (err) {
+        addMessage("ai", "Failed: " + err.message, "error");
+        toast("Failed");
+    }
+    
+    // One save for the whole batch
+    if (recorded) persistSession();
+}
+
 async function executeAction(ctx, sheet, action) {
     const { type, target, source, validationType, chartType, data } = action;
     
@@ -2117,7 +3099,10 @@ async function executeAction(ctx, sheet, action) {
     
     switch (type) {
         case "formula":
-            await applyFormula(range, data);
+            // A whole table column becomes a calculated column; anything else is filled cell by cell
+            if (!(await applyTableColumnFormula(ctx, range, data))) {
+                await applyFormula(range, data);
+            }
             break;
             
         case "values":
@@ -4188,7 +5173,7 @@ async function addTableRow(ctx, sheet, action) {
 async function addTableColumn(ctx, sheet, action) {
     logDebug(`Starting addTableColumn for target "${action.target}"`);
     
-    let options = { tableName: action.target, columnName: "NewColumn", position: "end", values: null };
+    let options = { tableName: action.target, columnName: "NewColumn", position: "end", values: null, formula: null };
     
     if (action.data) {
         try {
@@ -4227,7 +5212,11 @@ async function addTableColumn(ctx, sheet, action) {
     }
     
     try {
-        table.columns.add(index, columnValues);
+        const column = table.columns.add(index, columnValues);
+        if (options.formula) {
+            // A calculated column: the table fills the formula into new rows too
+            column.getDataBodyRange().formulas = options.formula;
+        }
         await ctx.sync();
         logInfo(`Successfully added column "${options.columnName}" to table "${tableName}" at position ${options.position || "end"}`);
     } catch (e) {
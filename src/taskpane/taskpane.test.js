@@ -0,0 +1,52 @@
+/**
+ * Tests for the executor code that taskpane.js keeps its own copy of
+ * Each case runs against taskpane.js and action-executor.js so the two copies stay in step.
+ */
+
+import { executeAction, applyTableColumnFormula } from "./action-executor.js";
+import { createTableMock, loadTaskpaneFunction } from "./test-helpers.js";
+
+const LOG = { logDebug: jest.fn(), logDiag: jest.fn(), logInfo: jest.fn(), logWarn: jest.fn(), logError: jest.fn() };
+const Excel = { AutoFillType: { fillDefault: "FillDefault" } };
+
+const applyFormula = loadTaskpaneFunction("applyFormula", { Excel });
+const addTableColumn = loadTaskpaneFunction("addTableColumn", LOG);
+const taskpaneExecuteAction = loadTaskpaneFunction("executeAction", { ...LOG, applyTableColumnFormula, applyFormula, addTableColumn });
+
+describe.each([
+    ["taskpane.js", taskpaneExecuteAction],
+    ["action-executor.js", executeAction]
+])("%s executeAction", (file, run) => {
+    describe("formula", () => {
+        test("writes a formula over a whole table column as a calculated column", async () => {
+            const { ctx, sheet, columnBody, getItemAt } = createTableMock();
+            await run(ctx, sheet, { type: "formula", target: "E2:E10", data: "=[@Qty]*[@Price]" });
+            expect(getItemAt).toHaveBeenCalledWith(3);
+            expect(columnBody.formulas).toBe("=[@Qty]*[@Price]");
+        });
+
+        test("fills formulas on part of a table column cell by cell", async () => {
+            const { ctx, sheet, columnBody, getItemAt } = createTableMock();
+            await run(ctx, sheet, { type: "formula", target: "E2:E5", data: "=C2*D2" });
+            expect(getItemAt).not.toHaveBeenCalled();
+            expect(columnBody.formulas).toBeNull();
+        });
+    });
+
+    describe("addTableColumn", () => {
+        test("adds the header and writes the formula as a calculated column", async () => {
+            const { ctx, sheet, table, columnBody } = createTableMock();
+            const data = JSON.stringify({ columnName: "Amount", formula: "=[@Qty]*[@Price]" });
+            await run(ctx, sheet, { type: "addTableColumn", target: "Sales", data });
+            expect(table.columns.add).toHaveBeenCalledWith(null, [["Amount"]]);
+            expect(columnBody.formulas).toBe("=[@Qty]*[@Price]");
+        });
+
+        test("leaves the column body alone without a formula", async () => {
+            const { ctx, sheet, table, columnBody } = createTableMock();
+            await run(ctx, sheet, { type: "addTableColumn", target: "Sales", data: "{\"columnName\":\"Notes\",\"position\":\"start\"}" });
+            expect(table.columns.add).toHaveBeenCalledWith(0, [["Notes"]]);
+            expect(columnBody.formulas).toBeNull();
+        });
+    });
+});
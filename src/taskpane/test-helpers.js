@@ -0,0 +1,102 @@
+/**
+ * Test Helpers
+ * Shared by the test files that check other modules against action-executor.js,
+ * and by the tests of the executor code that taskpane.js keeps its own copy of.
+ * Not part of the add-in bundle.
+ */
+
+/* global jest, __dirname */
+
+import fs from "fs";
+import path from "path";
+
+// ============================================================================
+// Executor
+// ============================================================================
+
+/**
+ * Collects the action types handled by executeAction's switch statement
+ * @returns {string[]} Action types
+ */
+function getExecutorActionTypes() {
+    const source = fs.readFileSync(path.join(__dirname, "action-executor.js"), "utf8");
+    const start = source.indexOf("async function executeAction(");
+    const end = source.indexOf("\n}\n", start);
+    const body = source.slice(start, end);
+    return [...body.matchAll(/^ {8}case "([^"]+)":/gm)].map(m => m[1]);
+}
+
+// ============================================================================
+// Taskpane
+// ============================================================================
+
+/**
+ * Compiles a top-level function of taskpane.js
+ * taskpane.js calls Office.onReady when it is imported and exports nothing, so its
+ * copies of executor code are loaded from source. The other names the function uses
+ * are taken from scope and only need to cover the paths a test runs.
+ * @param {string} name - Function name
+ * @param {Object} [scope] - Values of the names the function uses, by name
+ * @returns {Function} Function
+ */
+function loadTaskpaneFunction(name, scope = {}) {
+    const source = fs.readFileSync(path.join(__dirname, "taskpane.js"), "utf8");
+    const start = source.search(new RegExp(`^(?:async )?function ${name}\\(`, "m"));
+    if (start === -1) throw new Error(`taskpane.js has no function ${name}`);
+    const end = source.indexOf("\n}\n", start);
+    const compile = new Function(...Object.keys(scope), `return (${source.slice(start, end + 2)});`);
+    return compile(...Object.values(scope));
+}
+
+// ============================================================================
+// Excel Mocks
+// ============================================================================
+
+/**
+ * Creates a sheet whose ranges lie in a table "Sales" with data rows 2-10 in columns B-E
+ * Ranges are single-column addresses like "E2:E10".
+ * @returns {{ ctx: Object, sheet: Object, table: Object, columnBody: Object, getItemAt: jest.Mock }} Mocks;
+ *   columnBody is the data body of the column the formula lands in, or of a column added to the table
+ */
+function createTableMock() {
+    const columnBody = { formulas: null };
+    const getItemAt = jest.fn(() => ({ name: "Amount", load: jest.fn(), getDataBodyRange: jest.fn(() => columnBody) }));
+    const table = {
+        name: "Sales",
+        isNullObject: false,
+        load: jest.fn(),
+        getDataBodyRange: jest.fn(() => ({ rowIndex: 1, columnIndex: 1, rowCount: 9, load: jest.fn() })),
+        columns: {
+            getItemAt,
+            add: jest.fn(() => ({ getDataBodyRange: jest.fn(() => columnBody) }))
+        }
+    };
+    const sheet = {
+        getRange: jest.fn((address) => {
+            const [, col, firstRow, lastRow] = address.match(/^([A-Z])(\d+)(?::[A-Z](\d+))?$/);
+            const rowCount = (lastRow ? parseInt(lastRow, 10) : parseInt(firstRow, 10)) - parseInt(firstRow, 10) + 1;
+            return {
+                rowIndex: parseInt(firstRow, 10) - 1,
+                columnIndex: col.charCodeAt(0) - 65,
+                rowCount,
+                columnCount: 1,
+                formulas: null,
+                load: jest.fn(),
+                getCell: jest.fn(() => ({ formulas: null, autoFill: jest.fn() })),
+                getTables: jest.fn(() => ({ getFirstOrNullObject: jest.fn(() => table) }))
+            };
+        }),
+        tables: { getItemOrNullObject: jest.fn(() => table) }
+    };
+    return { ctx: { sync: jest.fn(() => Promise.resolve()) }, sheet, table, columnBody, getItemAt };
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+export {
+    getExecutorActionTypes,
+    loadTaskpaneFunction,
+    createTableMock
+};
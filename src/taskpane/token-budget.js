@@ -0,0 +1,186 @@
+/**
+ * Token Budget Module
+ * Estimates prompt sizes and fits each request into a per-model token budget.
+ * When the prompt is too large, sections are trimmed by priority: older
+ * conversation turns first, then the other sheets, then the data preview rows.
+ */
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const TOKEN_CONFIG = {
+    // Rough average for English text, formulas and markdown tables
+    CHARS_PER_TOKEN: 4,
+    // Per-message overhead of the chat formats (role markers, separators)
+    MESSAGE_OVERHEAD_TOKENS: 4,
+    // Kept free for the response (the maxTokens of each request)
+    RESPONSE_TOKENS: 4096,
+    // Upper bound regardless of the context window, to keep requests affordable
+    MAX_PROMPT_TOKENS: 64000,
+    DEFAULT_CONTEXT_WINDOW: 32768,
+    // Data preview sizes tried, in order, once history and other sheets are gone
+    PREVIEW_ROW_STEPS: [15, 5, 0]
+};
+
+// Context windows by model name; the first match wins
+const MODEL_CONTEXT_WINDOWS = [
+    { pattern: /^gemini-/i, tokens: 1048576 },
+    { pattern: /^gpt-4\.1/i, tokens: 1047576 },
+    { pattern: /^(gpt-4o|gpt-4-turbo|o\d)/i, tokens: 128000 },
+    { pattern: /^gpt-3\.5/i, tokens: 16385 },
+    { pattern: /^claude/i, tokens: 200000 },
+    { pattern: /^(llama3\.[1-3]|qwen2\.5|mistral-nemo)/i, tokens: 128000 }
+];
+
+// Provider-side limits that apply to every model (Ollama truncates to its num_ctx)
+const PROVIDER_CONTEXT_WINDOWS = {
+    ollama: 32768
+};
+
+// ============================================================================
+// Estimation
+// ============================================================================
+
+/**
+ * Estimates the tokens of a text
+ * @param {string} text - Text
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(text) {
+    return text ? Math.ceil(String(text).length / TOKEN_CONFIG.CHARS_PER_TOKEN) : 0;
+}
+
+/**
+ * Estimates the tokens of chat messages
+ * @param {{ role: string, content: string }[]} messages - Messages
+ * @returns {number} Estimated tokens
+ */
+function estimateMessagesTokens(messages) {
+    return messages.reduce((total, message) => total + estimateTokens(message.content) + TOKEN_CONFIG.MESSAGE_OVERHEAD_TOKENS, 0);
+}
+
+// ============================================================================
+// Budget
+// ============================================================================
+
+/**
+ * Gets the context window of a model
+ * @param {string} providerId - Provider id
+ * @param {string} model - Model or deployment name
+ * @returns {number} Context window in tokens
+ */
+function getContextWindow(providerId, model) {
+    const known = MODEL_CONTEXT_WINDOWS.find(entry => entry.pattern.test(String(model || "")));
+    const window = known ? known.tokens : TOKEN_CONFIG.DEFAULT_CONTEXT_WINDOW;
+    const providerLimit = PROVIDER_CONTEXT_WINDOWS[providerId];
+    return providerLimit ? Math.min(window, providerLimit) : window;
+}
+
+/**
+ * Gets the prompt budget of a model
+ * @param {string} providerId - Provider id
+ * @param {string} model - Model or deployment name
+ * @returns {number} Tokens available for the prompt
+ */
+function getTokenBudget(providerId, model) {
+    return Math.min(getContextWindow(providerId, model) - TOKEN_CONFIG.RESPONSE_TOKENS, TOKEN_CONFIG.MAX_PROMPT_TOKENS);
+}
+
+/**
+ * @typedef {Object} PromptPlan
+ * @property {string} context - Data context to send
+ * @property {{ role: string, content: string }[]} history - Conversation history to send
+ * @property {{ system: number, context: number, history: number, request: number, total: number }} usage - Estimated tokens
+ * @property {number} budget - Prompt budget
+ * @property {string[]} trimmed - What was cut to fit, in order
+ * @property {boolean} overBudget - Still over budget with everything optional cut
+ */
+
+/**
+ * Fits a prompt into a budget
+ * The system prompt and the request are never cut; history goes first (oldest
+ * turn first), then the other sheets of the data context, then preview rows.
+ * @param {Object} parts - Prompt parts
+ * @param {number} parts.budget - Prompt budget in tokens
+ * @param {string} parts.systemPrompt - System prompt
+ * @param {string} parts.request - User request, as sent after the data context
+ * @param {{ role: string, content: string }[]} parts.history - Conversation history, oldest first
+ * @param {function({ previewRows?: number, includeOtherSheets?: boolean }): string} parts.buildContext - Builds the data context
+ * @returns {PromptPlan} What to send
+ */
+function fitPromptToBudget({ budget, systemPrompt, request, history, buildContext }) {
+    const system = estimateTokens(systemPrompt);
+    const requestTokens = estimateTokens(request) + TOKEN_CONFIG.MESSAGE_OVERHEAD_TOKENS;
+    const trimmed = [];
+    let context = buildContext({});
+    let kept = [...history];
+
+    const total = () => system + requestTokens + estimateTokens(context) + estimateMessagesTokens(kept);
+
+    // Drop whole turns (request and answer) so the history never starts with an answer
+    let dropped = 0;
+    while (total() > budget && kept.length) {
+        const turn = kept[0].role === "user" && kept[1]?.role === "assistant" ? 2 : 1;
+        kept = kept.slice(turn);
+        dropped += turn;
+    }
+    if (dropped) trimmed.push(`dropped ${dropped} older history message(s)`);
+
+    let options = {};
+    if (total() > budget) {
+        options = { includeOtherSheets: false };
+        const smaller = buildContext(options);
+        if (smaller.length < context.length) {
+            context = smaller;
+            trimmed.push("omitted other sheets");
+        }
+    }
+
+    for (const previewRows of TOKEN_CONFIG.PREVIEW_ROW_STEPS) {
+        if (total() <= budget) break;
+        context = buildContext({ ...options, previewRows });
+        trimmed.push(`data preview cut to ${previewRows} rows`);
+    }
+    // Only the last preview size matters to the reader
+    const previewCuts = trimmed.filter(entry => entry.startsWith("data preview"));
+    const summary = trimmed.filter(entry => !entry.startsWith("data preview"));
+    if (previewCuts.length) summary.push(previewCuts[previewCuts.length - 1]);
+
+    const usage = {
+        system,
+        context: estimateTokens(context),
+        history: estimateMessagesTokens(kept),
+        request: requestTokens,
+        total: total()
+    };
+    return { context, history: kept, usage, budget, trimmed: summary, overBudget: usage.total > budget };
+}
+
+/**
+ * Describes a prompt plan for the diagnostics log
+ * @param {PromptPlan} plan - Plan from fitPromptToBudget
+ * @returns {string} e.g. "Prompt ~14,200 tokens of 60,000 (system 12,000, data 1,800, history 300, request 100)"
+ */
+function formatPromptUsage(plan) {
+    const n = value => value.toLocaleString("en-US");
+    const { usage } = plan;
+    let text = `Prompt ~${n(usage.total)} tokens of ${n(plan.budget)} (system ${n(usage.system)}, data ${n(usage.context)}, `
+        + `history ${n(usage.history)}, request ${n(usage.request)})`;
+    if (plan.trimmed.length) text += ` - ${plan.trimmed.join(", ")}`;
+    return text;
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+export {
+    TOKEN_CONFIG,
+    estimateTokens,
+    estimateMessagesTokens,
+    getContextWindow,
+    getTokenBudget,
+    fitPromptToBudget,
+    formatPromptUsage
+};
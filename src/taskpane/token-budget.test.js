@@ -0,0 +1,92 @@
+/**
+ * Tests for Token Budget Module
+ */
+
+import {
+    TOKEN_CONFIG,
+    estimateTokens,
+    estimateMessagesTokens,
+    getContextWindow,
+    getTokenBudget,
+    fitPromptToBudget,
+    formatPromptUsage
+} from "./token-budget.js";
+
+/**
+ * Creates a context builder whose output shrinks with the trimming options
+ * @returns {jest.Mock} Builder returning 400 characters per preview row plus 4,000 for other sheets
+ */
+function createContextBuilder() {
+    return jest.fn(({ previewRows = 30, includeOtherSheets = true }) => "p".repeat(previewRows * 400) + (includeOtherSheets ? "o".repeat(4000) : ""));
+}
+
+const HISTORY = [
+    { role: "user", content: "u".repeat(4000) },
+    { role: "assistant", content: "a".repeat(4000) },
+    { role: "user", content: "u".repeat(400) },
+    { role: "assistant", content: "a".repeat(400) }
+];
+
+describe("Token Budget", () => {
+    describe("estimateTokens", () => {
+        test("estimates tokens from characters", () => {
+            expect(estimateTokens("")).toBe(0);
+            expect(estimateTokens("abcde")).toBe(2);
+            expect(estimateMessagesTokens([{ role: "user", content: "abcd" }])).toBe(1 + TOKEN_CONFIG.MESSAGE_OVERHEAD_TOKENS);
+        });
+    });
+
+    describe("getTokenBudget", () => {
+        test("uses the model's window, the provider's limit and the cost cap", () => {
+            expect(getContextWindow("openai", "gpt-4o-mini")).toBe(128000);
+            expect(getContextWindow("ollama", "llama3.1")).toBe(32768);
+            expect(getContextWindow("openai", "my-deployment")).toBe(TOKEN_CONFIG.DEFAULT_CONTEXT_WINDOW);
+            expect(getTokenBudget("gemini", "gemini-2.5-flash")).toBe(TOKEN_CONFIG.MAX_PROMPT_TOKENS);
+            expect(getTokenBudget("ollama", "mistral")).toBe(32768 - TOKEN_CONFIG.RESPONSE_TOKENS);
+        });
+    });
+
+    describe("fitPromptToBudget", () => {
+        const parts = { systemPrompt: "s".repeat(4000), request: "r".repeat(400), history: HISTORY };
+
+        test("keeps everything within budget", () => {
+            const plan = fitPromptToBudget({ ...parts, budget: 100000, buildContext: createContextBuilder() });
+            expect(plan.history).toEqual(HISTORY);
+            expect(plan.trimmed).toEqual([]);
+            expect(plan.usage).toEqual({ system: 1000, context: 4000, history: 2216, request: 104, total: 7320 });
+            expect(plan.overBudget).toBe(false);
+        });
+
+        test("drops the oldest turns first", () => {
+            const plan = fitPromptToBudget({ ...parts, budget: 6000, buildContext: createContextBuilder() });
+            expect(plan.history).toEqual(HISTORY.slice(2));
+            expect(plan.trimmed).toEqual(["dropped 2 older history message(s)"]);
+        });
+
+        test("then leaves out other sheets and preview rows", () => {
+            const buildContext = createContextBuilder();
+            const plan = fitPromptToBudget({ ...parts, budget: 2000, buildContext });
+            expect(plan.history).toEqual([]);
+            expect(plan.trimmed).toEqual(["dropped 4 older history message(s)", "omitted other sheets", "data preview cut to 5 rows"]);
+            expect(buildContext).toHaveBeenLastCalledWith({ includeOtherSheets: false, previewRows: 5 });
+            expect(plan.usage.total).toBeLessThanOrEqual(2000);
+        });
+
+        test("reports prompts that cannot fit", () => {
+            const plan = fitPromptToBudget({ ...parts, budget: 500, buildContext: createContextBuilder() });
+            expect(plan.context).toBe("");
+            expect(plan.overBudget).toBe(true);
+        });
+    });
+
+    describe("formatPromptUsage", () => {
+        test("describes the sizes and what was trimmed", () => {
+            const plan = {
+                budget: 60000,
+                usage: { system: 12000, context: 1800, history: 300, request: 100, total: 14200 },
+                trimmed: ["omitted other sheets"]
+            };
+            expect(formatPromptUsage(plan)).toBe("Prompt ~14,200 tokens of 60,000 (system 12,000, data 1,800, history 300, request 100) - omitted other sheets");
+        });
+    });
+});
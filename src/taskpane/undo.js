@@ -0,0 +1,1124 @@
+/**
+ * Undo Module
+ * Captures range snapshots before an action is applied and restores them on undo.
+ * A snapshot covers contents, number formats, per-cell formatting (font, fill,
+ * borders, alignment), merged areas and the conditional formats touching the range.
+ * Structural actions (rows, sheets, tables, charts...) record an inverse operation instead.
+ */
+
+import { colLetterToIndex, colIndexToLetter } from "./excel-data.js";
+import { logWarn } from "./diagnostics.js";
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Ranges above this many cells are clipped to the used range before capturing.
+ * Loading per-cell formatting for whole columns (1M+ cells) would stall Excel.
+ */
+const MAX_SNAPSHOT_CELLS = 50000;
+
+/**
+ * Per-cell format properties captured with getCellProperties (ExcelApi 1.9)
+ */
+const CELL_PROPERTY_LOAD = {
+    format: {
+        fill: { color: true, pattern: true },
+        font: { bold: true, italic: true, color: true, size: true, name: true, underline: true, strikethrough: true },
+        borders: { color: true, style: true, weight: true },
+        horizontalAlignment: true,
+        verticalAlignment: true,
+        wrapText: true,
+        indentLevel: true,
+        textOrientation: true,
+        shrinkToFit: true,
+        protection: { locked: true, formulaHidden: true }
+    },
+    hyperlink: true
+};
+
+/**
+ * Format properties shared by the highlight-style conditional formats
+ */
+const CONDITIONAL_FORMAT_STYLE = [
+    "format/fill/color",
+    "format/font/color",
+    "format/font/bold",
+    "format/font/italic",
+    "format/font/underline",
+    "format/font/strikethrough",
+    "format/numberFormat"
+];
+
+/**
+ * Conditional format types and the properties needed to recreate them
+ * key: the sub-object of Excel.ConditionalFormat holding the type's settings
+ */
+const CONDITIONAL_FORMAT_TYPES = {
+    CellValue: { key: "cellValue", props: ["rule", ...CONDITIONAL_FORMAT_STYLE] },
+    ContainsText: { key: "textComparison", props: ["rule", ...CONDITIONAL_FORMAT_STYLE] },
+    TopBottom: { key: "topBottom", props: ["rule", ...CONDITIONAL_FORMAT_STYLE] },
+    PresetCriteria: { key: "preset", props: ["rule", ...CONDITIONAL_FORMAT_STYLE] },
+    Custom: { key: "custom", props: ["rule/formula", ...CONDITIONAL_FORMAT_STYLE] },
+    ColorScale: { key: "colorScale", props: ["criteria"] },
+    IconSet: { key: "iconSet", props: ["style", "reverseIconOrder", "showIconOnly", "criteria"] },
+    DataBar: {
+        key: "dataBar",
+        props: [
+            "barDirection", "showDataBarOnly", "axisFormat", "axisColor", "lowerBoundRule", "upperBoundRule",
+            "positiveFormat/fillColor", "positiveFormat/gradientFill", "positiveFormat/borderColor",
+            "negativeFormat/fillColor", "negativeFormat/borderColor",
+            "negativeFormat/matchPositiveFillColor", "negativeFormat/matchPositiveBorderColor"
+        ]
+    }
+};
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Removes the sheet prefix from an address ("'My Sheet'!A1:B2" -> "A1:B2")
+ * @param {string} address - Range address
+ * @returns {string} Address without sheet name
+ */
+function stripSheetName(address) {
+    const str = String(address || "");
+    const index = str.lastIndexOf("!");
+    return index === -1 ? str : str.slice(index + 1);
+}
+
+/**
+ * Reads a slash-separated property path from a (loaded) proxy object
+ * @param {Object} obj - Source object
+ * @param {string} path - Property path, e.g. "format/fill/color"
+ * @returns {*} Value or undefined
+ */
+function getPath(obj, path) {
+    return path.split("/").reduce((current, key) => (current == null ? undefined : current[key]), obj);
+}
+
+/**
+ * Assigns a slash-separated property path on a proxy object
+ * @param {Object} obj - Target object
+ * @param {string} path - Property path
+ * @param {*} value - Value to assign
+ */
+function setPath(obj, path, value) {
+    const keys = path.split("/");
+    const last = keys.pop();
+    const parent = keys.reduce((current, key) => current[key], obj);
+    parent[last] = value;
+}
+
+/**
+ * Drops fill colors from cells without a fill pattern, and empty hyperlinks
+ * Excel reports white for unfilled cells; writing it back would paint them white
+ * @param {Object[][]} cellProperties - Values of getCellProperties
+ * @returns {Object[][]} Properties ready for setCellProperties
+ */
+function normalizeCellProperties(cellProperties) {
+    return cellProperties.map(row => row.map(cell => {
+        const result = { ...cell };
+        if (!result.hyperlink) {
+            delete result.hyperlink;
+        }
+        const fill = cell?.format?.fill;
+        if (fill && (!fill.pattern || fill.pattern === "None")) {
+            result.format = { ...cell.format };
+            delete result.format.fill;
+        }
+        return result;
+    }));
+}
+
+// ============================================================================
+// Capture
+// ============================================================================
+
+/**
+ * Captures the conditional formats intersecting a range
+ * @param {Excel.RequestContext} ctx - Excel context
+ * @param {Excel.Range} range - Range to inspect
+ * @returns {Promise<{ formats: Object[], skipped: number }>} Serializable conditional formats
+ */
+async function captureConditionalFormats(ctx, range) {
+    const collection = range.conditionalFormats;
+    collection.load("items/type,items/priority,items/stopIfTrue");
+    await ctx.sync();
+
+    const pending = [];
+    let skipped = 0;
+
+    for (const cf of collection.items) {
+        const spec = CONDITIONAL_FORMAT_TYPES[cf.type];
+        if (!spec) {
+            skipped++;
+            continue;
+        }
+        cf.load(spec.props.map(prop => `${spec.key}/${prop}`));
+        const cfRange = cf.getRangeOrNullObject();
+        cfRange.load("address");
+        pending.push({ cf, spec, cfRange });
+    }
+
+    if (pending.length) {
+        await ctx.sync();
+    }
+
+    const formats = pending.map(({ cf, spec, cfRange }) => {
+        const settings = {};
+        for (const prop of spec.props) {
+            const value = getPath(cf[spec.key], prop);
+            if (value !== undefined && value !== null) {
+                settings[prop] = value;
+            }
+        }
+        return {
+            type: cf.type,
+            priority: cf.priority,
+            stopIfTrue: cf.stopIfTrue,
+            address: cfRange.isNullObject ? null : stripSheetName(cfRange.address),
+            settings
+        };
+    });
+
+    return { formats, skipped };
+}
+
+/**
+ * Captures the full state of a range so it can be restored by restoreRangeSnapshot
+ * @param {Excel.RequestContext} ctx - Excel context
+ * @param {Excel.Worksheet} sheet - Worksheet containing the range
+ * @param {string} rangeAddress - Range to capture
+ * @returns {Promise<Object|null>} Serializable snapshot, or null if the range cannot be captured
+ */
+async function captureRangeSnapshot(ctx, sheet, rangeAddress) {
+    let range = sheet.getRange(rangeAddress);
+    range.load(["address", "rowCount", "columnCount"]);
+    await ctx.sync();
+
+    if (range.rowCount * range.columnCount > MAX_SNAPSHOT_CELLS) {
+        // Cells outside the used range are empty, so only their formatting is lost
+        const clipped = range.getIntersectionOrNullObject(sheet.getUsedRange(true));
+        clipped.load(["address", "rowCount", "columnCount"]);
+        await ctx.sync();
+
+        if (clipped.isNullObject || clipped.rowCount * clipped.columnCount > MAX_SNAPSHOT_CELLS) {
+            logWarn(`Range ${range.address} is too large to snapshot for undo`);
+            return null;
+        }
+        logWarn(`Undo snapshot of ${range.address} clipped to the used range ${clipped.address}`);
+        range = clipped;
+    }
+
+    range.load(["values", "formulas", "numberFormat"]);
+    const cellProperties = range.getCellProperties(CELL_PROPERTY_LOAD);
+    const mergedAreas = range.getMergedAreasOrNullObject();
+    mergedAreas.load("address");
+    await ctx.sync();
+
+    const { formats, skipped } = await captureConditionalFormats(ctx, range);
+    if (skipped > 0) {
+        logWarn(`${skipped} conditional format(s) on ${range.address} cannot be restored by undo`);
+    }
+
+    return {
+        address: range.address,
+        values: range.values,
+        formulas: range.formulas,
+        numberFormat: range.numberFormat,
+        cellProperties: normalizeCellProperties(cellProperties.value),
+        mergedAreas: mergedAreas.isNullObject ? [] : mergedAreas.address.split(",").map(stripSheetName),
+        conditionalFormats: formats
+    };
+}
+
+// ============================================================================
+// Restore
+// ============================================================================
+
+/**
+ * Recreates a captured conditional format
+ * @param {Excel.Worksheet} sheet - Worksheet
+ * @param {Object} saved - Conditional format from captureConditionalFormats
+ * @param {string} fallbackAddress - Address used when the format's own range was unknown
+ */
+function addConditionalFormat(sheet, saved, fallbackAddress) {
+    const spec = CONDITIONAL_FORMAT_TYPES[saved.type];
+    const cf = sheet.getRange(saved.address || fallbackAddress).conditionalFormats.add(saved.type);
+
+    for (const [prop, value] of Object.entries(saved.settings)) {
+        setPath(cf[spec.key], prop, value);
+    }
+    cf.priority = saved.priority;
+    if (saved.stopIfTrue !== undefined) {
+        cf.stopIfTrue = saved.stopIfTrue;
+    }
+}
+
+/**
+ * Restores a range to a snapshot taken by captureRangeSnapshot
+ * Snapshots from older versions (values/formulas only) restore contents only
+ * @param {Excel.RequestContext} ctx - Excel context
+ * @param {Excel.Worksheet} sheet - Worksheet containing the range
+ * @param {Object} snapshot - Snapshot to restore
+ * @returns {Promise<void>}
+ */
+async function restoreRangeSnapshot(ctx, sheet, snapshot) {
+    const address = stripSheetName(snapshot.address);
+    const range = sheet.getRange(address);
+    const fullFidelity = Array.isArray(snapshot.cellProperties);
+
+    if (fullFidelity) {
+        // Conditional formats added or changed by the action - captured ones are recreated below
+        const current = range.conditionalFormats;
+        current.load("items");
+        await ctx.sync();
+        current.items.forEach(cf => cf.delete());
+
+        // Merged cells reject multi-cell writes, so unmerge before restoring contents
+        range.unmerge();
+        range.clear("Formats");
+        range.clear("Hyperlinks");
+    }
+
+    range.formulas = snapshot.formulas;
+
+    if (fullFidelity) {
+        range.numberFormat = snapshot.numberFormat;
+        range.setCellProperties(snapshot.cellProperties);
+        for (const area of snapshot.mergedAreas || []) {
+            sheet.getRange(area).merge(false);
+        }
+        // Ascending priority so each assignment leaves the already placed formats in order
+        const formats = [...(snapshot.conditionalFormats || [])].sort((a, b) => a.priority - b.priority);
+        for (const saved of formats) {
+            addConditionalFormat(sheet, saved, address);
+        }
+    }
+
+    if (snapshot.dataValidation) {
+        range.dataValidation.clear();
+        if (Object.keys(snapshot.dataValidation).length) {
+            range.dataValidation.rule = snapshot.dataValidation;
+        }
+    }
+
+    await ctx.sync();
+}
+
+// ============================================================================
+// Inverse Operations
+// ============================================================================
+
+/**
+ * Parses an action's JSON payload, tolerating empty or invalid data
+ * @param {Object} action - Action
+ * @returns {Object} Parsed options (empty object when there are none)
+ */
+function parseActionData(action) {
+    if (!action.data) return {};
+    try {
+        const parsed = JSON.parse(action.data);
+        return parsed && typeof parsed === "object" ? parsed : {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Resolves the worksheet a sheet-level action targets ("current" or empty means the given sheet)
+ * @param {Excel.RequestContext} ctx - Excel context
+ * @param {Excel.Worksheet} sheet - Active worksheet
+ * @param {string} target - Sheet name from the action
+ * @returns {Excel.Worksheet} Worksheet
+ */
+function resolveSheet(ctx, sheet, target) {
+    if (!target || String(target).toLowerCase() === "current") {
+        return sheet;
+    }
+    return ctx.workbook.worksheets.getItem(target);
+}
+
+/**
+ * Collections whose newly created items are deleted on undo
+ * get: returns the collection; key: property identifying an item
+ */
+const CREATED_COLLECTIONS = {
+    worksheets: { key: "id", get: (ctx) => ctx.workbook.worksheets },
+    charts: { key: "id", get: (ctx, sheet) => sheet.charts },
+    tables: { key: "id", get: (ctx, sheet) => sheet.tables },
+    tableColumns: { key: "id", get: (ctx, sheet, undoData) => ctx.workbook.tables.getItem(undoData.tableId).columns },
+    pivotTables: { key: "id", get: (ctx) => ctx.workbook.pivotTables },
+    slicers: { key: "id", get: (ctx) => ctx.workbook.slicers },
+    shapes: { key: "id", get: (ctx, sheet) => sheet.shapes },
+    comments: { key: "id", get: (ctx, sheet) => sheet.comments },
+    names: { key: "name", get: (ctx, sheet, undoData) => (undoData.scope === "worksheet" ? sheet.names : ctx.workbook.names) }
+};
+
+/**
+ * Builds a capture function that records the items of a collection before the action runs
+ * @param {string} collection - Key of CREATED_COLLECTIONS
+ * @param {Function} [getExtra] - Returns extra undo data needed to resolve the collection
+ * @returns {Function} Capture function
+ */
+function captureCreated(collection, getExtra) {
+    return async (ctx, sheet, action) => {
+        const extra = getExtra ? await getExtra(ctx, sheet, action) : {};
+        const spec = CREATED_COLLECTIONS[collection];
+        const items = spec.get(ctx, sheet, extra);
+        items.load(`items/${spec.key}`);
+        await ctx.sync();
+        return { kind: "created", collection, ...extra, existing: items.items.map(item => item[spec.key]) };
+    };
+}
+
+/**
+ * Loads the items an action added to a collection recorded by captureCreated
+ * @param {Excel.RequestContext} ctx - Excel context
+ * @param {Excel.Worksheet} sheet - Worksheet the action was applied to
+ * @param {Object} undoData - "created" undo data from captureCreated
+ * @returns {Promise<{ id?: string, name?: string }[]>} Identifying properties of the new items
+ */
+async function loadCreatedItems(ctx, sheet, undoData) {
+    const spec = CREATED_COLLECTIONS[undoData.collection];
+    const items = spec.get(ctx, sheet, undoData);
+    // Comments have no name; named items are keyed by name already
+    const props = [...new Set([spec.key, ...(undoData.collection === "comments" ? [] : ["name"])])];
+    items.load(props.map(prop => `items/${prop}`));
+    await ctx.sync();
+    return items.items
+        .filter(item => !undoData.existing.includes(item[spec.key]))
+        .map(item => Object.fromEntries(props.map(prop => [prop, item[prop]])));
+}
+
+/**
+ * Records the table a table action targets
+ * @param {Excel.RequestContext} ctx - Excel context
+ * @param {Object} action - Action (target or data.tableName is the table name)
+ * @param {string[]} props - Table properties to load
+ * @returns {Promise<Excel.Table>} Loaded table
+ */
+async function loadTable(ctx, action, props) {
+    const table = ctx.workbook.tables.getItem(parseActionData(action).tableName || action.target);
+    table.load(["id", ...props]);
+    await ctx.sync();
+    return table;
+}
+
+/**
+ * Capture functions by action type
+ * Each returns serializable undo data ({ kind, ... }) consumed by UNDO_RESTORERS,
+ * or null when the current state cannot be restored
+ */
+const UNDO_CAPTURERS = {
+    // Range contents and formatting
+    formula: captureTargetSnapshot,
+    values: captureTargetSnapshot,
+    format: captureTargetSnapshot,
+    conditionalFormat: captureTargetSnapshot,
+    clearFormat: captureTargetSnapshot,
+    sort: captureTargetSnapshot,
+    autofill: captureTargetSnapshot,
+    removeDuplicates: captureTargetSnapshot,
+    mergeCells: captureTargetSnapshot,
+    unmergeCells: captureTargetSnapshot,
+    findReplace: captureTargetSnapshot,
+    protectRange: captureTargetSnapshot,
+    unprotectRange: captureTargetSnapshot,
+    addHyperlink: captureTargetSnapshot,
+    editHyperlink: captureTargetSnapshot,
+    removeHyperlink: captureTargetSnapshot,
+    insertDataType: captureTargetSnapshot,
+    validation: captureValidationSnapshot,
+    copy: captureCopySnapshot,
+    copyValues: captureCopySnapshot,
+
+    // Created objects
+    sheet: captureCreated("worksheets"),
+    chart: captureCreated("charts"),
+    createTable: captureCreated("tables"),
+    createPivotTable: captureCreated("pivotTables"),
+    createSlicer: captureCreated("slicers"),
+    insertShape: captureCreated("shapes"),
+    insertImage: captureCreated("shapes"),
+    insertTextBox: captureCreated("shapes"),
+    addComment: captureCreated("comments"),
+    createNamedRange: captureCreated("names", (ctx, sheet, action) => ({ scope: parseActionData(action).scope || "workbook" })),
+    addTableColumn: captureCreated("tableColumns", async (ctx, sheet, action) => ({ tableId: (await loadTable(ctx, action, [])).id })),
+
+    // Rows and columns
+    insertRows: captureInsertedCells,
+    insertColumns: captureInsertedCells,
+    deleteRows: captureDeletedCells,
+    deleteColumns: captureDeletedCells,
+
+    // Tables
+    styleTable: captureTableProps,
+    toggleTableTotals: captureTableProps,
+    resizeTable: captureTableProps,
+    addTableRow: captureTableRows,
+    convertToRange: captureConvertedTable,
+
+    // Worksheets
+    renameSheet: captureSheetProps,
+    moveSheet: captureSheetProps,
+    hideSheet: captureSheetProps,
+    unhideSheet: captureSheetProps,
+    freezePanes: captureFreezePanes,
+    unfreezePane: captureFreezePanes,
+    protectWorksheet: captureSheetProtection,
+    unprotectWorksheet: captureSheetProtection,
+    protectWorkbook: captureWorkbookProtection,
+    unprotectWorkbook: captureWorkbookProtection,
+    filter: captureAutoFilter,
+
+    // Page setup
+    setPageSetup: capturePageLayout,
+    setPageMargins: capturePageLayout,
+    setPageOrientation: capturePageLayout,
+    setHeaderFooter: capturePageLayout,
+
+    // Comments, notes and names
+    editComment: captureComment,
+    resolveComment: captureComment,
+    deleteComment: captureComment,
+    addNote: captureNote,
+    editNote: captureNote,
+    deleteNote: captureNote,
+    updateNamedRange: captureNamedItem,
+    deleteNamedRange: captureNamedItem,
+
+    // Read-only actions change nothing
+    listNamedRanges: async () => ({ kind: "none" })
+};
+
+/**
+ * Snapshots the action's target range
+ */
+async function captureTargetSnapshot(ctx, sheet, action) {
+    const snapshot = await captureRangeSnapshot(ctx, sheet, action.target);
+    return snapshot && { kind: "range", ...snapshot };
+}
+
+/**
+ * Loads the data validation rule of a range, without the unused rule kinds
+ * @param {Excel.RequestContext} ctx - Excel context
+ * @param {Excel.Worksheet} sheet - Worksheet
+ * @param {string} address - Range address
+ * @returns {Promise<Object>} Validation rule
+ */
+async function loadValidationRule(ctx, sheet, address) {
+    const validation = sheet.getRange(stripSheetName(address)).dataValidation;
+    validation.load("rule");
+    await ctx.sync();
+    return Object.fromEntries(Object.entries(validation.rule || {}).filter(([, value]) => value != null));
+}
+
+/**
+ * Snapshots the target range together with its data validation rule
+ */
+async function captureValidationSnapshot(ctx, sheet, action) {
+    const snapshot = await captureTargetSnapshot(ctx, sheet, action);
+    return snapshot && { ...snapshot, dataValidation: await loadValidationRule(ctx, sheet, action.target) };
+}
+
+/**
+ * Snapshots the area a copy writes to: the target's top-left cell resized to the source
+ */
+async function captureCopySnapshot(ctx, sheet, action) {
+    const source = sheet.getRange(action.source);
+    source.load(["rowCount", "columnCount"]);
+    await ctx.sync();
+
+    const topLeft = String(action.target).split(":")[0];
+    const area = sheet.getRange(topLeft).getResizedRange(source.rowCount - 1, source.columnCount - 1);
+    area.load("address");
+    await ctx.sync();
+
+    const snapshot = await captureRangeSnapshot(ctx, sheet, stripSheetName(area.address));
+    return snapshot && { kind: "range", ...snapshot };
+}
+
+/**
+ * Records the rows/columns insertRows/insertColumns will add
+ * The executor inserts the target span count times, starting at the target
+ */
+async function captureInsertedCells(ctx, sheet, action) {
+    const count = Math.max(1, parseInt(parseActionData(action).count, 10) || 1);
+    const [first, last = first] = String(action.target).split(":");
+
+    if (action.type === "insertRows") {
+        const start = parseInt(first, 10);
+        const span = parseInt(last, 10) - start + 1;
+        return { kind: "inserted", address: `${start}:${start + span * count - 1}`, shift: "Up" };
+    }
+
+    const start = colLetterToIndex(first);
+    const span = colLetterToIndex(last) - start + 1;
+    return {
+        kind: "inserted",
+        address: `${colIndexToLetter(start)}:${colIndexToLetter(start + span * count - 1)}`,
+        shift: "Left"
+    };
+}
+
+/**
+ * Snapshots the used part of the rows/columns deleteRows/deleteColumns will remove
+ */
+async function captureDeletedCells(ctx, sheet, action) {
+    const [first, last = first] = String(action.target).split(":");
+    const address = `${first}:${last}`;
+
+    const used = sheet.getRange(address).getIntersectionOrNullObject(sheet.getUsedRange());
+    used.load("address");
+    await ctx.sync();
+
+    const snapshot = used.isNullObject ? null : await captureRangeSnapshot(ctx, sheet, stripSheetName(used.address));
+    if (!used.isNullObject && !snapshot) return null;
+
+    return { kind: "deleted", address, shift: action.type === "deleteRows" ? "Down" : "Right", snapshot };
+}
+
+const TABLE_PROPS = ["style", "showTotals", "showBandedRows", "showBandedColumns", "highlightFirstColumn", "highlightLastColumn"];
+
+/**
+ * Records a table's style, totals and (for resizeTable) its range
+ */
+async function captureTableProps(ctx, sheet, action) {
+    const table = await loadTable(ctx, action, TABLE_PROPS);
+    const props = Object.fromEntries(TABLE_PROPS.map(prop => [prop, table[prop]]));
+
+    let address = null;
+    if (action.type === "resizeTable") {
+        const range = table.getRange();
+        range.load("address");
+        await ctx.sync();
+        address = stripSheetName(range.address);
+    }
+    return { kind: "tableProps", tableId: table.id, props, address };
+}
+
+/**
+ * Records where addTableRow inserts its rows
+ */
+async function captureTableRows(ctx, sheet, action) {
+    const table = await loadTable(ctx, action, []);
+    table.rows.load("count");
+    await ctx.sync();
+
+    const options = parseActionData(action);
+    const count = Array.isArray(options.values) && Array.isArray(options.values[0]) ? options.values.length : 1;
+    let index = table.rows.count;
+    if (options.position === "start" || options.position === 0) {
+        index = 0;
+    } else if (typeof options.position === "number" && options.position > 0) {
+        index = options.position;
+    }
+    return { kind: "tableRows", tableId: table.id, index, count };
+}
+
+/**
+ * Records everything needed to recreate a table converted to a plain range
+ */
+async function captureConvertedTable(ctx, sheet, action) {
+    const table = await loadTable(ctx, action, ["name", "showHeaders", ...TABLE_PROPS]);
+    const range = table.getRange();
+    range.load("address");
+    table.worksheet.load("id");
+    await ctx.sync();
+
+    return {
+        kind: "convertedTable",
+        sheetId: table.worksheet.id,
+        address: stripSheetName(range.address),
+        name: table.name,
+        showHeaders: table.showHeaders,
+        props: Object.fromEntries(TABLE_PROPS.map(prop => [prop, table[prop]]))
+    };
+}
+
+/**
+ * Records a worksheet's name, visibility and position
+ */
+async function captureSheetProps(ctx, sheet, action) {
+    const target = resolveSheet(ctx, sheet, action.target);
+    target.load(["id", "name", "visibility", "position"]);
+    await ctx.sync();
+    return { kind: "sheetProps", sheetId: target.id, name: target.name, visibility: target.visibility, position: target.position };
+}
+
+/**
+ * Records the frozen panes of the worksheet
+ */
+async function captureFreezePanes(ctx, sheet, action) {
+    const target = action.type === "unfreezePane" ? resolveSheet(ctx, sheet, action.target) : sheet;
+    const location = target.freezePanes.getLocationOrNullObject();
+    location.load("address");
+    target.load("id");
+    await ctx.sync();
+    return { kind: "freezePanes", sheetId: target.id, address: location.isNullObject ? null : stripSheetName(location.address) };
+}
+
+/**
+ * Records whether the worksheet was protected, and with which options
+ */
+async function captureSheetProtection(ctx, sheet, action) {
+    const target = resolveSheet(ctx, sheet, action.target);
+    target.load("id");
+    target.protection.load(["protected", "options"]);
+    await ctx.sync();
+    return {
+        kind: "sheetProtection",
+        sheetId: target.id,
+        wasProtected: target.protection.protected,
+        options: target.protection.options,
+        password: parseActionData(action).password || null
+    };
+}
+
+/**
+ * Records whether the workbook structure was protected
+ */
+async function captureWorkbookProtection(ctx, sheet, action) {
+    ctx.workbook.protection.load("protected");
+    await ctx.sync();
+    return {
+        kind: "workbookProtection",
+        wasProtected: ctx.workbook.protection.protected,
+        password: parseActionData(action).password || null
+    };
+}
+
+/**
+ * Records that AutoFilter was off, so undo can remove the filter
+ * Replacing existing filter criteria is not reversible
+ */
+async function captureAutoFilter(ctx, sheet) {
+    sheet.load("id");
+    sheet.autoFilter.load("enabled");
+    await ctx.sync();
+    return sheet.autoFilter.enabled ? null : { kind: "autoFilter", sheetId: sheet.id };
+}
+
+const PAGE_LAYOUT_PROPS = [
+    "orientation", "paperSize", "printGridlines", "printHeadings", "zoom",
+    "topMargin", "bottomMargin", "leftMargin", "rightMargin", "headerMargin", "footerMargin"
+];
+const HEADER_FOOTER_PAGES = ["defaultForAllPages", "firstPage", "oddPages", "evenPages"];
+const HEADER_FOOTER_PROPS = ["leftHeader", "centerHeader", "rightHeader", "leftFooter", "centerFooter", "rightFooter"];
+
+/**
+ * Records the page layout, headers and footers of the worksheet
+ */
+async function capturePageLayout(ctx, sheet, action) {
+    const target = resolveSheet(ctx, sheet, action.target);
+    const layout = target.pageLayout;
+    target.load("id");
+    layout.load(PAGE_LAYOUT_PROPS);
+    const pages = HEADER_FOOTER_PAGES.map(page => {
+        const headerFooter = layout.headersFooters[page];
+        headerFooter.load(HEADER_FOOTER_PROPS);
+        return headerFooter;
+    });
+    await ctx.sync();
+
+    const headersFooters = {};
+    HEADER_FOOTER_PAGES.forEach((page, i) => {
+        headersFooters[page] = Object.fromEntries(HEADER_FOOTER_PROPS.map(prop => [prop, pages[i][prop]]));
+    });
+    return {
+        kind: "pageLayout",
+        sheetId: target.id,
+        layout: Object.fromEntries(PAGE_LAYOUT_PROPS.map(prop => [prop, layout[prop]])),
+        headersFooters
+    };
+}
+
+/**
+ * Records the comment thread at the target cell
+ */
+async function captureComment(ctx, sheet, action) {
+    const comment = sheet.comments.getItemByCell(action.target);
+    comment.load(["content", "resolved"]);
+    await ctx.sync();
+    return {
+        kind: "comment",
+        address: action.target,
+        content: comment.content,
+        resolved: comment.resolved,
+        deleted: action.type === "deleteComment"
+    };
+}
+
+/**
+ * Records the note at the target cell
+ */
+async function captureNote(ctx, sheet, action) {
+    const range = sheet.getRange(action.target);
+    range.load("note");
+    await ctx.sync();
+    return { kind: "note", address: action.target, note: range.note || "" };
+}
+
+/**
+ * Records a named item's formula and comment
+ */
+async function captureNamedItem(ctx, sheet, action) {
+    const scope = parseActionData(action).scope || "workbook";
+    const names = scope === "worksheet" ? sheet.names : ctx.workbook.names;
+    const item = names.getItem(action.target);
+    item.load(["name", "formula", "comment"]);
+    await ctx.sync();
+    return {
+        kind: "namedItem",
+        scope,
+        name: item.name,
+        formula: item.formula,
+        comment: item.comment,
+        deleted: action.type === "deleteNamedRange"
+    };
+}
+
+/**
+ * Restore functions by undo data kind
+ */
+const UNDO_RESTORERS = {
+    none: async () => {},
+
+    range: (ctx, sheet, undoData) => restoreRangeSnapshot(ctx, sheet, undoData),
+
+    created: async (ctx, sheet, undoData) => {
+        const spec = CREATED_COLLECTIONS[undoData.collection];
+        const items = spec.get(ctx, sheet, undoData);
+        items.load(`items/${spec.key}`);
+        await ctx.sync();
+        items.items.filter(item => !undoData.existing.includes(item[spec.key])).forEach(item => item.delete());
+        await ctx.sync();
+    },
+
+    inserted: async (ctx, sheet, undoData) => {
+        sheet.getRange(undoData.address).delete(undoData.shift);
+        await ctx.sync();
+    },
+
+    deleted: async (ctx, sheet, undoData) => {
+        sheet.getRange(undoData.address).insert(undoData.shift);
+        await ctx.sync();
+        if (undoData.snapshot) {
+            await restoreRangeSnapshot(ctx, sheet, undoData.snapshot);
+        }
+    },
+
+    tableProps: async (ctx, sheet, undoData) => {
+        const table = ctx.workbook.tables.getItem(undoData.tableId);
+        Object.assign(table, undoData.props);
+        if (undoData.address) {
+            table.resize(undoData.address);
+        }
+        await ctx.sync();
+    },
+
+    tableRows: async (ctx, sheet, undoData) => {
+        const rows = ctx.workbook.tables.getItem(undoData.tableId).rows;
+        for (let i = 0; i < undoData.count; i++) {
+            rows.getItemAt(undoData.index).delete();
+        }
+        await ctx.sync();
+    },
+
+    convertedTable: async (ctx, sheet, undoData) => {
+        const target = ctx.workbook.worksheets.getItem(undoData.sheetId);
+        const table = target.tables.add(undoData.address, undoData.showHeaders);
+        table.name = undoData.name;
+        Object.assign(table, undoData.props);
+        await ctx.sync();
+    },
+
+    sheetProps: async (ctx, sheet, undoData) => {
+        const target = ctx.workbook.worksheets.getItem(undoData.sheetId);
+        target.name = undoData.name;
+        target.visibility = undoData.visibility;
+        target.position = undoData.position;
+        await ctx.sync();
+    },
+
+    freezePanes: async (ctx, sheet, undoData) => {
+        const target = ctx.workbook.worksheets.getItem(undoData.sheetId);
+        target.freezePanes.unfreeze();
+        if (undoData.address) {
+            target.freezePanes.freezeAt(undoData.address);
+        }
+        await ctx.sync();
+    },
+
+    sheetProtection: async (ctx, sheet, undoData) => {
+        const protection = ctx.workbook.worksheets.getItem(undoData.sheetId).protection;
+        protection.load("protected");
+        await ctx.sync();
+        if (undoData.wasProtected && !protection.protected) {
+            protection.protect(undoData.options, undoData.password || undefined);
+        } else if (!undoData.wasProtected && protection.protected) {
+            protection.unprotect(undoData.password || undefined);
+        }
+        await ctx.sync();
+    },
+
+    workbookProtection: async (ctx, sheet, undoData) => {
+        const protection = ctx.workbook.protection;
+        protection.load("protected");
+        await ctx.sync();
+        if (undoData.wasProtected && !protection.protected) {
+            protection.protect(undoData.password || undefined);
+        } else if (!undoData.wasProtected && protection.protected) {
+            protection.unprotect(undoData.password || undefined);
+        }
+        await ctx.sync();
+    },
+
+    autoFilter: async (ctx, sheet, undoData) => {
+        ctx.workbook.worksheets.getItem(undoData.sheetId).autoFilter.remove();
+        await ctx.sync();
+    },
+
+    pageLayout: async (ctx, sheet, undoData) => {
+        const layout = ctx.workbook.worksheets.getItem(undoData.sheetId).pageLayout;
+        for (const [prop, value] of Object.entries(undoData.layout)) {
+            if (value !== null && value !== undefined) {
+                layout[prop] = value;
+            }
+        }
+        for (const [page, props] of Object.entries(undoData.headersFooters)) {
+            Object.assign(layout.headersFooters[page], props);
+        }
+        await ctx.sync();
+    },
+
+    comment: async (ctx, sheet, undoData) => {
+        if (undoData.deleted) {
+            const comment = sheet.comments.add(undoData.address, undoData.content);
+            comment.resolved = undoData.resolved;
+        } else {
+            const comment = sheet.comments.getItemByCell(undoData.address);
+            comment.content = undoData.content;
+            comment.resolved = undoData.resolved;
+        }
+        await ctx.sync();
+    },
+
+    note: async (ctx, sheet, undoData) => {
+        sheet.getRange(undoData.address).note = undoData.note;
+        await ctx.sync();
+    },
+
+    namedItem: async (ctx, sheet, undoData) => {
+        const names = undoData.scope === "worksheet" ? sheet.names : ctx.workbook.names;
+        if (undoData.deleted) {
+            names.add(undoData.name, undoData.formula, undoData.comment);
+        } else {
+            const item = names.getItem(undoData.name);
+            item.formula = undoData.formula;
+            item.comment = undoData.comment;
+        }
+        await ctx.sync();
+    }
+};
+
+/**
+ * Capture functions for the state an undo is about to replace, by undo data kind
+ * Each returns undo data that, applied after the undo, brings the action's result back
+ */
+const REDO_CAPTURERS = {
+    none: async () => ({ kind: "none" }),
+
+    range: async (ctx, sheet, undoData) => {
+        const snapshot = await captureRangeSnapshot(ctx, sheet, stripSheetName(undoData.address));
+        if (!snapshot) return null;
+        if (undoData.dataValidation) {
+            snapshot.dataValidation = await loadValidationRule(ctx, sheet, undoData.address);
+        }
+        return { kind: "range", ...snapshot };
+    },
+
+    // Undoing an insert deletes the rows again - redo re-inserts them with their contents
+    inserted: async (ctx, sheet, undoData) => {
+        const used = sheet.getRange(undoData.address).getIntersectionOrNullObject(sheet.getUsedRange());
+        used.load("address");
+        await ctx.sync();
+        const snapshot = used.isNullObject ? null : await captureRangeSnapshot(ctx, sheet, stripSheetName(used.address));
+        if (!used.isNullObject && !snapshot) return null;
+        return { kind: "deleted", address: undoData.address, shift: undoData.shift === "Up" ? "Down" : "Right", snapshot };
+    },
+
+    deleted: async (ctx, sheet, undoData) => ({
+        kind: "inserted",
+        address: undoData.address,
+        shift: undoData.shift === "Down" ? "Up" : "Left"
+    }),
+
+    tableProps: async (ctx, sheet, undoData) => {
+        const table = ctx.workbook.tables.getItem(undoData.tableId);
+        table.load(TABLE_PROPS);
+        const range = table.getRange();
+        range.load("address");
+        await ctx.sync();
+        return {
+            ...undoData,
+            props: Object.fromEntries(TABLE_PROPS.map(prop => [prop, table[prop]])),
+            address: undoData.address ? stripSheetName(range.address) : null
+        };
+    },
+
+    sheetProps: async (ctx, sheet, undoData) => {
+        const target = ctx.workbook.worksheets.getItem(undoData.sheetId);
+        target.load(["name", "visibility", "position"]);
+        await ctx.sync();
+        return { ...undoData, name: target.name, visibility: target.visibility, position: target.position };
+    },
+
+    freezePanes: async (ctx, sheet, undoData) => {
+        const location = ctx.workbook.worksheets.getItem(undoData.sheetId).freezePanes.getLocationOrNullObject();
+        location.load("address");
+        await ctx.sync();
+        return { ...undoData, address: location.isNullObject ? null : stripSheetName(location.address) };
+    },
+
+    sheetProtection: async (ctx, sheet, undoData) => {
+        const protection = ctx.workbook.worksheets.getItem(undoData.sheetId).protection;
+        protection.load(["protected", "options"]);
+        await ctx.sync();
+        return { ...undoData, wasProtected: protection.protected, options: protection.options };
+    },
+
+    workbookProtection: async (ctx, sheet, undoData) => {
+        ctx.workbook.protection.load("protected");
+        await ctx.sync();
+        return { ...undoData, wasProtected: ctx.workbook.protection.protected };
+    },
+
+    pageLayout: async (ctx, sheet, undoData) => {
+        const snapshot = await capturePageLayout(ctx, ctx.workbook.worksheets.getItem(undoData.sheetId), {});
+        return { ...snapshot, sheetId: undoData.sheetId };
+    },
+
+    note: async (ctx, sheet, undoData) => captureNote(ctx, sheet, { target: undoData.address }),
+
+    // Deleted comments and names are recreated on undo; redoing that deletion re-runs the action
+    comment: async (ctx, sheet, undoData) => (undoData.deleted ? null : captureComment(ctx, sheet, { target: undoData.address })),
+
+    namedItem: async (ctx, sheet, undoData) => (undoData.deleted
+        ? null
+        : captureNamedItem(ctx, sheet, { target: undoData.name, data: JSON.stringify({ scope: undoData.scope }) }))
+};
+
+/**
+ * Checks whether an action type has an inverse operation
+ * @param {string} type - Action type
+ * @returns {boolean} True if undo can be captured for the type
+ */
+function hasUndoSupport(type) {
+    return Object.prototype.hasOwnProperty.call(UNDO_CAPTURERS, type);
+}
+
+/**
+ * Captures what is needed to undo an action, before the action is applied
+ * @param {Excel.RequestContext} ctx - Excel context
+ * @param {Excel.Worksheet} sheet - Worksheet the action is applied to
+ * @param {Object} action - Action about to be applied
+ * @returns {Promise<Object|null>} Undo data, or null if the action cannot be undone
+ */
+async function captureUndo(ctx, sheet, action) {
+    const capture = UNDO_CAPTURERS[action.type];
+    return capture ? capture(ctx, sheet, action) : null;
+}
+
+/**
+ * Captures the state an undo is about to replace, so the undo can itself be reverted
+ * @param {Excel.RequestContext} ctx - Excel context
+ * @param {Excel.Worksheet} sheet - Worksheet the action was applied to
+ * @param {Object} undoData - Undo data about to be applied
+ * @returns {Promise<Object|null>} Redo data (applied with applyUndo), or null if redo must re-run the action
+ */
+async function captureRedo(ctx, sheet, undoData) {
+    const capture = REDO_CAPTURERS[undoData.kind || "range"];
+    return capture ? capture(ctx, sheet, undoData) : null;
+}
+
+/**
+ * Applies the inverse operation recorded by captureUndo
+ * Undo data without a kind is a range snapshot from before inverses existed
+ * @param {Excel.RequestContext} ctx - Excel context
+ * @param {Excel.Worksheet} sheet - Worksheet the action was applied to
+ * @param {Object} undoData - Undo data from captureUndo
+ * @returns {Promise<void>}
+ */
+async function applyUndo(ctx, sheet, undoData) {
+    const restore = UNDO_RESTORERS[undoData.kind || "range"];
+    if (!restore) {
+        throw new Error(`Unknown undo data kind "${undoData.kind}"`);
+    }
+    await restore(ctx, sheet, undoData);
+}
+
+// ============================================================================
+// Target Worksheet
+// ============================================================================
+
+/**
+ * Loads the id and name recorded in history entries for the sheet an action was applied to
+ * @param {Excel.RequestContext} ctx - Excel context
+ * @param {Excel.Worksheet} sheet - Worksheet
+ * @returns {Promise<{ sheetId: string, sheetName: string }>} Sheet reference
+ */
+async function getSheetRef(ctx, sheet) {
+    sheet.load(["id", "name"]);
+    await ctx.sync();
+    return { sheetId: sheet.id, sheetName: sheet.name };
+}
+
+/**
+ * Finds the worksheet a history entry was applied to
+ * A sheet that was renamed since is refused too: its contents may no longer be what the entry expects
+ * Entries recorded without a sheet reference fall back to the active worksheet
+ * @param {Excel.RequestContext} ctx - Excel context
+ * @param {{ sheetId?: string, sheetName?: string }} entry - History entry
+ * @returns {Promise<{ sheet: Excel.Worksheet|null, reason: string|null }>} The sheet, or null and the reason it cannot be used
+ */
+async function findEntrySheet(ctx, entry) {
+    if (!entry.sheetId) {
+        return { sheet: ctx.workbook.worksheets.getActiveWorksheet(), reason: null };
+    }
+
+    const sheet = ctx.workbook.worksheets.getItemOrNullObject(entry.sheetId);
+    sheet.load("name");
+    await ctx.sync();
+
+    if (sheet.isNullObject) {
+        return { sheet: null, reason: `sheet "${entry.sheetName}" has been deleted` };
+    }
+    if (sheet.name !== entry.sheetName) {
+        return { sheet: null, reason: `sheet "${entry.sheetName}" has been renamed to "${sheet.name}"` };
+    }
+    return { sheet, reason: null };
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+export {
+    MAX_SNAPSHOT_CELLS,
+    stripSheetName,
+    normalizeCellProperties,
+    captureRangeSnapshot,
+    restoreRangeSnapshot,
+    hasUndoSupport,
+    captureUndo,
+    captureRedo,
+    applyUndo,
+    loadCreatedItems,
+    getSheetRef,
+    findEntrySheet
+};
@@ -0,0 +1,383 @@
+/**
+ * Tests for Undo Module
+ */
+
+import {
+    MAX_SNAPSHOT_CELLS,
+    stripSheetName,
+    normalizeCellProperties,
+    captureRangeSnapshot,
+    restoreRangeSnapshot,
+    hasUndoSupport,
+    captureUndo,
+    captureRedo,
+    applyUndo,
+    loadCreatedItems,
+    getSheetRef,
+    findEntrySheet
+} from "./undo.js";
+
+// ============================================================================
+// Mock Office.js Infrastructure
+// ============================================================================
+
+/**
+ * Creates a mock conditional format
+ * @param {string} type - Conditional format type
+ * @param {Object} settings - Type-specific settings object
+ * @param {string} address - Address of the conditional format's range
+ * @returns {Object} Mock conditional format
+ */
+function createMockConditionalFormat(type, settings = {}, address = "Sheet1!A1:A10") {
+    return {
+        type,
+        priority: 0,
+        stopIfTrue: false,
+        cellValue: settings,
+        colorScale: settings,
+        load: jest.fn(),
+        delete: jest.fn(),
+        getRangeOrNullObject: jest.fn(() => ({ address, isNullObject: false, load: jest.fn() }))
+    };
+}
+
+/**
+ * Creates a mock range that records writes
+ * @param {string} address - Range address
+ * @param {Object} props - Loaded properties
+ * @returns {Object} Mock range
+ */
+function createMockRange(address, props = {}) {
+    const added = [];
+    const range = {
+        address: `Sheet1!${address}`,
+        rowCount: 2,
+        columnCount: 2,
+        values: [[1, 2], [3, 4]],
+        formulas: [[1, "=A1*2"], [3, 4]],
+        numberFormat: [["General", "0.00"], ["General", "General"]],
+        isNullObject: false,
+        ...props,
+        load: jest.fn(),
+        unmerge: jest.fn(),
+        merge: jest.fn(),
+        clear: jest.fn(),
+        setCellProperties: jest.fn(),
+        getCellProperties: jest.fn(() => ({
+            value: [
+                [{ format: { fill: { color: "#FFFFFF", pattern: "None" }, font: { bold: true } } }, { format: { fill: { color: "#FFFF00", pattern: "Solid" } } }],
+                [{ format: {} }, { format: {} }]
+            ]
+        })),
+        getMergedAreasOrNullObject: jest.fn(() => ({ address: "Sheet1!A1:B1", isNullObject: false, load: jest.fn() })),
+        getIntersectionOrNullObject: jest.fn(),
+        conditionalFormats: {
+            items: props.conditionalFormats || [],
+            load: jest.fn(),
+            add: jest.fn((type) => {
+                const cf = { type, cellValue: { format: { fill: {}, font: {} } }, colorScale: {} };
+                added.push(cf);
+                return cf;
+            })
+        },
+        _added: added
+    };
+    return range;
+}
+
+/**
+ * Creates a mock worksheet whose getRange returns (and remembers) mock ranges
+ * @param {Object} props - Properties for the ranges it returns
+ * @returns {Object} Mock worksheet
+ */
+function createMockSheet(props = {}) {
+    const ranges = {};
+    return {
+        getRange: jest.fn((address) => {
+            ranges[address] = ranges[address] || createMockRange(address, props);
+            return ranges[address];
+        }),
+        getUsedRange: jest.fn(() => createMockRange("A1:D100")),
+        _ranges: ranges
+    };
+}
+
+const ctx = { sync: jest.fn(() => Promise.resolve()) };
+
+/**
+ * Creates a mock collection of items identified by id
+ * @param {string[]} ids - Item ids
+ * @returns {Object} Mock collection
+ */
+function createMockCollection(ids) {
+    return {
+        items: ids.map(id => ({ id, delete: jest.fn() })),
+        load: jest.fn()
+    };
+}
+
+describe("Undo", () => {
+    describe("stripSheetName", () => {
+        test("removes plain and quoted sheet prefixes", () => {
+            expect(stripSheetName("Sheet1!A1:B2")).toBe("A1:B2");
+            expect(stripSheetName("'Q1 Data'!C3")).toBe("C3");
+            expect(stripSheetName("A1")).toBe("A1");
+        });
+    });
+
+    describe("normalizeCellProperties", () => {
+        test("drops the fill of unfilled cells only", () => {
+            const result = normalizeCellProperties([[
+                { format: { fill: { color: "#FFFFFF", pattern: "None" }, font: { bold: true } } },
+                { format: { fill: { color: "#FF0000", pattern: "Solid" } } }
+            ]]);
+            expect(result[0][0]).toEqual({ format: { font: { bold: true } } });
+            expect(result[0][1].format.fill.color).toBe("#FF0000");
+        });
+    });
+
+    describe("captureRangeSnapshot", () => {
+        test("captures contents, formats, merges and conditional formats", async () => {
+            const rule = { formula1: "100", operator: "GreaterThan" };
+            const cf = createMockConditionalFormat("CellValue", { rule, format: { fill: { color: "#FFC7CE" }, font: { bold: null } } });
+            const sheet = createMockSheet({ conditionalFormats: [cf] });
+
+            const snapshot = await captureRangeSnapshot(ctx, sheet, "A1:B2");
+
+            expect(snapshot.address).toBe("Sheet1!A1:B2");
+            expect(snapshot.formulas).toEqual([[1, "=A1*2"], [3, 4]]);
+            expect(snapshot.numberFormat[0][1]).toBe("0.00");
+            expect(snapshot.cellProperties[0][0].format.fill).toBeUndefined();
+            expect(snapshot.mergedAreas).toEqual(["A1:B1"]);
+            expect(snapshot.conditionalFormats).toEqual([{
+                type: "CellValue",
+                priority: 0,
+                stopIfTrue: false,
+                address: "A1:A10",
+                settings: { rule, "format/fill/color": "#FFC7CE" }
+            }]);
+            // Snapshots are kept in history entries, so they must be plain data
+            expect(JSON.parse(JSON.stringify(snapshot))).toEqual(snapshot);
+        });
+
+        test("returns null for oversized ranges outside the used range", async () => {
+            const sheet = createMockSheet({ rowCount: 1048576, columnCount: 1 });
+            sheet.getRange("A:A").getIntersectionOrNullObject.mockReturnValue({ isNullObject: true, load: jest.fn() });
+            const spy = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+            expect(await captureRangeSnapshot(ctx, sheet, "A:A")).toBeNull();
+            expect(MAX_SNAPSHOT_CELLS).toBeLessThan(1048576);
+            spy.mockRestore();
+        });
+    });
+
+    describe("restoreRangeSnapshot", () => {
+        test("restores contents, formats, merges and conditional formats", async () => {
+            const stale = createMockConditionalFormat("DataBar");
+            const sheet = createMockSheet({ conditionalFormats: [stale] });
+            const snapshot = {
+                address: "Sheet1!A1:B2",
+                formulas: [["a", "=1"], ["", ""]],
+                numberFormat: [["@", "0%"], ["General", "General"]],
+                cellProperties: [[{ format: { font: { bold: true } } }, { format: {} }], [{ format: {} }, { format: {} }]],
+                mergedAreas: ["A1:B1"],
+                conditionalFormats: [
+                    { type: "ColorScale", priority: 1, address: "A1:A10", settings: { criteria: { minimum: {} } } },
+                    { type: "CellValue", priority: 0, stopIfTrue: true, address: null, settings: { "format/fill/color": "#FF0000" } }
+                ]
+            };
+
+            await restoreRangeSnapshot(ctx, sheet, snapshot);
+
+            const range = sheet._ranges["A1:B2"];
+            expect(stale.delete).toHaveBeenCalled();
+            expect(range.unmerge).toHaveBeenCalled();
+            expect(range.clear).toHaveBeenCalledWith("Formats");
+            expect(range.formulas).toEqual(snapshot.formulas);
+            expect(range.numberFormat).toEqual(snapshot.numberFormat);
+            expect(range.setCellProperties).toHaveBeenCalledWith(snapshot.cellProperties);
+            expect(sheet._ranges["A1:B1"].merge).toHaveBeenCalledWith(false);
+
+            // Recreated in priority order; the format without a range falls back to the snapshot range
+            const [cellValue] = range._added;
+            expect(cellValue.type).toBe("CellValue");
+            expect(cellValue.cellValue.format.fill.color).toBe("#FF0000");
+            expect(cellValue.stopIfTrue).toBe(true);
+            const [colorScale] = sheet._ranges["A1:A10"]._added;
+            expect(colorScale.colorScale.criteria).toEqual({ minimum: {} });
+            expect(colorScale.priority).toBe(1);
+        });
+
+        test("restores only formulas for legacy snapshots", async () => {
+            const sheet = createMockSheet();
+            await restoreRangeSnapshot(ctx, sheet, { address: "Sheet1!C1", formulas: [["=B1"]], values: [[2]] });
+
+            const range = sheet._ranges.C1;
+            expect(range.formulas).toEqual([["=B1"]]);
+            expect(range.clear).not.toHaveBeenCalled();
+            expect(range.setCellProperties).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("inverse operations", () => {
+        test("only types with an inverse support undo", () => {
+            for (const type of ["formula", "format", "insertRows", "deleteColumns", "chart", "createTable", "renameSheet", "addTableRow"]) {
+                expect(hasUndoSupport(type)).toBe(true);
+            }
+            for (const type of ["refreshPivotTable", "formatShape", "pivotChart", "createSparkline", "unknown"]) {
+                expect(hasUndoSupport(type)).toBe(false);
+            }
+        });
+
+        test("returns null for actions without an inverse", async () => {
+            expect(await captureUndo(ctx, createMockSheet(), { type: "refreshPivotTable", target: "Pivot1" })).toBeNull();
+        });
+
+        test("inserted rows and columns are deleted again", async () => {
+            const rows = await captureUndo(ctx, createMockSheet(), { type: "insertRows", target: "5:6", data: "{\"count\":2}" });
+            expect(rows).toEqual({ kind: "inserted", address: "5:8", shift: "Up" });
+
+            const columns = await captureUndo(ctx, createMockSheet(), { type: "insertColumns", target: "C", data: "{\"count\":3}" });
+            expect(columns).toEqual({ kind: "inserted", address: "C:E", shift: "Left" });
+
+            const sheet = createMockSheet();
+            const range = sheet.getRange("C:E");
+            range.delete = jest.fn();
+            await applyUndo(ctx, sheet, columns);
+            expect(range.delete).toHaveBeenCalledWith("Left");
+        });
+
+        test("deleted rows are re-inserted", async () => {
+            const sheet = createMockSheet();
+            sheet.getRange("7:7").getIntersectionOrNullObject.mockReturnValue({ isNullObject: true, load: jest.fn() });
+            const undoData = await captureUndo(ctx, sheet, { type: "deleteRows", target: "7" });
+            expect(undoData).toEqual({ kind: "deleted", address: "7:7", shift: "Down", snapshot: null });
+
+            const range = sheet.getRange("7:7");
+            range.insert = jest.fn();
+            await applyUndo(ctx, sheet, undoData);
+            expect(range.insert).toHaveBeenCalledWith("Down");
+        });
+
+        test("created charts are deleted, existing ones kept", async () => {
+            const sheet = createMockSheet();
+            sheet.charts = createMockCollection(["chart1"]);
+            const undoData = await captureUndo(ctx, sheet, { type: "chart", target: "A1:B5" });
+            expect(undoData).toEqual({ kind: "created", collection: "charts", existing: ["chart1"] });
+
+            sheet.charts = createMockCollection(["chart1", "chart2"]);
+            await applyUndo(ctx, sheet, undoData);
+            expect(sheet.charts.items[0].delete).not.toHaveBeenCalled();
+            expect(sheet.charts.items[1].delete).toHaveBeenCalled();
+        });
+
+        test("created items can be loaded after the action ran", async () => {
+            const sheet = createMockSheet();
+            sheet.tables = createMockCollection(["t1", "t2"]);
+            sheet.tables.items[1].name = "Table2";
+            const created = await loadCreatedItems(ctx, sheet, { kind: "created", collection: "tables", existing: ["t1"] });
+            expect(sheet.tables.load).toHaveBeenCalledWith(["items/id", "items/name"]);
+            expect(created).toEqual([{ id: "t2", name: "Table2" }]);
+        });
+
+        test("renamed sheets get their old name back", async () => {
+            const worksheet = { id: "{S1}", name: "Data", visibility: "Visible", position: 0, load: jest.fn() };
+            const workbookCtx = { ...ctx, workbook: { worksheets: { getItem: jest.fn(() => worksheet) } } };
+
+            const undoData = await captureUndo(workbookCtx, createMockSheet(), { type: "renameSheet", target: "Data", data: "{\"newName\":\"Sales\"}" });
+            expect(undoData).toEqual({ kind: "sheetProps", sheetId: "{S1}", name: "Data", visibility: "Visible", position: 0 });
+
+            worksheet.name = "Sales";
+            await applyUndo(workbookCtx, createMockSheet(), undoData);
+            expect(workbookCtx.workbook.worksheets.getItem).toHaveBeenLastCalledWith("{S1}");
+            expect(worksheet.name).toBe("Data");
+        });
+
+        test("undo data without a kind is treated as a range snapshot", async () => {
+            const sheet = createMockSheet();
+            await applyUndo(ctx, sheet, { address: "Sheet1!B2", formulas: [[5]] });
+            expect(sheet._ranges.B2.formulas).toEqual([[5]]);
+            await expect(applyUndo(ctx, sheet, { kind: "bogus" })).rejects.toThrow("Unknown undo data kind");
+        });
+    });
+
+    describe("captureRedo", () => {
+        test("snapshots the range an undo is about to overwrite", async () => {
+            const redoData = await captureRedo(ctx, createMockSheet(), { kind: "range", address: "Sheet1!A1:B2", formulas: [[0, 0], [0, 0]] });
+            expect(redoData.kind).toBe("range");
+            expect(redoData.address).toBe("Sheet1!A1:B2");
+            expect(redoData.formulas).toEqual([[1, "=A1*2"], [3, 4]]);
+        });
+
+        test("inverts inserted and deleted rows", async () => {
+            const sheet = createMockSheet();
+            sheet.getRange("5:8").getIntersectionOrNullObject.mockReturnValue({ isNullObject: true, load: jest.fn() });
+            expect(await captureRedo(ctx, sheet, { kind: "inserted", address: "5:8", shift: "Up" }))
+                .toEqual({ kind: "deleted", address: "5:8", shift: "Down", snapshot: null });
+            expect(await captureRedo(ctx, sheet, { kind: "deleted", address: "C:C", shift: "Right", snapshot: null }))
+                .toEqual({ kind: "inserted", address: "C:C", shift: "Left" });
+        });
+
+        test("records the current sheet properties", async () => {
+            const worksheet = { id: "{S1}", name: "Sales", visibility: "Visible", position: 2, load: jest.fn() };
+            const workbookCtx = { ...ctx, workbook: { worksheets: { getItem: jest.fn(() => worksheet) } } };
+            const undoData = { kind: "sheetProps", sheetId: "{S1}", name: "Data", visibility: "Visible", position: 0 };
+
+            expect(await captureRedo(workbookCtx, createMockSheet(), undoData))
+                .toEqual({ kind: "sheetProps", sheetId: "{S1}", name: "Sales", visibility: "Visible", position: 2 });
+        });
+
+        test("returns null when redo has to re-run the action", async () => {
+            expect(await captureRedo(ctx, createMockSheet(), { kind: "created", collection: "charts", existing: [] })).toBeNull();
+            expect(await captureRedo(ctx, createMockSheet(), { kind: "comment", address: "A1", deleted: true })).toBeNull();
+        });
+    });
+
+    describe("findEntrySheet", () => {
+        /**
+         * Creates a context whose workbook holds the given worksheets
+         * @param {Object[]} sheets - Mock worksheets with id and name
+         * @returns {Object} Mock context
+         */
+        function createWorkbookCtx(sheets) {
+            const active = { id: "{ACTIVE}", name: "Active" };
+            return {
+                ...ctx,
+                workbook: {
+                    worksheets: {
+                        getActiveWorksheet: jest.fn(() => active),
+                        getItemOrNullObject: jest.fn((id) => {
+                            const sheet = sheets.find(s => s.id === id);
+                            return { isNullObject: !sheet, ...sheet, load: jest.fn() };
+                        })
+                    }
+                }
+            };
+        }
+
+        test("records the sheet an action was applied to", async () => {
+            const sheet = { id: "{S1}", name: "Data", load: jest.fn() };
+            expect(await getSheetRef(ctx, sheet)).toEqual({ sheetId: "{S1}", sheetName: "Data" });
+        });
+
+        test("finds the recorded sheet rather than the active one", async () => {
+            const workbookCtx = createWorkbookCtx([{ id: "{S1}", name: "Data" }]);
+            const { sheet, reason } = await findEntrySheet(workbookCtx, { sheetId: "{S1}", sheetName: "Data" });
+            expect(sheet.id).toBe("{S1}");
+            expect(reason).toBeNull();
+        });
+
+        test("refuses deleted and renamed sheets", async () => {
+            const workbookCtx = createWorkbookCtx([{ id: "{S1}", name: "Sales" }]);
+            expect(await findEntrySheet(workbookCtx, { sheetId: "{S2}", sheetName: "Old" }))
+                .toEqual({ sheet: null, reason: "sheet \"Old\" has been deleted" });
+            expect(await findEntrySheet(workbookCtx, { sheetId: "{S1}", sheetName: "Data" }))
+                .toEqual({ sheet: null, reason: "sheet \"Data\" has been renamed to \"Sales\"" });
+        });
+
+        test("falls back to the active sheet for entries without a sheet", async () => {
+            const { sheet } = await findEntrySheet(createWorkbookCtx([]), { type: "formula" });
+            expect(sheet.id).toBe("{ACTIVE}");
+        });
+    });
+});
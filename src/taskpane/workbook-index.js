@@ -0,0 +1,251 @@
+/**
+ * Workbook Index Module
+ * Describes every sheet of the workbook - name, visibility, used range,
+ * headers, tables and row counts - in a fixed number of Excel round trips,
+ * however many sheets there are. The index always goes into the data context;
+ * full data is read only for the active sheet and the sheets the prompt names
+ * or the model asks for.
+ */
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const INDEX_CONFIG = {
+    // Sheets read in full, the active one included
+    MAX_LOADED_SHEETS: 10,
+    // Sheets named in a prompt or described by a tool stay loaded for this many prompts
+    REQUESTED_PROMPTS: 2,
+    // Header names listed per sheet
+    MAX_HEADERS: 12,
+    MAX_HEADER_CHARS: 25
+};
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Removes the sheet name from an address
+ * @param {string} address - Address such as "'My Sheet'!A1:F20"
+ * @returns {string} Address such as "A1:F20"
+ */
+function stripSheetName(address) {
+    const text = String(address || "");
+    return text.slice(text.lastIndexOf("!") + 1);
+}
+
+// ============================================================================
+// Reading
+// ============================================================================
+
+/**
+ * @typedef {Object} SheetIndexEntry
+ * @property {string} id - Worksheet id
+ * @property {string} name - Sheet name
+ * @property {string} visibility - Visible, Hidden or VeryHidden
+ * @property {string|null} address - Used range without the sheet name, null for empty sheets
+ * @property {number} rowCount - Rows of the used range (header included)
+ * @property {number} colCount - Columns of the used range
+ * @property {string[]} headers - Non-empty values of the first used row
+ * @property {TableIndexEntry[]} tables - Tables on the sheet
+ */
+
+/**
+ * @typedef {Object} TableIndexEntry
+ * @property {string} name - Table name
+ * @property {string} address - Table range (header and totals rows included) without the sheet name
+ * @property {number} rowCount - Data rows
+ * @property {string[]} columns - Column names
+ * @property {boolean} showHeaders - The header row is shown
+ * @property {boolean} showTotals - The totals row is shown
+ */
+
+/**
+ * Reads the index of all sheets
+ * @param {Excel.RequestContext} ctx - Excel context
+ * @returns {Promise<SheetIndexEntry[]>} Entries in sheet order
+ */
+async function readWorkbookIndex(ctx) {
+    const sheets = ctx.workbook.worksheets;
+    sheets.load("items/id,items/name,items/visibility");
+    await ctx.sync();
+
+    const entries = sheets.items.map(sheet => {
+        const used = sheet.getUsedRangeOrNullObject(true);
+        used.load(["address", "rowCount", "columnCount"]);
+        sheet.tables.load("items/name,items/showHeaders,items/showTotals");
+        return { sheet, used };
+    });
+    await ctx.sync();
+
+    // Header rows and tables need the used ranges and table lists first
+    const details = entries.map(({ sheet, used }) => {
+        let headerRow = null;
+        if (!used.isNullObject) {
+            headerRow = used.getRow(0);
+            headerRow.load("values");
+        }
+        const tables = sheet.tables.items.map(table => {
+            const range = table.getRange();
+            range.load("address");
+            table.columns.load("items/name");
+            return { table, range, rows: table.rows.getCount() };
+        });
+        return { sheet, used, headerRow, tables };
+    });
+    await ctx.sync();
+
+    return details.map(({ sheet, used, headerRow, tables }) => ({
+        id: sheet.id,
+        name: sheet.name,
+        visibility: sheet.visibility,
+        address: used.isNullObject ? null : stripSheetName(used.address),
+        rowCount: used.isNullObject ? 0 : used.rowCount,
+        colCount: used.isNullObject ? 0 : used.columnCount,
+        headers: (headerRow?.values?.[0] || [])
+            .filter(value => value !== null && value !== undefined && value !== "")
+            .map(String),
+        tables: tables.map(({ table, range, rows }) => ({
+            name: table.name,
+            address: stripSheetName(range.address),
+            rowCount: rows.value,
+            columns: table.columns.items.map(column => column.name),
+            showHeaders: table.showHeaders,
+            showTotals: table.showTotals
+        }))
+    }));
+}
+
+// ============================================================================
+// Choosing Sheets
+// ============================================================================
+
+/**
+ * Finds the sheets a prompt names
+ * Names match case-insensitively as whole words, quoted or not, so "Sales" does
+ * not match "SalesData" but does match "'Sales'!A1". Longer names claim their
+ * text first: "Sales 2023" does not also name "Sales".
+ * @param {string} prompt - User request
+ * @param {SheetIndexEntry[]} index - Workbook index
+ * @returns {string[]} Sheet names, in sheet order
+ */
+function findSheetsInPrompt(prompt, index) {
+    let text = String(prompt || "").toLowerCase();
+    if (!text) return [];
+
+    const found = new Set();
+    const byLength = [...(index || [])].sort((a, b) => b.name.length - a.name.length);
+    for (const entry of byLength) {
+        const name = entry.name.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        const pattern = new RegExp(`(^|[^\\p{L}\\p{N}_])${name}(?=$|[^\\p{L}\\p{N}_])`, "gu");
+        if (!pattern.test(text)) continue;
+        found.add(entry.name);
+        text = text.replace(pattern, (match, before) => before + " ".repeat(match.length - before.length));
+    }
+    return (index || []).filter(entry => found.has(entry.name)).map(entry => entry.name);
+}
+
+/**
+ * @typedef {Object} RequestedSheet
+ * @property {string} name - Sheet name
+ * @property {number} prompt - Number of the prompt that named it or whose tools described it
+ */
+
+/**
+ * Adds sheets to the ones read in full and ages out old requests
+ * A sheet stays requested for the prompt that asked for it and the follow-ups
+ * within REQUESTED_PROMPTS, so that stale requests do not push out current ones.
+ * @param {RequestedSheet[]} requested - Requested sheets, most recent first
+ * @param {string[]} names - Sheets named or described now
+ * @param {number} prompt - Number of the current prompt
+ * @returns {RequestedSheet[]} Requested sheets, most recent first
+ */
+function addRequestedSheets(requested, names, prompt) {
+    const kept = (requested || []).filter(entry =>
+        !names.includes(entry.name) && prompt - entry.prompt < INDEX_CONFIG.REQUESTED_PROMPTS);
+    return [...new Set(names)].map(name => ({ name, prompt })).concat(kept);
+}
+
+/**
+ * Chooses the sheets to read in full
+ * Empty sheets are skipped; when nothing is left, the first sheet with data is read.
+ * @param {SheetIndexEntry[]} index - Workbook index
+ * @param {string} activeName - Active sheet name
+ * @param {string[]} requested - Sheets named in prompts or asked for by the model, most recent first
+ * @returns {SheetIndexEntry[]} The active sheet first, then requested sheets, up to MAX_LOADED_SHEETS
+ */
+function chooseSheetsToLoad(index, activeName, requested = []) {
+    const byName = new Map(index.map(entry => [entry.name, entry]));
+    const chosen = [...new Set([activeName, ...requested])]
+        .map(name => byName.get(name))
+        .filter(entry => entry?.address);
+    if (!chosen.length) {
+        const first = index.find(entry => entry.address);
+        return first ? [first] : [];
+    }
+    return chosen.slice(0, INDEX_CONFIG.MAX_LOADED_SHEETS);
+}
+
+// ============================================================================
+// Formatting
+// ============================================================================
+
+/**
+ * Lists the headers of a sheet, cut to MAX_HEADERS names
+ * @param {string[]} headers - Header names
+ * @returns {string} e.g. "Region, Amount, ... (+8 more)"
+ */
+function formatHeaders(headers) {
+    const shown = headers.slice(0, INDEX_CONFIG.MAX_HEADERS).map(header => {
+        const text = header.replace(/\|/g, "\\|").replace(/\s+/g, " ");
+        return text.length > INDEX_CONFIG.MAX_HEADER_CHARS ? `${text.slice(0, INDEX_CONFIG.MAX_HEADER_CHARS)}…` : text;
+    });
+    const more = headers.length - shown.length;
+    return shown.join(", ") + (more > 0 ? `, ... (+${more} more)` : "");
+}
+
+/**
+ * Formats the index as the WORKBOOK INDEX section of the data context
+ * @param {SheetIndexEntry[]} index - Workbook index
+ * @param {string} activeName - Active sheet name
+ * @param {string[]} loadedNames - Sheets whose full data is in the context
+ * @returns {string} Markdown section, empty without an index
+ */
+function formatWorkbookIndex(index, activeName, loadedNames = []) {
+    if (!index || !index.length) return "";
+
+    const loaded = new Set(loadedNames);
+    const notLoaded = index.filter(entry => !loaded.has(entry.name) && entry.address).length;
+    const rows = index.map(entry => {
+        const marks = [entry.name === activeName ? "active" : "", loaded.has(entry.name) ? "loaded" : ""].filter(Boolean);
+        const name = `${entry.name.replace(/\|/g, "\\|")}${marks.length ? ` (${marks.join(", ")})` : ""}`;
+        const tables = entry.tables.map(table => `${table.name} ${table.address} (${table.rowCount} rows)`).join("; ");
+        return entry.address
+            ? `| ${name} | ${entry.visibility} | ${entry.address} | ${entry.rowCount} | ${formatHeaders(entry.headers)} | ${tables || "-"} |`
+            : `| ${name} | ${entry.visibility} | empty | 0 | - | - |`;
+    });
+
+    let section = `## WORKBOOK INDEX\n`;
+    section += `All ${index.length} sheet${index.length === 1 ? "" : "s"} of the workbook. Rows count the used range including its header row.\n`;
+    if (notLoaded) {
+        section += `Only sheets marked "loaded" have their data below - use the describeSheet tool (or readRange) to look into the others.\n`;
+    }
+    section += `\n| Sheet | Visibility | Used Range | Rows | Headers | Tables |\n`;
+    section += `|-------|------------|------------|------|---------|--------|\n`;
+    section += rows.join("\n") + "\n";
+    return section;
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+export {
+    INDEX_CONFIG,
+    readWorkbookIndex,
+    findSheetsInPrompt,
+    addRequestedSheets,
+    chooseSheetsToLoad,
+    formatWorkbookIndex
+};
@@ -0,0 +1,137 @@
+/**
+ * Tests for Workbook Index Module
+ */
+
+import { INDEX_CONFIG, readWorkbookIndex, findSheetsInPrompt, addRequestedSheets, chooseSheetsToLoad, formatWorkbookIndex } from "./workbook-index.js";
+
+/**
+ * Creates an index entry
+ * @param {string} name - Sheet name
+ * @param {Object} [overrides] - Other fields
+ * @returns {Object} Entry
+ */
+function entry(name, overrides = {}) {
+    return { id: `id-${name}`, name, visibility: "Visible", address: "A1:C10", rowCount: 10, colCount: 3, headers: ["Region", "Qty", "Price"], tables: [], ...overrides };
+}
+
+const INDEX = [
+    entry("Sales", { tables: [{ name: "SalesTable", address: "A1:C10", rowCount: 9 }] }),
+    entry("Sales 2023"),
+    entry("Lookups", { visibility: "Hidden" }),
+    entry("Notes", { address: null, rowCount: 0, colCount: 0, headers: [] })
+];
+
+describe("Workbook Index", () => {
+    describe("readWorkbookIndex", () => {
+        test("reads every sheet in three round trips", async () => {
+            /**
+             * Creates a mock sheet
+             * @param {string} name - Sheet name
+             * @param {string|null} address - Used range address, null for an empty sheet
+             * @param {Array} headers - First row values
+             * @param {string[]} tables - Table names
+             * @returns {Object} Mock sheet
+             */
+            const createSheet = (name, address, headers, tables = []) => ({
+                id: `id-${name}`,
+                name,
+                visibility: "Visible",
+                getUsedRangeOrNullObject: jest.fn(() => ({
+                    isNullObject: !address,
+                    address: `${name}!${address}`,
+                    rowCount: 40,
+                    columnCount: headers.length,
+                    load: jest.fn(),
+                    getRow: jest.fn(() => ({ values: [headers], load: jest.fn() }))
+                })),
+                tables: {
+                    load: jest.fn(),
+                    items: tables.map(table => ({
+                        name: table,
+                        showHeaders: true,
+                        showTotals: false,
+                        columns: { load: jest.fn(), items: [{ name: "Item" }, { name: "Amount" }] },
+                        getRange: jest.fn(() => ({ address: `${name}!A1:B40`, load: jest.fn() })),
+                        rows: { getCount: jest.fn(() => ({ value: 39 })) }
+                    }))
+                }
+            });
+            const items = Array.from({ length: 30 }, (_, i) => createSheet(`Month ${i + 1}`, "A1:B40", ["Item", "", "Amount"], i === 0 ? ["Budget"] : []));
+            items.push(createSheet("Empty", null, []));
+            const ctx = { sync: jest.fn(() => Promise.resolve()), workbook: { worksheets: { items, load: jest.fn() } } };
+
+            const index = await readWorkbookIndex(ctx);
+            expect(ctx.sync).toHaveBeenCalledTimes(3);
+            expect(index).toHaveLength(31);
+            expect(index[0]).toEqual({
+                id: "id-Month 1",
+                name: "Month 1",
+                visibility: "Visible",
+                address: "A1:B40",
+                rowCount: 40,
+                colCount: 3,
+                headers: ["Item", "Amount"],
+                tables: [{ name: "Budget", address: "A1:B40", rowCount: 39, columns: ["Item", "Amount"], showHeaders: true, showTotals: false }]
+            });
+            expect(index[30]).toMatchObject({ name: "Empty", address: null, rowCount: 0, headers: [] });
+        });
+    });
+
+    describe("findSheetsInPrompt", () => {
+        test("matches whole sheet names case-insensitively", () => {
+            expect(findSheetsInPrompt("Compare sales 2023 with this year", INDEX)).toEqual(["Sales 2023"]);
+            expect(findSheetsInPrompt("Look up =VLOOKUP(A2,'Lookups'!A:B,2)", INDEX)).toEqual(["Lookups"]);
+            expect(findSheetsInPrompt("Sum the SalesTable amounts", INDEX)).toEqual([]);
+            expect(findSheetsInPrompt("", INDEX)).toEqual([]);
+        });
+    });
+
+    describe("addRequestedSheets", () => {
+        test("puts new requests first and ages out old ones", () => {
+            let requested = addRequestedSheets([], ["Sales", "Lookups"], 1);
+            requested = addRequestedSheets(requested, ["Notes"], 2);
+            expect(requested.map(e => e.name)).toEqual(["Notes", "Sales", "Lookups"]);
+
+            requested = addRequestedSheets(requested, ["Lookups"], 3);
+            expect(requested).toEqual([{ name: "Lookups", prompt: 3 }, { name: "Notes", prompt: 2 }]);
+            expect(addRequestedSheets(requested, [], 1 + 3 + INDEX_CONFIG.REQUESTED_PROMPTS)).toEqual([]);
+        });
+    });
+
+    describe("chooseSheetsToLoad", () => {
+        test("reads the active sheet and the requested ones", () => {
+            expect(chooseSheetsToLoad(INDEX, "Sales", ["Lookups", "Sales", "Deleted"]).map(e => e.name)).toEqual(["Sales", "Lookups"]);
+        });
+
+        test("skips empty sheets and falls back to the first sheet with data", () => {
+            expect(chooseSheetsToLoad(INDEX, "Notes", []).map(e => e.name)).toEqual(["Sales"]);
+            expect(chooseSheetsToLoad([entry("Blank", { address: null })], "Blank", [])).toEqual([]);
+        });
+
+        test("caps the number of sheets", () => {
+            const many = Array.from({ length: 40 }, (_, i) => entry(`Tab ${i}`));
+            const chosen = chooseSheetsToLoad(many, "Tab 0", many.map(e => e.name).reverse());
+            expect(chosen).toHaveLength(INDEX_CONFIG.MAX_LOADED_SHEETS);
+            expect(chosen[0].name).toBe("Tab 0");
+        });
+    });
+
+    describe("formatWorkbookIndex", () => {
+        test("lists every sheet and marks the loaded ones", () => {
+            const text = formatWorkbookIndex(INDEX, "Sales", ["Sales"]);
+            expect(text).toContain("## WORKBOOK INDEX\nAll 4 sheets of the workbook.");
+            expect(text).toContain("use the describeSheet tool");
+            expect(text).toContain("| Sales (active, loaded) | Visible | A1:C10 | 10 | Region, Qty, Price | SalesTable A1:C10 (9 rows) |");
+            expect(text).toContain("| Lookups | Hidden | A1:C10 | 10 | Region, Qty, Price | - |");
+            expect(text).toContain("| Notes | Visible | empty | 0 | - | - |");
+        });
+
+        test("cuts long header lists and skips the hint when everything is loaded", () => {
+            const headers = Array.from({ length: INDEX_CONFIG.MAX_HEADERS + 3 }, (_, i) => `H${i}`);
+            const text = formatWorkbookIndex([entry("Wide", { headers })], "Wide", ["Wide"]);
+            expect(text).toContain(`H${INDEX_CONFIG.MAX_HEADERS - 1}, ... (+3 more) |`);
+            expect(text).not.toContain("describeSheet");
+            expect(formatWorkbookIndex([], "Sales", [])).toBe("");
+        });
+    });
+});
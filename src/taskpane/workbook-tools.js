@@ -0,0 +1,540 @@
+/**
+ * Workbook Tools Module
+ * Read-only tools the AI can call before answering, to see more of the workbook
+ * than the data context snapshot. The model requests a tool with a
+ * <TOOL name="...">{json args}</TOOL> tag (or the "toolCalls" field in structured
+ * output), the taskpane runs it through Excel.run and sends the result back.
+ */
+
+import { colIndexToLetter, colLetterToIndex } from "./excel-data.js";
+import { getColumnProfiles, describeProfile } from "./column-profile.js";
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const TOOL_CONFIG = {
+    // Tool rounds before the model must answer
+    MAX_TURNS: 4,
+    // Tool calls run per round; the rest are reported back as not run
+    MAX_CALLS_PER_TURN: 5,
+    // Cells returned by readRange; larger ranges are cut to whole rows
+    MAX_READ_CELLS: 2000,
+    // Cells scanned by getColumnStats and, per sheet, by findValue
+    MAX_SCAN_CELLS: 100000,
+    MAX_MATCHES: 50,
+    TOP_VALUES: 5,
+    // Data rows returned by describeSheet next to the column profiles
+    DESCRIBE_ROWS: 5,
+    // Characters of one tool result sent back to the model, when the prompt budget leaves room for them
+    MAX_RESULT_CHARS: 8000
+};
+
+const TOOL_OPEN_TAG = "<TOOL";
+const TOOL_REGEX = /<TOOL\s+name="([^"]+)"\s*>([\s\S]*?)<\/TOOL>/g;
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Splits "Sheet!A1:B2" into a sheet name and an address
+ * @param {string} address - Address, optionally sheet-qualified
+ * @returns {{ sheetName: string|null, address: string }} Parts
+ */
+function splitSheetAddress(address) {
+    const match = String(address || "").trim().match(/^(?:'((?:[^']|'')+)'|([^!]+))!(.+)$/);
+    if (!match) return { sheetName: null, address: String(address || "").trim() };
+    return { sheetName: (match[1] || match[2]).replace(/''/g, "'"), address: match[3] };
+}
+
+/**
+ * Gets a worksheet by name, or the active one
+ * @param {Excel.RequestContext} ctx - Excel context
+ * @param {string|null} name - Sheet name
+ * @returns {Excel.Worksheet} Worksheet
+ */
+function getSheet(ctx, name) {
+    return name ? ctx.workbook.worksheets.getItem(name) : ctx.workbook.worksheets.getActiveWorksheet();
+}
+
+/**
+ * Loads the part of a range that lies within the used range
+ * Whole columns or rows would otherwise load a million empty cells.
+ * @param {Excel.RequestContext} ctx - Excel context
+ * @param {string} address - Range address, optionally sheet-qualified
+ * @returns {Promise<Excel.Range|null>} Loaded range (address, rowCount, columnCount), or null if it is empty
+ */
+async function loadUsedPart(ctx, address) {
+    const parts = splitSheetAddress(address);
+    if (!parts.address) throw new Error("Missing range");
+    const sheet = getSheet(ctx, parts.sheetName);
+    const used = sheet.getUsedRangeOrNullObject();
+    used.load("address");
+    await ctx.sync();
+    if (used.isNullObject) return null;
+
+    const range = sheet.getRange(parts.address).getIntersectionOrNullObject(used);
+    range.load(["address", "rowCount", "columnCount"]);
+    await ctx.sync();
+    return range.isNullObject ? null : range;
+}
+
+/**
+ * Loads the used range of a sheet, ignoring cells that only carry formatting
+ * @param {Excel.RequestContext} ctx - Excel context
+ * @param {string} sheetName - Sheet name
+ * @returns {Promise<Excel.Range|null>} Loaded range (address, rowCount, columnCount), or null if the sheet is empty
+ */
+async function loadUsedRange(ctx, sheetName) {
+    const used = getSheet(ctx, sheetName).getUsedRangeOrNullObject(true);
+    used.load(["address", "rowCount", "columnCount"]);
+    await ctx.sync();
+    return used.isNullObject ? null : used;
+}
+
+/**
+ * Gets the top-left cell of an address
+ * @param {string} address - Range address, optionally sheet-qualified
+ * @returns {{ col: number, row: number }} Zero-based column and one-based row
+ */
+function getTopLeft(address) {
+    const match = splitSheetAddress(address).address.replace(/\$/g, "").match(/^([A-Z]+)(\d+)/i);
+    return match ? { col: colLetterToIndex(match[1]), row: parseInt(match[2], 10) } : { col: 0, row: 1 };
+}
+
+/**
+ * Checks whether a cell is empty
+ * @param {*} value - Cell value
+ * @returns {boolean} True for empty strings, null and undefined
+ */
+function isEmptyValue(value) {
+    return value === "" || value === null || value === undefined;
+}
+
+// ============================================================================
+// Computations
+// ============================================================================
+
+/**
+ * Computes summary statistics of one column of values
+ * @param {Array} values - Cell values
+ * @returns {Object} Counts, numeric summary (when there are numbers) and the most frequent values
+ */
+function computeColumnStats(values) {
+    const filled = values.filter(value => !isEmptyValue(value));
+    const numbers = filled.filter(value => typeof value === "number");
+    const counts = new Map();
+    for (const value of filled) {
+        counts.set(value, (counts.get(value) || 0) + 1);
+    }
+
+    const stats = {
+        cells: values.length,
+        filled: filled.length,
+        blank: values.length - filled.length,
+        numbers: numbers.length,
+        distinct: counts.size
+    };
+
+    if (numbers.length) {
+        // One pass without spreading - large argument lists overflow the stack in some hosts
+        let sum = 0;
+        let min = Infinity;
+        let max = -Infinity;
+        for (const value of numbers) {
+            sum += value;
+            if (value < min) min = value;
+            if (value > max) max = value;
+        }
+        Object.assign(stats, {
+            sum,
+            mean: sum / numbers.length,
+            min,
+            max
+        });
+    }
+
+    stats.top = [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, TOOL_CONFIG.TOP_VALUES)
+        .map(([value, count]) => ({ value, count }));
+    return stats;
+}
+
+/**
+ * Finds cells matching a text in a block of values
+ * @param {Array[]} values - Cell values
+ * @param {string} address - Address of the block (its top-left cell anchors the result addresses)
+ * @param {string} text - Text to look for
+ * @param {{ matchCase?: boolean, entireCell?: boolean }} options - Match options
+ * @param {number} limit - Maximum matches
+ * @returns {{ address: string, value: * }[]} Matching cells
+ */
+function findInValues(values, address, text, options = {}, limit = TOOL_CONFIG.MAX_MATCHES) {
+    const { col, row } = getTopLeft(address);
+    const needle = options.matchCase ? String(text) : String(text).toLowerCase();
+    const matches = [];
+
+    for (let r = 0; r < values.length && matches.length < limit; r++) {
+        for (let c = 0; c < values[r].length && matches.length < limit; c++) {
+            const value = values[r][c];
+            if (isEmptyValue(value)) continue;
+            const cell = options.matchCase ? String(value) : String(value).toLowerCase();
+            if (options.entireCell ? cell === needle : cell.includes(needle)) {
+                matches.push({ address: `${colIndexToLetter(col + c)}${row + r}`, value });
+            }
+        }
+    }
+    return matches;
+}
+
+// ============================================================================
+// Tools
+// ============================================================================
+
+/**
+ * Tool registry
+ * Each tool has a description and argument list for the prompt, run(ctx, args)
+ * returning a JSON-serializable result, and summarize(result) for the chat.
+ */
+const WORKBOOK_TOOLS = {
+    readRange: {
+        description: "Values of a range, e.g. {\"range\":\"Sales!A1:F500\"}. Whole columns are limited to the used range",
+        args: { range: "Range address, optionally sheet-qualified" },
+        run: async (ctx, args) => {
+            const range = await loadUsedPart(ctx, args.range);
+            if (!range) return { address: args.range, rows: 0, columns: 0, values: [] };
+
+            // Keep whole rows within the cell budget
+            const rows = Math.max(1, Math.min(range.rowCount, Math.floor(TOOL_CONFIG.MAX_READ_CELLS / range.columnCount)));
+            const read = rows < range.rowCount ? range.getCell(0, 0).getResizedRange(rows - 1, range.columnCount - 1) : range;
+            read.load(["address", "values"]);
+            await ctx.sync();
+
+            return {
+                address: read.address,
+                rows: read.values.length,
+                columns: range.columnCount,
+                ...(rows < range.rowCount ? { truncated: `first ${rows} of ${range.rowCount} rows` } : {}),
+                values: read.values
+            };
+        },
+        summarize: (result) => `${result.address}: ${result.rows} row${result.rows === 1 ? "" : "s"}${result.truncated ? " (truncated)" : ""}`
+    },
+
+    getColumnStats: {
+        description: "Count, blanks, distinct values, sum/mean/min/max and most frequent values of each column of a range, e.g. {\"range\":\"Sales!C:C\"}",
+        args: { range: "Range address, optionally sheet-qualified" },
+        run: async (ctx, args) => {
+            const range = await loadUsedPart(ctx, args.range);
+            if (!range) return { address: args.range, columns: [] };
+            if (range.rowCount * range.columnCount > TOOL_CONFIG.MAX_SCAN_CELLS) {
+                throw new Error(`${range.address} has more than ${TOOL_CONFIG.MAX_SCAN_CELLS} cells - use a smaller range`);
+            }
+            range.load("values");
+            await ctx.sync();
+
+            const { col } = getTopLeft(range.address);
+            return {
+                address: range.address,
+                columns: range.values[0].map((_, c) => ({
+                    column: colIndexToLetter(col + c),
+                    ...computeColumnStats(range.values.map(row => row[c]))
+                }))
+            };
+        },
+        summarize: (result) => `${result.address}: ${result.columns.length} column${result.columns.length === 1 ? "" : "s"}`
+    },
+
+    describeSheet: {
+        description: "Loads a sheet from the WORKBOOK INDEX: the type and profile of each column over all rows, plus the first rows, e.g. {\"sheet\":\"Budget 2025\"}",
+        args: { sheet: "Sheet name" },
+        run: async (ctx, args) => {
+            if (isEmptyValue(args.sheet)) throw new Error("Missing sheet");
+            const used = await loadUsedRange(ctx, args.sheet);
+            if (!used) return { sheet: args.sheet, rows: 0, columns: [] };
+            if (used.rowCount * used.columnCount > TOOL_CONFIG.MAX_SCAN_CELLS) {
+                throw new Error(`${used.address} has more than ${TOOL_CONFIG.MAX_SCAN_CELLS} cells - use getColumnStats on its columns`);
+            }
+            used.load("values");
+            // Formats of the first data row tell date columns from number columns
+            const firstDataRow = used.getOffsetRange(1, 0).getRow(0);
+            firstDataRow.load("numberFormat");
+            await ctx.sync();
+
+            const { col } = getTopLeft(used.address);
+            const columnMap = used.values[0].map((header, c) => {
+                const letter = colIndexToLetter(col + c);
+                return { letter, index: c, header: isEmptyValue(header) ? `Column ${letter}` : header };
+            });
+            const profiles = getColumnProfiles({ values: used.values, columnMap, numberFormats: firstDataRow.numberFormat?.[0] || [] });
+            return {
+                sheet: args.sheet,
+                address: used.address,
+                rows: used.rowCount - 1,
+                columns: profiles.map(({ letter, header, profile }) => ({
+                    column: letter,
+                    header,
+                    type: profile.type,
+                    empty: profile.nulls + profile.blanks,
+                    distinct: profile.distinct,
+                    profile: describeProfile(profile)
+                })),
+                firstRows: used.values.slice(1, 1 + TOOL_CONFIG.DESCRIBE_ROWS)
+            };
+        },
+        summarize: (result) => `${result.sheet}: ${result.rows} data row${result.rows === 1 ? "" : "s"}, ${result.columns.length} column${result.columns.length === 1 ? "" : "s"}`
+    },
+
+    listTables: {
+        description: "All tables in the workbook with their sheet, address and column names. No arguments",
+        args: {},
+        run: async (ctx) => {
+            const tables = ctx.workbook.tables;
+            tables.load("items/name");
+            await ctx.sync();
+
+            const details = tables.items.map(table => {
+                const range = table.getRange();
+                range.load("address");
+                table.worksheet.load("name");
+                table.columns.load("items/name");
+                return { table, range };
+            });
+            await ctx.sync();
+
+            return {
+                tables: details.map(({ table, range }) => ({
+                    name: table.name,
+                    sheet: table.worksheet.name,
+                    address: range.address,
+                    columns: table.columns.items.map(column => column.name)
+                }))
+            };
+        },
+        summarize: (result) => `${result.tables.length} table${result.tables.length === 1 ? "" : "s"}`
+    },
+
+    listNamedRanges: {
+        description: "All workbook-level named ranges and constants with what they refer to. No arguments",
+        args: {},
+        run: async (ctx) => {
+            const names = ctx.workbook.names;
+            names.load("items/name,items/type,items/formula,items/visible");
+            await ctx.sync();
+            return {
+                names: names.items.map(item => ({ name: item.name, type: item.type, refersTo: item.formula, visible: item.visible }))
+            };
+        },
+        summarize: (result) => `${result.names.length} name${result.names.length === 1 ? "" : "s"}`
+    },
+
+    findValue: {
+        description: "Cells containing a text, e.g. {\"text\":\"Acme\",\"sheet\":\"Customers\",\"matchCase\":false,\"entireCell\":false}. Searches all sheets when no sheet is given",
+        args: { text: "Text to look for", sheet: "Optional sheet name", matchCase: "Optional boolean", entireCell: "Optional boolean" },
+        run: async (ctx, args) => {
+            if (isEmptyValue(args.text)) throw new Error("Missing text");
+
+            let sheets;
+            if (args.sheet) {
+                sheets = [ctx.workbook.worksheets.getItem(args.sheet)];
+            } else {
+                ctx.workbook.worksheets.load("items/name");
+                await ctx.sync();
+                sheets = ctx.workbook.worksheets.items;
+            }
+
+            const used = sheets.map(sheet => {
+                const range = sheet.getUsedRangeOrNullObject(true);
+                range.load(["address", "rowCount", "columnCount"]);
+                return range;
+            });
+            await ctx.sync();
+
+            const matches = [];
+            const skipped = [];
+            for (const range of used) {
+                if (range.isNullObject || matches.length >= TOOL_CONFIG.MAX_MATCHES) continue;
+                if (range.rowCount * range.columnCount > TOOL_CONFIG.MAX_SCAN_CELLS) {
+                    skipped.push(range.address);
+                    continue;
+                }
+                range.load("values");
+                await ctx.sync();
+                const sheetName = splitSheetAddress(range.address).sheetName;
+                const found = findInValues(range.values, range.address, args.text, args, TOOL_CONFIG.MAX_MATCHES - matches.length);
+                matches.push(...found.map(match => ({ ...match, address: `${sheetName}!${match.address}` })));
+            }
+
+            return {
+                text: args.text,
+                matches,
+                ...(matches.length >= TOOL_CONFIG.MAX_MATCHES ? { truncated: `first ${TOOL_CONFIG.MAX_MATCHES} matches` } : {}),
+                ...(skipped.length ? { skipped } : {})
+            };
+        },
+        summarize: (result) => `"${result.text}": ${result.matches.length}${result.truncated ? "+" : ""} match${result.matches.length === 1 ? "" : "es"}`
+    }
+};
+
+// ============================================================================
+// Protocol
+// ============================================================================
+
+/**
+ * Gets the system-prompt section describing the tools
+ * @returns {string} Prompt text
+ */
+function getToolInstructions() {
+    const list = Object.entries(WORKBOOK_TOOLS)
+        .map(([name, tool]) => {
+            const args = Object.keys(tool.args);
+            return `- ${name}${args.length ? ` (${args.join(", ")})` : ""}: ${tool.description}`;
+        })
+        .join("\n");
+
+    return `
+
+## WORKBOOK TOOLS
+The data context above is only a snapshot (an index of all sheets, the first rows of the active sheet and samples of the other loaded sheets).
+When you need data that is not in it, request read-only tools and stop - the results are sent back to you:
+<TOOL name="readRange">{"range":"Sales!A1:F500"}</TOOL>
+Available tools:
+${list}
+In structured output mode, put the requests in "toolCalls" as {"name":"readRange","args":"{\\"range\\":\\"Sales!A1:F500\\"}"} with empty "actions".
+You have at most ${TOOL_CONFIG.MAX_TURNS} rounds of up to ${TOOL_CONFIG.MAX_CALLS_PER_TURN} tool calls. Answer directly when the snapshot is enough.`;
+}
+
+/**
+ * Parses tool arguments
+ * @param {*} raw - JSON text or object
+ * @returns {{ args: Object, error?: string }} Parsed arguments
+ */
+function parseToolArgs(raw) {
+    if (raw && typeof raw === "object") return { args: raw };
+    const text = String(raw ?? "").trim();
+    if (!text) return { args: {} };
+    try {
+        const args = JSON.parse(text);
+        return args && typeof args === "object" && !Array.isArray(args) ? { args } : { args: {}, error: "Arguments must be a JSON object" };
+    } catch {
+        return { args: {}, error: "Arguments are not valid JSON" };
+    }
+}
+
+/**
+ * Extracts tool requests from a model response
+ * @param {string} text - Response text (TOOL tags, or structured output with "toolCalls")
+ * @returns {{ name: string, args: Object, error?: string }[]} Tool calls, in order
+ */
+function parseToolCalls(text) {
+    if (typeof text !== "string") return [];
+
+    const body = text.trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/i, "$1");
+    if (body.startsWith("{")) {
+        try {
+            const parsed = JSON.parse(body);
+            if (Array.isArray(parsed?.toolCalls)) {
+                return parsed.toolCalls
+                    .filter(call => call && typeof call.name === "string")
+                    .map(call => ({ name: call.name, ...parseToolArgs(call.args) }));
+            }
+        } catch {
+            // Not structured output - look for tags
+        }
+    }
+
+    return [...text.matchAll(TOOL_REGEX)].map(match => ({ name: match[1], ...parseToolArgs(match[2]) }));
+}
+
+/**
+ * Removes tool requests from text shown to the user, including an unfinished one at the end
+ * @param {string} text - Response text, possibly still streaming
+ * @returns {string} Text without TOOL tags
+ */
+function stripToolCalls(text) {
+    let result = String(text).replace(TOOL_REGEX, "");
+    const open = result.lastIndexOf(TOOL_OPEN_TAG);
+    if (open !== -1) {
+        result = result.slice(0, open);
+    } else {
+        // The stream may have stopped in the middle of "<TOOL"
+        for (let len = Math.min(TOOL_OPEN_TAG.length - 1, result.length); len > 0; len--) {
+            if (TOOL_OPEN_TAG.startsWith(result.slice(-len))) {
+                result = result.slice(0, -len);
+                break;
+            }
+        }
+    }
+    return result.trim();
+}
+
+/**
+ * Runs one tool call
+ * @param {Excel.RequestContext} ctx - Excel context
+ * @param {{ name: string, args: Object, error?: string }} call - Tool call
+ * @returns {Promise<{ name: string, args: Object, result?: Object, error?: string, summary: string }>} Outcome
+ */
+async function runToolCall(ctx, call) {
+    const tool = WORKBOOK_TOOLS[call.name];
+    if (!tool) {
+        return { ...call, error: `Unknown tool "${call.name}"`, summary: "unknown tool" };
+    }
+    if (call.error) {
+        return { ...call, summary: call.error };
+    }
+    try {
+        const result = await tool.run(ctx, call.args);
+        return { name: call.name, args: call.args, result, summary: tool.summarize(result) };
+    } catch (e) {
+        return { name: call.name, args: call.args, error: e.message, summary: `failed: ${e.message}` };
+    }
+}
+
+/**
+ * Formats tool outcomes as the message sent back to the model
+ * @param {Object[]} outcomes - Outcomes from runToolCall
+ * @param {boolean} isLastTurn - No more tool rounds are allowed after this one
+ * @param {Object} [options] - Limits of this round
+ * @param {number} [options.skipped=0] - Requested calls that were not run (over MAX_CALLS_PER_TURN)
+ * @param {number} [options.maxChars=Infinity] - Characters the results of this round may use together
+ * @returns {string} Message content
+ */
+function formatToolResults(outcomes, isLastTurn, { skipped = 0, maxChars = Infinity } = {}) {
+    const limit = Math.min(TOOL_CONFIG.MAX_RESULT_CHARS, Math.floor(maxChars / Math.max(outcomes.length, 1)));
+    const sections = outcomes.map(outcome => {
+        let body = outcome.error ? `ERROR: ${outcome.error}` : JSON.stringify(outcome.result);
+        if (limit <= 0) {
+            body = "[left out - the prompt has no room for more tool results]";
+        } else if (body.length > limit) {
+            body = `${body.slice(0, limit)}... [cut at ${limit} characters - request a smaller range]`;
+        }
+        return `### ${outcome.name} ${JSON.stringify(outcome.args)}\n${body}`;
+    });
+    if (skipped) {
+        sections.push(`${skipped} more tool call${skipped === 1 ? " was" : "s were"} not run - request at most ${TOOL_CONFIG.MAX_CALLS_PER_TURN} per round.`);
+    }
+
+    const closing = isLastTurn
+        ? "No more tool calls are available - answer the original request now, without TOOL tags."
+        : "Request more tools if needed, otherwise answer the original request.";
+    return `TOOL RESULTS\n\n${sections.join("\n\n")}\n\n${closing}`;
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+export {
+    TOOL_CONFIG,
+    WORKBOOK_TOOLS,
+    splitSheetAddress,
+    computeColumnStats,
+    findInValues,
+    getToolInstructions,
+    parseToolCalls,
+    stripToolCalls,
+    runToolCall,
+    formatToolResults
+};
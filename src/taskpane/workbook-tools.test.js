@@ -0,0 +1,187 @@
+/**
+ * Tests for Workbook Tools Module
+ */
+
+import {
+    TOOL_CONFIG,
+    splitSheetAddress,
+    computeColumnStats,
+    findInValues,
+    getToolInstructions,
+    parseToolCalls,
+    stripToolCalls,
+    runToolCall,
+    formatToolResults
+} from "./workbook-tools.js";
+
+/**
+ * Creates a mock context whose sheets hand out ranges over a block of values
+ * @param {string} address - Address of the used range
+ * @param {Array[]} values - Used range values
+ * @returns {Object} Mock context
+ */
+function createMockCtx(address, values) {
+    const createRange = (rangeAddress, rangeValues) => ({
+        address: rangeAddress,
+        rowCount: rangeValues.length,
+        columnCount: rangeValues[0]?.length || 0,
+        values: rangeValues,
+        isNullObject: false,
+        load: jest.fn(),
+        getCell: jest.fn(() => ({
+            getResizedRange: jest.fn((rows, cols) => createRange(`Sheet1!A1:?${rows + 1}`, rangeValues.slice(0, rows + 1).map(row => row.slice(0, cols + 1))))
+        })),
+        getIntersectionOrNullObject: jest.fn(() => createRange(rangeAddress, rangeValues)),
+        getOffsetRange: jest.fn(() => ({
+            getRow: jest.fn(() => ({ numberFormat: [rangeValues[0].map(() => "General")], load: jest.fn() }))
+        }))
+    });
+    const used = createRange(address, values);
+    const sheet = {
+        getUsedRangeOrNullObject: jest.fn(() => used),
+        getRange: jest.fn(() => used)
+    };
+    return {
+        sync: jest.fn(() => Promise.resolve()),
+        workbook: { worksheets: { getActiveWorksheet: jest.fn(() => sheet), getItem: jest.fn(() => sheet) } },
+        _sheet: sheet
+    };
+}
+
+describe("Workbook Tools", () => {
+    describe("splitSheetAddress", () => {
+        test("splits plain and quoted sheet names", () => {
+            expect(splitSheetAddress("Sales!A1:C5")).toEqual({ sheetName: "Sales", address: "A1:C5" });
+            expect(splitSheetAddress("'Q1 ''Data'''!B:B")).toEqual({ sheetName: "Q1 'Data'", address: "B:B" });
+            expect(splitSheetAddress("A1")).toEqual({ sheetName: null, address: "A1" });
+        });
+    });
+
+    describe("computeColumnStats", () => {
+        test("counts values and summarizes numbers", () => {
+            const stats = computeColumnStats([3, "", 5, "x", 3, null]);
+            expect(stats).toMatchObject({ cells: 6, filled: 4, blank: 2, numbers: 3, distinct: 3, sum: 11, min: 3, max: 5 });
+            expect(stats.mean).toBeCloseTo(11 / 3);
+            expect(stats.top[0]).toEqual({ value: 3, count: 2 });
+        });
+
+        test("summarizes more numbers than a host accepts as call arguments", () => {
+            const numbers = Array.from({ length: 200000 }, (_, i) => i - 100);
+            expect(computeColumnStats(numbers)).toMatchObject({ min: -100, max: 199899 });
+        });
+
+        test("omits the numeric summary for text columns", () => {
+            expect(computeColumnStats(["a", "b"])).not.toHaveProperty("sum");
+        });
+    });
+
+    describe("findInValues", () => {
+        test("returns addresses relative to the block", () => {
+            const values = [["Acme Corp", "x"], ["", "ACME"]];
+            expect(findInValues(values, "Sheet1!C4:D5", "acme")).toEqual([
+                { address: "C4", value: "Acme Corp" },
+                { address: "D5", value: "ACME" }
+            ]);
+            expect(findInValues(values, "C4:D5", "ACME", { matchCase: true, entireCell: true })).toEqual([{ address: "D5", value: "ACME" }]);
+            expect(findInValues(values, "A1", "acme", {}, 1)).toHaveLength(1);
+        });
+    });
+
+    describe("parseToolCalls", () => {
+        test("parses TOOL tags with JSON arguments", () => {
+            const text = "Let me check.\n<TOOL name=\"readRange\">{\"range\":\"Sales!A1:F500\"}</TOOL>\n<TOOL name=\"listTables\"></TOOL>";
+            expect(parseToolCalls(text)).toEqual([
+                { name: "readRange", args: { range: "Sales!A1:F500" } },
+                { name: "listTables", args: {} }
+            ]);
+        });
+
+        test("parses toolCalls of structured output", () => {
+            const text = JSON.stringify({ message: "", actions: [], toolCalls: [{ name: "findValue", args: "{\"text\":\"Acme\"}" }] });
+            expect(parseToolCalls(text)).toEqual([{ name: "findValue", args: { text: "Acme" } }]);
+        });
+
+        test("keeps calls with bad arguments so the model gets an error back", () => {
+            expect(parseToolCalls("<TOOL name=\"readRange\">{range}</TOOL>")[0].error).toBe("Arguments are not valid JSON");
+            expect(parseToolCalls("Plain answer")).toEqual([]);
+        });
+    });
+
+    describe("stripToolCalls", () => {
+        test("removes complete and unfinished tags", () => {
+            expect(stripToolCalls("Checking <TOOL name=\"listTables\"></TOOL> now")).toBe("Checking  now");
+            expect(stripToolCalls("Checking <TOOL name=\"readRa")).toBe("Checking");
+            expect(stripToolCalls("Checking <TO")).toBe("Checking");
+        });
+    });
+
+    describe("runToolCall", () => {
+        test("reads a range and cuts it to whole rows", async () => {
+            const values = Array.from({ length: 500 }, (_, r) => Array.from({ length: 10 }, (_, c) => r * 10 + c));
+            const ctx = createMockCtx("Sheet1!A1:J500", values);
+            const outcome = await runToolCall(ctx, { name: "readRange", args: { range: "A:J" } });
+            const maxRows = TOOL_CONFIG.MAX_READ_CELLS / 10;
+            expect(outcome.result.rows).toBe(maxRows);
+            expect(outcome.result.truncated).toBe(`first ${maxRows} of 500 rows`);
+            expect(outcome.summary).toMatch(/\(truncated\)$/);
+        });
+
+        test("computes column statistics of a range", async () => {
+            const ctx = createMockCtx("Sheet1!B2:B4", [[1], [2], [""]]);
+            const outcome = await runToolCall(ctx, { name: "getColumnStats", args: { range: "B:B" } });
+            expect(outcome.result.columns[0]).toMatchObject({ column: "B", numbers: 2, blank: 1, sum: 3 });
+        });
+
+        test("profiles the columns of a sheet and returns its first rows", async () => {
+            const values = [["Region", "Amount"], ...Array.from({ length: 8 }, (_, r) => [r % 2 ? "East" : "West", r + 1])];
+            const ctx = createMockCtx("Budget!B3:C11", values);
+            const outcome = await runToolCall(ctx, { name: "describeSheet", args: { sheet: "Budget" } });
+            expect(ctx.workbook.worksheets.getItem).toHaveBeenCalledWith("Budget");
+            expect(outcome.result).toMatchObject({ address: "Budget!B3:C11", rows: 8 });
+            expect(outcome.result.columns.map(column => [column.column, column.header, column.type])).toEqual([["B", "Region", "text"], ["C", "Amount", "number"]]);
+            expect(outcome.result.firstRows).toHaveLength(TOOL_CONFIG.DESCRIBE_ROWS);
+            expect(outcome.summary).toBe("Budget: 8 data rows, 2 columns");
+        });
+
+        test("reports unknown tools, bad arguments and failures as errors", async () => {
+            const ctx = createMockCtx("Sheet1!A1", [[1]]);
+            expect((await runToolCall(ctx, { name: "deleteSheet", args: {} })).error).toBe("Unknown tool \"deleteSheet\"");
+            expect((await runToolCall(ctx, { name: "findValue", args: {} })).error).toBe("Missing text");
+            expect((await runToolCall(ctx, { name: "readRange", args: {}, error: "Arguments are not valid JSON" })).summary)
+                .toBe("Arguments are not valid JSON");
+        });
+    });
+
+    describe("formatToolResults", () => {
+        test("formats results, cuts long ones and closes the last round", () => {
+            const long = { name: "readRange", args: { range: "A:A" }, result: { values: "x".repeat(TOOL_CONFIG.MAX_RESULT_CHARS * 2) } };
+            const failed = { name: "listTables", args: {}, error: "Busy" };
+            const text = formatToolResults([long, failed], true);
+            expect(text).toContain("### readRange {\"range\":\"A:A\"}");
+            expect(text).toContain(`cut at ${TOOL_CONFIG.MAX_RESULT_CHARS} characters`);
+            expect(text).toContain("ERROR: Busy");
+            expect(text).toMatch(/No more tool calls/);
+            expect(formatToolResults([failed], false)).toMatch(/Request more tools if needed/);
+        });
+
+        test("shares the room of a round between its results and notes skipped calls", () => {
+            const read = (range) => ({ name: "readRange", args: { range }, result: { values: "x".repeat(5000) } });
+            const text = formatToolResults([read("A:A"), read("B:B")], false, { skipped: 3, maxChars: 4000 });
+            expect(text.match(/cut at 2000 characters/g)).toHaveLength(2);
+            expect(text).toContain(`3 more tool calls were not run - request at most ${TOOL_CONFIG.MAX_CALLS_PER_TURN} per round.`);
+            expect(text.length).toBeLessThan(4500);
+
+            expect(formatToolResults([read("A:A")], true, { maxChars: 0 })).toContain("[left out - the prompt has no room for more tool results]");
+            expect(formatToolResults([read("A:A")], true)).not.toMatch(/cut at|not run/);
+        });
+    });
+
+    describe("getToolInstructions", () => {
+        test("lists every tool with its arguments", () => {
+            const text = getToolInstructions();
+            for (const name of ["readRange (range)", "getColumnStats (range)", "describeSheet (sheet)", "listTables:", "listNamedRanges:", "findValue (text, sheet, matchCase, entireCell)"]) {
+                expect(text).toContain(name);
+            }
+        });
+    });
+});